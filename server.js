@@ -1,7 +1,15 @@
 const app = require('./src/app');
+const { startFollowUpDigestJob } = require('./src/jobs/followUpDigest');
+const { startRenewalReminderJob } = require('./src/jobs/renewalReminders');
+const {
+  startSubscriptionActivationJob,
+} = require('./src/jobs/subscriptionActivation');
 
 const port = process.env.PORT || 3000;
 
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
+  startFollowUpDigestJob();
+  startRenewalReminderJob();
+  startSubscriptionActivationJob();
 });
@@ -36,6 +36,21 @@ const bookingReceiptRoutes = require("./routes/bookingReceipt");
 const subscriptionRoutes = require("./routes/subscription");
 const branchRoutes = require("./routes/branch"); // Import branch routes
 const dashboardRoutes = require("./routes/dashboard");
+const ledgerRoutes = require("./routes/ledger");
+const supplierPaymentRoutes = require("./routes/supplierPayment");
+const quotationRoutes = require("./routes/quotation");
+const reportRoutes = require("./routes/report");
+const creditNoteRoutes = require("./routes/creditNote");
+const cancellationRoutes = require("./routes/cancellation");
+const cancellationPolicyRoutes = require("./routes/cancellationPolicy");
+const pipelineRoutes = require("./routes/pipeline");
+const assignmentRoutes = require("./routes/assignment");
+const agencySettingRoutes = require("./routes/agencySetting");
+const agencyRoleRoutes = require("./routes/agencyRole");
+const auditLogRoutes = require("./routes/auditLog");
+const trashRoutes = require("./routes/trash");
+const auditContext = require("./middleware/auditContext");
+const platformDashboardRoutes = require("./routes/platformDashboard");
 // booking routes
 const groupBookingRoutes = require("./routes/groupBooking");
 const groupClientBookingRoutes = require("./routes/groupClientBooking");
@@ -50,6 +65,7 @@ const swaggerRouter = require("./swagger");
 const path = require("path");
 const config = require("./config/config");
 const app = express();
+app.set("trust proxy", config.trustProxy);
 app.use(morgan("dev"));
 app.use(
   helmet({
@@ -60,11 +76,12 @@ app.use(
   cors({
     origin: config.frontendUrl || "http://localhost:5173", // Allow requests from this origin
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"], // Allowed HTTP methods
-    allowedHeaders: ["Content-Type", "Authorization"], // Allowed headers
+    allowedHeaders: ["Content-Type", "Authorization", "X-Branch-Id"], // Allowed headers
   })
 );
 app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // For application/x-www-form-urlencoded (optional, but common)
+app.use(auditContext);
 const uploadsPath = path.join(__dirname, "..", "uploads");
 console.log(`Serving static files from: ${uploadsPath}`); // Verify this path on startup!
 app.use("/uploads", express.static(uploadsPath));
@@ -100,6 +117,20 @@ app.use("/tour-members", tourMemberRoutes);
 app.use("/travel-documents", travelDocumentRoutes);
 app.use("/booking-receipts", bookingReceiptRoutes);
 app.use("/dashboard", dashboardRoutes);
+app.use("/ledgers", ledgerRoutes);
+app.use("/supplier-payments", supplierPaymentRoutes);
+app.use("/quotations", quotationRoutes);
+app.use("/reports", reportRoutes);
+app.use("/credit-notes", creditNoteRoutes);
+app.use("/cancellations", cancellationRoutes);
+app.use("/cancellation-policies", cancellationPolicyRoutes);
+app.use("/pipeline", pipelineRoutes);
+app.use("/assignments", assignmentRoutes);
+app.use("/agency-settings", agencySettingRoutes);
+app.use("/agency-roles", agencyRoleRoutes);
+app.use("/audit-logs", auditLogRoutes);
+app.use("/trash", trashRoutes);
+app.use("/platform-dashboard", platformDashboardRoutes);
 app.use("/group-bookings", groupBookingRoutes);
 app.use("/group-client-bookings", groupClientBookingRoutes);
 app.use("/group-client-journey-bookings", groupClientJourneyBookingRoutes);
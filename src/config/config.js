@@ -3,4 +3,29 @@ module.exports = {
   defaultUserRole: process.env.DEFAULT_USER_ROLE || "user",
   allowRegistration: process.env.ALLOW_REGISTRATION || true,
   frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+  followUpDigestEnabled: process.env.FOLLOW_UP_DIGEST_ENABLED !== "false",
+  followUpDigestTime: process.env.FOLLOW_UP_DIGEST_TIME || "08:00", // HH:mm, server time
+  subscriptionGraceDays: parseInt(
+    process.env.SUBSCRIPTION_GRACE_DAYS || "7",
+    10
+  ),
+  renewalReminderEnabled: process.env.RENEWAL_REMINDER_ENABLED !== "false",
+  renewalReminderTime: process.env.RENEWAL_REMINDER_TIME || "09:00", // HH:mm, server time
+  renewalReminderDays: (process.env.RENEWAL_REMINDER_DAYS || "30,15,7,1")
+    .split(",")
+    .map((days) => parseInt(days, 10))
+    .filter((days) => days > 0),
+  subscriptionActivationTime:
+    process.env.SUBSCRIPTION_ACTIVATION_TIME || "00:05", // HH:mm, server time
+  loginMaxFailedAttempts: parseInt(
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS || "5",
+    10
+  ), // Per account, before it is locked
+  loginLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15", 10),
+  authRateLimitPerIp: parseInt(process.env.AUTH_RATE_LIMIT_PER_IP || "20", 10), // Requests per window to each throttled auth endpoint
+  authRateLimitWindowMinutes: parseInt(
+    process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES || "15",
+    10
+  ),
+  trustProxy: parseInt(process.env.TRUST_PROXY || "0", 10), // Reverse proxies in front of the API, so req.ip is the client's
 };
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
+const auditExtension = require('../utils/auditExtension');
 
-const prisma = new PrismaClient();
+// Writes made while handling a request are recorded in the audit log
+const prisma = new PrismaClient().$extends(auditExtension);
 
 module.exports = prisma;
@@ -1,4 +1,9 @@
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
 module.exports = {
   secret: process.env.JWT_SECRET || 'your_jwt_secret',
-  expiresIn: '1h',
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access tokens; renewed with the refresh token
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10),
 };
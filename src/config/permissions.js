@@ -15,6 +15,8 @@ module.exports = {
   "packages.delete": ["super_admin"],
   "subscriptions.write": ["super_admin"],
   "subscriptions.read": ["super_admin"],
+  "packageUsage.read": ["super_admin", "admin", "branch_admin", "user"],
+  "subscriptionHistory.read": ["super_admin", "admin"],
   //superAdmin and admin sections
   //branches
   "branches.read": ["super_admin", "admin", "branch_admin", "user"],
@@ -40,8 +42,10 @@ module.exports = {
   "roles.read": ["super_admin", "admin", "branch_admin", "user"],
   //staff
   "staff.read": ["admin", "branch_admin", "user"],
-  "staff.write": ["admin", "branch_admin", "user"],
+  "staff.write": ["admin", "branch_admin"],
   "staff.delete": ["admin", "branch_admin", "user"],
+  "staff.unlock": ["admin", "branch_admin"],
+  "staffLoginHistory.read": ["admin", "branch_admin"],
   //accommodations
   "accommodations.write": ["super_admin", "admin", "branch_admin", "user"],
   "accommodations.delete": ["super_admin", "admin", "branch_admin", "user"],
@@ -227,4 +231,45 @@ module.exports = {
     "branch_admin",
     "user",
   ],
+  //ledgers
+  "ledgers.read": ["super_admin", "admin", "branch_admin", "user"],
+  //supplierPayments
+  "supplierPayments.read": ["super_admin", "admin", "branch_admin", "user"],
+  "supplierPayments.write": ["super_admin", "admin", "branch_admin", "user"],
+  "supplierPayments.delete": ["super_admin", "admin", "branch_admin"],
+  //quotations
+  "quotations.read": ["super_admin", "admin", "branch_admin", "user"],
+  "quotations.write": ["super_admin", "admin", "branch_admin", "user"],
+  "quotations.delete": ["super_admin", "admin", "branch_admin", "user"],
+  //reports
+  "reports.read": ["super_admin", "admin", "branch_admin"],
+  //creditNotes
+  "creditNotes.read": ["super_admin", "admin", "branch_admin", "user"],
+  "creditNotes.write": ["super_admin", "admin", "branch_admin"],
+  //cancellations
+  "cancellations.read": ["super_admin", "admin", "branch_admin", "user"],
+  "cancellations.write": ["super_admin", "admin", "branch_admin"],
+  "cancellationPolicies.read": ["super_admin", "admin", "branch_admin", "user"],
+  "cancellationPolicies.write": ["super_admin", "admin"],
+  //pipeline
+  "pipeline.read": ["super_admin", "admin", "branch_admin", "user"],
+  "pipeline.write": ["super_admin", "admin", "branch_admin", "user"],
+  "pipelineStages.write": ["super_admin", "admin"],
+  //assignments
+  "assignments.read": ["super_admin", "admin", "branch_admin", "user"],
+  "assignments.write": ["super_admin", "admin", "branch_admin"],
+  //agency settings
+  "agencySettings.read": ["super_admin", "admin", "branch_admin", "user"],
+  "agencySettings.write": ["super_admin", "admin"],
+  //agency roles
+  "agencyRoles.read": ["admin", "branch_admin"],
+  "agencyRoles.write": ["admin"],
+  //audit logs
+  "auditLogs.read": ["admin"],
+  //trash
+  "trash.read": ["admin"],
+  "trash.write": ["admin"],
+  "trash.delete": ["admin"],
+  //platform dashboard
+  "platformDashboard.read": ["super_admin"],
 };
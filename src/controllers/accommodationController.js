@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all accommodations with pagination, sorting, and search
 const getAccommodations = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getAccommodations = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       accommodationName: { contains: search },
     };
 
@@ -79,6 +80,7 @@ const createAccommodation = async (req, res, next) => {
           AND: [
             { accommodationName: data.accommodationName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -164,6 +166,7 @@ const updateAccommodation = async (req, res, next) => {
           AND: [
             { accommodationName: data.accommodationName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -204,29 +207,15 @@ const updateAccommodation = async (req, res, next) => {
   }
 };
 
-// Delete an accommodation
+// Move an accommodation to the trash
 const deleteAccommodation = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.accommodation.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("accommodation", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Accommodation because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
-
     if (error.code === "P2025") {
       return res
         .status(404)
@@ -253,6 +242,7 @@ const getAllAccommodations = async (req, res, next) => {
     const accommodations = await prisma.accommodation.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
       select: {
         id: true,
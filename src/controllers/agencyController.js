@@ -1,10 +1,9 @@
-const { PrismaClient } = require("@prisma/client");
 const bcrypt = require("bcrypt");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateUpload"); // Assuming this merges Zod body errors and req.uploadErrors
 const createError = require("http-errors");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const fs = require("fs").promises; // Use promises API
 const path = require("path");
 const ExcelJS = require("exceljs");
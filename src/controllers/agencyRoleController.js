@@ -0,0 +1,362 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const validateRequest = require("../utils/validateRequest");
+const { ADMIN } = require("../config/roles");
+const {
+  AGENCY_PERMISSIONS,
+  CUSTOMIZABLE_ROLES,
+  defaultPermissions,
+  getPermissionCatalog,
+  invalidateAgency,
+} = require("../services/aclService");
+
+// Names of the built-in roles, which custom roles cannot take
+const SYSTEM_ROLE_NAMES = {
+  admin: "Admin",
+  branch_admin: "Branch Admin",
+  user: "User",
+};
+
+const roleInclude = {
+  permissions: { select: { permission: true } },
+  _count: { select: { users: true } },
+};
+
+const formatRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  systemRole: role.systemRole,
+  permissions: role.permissions.map(({ permission }) => permission),
+  userCount: role._count.users,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+const permissionsSchema = z
+  .array(z.string())
+  .refine(
+    (permissions) =>
+      permissions.every((permission) =>
+        AGENCY_PERMISSIONS.includes(permission)
+      ),
+    { message: "Permissions must be chosen from the permission catalog" }
+  );
+
+const sendAgencyError = (res) =>
+  res.status(404).json({ message: "User does not belong to any Agency" });
+
+// Get the permissions agency roles can be granted
+const getPermissions = async (req, res) => {
+  res.status(200).json({ catalog: getPermissionCatalog() });
+};
+
+// Get the agency's built-in and custom roles with their permissions
+const getAgencyRoles = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+
+  try {
+    const stored = await prisma.agencyRole.findMany({
+      where: { agencyId: req.user.agencyId },
+      include: roleInclude,
+      orderBy: { name: "asc" },
+    });
+    const userCounts = await prisma.user.groupBy({
+      by: ["role"],
+      where: { agencyId: req.user.agencyId, agencyRoleId: null },
+      _count: { _all: true },
+    });
+    const countByRole = new Map(
+      userCounts.map((row) => [row.role, row._count._all])
+    );
+
+    // Built-in roles use the default grants until the agency changes them
+    const systemRoles = [ADMIN, ...CUSTOMIZABLE_ROLES].map((systemRole) => {
+      const override = stored.find((role) => role.systemRole === systemRole);
+      return {
+        id: override?.id ?? null,
+        name: SYSTEM_ROLE_NAMES[systemRole],
+        description: override?.description ?? null,
+        systemRole,
+        permissions: override
+          ? override.permissions.map(({ permission }) => permission)
+          : defaultPermissions(systemRole),
+        userCount: countByRole.get(systemRole) || 0,
+        customized: Boolean(override),
+        editable: systemRole !== ADMIN,
+      };
+    });
+    const customRoles = stored
+      .filter((role) => !role.systemRole)
+      .map((role) => ({
+        ...formatRole(role),
+        customized: true,
+        editable: true,
+      }));
+
+    res.status(200).json({ roles: [...systemRoles, ...customRoles] });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch roles",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get a custom role of the agency
+const getAgencyRoleById = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+
+  try {
+    const role = await prisma.agencyRole.findFirst({
+      where: { id: parseInt(req.params.id, 10), agencyId: req.user.agencyId },
+      include: roleInclude,
+    });
+    if (!role) {
+      return res.status(404).json({ errors: { message: "Role not found" } });
+    }
+    res.status(200).json(formatRole(role));
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Validates a custom role; the name must be unique in the agency
+const customRoleSchema = (agencyId, roleId) =>
+  z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, "Name is required")
+        .max(100, "Name must not be longer than 100 characters"),
+      description: z.string().max(255).nullish(),
+      permissions: permissionsSchema,
+    })
+    .superRefine(async (data, ctx) => {
+      const reserved = Object.values(SYSTEM_ROLE_NAMES).some(
+        (name) => name.toLowerCase() === data.name.toLowerCase()
+      );
+      const existing = await prisma.agencyRole.findFirst({
+        where: {
+          agencyId,
+          name: data.name,
+          ...(roleId && { id: { not: roleId } }),
+        },
+        select: { id: true },
+      });
+      if (reserved || existing) {
+        ctx.addIssue({
+          path: ["name"],
+          message: `A role named ${data.name} already exists.`,
+        });
+      }
+    });
+
+const permissionRows = (permissions) =>
+  [...new Set(permissions)].map((permission) => ({ permission }));
+
+// Create a custom role such as "Accounts" or "Sales"
+const createAgencyRole = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+
+  const data = await validateRequest(
+    customRoleSchema(req.user.agencyId),
+    req.body,
+    res
+  );
+
+  try {
+    const role = await prisma.agencyRole.create({
+      data: {
+        agencyId: req.user.agencyId,
+        name: data.name,
+        description: data.description || null,
+        permissions: { create: permissionRows(data.permissions) },
+      },
+      include: roleInclude,
+    });
+    res.status(201).json(formatRole(role));
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to create role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Update a custom role's name, description and permissions
+const updateAgencyRole = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+  const id = parseInt(req.params.id, 10);
+
+  const data = await validateRequest(
+    customRoleSchema(req.user.agencyId, id),
+    req.body,
+    res
+  );
+
+  try {
+    const existing = await prisma.agencyRole.findFirst({
+      where: { id, agencyId: req.user.agencyId, systemRole: null },
+      select: { id: true },
+    });
+    if (!existing) {
+      return res.status(404).json({ errors: { message: "Role not found" } });
+    }
+
+    const role = await prisma.agencyRole.update({
+      where: { id },
+      data: {
+        name: data.name,
+        description: data.description || null,
+        permissions: {
+          deleteMany: {},
+          create: permissionRows(data.permissions),
+        },
+      },
+      include: roleInclude,
+    });
+    invalidateAgency(req.user.agencyId);
+    res.status(200).json(formatRole(role));
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Delete a custom role that no staff member has
+const deleteAgencyRole = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+
+  try {
+    const role = await prisma.agencyRole.findFirst({
+      where: {
+        id: parseInt(req.params.id, 10),
+        agencyId: req.user.agencyId,
+        systemRole: null,
+      },
+      include: { _count: { select: { users: true } } },
+    });
+    if (!role) {
+      return res.status(404).json({ errors: { message: "Role not found" } });
+    }
+    if (role._count.users > 0) {
+      return res.status(409).json({
+        errors: {
+          message: `${role.name} is assigned to ${role._count.users} staff member(s). Give them another role first.`,
+        },
+      });
+    }
+
+    await prisma.agencyRole.delete({ where: { id: role.id } });
+    invalidateAgency(req.user.agencyId);
+    res.status(200).json({ message: "Role deleted successfully" });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to delete role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Replace the agency's grants for the branch_admin or user built-in role
+const updateSystemRole = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+  const { systemRole } = req.params;
+  if (!CUSTOMIZABLE_ROLES.includes(systemRole)) {
+    return res.status(404).json({ errors: { message: "Role not found" } });
+  }
+
+  const schema = z.object({ permissions: permissionsSchema });
+  const data = await validateRequest(schema, req.body, res);
+
+  try {
+    const existing = await prisma.agencyRole.findFirst({
+      where: { agencyId: req.user.agencyId, systemRole },
+      select: { id: true },
+    });
+    const role = existing
+      ? await prisma.agencyRole.update({
+          where: { id: existing.id },
+          data: {
+            permissions: {
+              deleteMany: {},
+              create: permissionRows(data.permissions),
+            },
+          },
+          include: roleInclude,
+        })
+      : await prisma.agencyRole.create({
+          data: {
+            agencyId: req.user.agencyId,
+            name: SYSTEM_ROLE_NAMES[systemRole],
+            systemRole,
+            permissions: { create: permissionRows(data.permissions) },
+          },
+          include: roleInclude,
+        });
+    invalidateAgency(req.user.agencyId);
+    res.status(200).json(formatRole(role));
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Put a built-in role back on the default grants
+const resetSystemRole = async (req, res) => {
+  if (!req.user.agencyId) return sendAgencyError(res);
+  const { systemRole } = req.params;
+  if (!CUSTOMIZABLE_ROLES.includes(systemRole)) {
+    return res.status(404).json({ errors: { message: "Role not found" } });
+  }
+
+  try {
+    await prisma.agencyRole.deleteMany({
+      where: { agencyId: req.user.agencyId, systemRole },
+    });
+    invalidateAgency(req.user.agencyId);
+    res.status(200).json({
+      systemRole,
+      permissions: defaultPermissions(systemRole),
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to reset role",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getAgencyRoles,
+  getAgencyRoleById,
+  createAgencyRole,
+  updateAgencyRole,
+  deleteAgencyRole,
+  updateSystemRole,
+  resetSystemRole,
+};
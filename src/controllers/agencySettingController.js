@@ -0,0 +1,79 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const validateRequest = require("../utils/validateRequest");
+const {
+  AUTO_ASSIGN_STRATEGIES,
+  getAgencySettings: findAgencySettings,
+} = require("../services/assignmentService");
+
+// Get the settings of the agency
+const getAgencySettings = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const settings = await findAgencySettings(req.user.agencyId);
+    res.status(200).json(settings);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch agency settings",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Update the settings of the agency
+const updateAgencySettings = async (req, res) => {
+  const schema = z.object({
+    autoAssignStrategy: z.enum(AUTO_ASSIGN_STRATEGIES, {
+      errorMap: () => ({
+        message: `Auto-assign strategy must be one of ${AUTO_ASSIGN_STRATEGIES.join(
+          ", "
+        )}`,
+      }),
+    }),
+    restrictToAssignedEnquiries: z.boolean({
+      errorMap: () => ({
+        message: "Restrict to assigned enquiries must be true or false",
+      }),
+    }),
+    requireTwoFactor: z
+      .boolean({
+        errorMap: () => ({
+          message: "Require two-factor authentication must be true or false",
+        }),
+      })
+      .optional(),
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(schema, req.body, res);
+
+  try {
+    const settings = await prisma.agencySetting.upsert({
+      where: { agencyId: req.user.agencyId },
+      update: data,
+      create: { ...data, agencyId: req.user.agencyId },
+    });
+    res.status(200).json(settings);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update agency settings",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = { getAgencySettings, updateAgencySettings };
@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors");
+const { softDelete } = require("../services/trashService");
 
 // Get agents with pagination, sorting, and search
 const getAgents = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getAgents = async (req, res, next) => {
     }
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       OR: [
         { agentName: { contains: search } },
         { city: { cityName: { contains: search } } },
@@ -82,6 +83,7 @@ const createAgent = async (req, res, next) => {
           AND: [
             { agentName: data.agentName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -225,6 +227,7 @@ const updateAgent = async (req, res, next) => {
           AND: [
             { agentName: data.agentName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -329,28 +332,15 @@ const updateAgent = async (req, res, next) => {
   }
 };
 
-// Delete an agent
+// Move an agent to the trash
 const deleteAgent = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.agent.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("agent", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Agent because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Agent not found" } });
     }
@@ -373,7 +363,7 @@ const getAllAgents = async (req, res, next) => {
     }
 
     const agents = await prisma.agent.findMany({
-      where: { agencyId: req.user.agencyId },
+      where: { agencyId: req.user.agencyId, deletedAt: null },
     });
 
     res.status(200).json(agents);
@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all airlines with pagination, sorting, and search
 const getAirlines = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getAirlines = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       airlineName: { contains: search },
     };
 
@@ -79,6 +80,7 @@ const createAirline = async (req, res, next) => {
           AND: [
             { airlineName: data.airlineName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -162,6 +164,7 @@ const updateAirline = async (req, res, next) => {
           AND: [
             { airlineName: data.airlineName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -200,28 +203,15 @@ const updateAirline = async (req, res, next) => {
   }
 };
 
-// Delete an airline
+// Move an airline to the trash
 const deleteAirline = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.airline.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("airline", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Airline because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Airline not found" } });
     }
@@ -246,6 +236,7 @@ const getAllAirlines = async (req, res, next) => {
     const airlines = await prisma.airline.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
       select: {
         id: true,
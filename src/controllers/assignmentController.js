@@ -0,0 +1,110 @@
+const { z } = require("zod");
+const validateRequest = require("../utils/validateRequest");
+const {
+  assignBooking,
+  getAssignmentHistory,
+} = require("../services/assignmentService");
+
+// Assign a booking or group booking to a staff member, or unassign it with a null user
+const assign = (ownerField, notFoundMessage) => async (req, res) => {
+  const schema = z.object({
+    userId: z
+      .union([z.string(), z.number()])
+      .nullable()
+      .transform((val) =>
+        val === null || val === "" ? null : parseInt(val, 10)
+      )
+      .refine((val) => val === null || !isNaN(val), {
+        message: "Staff member is required",
+      }),
+    reason: z
+      .string()
+      .max(2000, "Reason must not exceed 2000 characters")
+      .nullish(),
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const { userId, reason } = await validateRequest(schema, req.body, res);
+  const { id } = req.params;
+
+  try {
+    const booking = await assignBooking(
+      req.user.agencyId,
+      { [ownerField]: parseInt(id, 10) },
+      userId,
+      req.user.id,
+      reason
+    );
+    if (!booking) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(200).json(booking);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        errors: { userId: { type: "server", message: error.message } },
+      });
+    }
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to assign booking",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the assignment history of a booking or group booking
+const getHistory = (ownerField, notFoundMessage) => async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const history = await getAssignmentHistory(req.user.agencyId, {
+      [ownerField]: parseInt(id, 10),
+    });
+    if (!history) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch assignment history",
+        details: error.message,
+      },
+    });
+  }
+};
+
+const assignBookingToStaff = assign("bookingId", "Booking not found");
+const assignGroupBookingToStaff = assign(
+  "groupBookingId",
+  "Group booking not found"
+);
+const getBookingAssignments = getHistory("bookingId", "Booking not found");
+const getGroupBookingAssignments = getHistory(
+  "groupBookingId",
+  "Group booking not found"
+);
+
+module.exports = {
+  assignBookingToStaff,
+  assignGroupBookingToStaff,
+  getBookingAssignments,
+  getGroupBookingAssignments,
+};
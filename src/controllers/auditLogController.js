@@ -0,0 +1,101 @@
+const dayjs = require("dayjs");
+const {
+  AUDIT_ACTIONS,
+  getAuditLogs: findAuditLogs,
+  getBookingActivity: findBookingActivity,
+} = require("../services/auditService");
+
+const parseId = (value) => {
+  const id = parseInt(value, 10);
+  return Number.isNaN(id) ? undefined : id;
+};
+
+const parseDate = (value, edge) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  const date = dayjs(value);
+  if (!date.isValid()) return undefined;
+  return edge === "end" ? date.endOf("day").toDate() : date.toDate();
+};
+
+// Get the audit log of the agency, filtered by entity, action, user, booking or date
+const getAuditLogs = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  if (req.query.action && !AUDIT_ACTIONS.includes(req.query.action)) {
+    return res.status(400).json({
+      errors: {
+        action: {
+          type: "server",
+          message: `action must be one of: ${AUDIT_ACTIONS.join(", ")}`,
+        },
+      },
+    });
+  }
+
+  try {
+    const { auditLogs, totalAuditLogs } = await findAuditLogs(
+      req.user.agencyId,
+      {
+        entityType: req.query.entityType || undefined,
+        entityId: parseId(req.query.entityId),
+        action: req.query.action || undefined,
+        userId: parseId(req.query.userId),
+        bookingId: parseId(req.query.bookingId),
+        fromDate: parseDate(req.query.fromDate, "start"),
+        toDate: parseDate(req.query.toDate, "end"),
+      },
+      { skip, take: limit }
+    );
+    const totalPages = Math.ceil(totalAuditLogs / limit);
+
+    res.json({
+      auditLogs,
+      page,
+      totalPages,
+      totalAuditLogs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch audit logs",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the activity timeline of a booking, including its sub-bookings and receipts
+const getBookingActivity = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const activity = await findBookingActivity(
+      req.user.agencyId,
+      parseInt(req.params.id, 10)
+    );
+    res.status(200).json({ activity });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch booking activity",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getBookingActivity,
+};
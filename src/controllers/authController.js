@@ -1,5 +1,4 @@
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
 const { z } = require("zod");
 const prisma = require("../config/db");
@@ -8,7 +7,35 @@ const validateRequest = require("../utils/validateRequest");
 const config = require("../config/config");
 const createError = require("http-errors");
 const jwtConfig = require("../config/jwt");
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+  getUserSessions,
+} = require("../services/sessionService");
+const {
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus,
+} = require("../services/twoFactorService");
+const {
+  lockoutMessage,
+  unknownEmailLockoutMessage,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../services/loginSecurityService");
 const { SUPER_ADMIN } = require("../config/roles");
+const {
+  getSubscriptionState,
+} = require("../services/subscriptionStateService");
 
 // Register a new user
 const register = async (req, res, next) => {
@@ -66,107 +93,152 @@ const register = async (req, res, next) => {
   }
 };
 
+// Opens a session for a user who has passed every login step and sends the
+// tokens with the user's agency and subscription. `extra` is merged into the response.
+const completeLogin = async (req, res, user, deviceName, extra = {}) => {
+  // Look up the agency first, so a user without one gets no session
+  const agency =
+    user.role === SUPER_ADMIN
+      ? null
+      : await prisma.agency.findFirst({
+          where: {
+            users: {
+              some: { id: user.id }, // Check if the user belongs to an agency
+            },
+          },
+          include: {
+            currentSubscription: true, // Include the current subscription details
+          },
+        });
+
+  if (user.role !== SUPER_ADMIN && !agency) {
+    return res
+      .status(500)
+      .json({ errors: { message: "User does not belong to any agency" } });
+  }
+
+  await recordLoginSuccess(req, user);
+  const { token, refreshToken } = await createSession(user.id, req, deviceName);
+
+  // Update lastLogin timestamp
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLogin: new Date() },
+  });
+
+  if (user.role === SUPER_ADMIN) {
+    return res.json({
+      ...extra,
+      token,
+      refreshToken,
+      expiresIn: jwtConfig.expiresIn,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin,
+      },
+    });
+  }
+
+  // Expired agencies can still log in: with a warning during the grace
+  // period and read-only after it
+  const currentSubscription = agency.currentSubscription;
+  const subscriptionState = getSubscriptionState(currentSubscription);
+
+  res.json({
+    ...extra,
+    token,
+    refreshToken,
+    expiresIn: jwtConfig.expiresIn,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      lastLogin: user.lastLogin,
+      agency: {
+        id: agency.id,
+        name: agency.businessName,
+      },
+      subscription: {
+        id: currentSubscription?.id ?? null,
+        startDate: currentSubscription?.startDate ?? null,
+        endDate: currentSubscription?.endDate ?? null,
+        status: subscriptionState.status,
+        daysToExpiry: subscriptionState.daysToExpiry,
+        graceEndsOn: subscriptionState.graceEndsOn,
+        inGracePeriod: subscriptionState.status === "grace",
+        readOnly: subscriptionState.status === "read_only",
+        warning: subscriptionState.warning,
+      },
+    },
+  });
+};
+
 const login = async (req, res, next) => {
   const schema = z.object({
     email: z.string().email("Invalid Email format").min(1, "email is required"),
     password: z.string().min(6, "Password must be at least 6 characters long"),
+    deviceName: z.string().max(100).optional(),
   });
 
   try {
     const validationErrors = await validateRequest(schema, req.body, res);
 
-    const { email, password } = req.body;
+    const { email, password, deviceName } = req.body;
     const user = await prisma.user.findUnique({ where: { email } });
 
-    if (!user || !(await bcrypt.compare(password, user.password))) {
+    // Unknown emails lock like real accounts, so the answers do not tell
+    // them apart
+    const locked = user
+      ? lockoutMessage(user)
+      : await unknownEmailLockoutMessage(email);
+    if (locked) {
+      await recordLoginFailure(req, { email, user, reason: "locked" });
+      return res.status(423).json({ errors: { message: locked } });
+    }
+
+    if (!user) {
+      await recordLoginFailure(req, { email, reason: "unknown_email" });
+      return res
+        .status(401)
+        .json({ errors: { message: "Invalid email or password" } });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      await recordLoginFailure(req, {
+        email,
+        user,
+        reason: "invalid_password",
+      });
       return res
         .status(401)
         .json({ errors: { message: "Invalid email or password" } });
     }
 
     if (!user.active) {
+      await recordLoginFailure(req, { email, user, reason: "inactive" });
       return res
         .status(403)
         .json({ errors: { message: "Account is inactive" } });
     }
-    const token = jwt.sign({ userId: user.id }, jwtConfig.secret, {
-      expiresIn: jwtConfig.expiresIn,
-    });
-
-    // Check if the user is a super_admin
-    if (user.role === SUPER_ADMIN) {
-      // Update lastLogin timestamp
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() },
-      });
-
+    // A second factor is needed when the user has turned it on, or must
+    // first enroll because their agency requires it
+    if (user.twoFactorEnabled || (await isTwoFactorRequired(user))) {
       return res.json({
-        token,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin,
-        },
+        twoFactorRequired: user.twoFactorEnabled,
+        twoFactorSetupRequired: !user.twoFactorEnabled,
+        challengeToken: signChallengeToken(
+          user.id,
+          user.twoFactorEnabled ? "2fa" : "2fa_setup",
+          deviceName
+        ),
       });
     }
 
-    // If the user is not a super_admin, check their agency
-    const agency = await prisma.agency.findFirst({
-      where: {
-        users: {
-          some: { id: user.id }, // Check if the user belongs to an agency
-        },
-      },
-      include: {
-        currentSubscription: true, // Include the current subscription details
-      },
-    });
-
-    if (!agency) {
-      return res
-        .status(500)
-        .json({ errors: { message: "User does not belong to any agency" } });
-    }
-
-    // Check the subscription details
-    const currentSubscription = agency.currentSubscription;
-    if (
-      !currentSubscription ||
-      new Date(currentSubscription.endDate) < new Date()
-    ) {
-      return res
-        .status(403)
-        .json({ errors: { message: "Subscription expired" } });
-    }
-
-    // Update lastLogin timestamp
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLogin: new Date() },
-    });
-
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin,
-        agency: {
-          id: agency.id,
-          name: agency.businessName,
-        },
-        subscription: {
-          id: currentSubscription.id,
-          startDate: currentSubscription.startDate,
-          endDate: currentSubscription.endDate,
-        },
-      },
-    });
+    await completeLogin(req, res, user, deviceName);
   } catch (error) {
     next(error);
   }
@@ -183,10 +255,9 @@ const forgotPassword = async (req, res, next) => {
     const validationErrors = await validateRequest(schema, req.body, res);
     const { email, resetUrl } = req.body;
     const user = await prisma.user.findUnique({ where: { email } });
+    // Unknown emails get the same answer, so they cannot be used to find accounts
     if (!user) {
-      return setTimeout(() => {
-        res.status(404).json({ errors: { message: "User not found" } });
-      }, 3000);
+      return res.json({ message: "Password reset link sent" });
     }
 
     const resetToken = uuidv4();
@@ -246,16 +317,246 @@ const resetPassword = async (req, res, next) => {
         password: hashedPassword,
         resetToken: null, // Clear the token after use
         resetTokenExpires: null,
+        // The emailed link proves ownership, so lift any lockout
+        failedLoginCount: 0,
+        lockedUntil: null,
       },
     });
+    await revokeUserSessions(user.id, "password_changed");
     res.json({ message: "Password reset successful" });
   } catch (error) {
     next(error);
   }
 };
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+});
+
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res, next) => {
+  const { refreshToken } = await validateRequest(
+    refreshTokenSchema,
+    req.body,
+    res
+  );
+
+  try {
+    const tokens = await refreshSession(refreshToken, req);
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: jwtConfig.expiresIn,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    next(error);
+  }
+};
+
+// End the session the refresh token belongs to
+const logout = async (req, res, next) => {
+  const { refreshToken } = await validateRequest(
+    refreshTokenSchema,
+    req.body,
+    res
+  );
+
+  try {
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End all of the signed-in user's sessions, including this one
+const logoutAll = async (req, res, next) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, "logout_all");
+    res.json({ message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the signed-in user's open sessions
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await getUserSessions(req.user.id, req.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// End one of the signed-in user's sessions, e.g. a lost device
+const deleteSession = async (req, res, next) => {
+  try {
+    const sessions = await getUserSessions(req.user.id);
+    const sessionId = parseInt(req.params.id, 10);
+    if (!sessions.some((session) => session.id === sessionId)) {
+      return res.status(404).json({ errors: { message: "Session not found" } });
+    }
+    await revokeSession(sessionId, "logout");
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Maps two-factor service errors: a 400 is reported against the code field
+const sendTwoFactorError = (res, next, error) => {
+  if (error.status === 400) {
+    return res
+      .status(400)
+      .json({ errors: { code: { type: "server", message: error.message } } });
+  }
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ errors: { message: error.message } });
+  }
+  next(error);
+};
+
+// An authenticator code or a backup code, plus any other `fields`
+const secondFactorSchema = (fields = {}) =>
+  z
+    .object({
+      ...fields,
+      code: z.string().optional(),
+      backupCode: z.string().optional(),
+    })
+    .refine((data) => data.code || data.backupCode, {
+      path: ["code"],
+      message: "Authentication code or backup code is required",
+    });
+
+// Finish a login with an authenticator or backup code
+const verifyTwoFactor = async (req, res, next) => {
+  const schema = secondFactorSchema({
+    challengeToken: z.string().min(1, "Challenge token is required"),
+  });
+  const data = await validateRequest(schema, req.body, res);
+
+  try {
+    const { user, deviceName } = await verifyChallengeToken(
+      data.challengeToken,
+      "2fa"
+    );
+    const locked = lockoutMessage(user);
+    if (locked) {
+      await recordLoginFailure(req, {
+        email: user.email,
+        user,
+        reason: "locked",
+      });
+      throw createError(423, locked);
+    }
+    // Wrong codes count towards the lockout like wrong passwords
+    if (!(await verifySecondFactor(user, data))) {
+      await recordLoginFailure(req, {
+        email: user.email,
+        user,
+        reason: "invalid_two_factor",
+      });
+      throw createError(400, "Invalid authentication code");
+    }
+    await completeLogin(req, res, user, deviceName);
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
+// Get whether two-factor authentication is on for the signed-in user
+const getTwoFactor = async (req, res, next) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user));
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
+// Start enrollment: returns the secret and the otpauth:// URI for the QR code
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    res.json(await startEnrollment(req.user));
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
+// Confirm enrollment with a code from the app. During a login that requires
+// enrollment this also completes the login.
+const enableTwoFactorForUser = async (req, res, next) => {
+  const schema = z.object({
+    code: z.string().min(1, "Authentication code is required"),
+  });
+  const { code } = await validateRequest(schema, req.body, res);
+
+  try {
+    const backupCodes = await enableTwoFactor(req.user, code);
+    if (req.twoFactorChallenge) {
+      return await completeLogin(
+        req,
+        res,
+        req.user,
+        req.twoFactorChallenge.deviceName,
+        { backupCodes }
+      );
+    }
+    res.json({ backupCodes });
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
+// Turn two-factor authentication off with a current code or a backup code
+const disableTwoFactorForUser = async (req, res, next) => {
+  const data = await validateRequest(secondFactorSchema(), req.body, res);
+
+  try {
+    await disableTwoFactor(req.user, data);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
+// Replace the backup codes; the old ones stop working
+const regenerateTwoFactorBackupCodes = async (req, res, next) => {
+  const schema = z.object({
+    code: z.string().min(1, "Authentication code is required"),
+  });
+  const { code } = await validateRequest(schema, req.body, res);
+
+  try {
+    const backupCodes = await regenerateBackupCodes(req.user, code);
+    res.json({ backupCodes });
+  } catch (error) {
+    sendTwoFactorError(res, next, error);
+  }
+};
+
 module.exports = {
   register,
   login,
   forgotPassword,
   resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyTwoFactor,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor: enableTwoFactorForUser,
+  disableTwoFactor: disableTwoFactorForUser,
+  regenerateBackupCodes: regenerateTwoFactorBackupCodes,
 };
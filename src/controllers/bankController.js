@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all banks with pagination, sorting, and search
 const getBanks = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getBanks = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       bankName: { contains: search },
     };
 
@@ -79,6 +80,7 @@ const createBank = async (req, res, next) => {
           AND: [
             { bankName: data.bankName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -162,6 +164,7 @@ const updateBank = async (req, res, next) => {
           AND: [
             { bankName: data.bankName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -200,28 +203,15 @@ const updateBank = async (req, res, next) => {
   }
 };
 
-// Delete a bank
+// Move a bank to the trash
 const deleteBank = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.bank.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("bank", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Bank because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Bank not found" } });
     }
@@ -246,6 +236,7 @@ const getAllBanks = async (req, res, next) => {
     const banks = await prisma.bank.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
       select: {
         id: true,
@@ -1,11 +1,18 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
 const generateBookingNumber = require("../utils/generateBookingNumber");
 const roles = require("../config/roles");
+const { buildBookingItinerary } = require("../services/itineraryService");
+const { startPipeline } = require("../services/pipelineService");
+const {
+  autoAssignBooking,
+  assignedToFilter,
+} = require("../services/assignmentService");
+const { branchFilter } = require("../services/branchScopeService");
+const { softDelete } = require("../services/trashService");
 // Get all tour enquiries with pagination, sorting, and search
 const getBookings = async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
@@ -14,22 +21,14 @@ const getBookings = async (req, res, next) => {
   const search = req.query.search || "";
   const sortBy = req.query.sortBy || "id";
   const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
-  // start
-  let agencyId = req.user.agencyId;
-  let branchId = req.user.branchId;
-  let role = req.user.role;
-
   let baseWhereClause = {
-    agencyId: agencyId,
+    agencyId: req.user.agencyId,
     bookingType: "Confirm",
+    deletedAt: null,
+    // Branch users see their branch; admins the branch they switched to
+    ...branchFilter(req.branchId),
   };
 
-  // If user is not admin and belongs to a branch, filter by branch
-  if (role !== "admin" && branchId) {
-    baseWhereClause.branchId = branchId;
-  }
-  // end
-
   // Additional filters
   const fromBookingDate = req.query.fromBookingDate
     ? new Date(req.query.fromBookingDate)
@@ -49,6 +48,8 @@ const getBookings = async (req, res, next) => {
 
     const whereClause = {
       ...baseWhereClause,
+      // Only the user's own bookings when asked for, or when the agency requires it
+      ...(await assignedToFilter(req.user, req.query)),
       AND: [
         // Filter by booking date range
         fromBookingDate && toBookingDate
@@ -107,6 +108,7 @@ const getBookings = async (req, res, next) => {
         tour: true, // Include tour details
         client: true, // Include client details
         branch: true, // Include branch details
+        assignedTo: { select: { id: true, name: true } }, // Include the assigned staff member
       },
     });
 
@@ -159,6 +161,10 @@ const getTourEnquiries = async (req, res, next) => {
     const whereClause = {
       agencyId: req.user.agencyId,
       bookingType: "Enquiry",
+      deletedAt: null,
+      ...branchFilter(req.branchId),
+      // Only the user's own enquiries when asked for, or when the agency requires it
+      ...(await assignedToFilter(req.user, req.query)),
       AND: [
         // Filter by booking date range
         fromBookingDate && toBookingDate
@@ -217,6 +223,7 @@ const getTourEnquiries = async (req, res, next) => {
         tour: true, // Include tour details
         client: true, // Include client details
         branch: true, // Include branch details
+        assignedTo: { select: { id: true, name: true } }, // Include the assigned staff member
       },
     });
 
@@ -309,6 +316,7 @@ const createBooking = async (req, res, next) => {
       isPackage,
       bookingDetails,
       bookingType,
+      enquirySource,
     } = req.body;
 
     let branchId = null;
@@ -329,9 +337,11 @@ const createBooking = async (req, res, next) => {
         data: {
           bookingNumber: bookingNumber,
           agencyId: req.user.agencyId,
+          createdById: req.user.id,
           bookingDate: parseDate(bookingDate),
           journeyDate: parseDate(journeyDate),
           bookingType: bookingType ? bookingType : null,
+          enquirySource: enquirySource || null,
           departureDate: parseDate(departureDate),
           budgetField: budgetField || null,
           clientId: parseInt(clientId, 10),
@@ -361,6 +371,22 @@ const createBooking = async (req, res, next) => {
         },
       });
 
+      if (bookingType === "Enquiry") {
+        await startPipeline(
+          tx,
+          req.user.agencyId,
+          { bookingId: newBooking.id },
+          req.user.id
+        );
+      }
+
+      newBooking.assignedToId = await autoAssignBooking(
+        tx,
+        req.user.agencyId,
+        { bookingId: newBooking.id },
+        req.user.id
+      );
+
       return {
         newBooking: newBooking,
       };
@@ -485,6 +511,7 @@ const updateBooking = async (req, res, next) => {
     isPackage,
     bookingDetails = [],
     bookingType,
+    enquirySource,
   } = req.body;
 
   try {
@@ -551,6 +578,7 @@ const updateBooking = async (req, res, next) => {
           departureDate: parseDate(departureDate),
           budgetField: budgetField || null,
           bookingType: bookingType ? bookingType : null,
+          enquirySource: enquirySource || null,
           clientId: parseInt(clientId, 10),
           numberOfAdults: numberOfAdults ? parseInt(numberOfAdults, 10) : null, // Parse as integer
           numberOfChildren5To11: numberOfChildren5To11
@@ -616,28 +644,15 @@ const updateBooking = async (req, res, next) => {
   }
 };
 //tour booking number generate.
-// Delete a booking
+// Move a booking to the trash
 const deleteBooking = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.booking.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("booking", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Booking because it is referenced in related data (e.g. hotel booking,vehicle booking, etc). Please remove those first.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Booking not found" } });
     }
@@ -650,6 +665,48 @@ const deleteBooking = async (req, res, next) => {
   }
 };
 
+// Download the final itinerary PDF of a confirmed booking
+const downloadBookingItinerary = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const itinerary = await buildBookingItinerary(
+      req.user.agencyId,
+      parseInt(id, 10)
+    );
+    if (!itinerary) {
+      return res.status(404).json({ errors: { message: "Booking not found" } });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.download(itinerary.filePath, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+        if (!res.headersSent) {
+          res.status(500).send("Failed to download itinerary");
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to generate itinerary",
+        details: error.message,
+      },
+    });
+  }
+};
+
 module.exports = {
   getBookings,
   createBooking,
@@ -657,4 +714,5 @@ module.exports = {
   deleteBooking,
   updateBooking,
   getTourEnquiries,
+  downloadBookingItinerary,
 };
@@ -1,6 +1,7 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
 const { z } = require("zod");
+const createError = require("http-errors");
 const validateRequest = require("../utils/validateRequest");
 const dayjs = require("dayjs");
 const path = require("path");
@@ -15,6 +16,9 @@ const parseDate = (value) => {
   return dayjs(value).isValid() ? new Date(value) : undefined;
 };
 const { numberToWords } = require("../utils/numberToWords");
+const {
+  cancelBookingReceipt: cancelReceipt,
+} = require("../services/creditNoteService");
 const generateBookingReceiptNumber = require("../utils/generateBookingReceiptNumber");
 const generateBookingReceiptInvoiceNumber = require("../utils/generateBookingReceiptInvoiceNumber");
 // Create a new booking receipt
@@ -172,80 +176,41 @@ const createBookingReceipt = async (req, res) => {
   }
 };
 
-// Delete a booking receipt
-// const deleteBookingReceipt = async (req, res) => {
-//   const { id } = req.params;
-//   try {
-//     await prisma.bookingReceipt.delete({
-//       where: { id: parseInt(id, 10) },
-//     });
-//     res.status(204).send();
-//   } catch (error) {
-//     if (error.code === "P2025") {
-//       return res
-//         .status(404)
-//         .json({ errors: { message: "Booking receipt not found" } });
-//     }
-//     res.status(500).json({
-//       errors: {
-//         message: "Failed to delete booking receipt",
-//         details: error.message,
-//       },
-//     });
-//   }
-// };
-
-const deleteBookingReceipt = async (req, res) => {
+// Cancel a booking receipt, keeping its receipt and invoice numbers
+const cancelBookingReceipt = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const schema = z.object({
+    reason: z.string().trim().min(1, "Cancellation reason is required."),
+  });
+  const { reason } = await validateRequest(schema, req.body, res);
   const { id } = req.params;
 
   try {
-    // Step 1: Get receipt including invoicePath before deletion
-    const receipt = await prisma.bookingReceipt.findUnique({
-      where: { id: parseInt(id, 10) },
-      select: { invoicePath: true },
-    });
-
+    const receipt = await cancelReceipt(
+      req.user.agencyId,
+      parseInt(id, 10),
+      req.user.id,
+      reason
+    );
     if (!receipt) {
       return res
         .status(404)
         .json({ errors: { message: "Booking receipt not found" } });
     }
-
-    const invoicePath = receipt.invoicePath;
-
-    // Step 2: Delete the booking receipt record
-    await prisma.bookingReceipt.delete({
-      where: { id: parseInt(id, 10) },
-    });
-
-    // Step 3: Delete the invoice file if it exists
-    if (invoicePath && fs.existsSync(invoicePath)) {
-      try {
-        fs.unlinkSync(invoicePath);
-        console.log("Invoice file deleted:", invoicePath);
-
-        const folderToDelete = path.dirname(invoicePath);
-        const isEmpty = fs.readdirSync(folderToDelete).length === 0;
-
-        if (isEmpty) {
-          fs.rmdirSync(folderToDelete);
-          console.log("Empty folder deleted:", folderToDelete);
-        }
-      } catch (err) {
-        console.error("Error deleting invoice or folder:", err);
-      }
-    }
-
-    res.status(204).send(); // No Content
+    res.status(200).json(receipt);
   } catch (error) {
-    if (error.code === "P2025") {
+    if (error.status) {
       return res
-        .status(404)
-        .json({ errors: { message: "Booking receipt not found" } });
+        .status(error.status)
+        .json({ errors: { message: error.message } });
     }
     res.status(500).json({
       errors: {
-        message: "Failed to delete booking receipt",
+        message: "Failed to cancel booking receipt",
         details: error.message,
       },
     });
@@ -279,8 +244,14 @@ const generateInvoice = async (req, res) => {
       // Step 1: Fetch existing booking receipt
       const existingInvoice = await tx.bookingReceipt.findUnique({
         where: { id: parseInt(id, 10) },
-        select: { invoiceNumber: true }, // only fetch needed field
+        select: { invoiceNumber: true, isCancelled: true }, // only fetch needed field
       });
+      if (existingInvoice.isCancelled && !existingInvoice.invoiceNumber) {
+        throw createError(
+          409,
+          "Cannot issue an invoice for a cancelled receipt"
+        );
+      }
       let updateBookingReceipt = null;
       // Step 2: Check if invoice number already exists
       if (existingInvoice.invoiceNumber) {
@@ -442,6 +413,11 @@ const generateInvoice = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
     console.error(error);
     res.status(500).json({
       errors: {
@@ -454,7 +430,7 @@ const generateInvoice = async (req, res) => {
 
 module.exports = {
   createBookingReceipt,
-  deleteBookingReceipt,
+  cancelBookingReceipt,
   getAllBookingReceiptsByBookingId,
   generateInvoice,
 };
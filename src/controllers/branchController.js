@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors");
+const { assertCanAddBranch } = require("../services/quotaService");
 
 // Get all branches
 const getBranches = async (req, res, next) => {
@@ -108,37 +108,7 @@ const createBranch = async (req, res, next) => {
   try {
     const validationErrors = await validateRequest(schema, req.body, res);
 
-    // start
-    const packageData = await prisma.agency.findUnique({
-      where: { id: parseInt(req.user.agencyId) },
-      include: {
-        currentSubscription: {
-          include: {
-            package: true, // ✅ Correct usage of nested include
-          },
-        },
-      },
-    });
-    const numberOfBranches =
-      packageData?.currentSubscription?.package?.numberOfBranches || 0;
-
-    const branchData = await prisma.agency.findUnique({
-      where: { id: parseInt(req.user.agencyId) },
-      include: {
-        branches: true,
-      },
-    });
-
-    const totalBranches = branchData?.branches?.length || 0;
-
-    if (totalBranches >= numberOfBranches) {
-      return res.status(500).json({
-        errors: {
-          message: "Branch Creation limit reached for your package.",
-        },
-      });
-    }
-    // end
+    await assertCanAddBranch(req.user.agencyId);
 
     const {
       branchName,
@@ -163,6 +133,9 @@ const createBranch = async (req, res, next) => {
 
     res.status(201).json(newBranch);
   } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ errors: { message: error.message } });
+    }
     next(error);
   }
 };
@@ -0,0 +1,340 @@
+const prisma = require("../config/db");
+const {
+  BOOKING_BRANCH,
+  branchFilter,
+} = require("../services/branchScopeService");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const validateRequest = require("../utils/validateRequest");
+const {
+  previewBookingCancellation: quoteBookingCancellation,
+  previewGroupClientCancellation: quoteGroupClientCancellation,
+  cancelBooking: recordBookingCancellation,
+  cancelGroupClient: recordGroupClientCancellation,
+  recordRefund: recordCancellationRefund,
+} = require("../services/cancellationService");
+
+const parseDate = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  return dayjs(value).isValid() ? new Date(value) : undefined;
+};
+
+const optionalAmount = z
+  .union([z.string(), z.number()])
+  .nullish()
+  .transform((val) =>
+    val === null || val === undefined || val === ""
+      ? undefined
+      : parseFloat(val)
+  )
+  .refine((val) => val === undefined || (!isNaN(val) && val >= 0), {
+    message: "Cancellation charges must be zero or more",
+  });
+
+const cancellationInclude = {
+  booking: {
+    select: {
+      id: true,
+      bookingNumber: true,
+      journeyDate: true,
+      client: { select: { id: true, clientName: true } },
+    },
+  },
+  groupClient: {
+    select: {
+      id: true,
+      client: { select: { id: true, clientName: true } },
+      groupBooking: {
+        select: { id: true, groupBookingNumber: true, journeyDate: true },
+      },
+    },
+  },
+  bank: { select: { id: true, bankName: true } },
+  cancelledBy: { select: { id: true, name: true } },
+  refundedBy: { select: { id: true, name: true } },
+};
+
+// Maps service errors to the response shapes used across the API
+const sendServiceError = (res, error, message) => {
+  if (error.status === 400) {
+    return res.status(400).json({
+      errors: { [error.field]: { type: "server", message: error.message } },
+    });
+  }
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ errors: { message: error.message } });
+  }
+  res.status(500).json({
+    errors: {
+      message,
+      details: error.message,
+    },
+  });
+};
+
+// Get all cancellations with pagination, sorting and filters
+const getCancellations = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const search = req.query.search || "";
+  const sortBy = req.query.sortBy || "id";
+  const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
+  const fromDate = parseDate(req.query.fromDate);
+  const toDate = parseDate(req.query.toDate);
+
+  const whereClause = {
+    agencyId: req.user.agencyId,
+    AND: [branchFilter(req.branchId, BOOKING_BRANCH)],
+    ...(req.query.refundStatus === "pending" && {
+      refundNumber: null,
+      refundableAmount: { gt: 0 },
+    }),
+    ...(req.query.refundStatus === "refunded" && {
+      refundNumber: { not: null },
+    }),
+    ...((fromDate || toDate) && {
+      cancellationDate: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate }),
+      },
+    }),
+    ...(search && {
+      OR: [
+        { refundNumber: { contains: search } },
+        { booking: { bookingNumber: { contains: search } } },
+        {
+          groupClient: {
+            groupBooking: { groupBookingNumber: { contains: search } },
+          },
+        },
+        { booking: { client: { clientName: { contains: search } } } },
+        { groupClient: { client: { clientName: { contains: search } } } },
+      ],
+    }),
+  };
+
+  try {
+    const cancellations = await prisma.bookingCancellation.findMany({
+      where: whereClause,
+      include: cancellationInclude,
+      skip,
+      take: limit,
+      orderBy: { [sortBy]: sortOrder },
+    });
+
+    const totalCancellations = await prisma.bookingCancellation.count({
+      where: whereClause,
+    });
+    const totalPages = Math.ceil(totalCancellations / limit);
+
+    res.json({
+      cancellations,
+      page,
+      totalPages,
+      totalCancellations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch cancellations",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get a cancellation by ID
+const getCancellationById = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const cancellation = await prisma.bookingCancellation.findFirst({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      include: cancellationInclude,
+    });
+    if (!cancellation) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Cancellation not found" } });
+    }
+    res.status(200).json(cancellation);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch cancellation",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Preview the charges and refundable amount of cancelling a booking or group client
+const previewCancellation = (quote, notFoundMessage) => async (req, res) => {
+  const schema = z.object({
+    cancellationDate: z.string().nullish(),
+    cancellationCharges: optionalAmount,
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const { cancellationDate, cancellationCharges } = await validateRequest(
+    schema,
+    req.query,
+    res
+  );
+  const { id } = req.params;
+
+  try {
+    const preview = await quote(req.user.agencyId, parseInt(id, 10), {
+      cancellationDate: parseDate(cancellationDate) || new Date(),
+      cancellationCharges,
+    });
+    if (!preview) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(200).json(preview);
+  } catch (error) {
+    sendServiceError(res, error, "Failed to preview cancellation");
+  }
+};
+
+// Cancel a booking or group client and cascade the cancellation to its sub-bookings
+const cancel = (record, notFoundMessage) => async (req, res) => {
+  const schema = z.object({
+    cancellationDate: z.string().min(1, "Cancellation date is required"),
+    reason: z.string().trim().min(1, "Reason is required"),
+    cancellationCharges: optionalAmount,
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const { cancellationDate, reason, cancellationCharges } =
+    await validateRequest(schema, req.body, res);
+  const { id } = req.params;
+
+  try {
+    const cancellation = await record(
+      req.user.agencyId,
+      parseInt(id, 10),
+      req.user.id,
+      {
+        cancellationDate: parseDate(cancellationDate) || new Date(),
+        reason,
+        cancellationCharges,
+      }
+    );
+    if (!cancellation) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(201).json(cancellation);
+  } catch (error) {
+    sendServiceError(res, error, "Failed to cancel booking");
+  }
+};
+
+const previewBookingCancellation = previewCancellation(
+  quoteBookingCancellation,
+  "Booking not found"
+);
+const cancelBooking = cancel(recordBookingCancellation, "Booking not found");
+const previewGroupClientCancellation = previewCancellation(
+  quoteGroupClientCancellation,
+  "Group client not found"
+);
+const cancelGroupClient = cancel(
+  recordGroupClientCancellation,
+  "Group client not found"
+);
+
+// Record the refund paid to the client against a cancellation
+const recordRefund = async (req, res) => {
+  const schema = z.object({
+    refundDate: z.string().min(1, "Refund date is required"),
+    refundAmount: z
+      .union([z.string(), z.number()])
+      .transform((val) => parseFloat(val))
+      .refine((val) => !isNaN(val) && val > 0, {
+        message: "Refund amount must be greater than zero",
+      }),
+    paymentMode: z.string().min(1, "Payment mode is required"),
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const { refundDate, refundAmount, paymentMode } = await validateRequest(
+    schema,
+    req.body,
+    res
+  );
+  const {
+    bankId,
+    chequeDate,
+    chequeNumber,
+    utrNumber,
+    neftImpfNumber,
+    refundRemarks,
+  } = req.body;
+  const { id } = req.params;
+
+  try {
+    const cancellation = await recordCancellationRefund(
+      req.user.agencyId,
+      parseInt(id, 10),
+      req.user.id,
+      {
+        refundDate: parseDate(refundDate),
+        refundAmount: Math.round(refundAmount * 100) / 100,
+        paymentMode,
+        bankId: bankId ? parseInt(bankId, 10) : null,
+        chequeDate: chequeDate ? parseDate(chequeDate) : null,
+        chequeNumber: chequeNumber || null,
+        utrNumber: utrNumber || null,
+        neftImpfNumber: neftImpfNumber || null,
+        refundRemarks: refundRemarks || null,
+      }
+    );
+    if (!cancellation) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Cancellation not found" } });
+    }
+    res.status(200).json(cancellation);
+  } catch (error) {
+    sendServiceError(res, error, "Failed to record refund");
+  }
+};
+
+module.exports = {
+  getCancellations,
+  getCancellationById,
+  previewBookingCancellation,
+  cancelBooking,
+  previewGroupClientCancellation,
+  cancelGroupClient,
+  recordRefund,
+};
@@ -0,0 +1,165 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const validateRequest = require("../utils/validateRequest");
+
+const policySchema = (req) =>
+  z
+    .object({
+      daysBeforeJourney: z
+        .union([z.string(), z.number()])
+        .transform((val) => parseInt(val, 10))
+        .refine((val) => !isNaN(val) && val >= 0, {
+          message: "Days before journey must be zero or more",
+        }),
+      chargePercent: z
+        .union([z.string(), z.number()])
+        .transform((val) => parseFloat(val))
+        .refine((val) => !isNaN(val) && val >= 0 && val <= 100, {
+          message: "Charge percent must be between 0 and 100",
+        }),
+      description: z
+        .string()
+        .max(191, "Description must not exceed 191 characters.")
+        .nullish()
+        .transform((val) => val || null),
+    })
+    .superRefine(async (data, ctx) => {
+      const existingPolicy = await prisma.cancellationPolicy.findFirst({
+        where: {
+          agencyId: req.user.agencyId,
+          daysBeforeJourney: data.daysBeforeJourney,
+        },
+        select: { id: true },
+      });
+
+      if (existingPolicy && existingPolicy.id !== parseInt(req.params.id)) {
+        ctx.addIssue({
+          path: ["daysBeforeJourney"],
+          message: `A slab for ${data.daysBeforeJourney} days before the journey already exists.`,
+        });
+      }
+    });
+
+// Get the cancellation policy slabs of the agency
+const getCancellationPolicies = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const cancellationPolicies = await prisma.cancellationPolicy.findMany({
+      where: { agencyId: req.user.agencyId },
+      orderBy: { daysBeforeJourney: "desc" },
+    });
+
+    res.status(200).json(cancellationPolicies);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch cancellation policies",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Add a cancellation policy slab
+const createCancellationPolicy = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(policySchema(req), req.body, res);
+
+  try {
+    const cancellationPolicy = await prisma.cancellationPolicy.create({
+      data: { ...data, agencyId: req.user.agencyId },
+    });
+
+    res.status(201).json(cancellationPolicy);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to create cancellation policy",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Update a cancellation policy slab
+const updateCancellationPolicy = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(policySchema(req), req.body, res);
+  const { id } = req.params;
+
+  try {
+    const { count } = await prisma.cancellationPolicy.updateMany({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      data,
+    });
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Cancellation policy not found" } });
+    }
+
+    const cancellationPolicy = await prisma.cancellationPolicy.findUnique({
+      where: { id: parseInt(id, 10) },
+    });
+    res.status(200).json(cancellationPolicy);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update cancellation policy",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Delete a cancellation policy slab
+const deleteCancellationPolicy = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const { count } = await prisma.cancellationPolicy.deleteMany({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+    });
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Cancellation policy not found" } });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to delete cancellation policy",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+};
@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all cities with pagination, sorting, and search
 const getCities = async (req, res, next) => {
@@ -17,6 +17,7 @@ const getCities = async (req, res, next) => {
     // Step 1: Get agencyId of the current user
 
     let whereClause = {
+      deletedAt: null,
       OR: [
         { cityName: { contains: search } },
         { state: { stateName: { contains: search } } }, // Filter by stateName
@@ -115,6 +116,7 @@ const createCity = async (req, res, next) => {
           AND: [
             { cityName: data.cityName },
             { agencyId: parseInt(req.user.agencyId) || null },
+            { deletedAt: null },
           ],
         },
       });
@@ -224,6 +226,7 @@ const updateCity = async (req, res, next) => {
           AND: [
             { cityName: data.cityName },
             { agencyId: parseInt(req.user.agencyId) || null },
+            { deletedAt: null },
           ],
         },
         select: { id: true }, // We only need the id to compare
@@ -270,28 +273,15 @@ const updateCity = async (req, res, next) => {
   }
 };
 
-// Delete a city
+// Move a city to the trash
 const deleteCity = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.city.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("city", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this City because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "City not found" } });
     }
@@ -314,6 +304,7 @@ const getAllCities = async (req, res, next) => {
     const cities = await prisma.city.findMany({
       where: {
         agencyId: req.user.agencyId || null,
+        deletedAt: null,
       },
       select: {
         id: true,
@@ -348,6 +339,7 @@ const getAllCitiesByStateId = async (req, res, next) => {
     const cities = await prisma.city.findMany({
       where: {
         agencyId: req.user.agencyId || null,
+        deletedAt: null,
         stateId: parseInt(id, 10),
       },
       select: {
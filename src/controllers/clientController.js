@@ -1,9 +1,9 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all clients with pagination, sorting, and search
 const getClients = async (req, res, next) => {
@@ -23,6 +23,7 @@ const getClients = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId, // Add agency filter
+      deletedAt: null,
       OR: [
         { clientName: { contains: search } },
         { mobile1: { contains: search } },
@@ -342,28 +343,15 @@ const updateClient = async (req, res, next) => {
   }
 };
 
-// Delete a client
+// Move a client to the trash
 const deleteClient = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.client.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("client", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Client because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Client not found" } });
     }
@@ -388,6 +376,7 @@ const getAllClients = async (req, res, next) => {
     const clients = await prisma.client.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
       select: {
         id: true,
@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all countries with pagination, sorting, and search
 const getCountries = async (req, res, next) => {
@@ -16,6 +16,7 @@ const getCountries = async (req, res, next) => {
   try {
     let whereClause = {
       countryName: { contains: search },
+      deletedAt: null,
     };
 
     if (req.user.agencyId) {
@@ -78,6 +79,7 @@ const createCountry = async (req, res, next) => {
           AND: [
             { countryName: data.countryName },
             { agencyId: parseInt(req.user.agencyId) || null },
+            { deletedAt: null },
           ],
         },
       });
@@ -153,6 +155,7 @@ const updateCountry = async (req, res, next) => {
           AND: [
             { countryName: data.countryName },
             { agencyId: parseInt(req.user.agencyId) || null },
+            { deletedAt: null },
           ],
         },
         select: { id: true }, // We only need the id to compare
@@ -188,28 +191,15 @@ const updateCountry = async (req, res, next) => {
   }
 };
 
-// Delete a country
+// Move a country to the trash
 const deleteCountry = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.country.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("country", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Country because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Country not found" } });
     }
@@ -232,6 +222,7 @@ const getAllCountries = async (req, res, next) => {
     const countries = await prisma.country.findMany({
       where: {
         agencyId: req.user.agencyId || null,
+        deletedAt: null,
       },
       select: {
         id: true,
@@ -0,0 +1,248 @@
+const prisma = require("../config/db");
+const {
+  BOOKING_BRANCH,
+  branchFilter,
+} = require("../services/branchScopeService");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const validateRequest = require("../utils/validateRequest");
+const {
+  createCreditNote: issueCreditNote,
+  buildCreditNotePdf,
+} = require("../services/creditNoteService");
+
+const parseDate = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  return dayjs(value).isValid() ? new Date(value) : undefined;
+};
+
+const creditNoteInclude = {
+  bookingReceipt: {
+    select: {
+      id: true,
+      receiptNumber: true,
+      invoiceNumber: true,
+      invoiceDate: true,
+    },
+  },
+  booking: { select: { id: true, bookingNumber: true } },
+  groupClient: {
+    select: {
+      id: true,
+      groupBooking: { select: { id: true, groupBookingNumber: true } },
+    },
+  },
+  createdBy: { select: { id: true, name: true } },
+};
+
+// Get all credit notes with pagination, sorting and filters
+const getCreditNotes = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const search = req.query.search || "";
+  const sortBy = req.query.sortBy || "id";
+  const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
+  const fromDate = parseDate(req.query.fromDate);
+  const toDate = parseDate(req.query.toDate);
+
+  const whereClause = {
+    agencyId: req.user.agencyId,
+    AND: [branchFilter(req.branchId, BOOKING_BRANCH)],
+    ...(req.query.bookingId && {
+      bookingId: parseInt(req.query.bookingId, 10),
+    }),
+    ...(req.query.groupClientId && {
+      groupClientId: parseInt(req.query.groupClientId, 10),
+    }),
+    ...(req.query.bookingReceiptId && {
+      bookingReceiptId: parseInt(req.query.bookingReceiptId, 10),
+    }),
+    ...((fromDate || toDate) && {
+      creditNoteDate: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate }),
+      },
+    }),
+    ...(search && {
+      OR: [
+        { creditNoteNumber: { contains: search } },
+        { bookingReceipt: { invoiceNumber: { contains: search } } },
+        { bookingReceipt: { receiptNumber: { contains: search } } },
+      ],
+    }),
+  };
+
+  try {
+    const creditNotes = await prisma.creditNote.findMany({
+      where: whereClause,
+      include: creditNoteInclude,
+      skip,
+      take: limit,
+      orderBy: { [sortBy]: sortOrder },
+    });
+
+    const totalCreditNotes = await prisma.creditNote.count({
+      where: whereClause,
+    });
+    const totalPages = Math.ceil(totalCreditNotes / limit);
+
+    res.json({
+      creditNotes,
+      page,
+      totalPages,
+      totalCreditNotes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch credit notes",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Issue a credit note against an invoiced booking receipt
+const createCreditNote = async (req, res) => {
+  const schema = z.object({
+    creditNoteDate: z.string().min(1, "Credit note date is required"),
+    reason: z.string().trim().min(1, "Reason is required"),
+    amount: z
+      .union([z.string(), z.number()])
+      .transform((val) => parseFloat(val))
+      .refine((val) => !isNaN(val) && val > 0, {
+        message: "Amount must be greater than zero",
+      }),
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const { creditNoteDate, reason, amount } = await validateRequest(
+    schema,
+    req.body,
+    res
+  );
+  const { id } = req.params;
+
+  try {
+    const creditNote = await issueCreditNote(
+      req.user.agencyId,
+      parseInt(id, 10),
+      req.user.id,
+      {
+        creditNoteDate: parseDate(creditNoteDate) || new Date(),
+        reason,
+        amount: Math.round(amount * 100) / 100,
+      }
+    );
+    if (!creditNote) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Booking receipt not found" } });
+    }
+    res.status(201).json(creditNote);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        errors: { amount: { type: "server", message: error.message } },
+      });
+    }
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to create credit note",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get a credit note by ID
+const getCreditNoteById = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const creditNote = await prisma.creditNote.findFirst({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      include: creditNoteInclude,
+    });
+    if (!creditNote) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Credit note not found" } });
+    }
+    res.status(200).json(creditNote);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch credit note",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Download the credit note PDF
+const downloadCreditNote = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const result = await buildCreditNotePdf(
+      req.user.agencyId,
+      parseInt(id, 10)
+    );
+    if (!result) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Credit note not found" } });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.download(result.filePath, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+        if (!res.headersSent) {
+          res.status(500).send("Failed to download credit note");
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to generate credit note",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getCreditNotes,
+  createCreditNote,
+  getCreditNoteById,
+  downloadCreditNote,
+};
@@ -1,10 +1,47 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
 
 const dayjs = require("dayjs");
+const {
+  getEnquirySummary,
+  getMonthlyBookingsAndRevenue,
+  getUpcomingDepartures,
+  getPendingPayments,
+  getTopToursAndSectors,
+} = require("../services/dashboardService");
+const { branchFilter } = require("../services/branchScopeService");
+
+const parseDateQuery = (value, edge) => {
+  if (!value) return { value: undefined };
+  const date = dayjs(value);
+  if (!date.isValid()) return { error: "Invalid date" };
+  return {
+    value: (edge === "start"
+      ? date.startOf("day")
+      : date.endOf("day")
+    ).toDate(),
+  };
+};
+
+// Branch and date range of a dashboard request. The branch is the one the
+// request is limited to (see branchScopeService); the range defaults to the
+// last 12 months.
+const dashboardScope = (req) => {
+  const fromDate = parseDateQuery(req.query.fromDate, "start");
+  const toDate = parseDateQuery(req.query.toDate, "end");
+  if (fromDate.error || toDate.error) {
+    return { error: fromDate.error ? "fromDate" : "toDate" };
+  }
+
+  return {
+    branchId: req.branchId,
+    fromDate:
+      fromDate.value || dayjs().subtract(11, "month").startOf("month").toDate(),
+    toDate: toDate.value || dayjs().endOf("day").toDate(),
+  };
+};
 
 const getUpcomingFollowUps = async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
@@ -24,9 +61,13 @@ const getUpcomingFollowUps = async (req, res, next) => {
         },
         booking: {
           agencyId: req.user.agencyId,
+          ...branchFilter(req.branchId),
+          deletedAt: null,
         },
         groupBooking: {
           agencyId: req.user.agencyId,
+          ...branchFilter(req.branchId),
+          deletedAt: null,
         },
       },
     });
@@ -39,8 +80,20 @@ const getUpcomingFollowUps = async (req, res, next) => {
           lte: nextWeek,
         },
         OR: [
-          { booking: { agencyId: req.user.agencyId } },
-          { groupBooking: { agencyId: req.user.agencyId } },
+          {
+            booking: {
+              agencyId: req.user.agencyId,
+              ...branchFilter(req.branchId),
+              deletedAt: null,
+            },
+          },
+          {
+            groupBooking: {
+              agencyId: req.user.agencyId,
+              ...branchFilter(req.branchId),
+              deletedAt: null,
+            },
+          },
         ],
       },
       include: {
@@ -95,7 +148,71 @@ const getUpcomingFollowUps = async (req, res, next) => {
   }
 };
 
+// Wraps a dashboard widget: checks the agency, resolves the scope and maps errors
+const dashboardHandler = (build, failureMessage) => async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const scope = dashboardScope(req);
+  if (scope.error) {
+    return res.status(400).json({
+      errors: { [scope.error]: { type: "server", message: "Invalid date" } },
+    });
+  }
+
+  try {
+    const data = await build(req.user.agencyId, scope);
+    res.status(200).json(data);
+  } catch (error) {
+    return res.status(500).json({
+      errors: {
+        message: failureMessage,
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Enquiry counts by status and source, and the enquiry-to-booking conversion rate
+const getEnquiryStats = dashboardHandler(
+  (agencyId, scope) => getEnquirySummary(agencyId, scope),
+  "Failed to fetch enquiry statistics"
+);
+
+// Confirmed bookings and revenue by month
+const getMonthlyStats = dashboardHandler(
+  async (agencyId, scope) => ({
+    months: await getMonthlyBookingsAndRevenue(agencyId, scope),
+  }),
+  "Failed to fetch monthly statistics"
+);
+
+// Departures in the next 7 and 30 days
+const getDepartures = dashboardHandler(
+  (agencyId, { branchId }) => getUpcomingDepartures(agencyId, { branchId }),
+  "Failed to fetch upcoming departures"
+);
+
+// Outstanding balances on confirmed bookings
+const getPendingPaymentStats = dashboardHandler(
+  (agencyId, { branchId }) => getPendingPayments(agencyId, { branchId }),
+  "Failed to fetch pending payments"
+);
+
+// Top tours and sectors by revenue
+const getTopPerformers = dashboardHandler(
+  (agencyId, scope) => getTopToursAndSectors(agencyId, scope),
+  "Failed to fetch top tours and sectors"
+);
+
 module.exports = {
   getUpcomingFollowUps,
+  getEnquiryStats,
+  getMonthlyStats,
+  getDepartures,
+  getPendingPaymentStats,
+  getTopPerformers,
 };
 // follow ups not working properly.
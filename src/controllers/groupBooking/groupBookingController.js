@@ -1,11 +1,17 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../../config/db");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
 const generateGroupBookingNumber = require("../../utils/groupBooking/generateGroupBookingNumber");
 const roles = require("../../config/roles");
+const { startPipeline } = require("../../services/pipelineService");
+const {
+  autoAssignBooking,
+  assignedToFilter,
+} = require("../../services/assignmentService");
+const { branchFilter } = require("../../services/branchScopeService");
+const { softDelete } = require("../../services/trashService");
 // Get all tour enquiries with pagination, sorting, and search
 const getGroupBookings = async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
@@ -14,22 +20,14 @@ const getGroupBookings = async (req, res, next) => {
   const search = req.query.search || "";
   const sortBy = req.query.sortBy || "id";
   const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
-  // start
-  let agencyId = req.user.agencyId;
-  let branchId = req.user.branchId;
-  let role = req.user.role;
-
   let baseWhereClause = {
-    agencyId: agencyId,
+    agencyId: req.user.agencyId,
     bookingType: "Confirm",
+    deletedAt: null,
+    // Branch users see their branch; admins the branch they switched to
+    ...branchFilter(req.branchId),
   };
 
-  // If user is not admin and belongs to a branch, filter by branch
-  if (role !== "admin" && branchId) {
-    baseWhereClause.branchId = branchId;
-  }
-  // end
-
   // Additional filters
   const fromBookingDate = req.query.fromGBookingDate
     ? new Date(req.query.fromBookingDate)
@@ -48,6 +46,8 @@ const getGroupBookings = async (req, res, next) => {
 
     const whereClause = {
       ...baseWhereClause,
+      // Only the user's own bookings when asked for, or when the agency requires it
+      ...(await assignedToFilter(req.user, req.query)),
       AND: [
         // Filter by booking date range
         fromBookingDate && toBookingDate
@@ -92,6 +92,7 @@ const getGroupBookings = async (req, res, next) => {
       include: {
         tour: true, // Include tour details
         branch: true, // Include branch details
+        assignedTo: { select: { id: true, name: true } }, // Include the assigned staff member
       },
     });
 
@@ -143,6 +144,10 @@ const getGroupBookingEnquiries = async (req, res, next) => {
     const whereClause = {
       agencyId: req.user.agencyId,
       bookingType: "Enquiry",
+      deletedAt: null,
+      ...branchFilter(req.branchId),
+      // Only the user's own enquiries when asked for, or when the agency requires it
+      ...(await assignedToFilter(req.user, req.query)),
       AND: [
         // Filter by booking date range
         fromBookingDate && toBookingDate
@@ -187,6 +192,7 @@ const getGroupBookingEnquiries = async (req, res, next) => {
       include: {
         tour: true, // Include tour details
         branch: true, // Include branch details
+        assignedTo: { select: { id: true, name: true } }, // Include the assigned staff member
       },
     });
 
@@ -271,6 +277,7 @@ const createGroupBooking = async (req, res, next) => {
       isVehicle,
       groupBookingDetails,
       bookingType,
+      enquirySource,
     } = req.body;
 
     let branchId = null;
@@ -289,9 +296,11 @@ const createGroupBooking = async (req, res, next) => {
         data: {
           groupBookingNumber: groupBookingNumber,
           agencyId: req.user.agencyId,
+          createdById: req.user.id,
           groupBookingDate: parseDate(groupBookingDate),
           journeyDate: parseDate(journeyDate),
           bookingType: bookingType ? bookingType : null,
+          enquirySource: enquirySource || null,
           branchId: parseInt(branchId, 10),
           tourId: tourId ? parseInt(tourId, 10) : null,
           bookingDetail: bookingDetail || null,
@@ -309,6 +318,22 @@ const createGroupBooking = async (req, res, next) => {
         },
       });
 
+      if (bookingType === "Enquiry") {
+        await startPipeline(
+          tx,
+          req.user.agencyId,
+          { groupBookingId: newGroupBooking.id },
+          req.user.id
+        );
+      }
+
+      newGroupBooking.assignedToId = await autoAssignBooking(
+        tx,
+        req.user.agencyId,
+        { groupBookingId: newGroupBooking.id },
+        req.user.id
+      );
+
       return {
         newGroupBooking: newGroupBooking,
       };
@@ -424,6 +449,7 @@ const updateGroupBooking = async (req, res, next) => {
     isVehicle,
     groupBookingDetails = [],
     bookingType,
+    enquirySource,
   } = req.body;
 
   try {
@@ -465,6 +491,7 @@ const updateGroupBooking = async (req, res, next) => {
           groupBookingDate: parseDate(groupBookingDate),
           journeyDate: parseDate(journeyDate),
           bookingType: bookingType ? bookingType : null,
+          enquirySource: enquirySource || null,
           branchId: parseInt(branchId),
           tourId: tourId ? parseInt(tourId, 10) : null,
           bookingDetail: bookingDetail || null,
@@ -522,28 +549,15 @@ const updateGroupBooking = async (req, res, next) => {
   }
 };
 //tour booking number generate.
-// Delete a booking
+// Move a group booking to the trash
 const deleteGroupBooking = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.groupBooking.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("groupBooking", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Group Booking because it is referenced in related data. Please remove those first.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res
         .status(404)
@@ -1,8 +1,11 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../../config/db");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../../utils/validateRequest");
+const {
+  buildGroupClientItinerary,
+} = require("../../services/itineraryService");
 const { groupBookingDetail } = require("../../config/db");
 
 // Helper to parse date
@@ -528,10 +531,55 @@ const deleteGroupClientBooking = async (req, res) => {
   }
 };
 
+// Download the final itinerary PDF of a group client
+const downloadGroupClientItinerary = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { groupClientId } = req.params;
+
+  try {
+    const itinerary = await buildGroupClientItinerary(
+      req.user.agencyId,
+      parseInt(groupClientId, 10)
+    );
+    if (!itinerary) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Group client booking not found" } });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.download(itinerary.filePath, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+        if (!res.headersSent) {
+          res.status(500).send("Failed to download itinerary");
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to generate itinerary",
+        details: error.message,
+      },
+    });
+  }
+};
+
 module.exports = {
   getGroupClientByGroupBookingId,
   createGroupClientBooking,
   getGroupClientBookingById,
   updateGroupClientBooking,
   deleteGroupClientBooking,
+  downloadGroupClientItinerary,
 };
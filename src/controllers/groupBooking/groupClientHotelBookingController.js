@@ -1,5 +1,5 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../../config/db");
 const { z } = require("zod");
 const validateRequest = require("../../utils/validateRequest");
 const dayjs = require("dayjs");
@@ -43,6 +43,7 @@ const createGroupClientHotelBooking = async (req, res) => {
       billDescription,
       amount,
       totalAmount,
+      supplierCost,
     } = req.body;
 
     const result = await prisma.$transaction(async (tx) => {
@@ -82,6 +83,7 @@ const createGroupClientHotelBooking = async (req, res) => {
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
           totalAmount: totalAmount ? new Prisma.Decimal(totalAmount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
         },
       });
 
@@ -159,6 +161,7 @@ const updateGroupClientHotelBooking = async (req, res) => {
       billDescription,
       amount,
       totalAmount,
+      supplierCost,
     } = req.body;
 
     const updatedHotelBooking = await prisma.hotelBooking.update({
@@ -191,6 +194,7 @@ const updateGroupClientHotelBooking = async (req, res) => {
         billDescription: billDescription || null,
         amount: amount ? new Prisma.Decimal(amount) : null,
         totalAmount: totalAmount ? new Prisma.Decimal(totalAmount) : null,
+        supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
       },
     });
 
@@ -1,5 +1,5 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../../config/db");
 const { z } = require("zod");
 const validateRequest = require("../../utils/validateRequest");
 const dayjs = require("dayjs");
@@ -38,6 +38,7 @@ const createGroupClientVehicleBooking = async (req, res) => {
       vehicleItineraries,
       vehicleHotelBookings,
       amount,
+      supplierCost,
     } = req.body;
 
     const result = await prisma.$transaction(async (tx) => {
@@ -68,6 +69,7 @@ const createGroupClientVehicleBooking = async (req, res) => {
           summaryNote: summaryNote || null,
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
           vehicleItineraries: {
             create: (vehicleItineraries || []).map((itinerary) => ({
               day: parseInt(itinerary.day),
@@ -168,6 +170,7 @@ const updateGroupClientVehicleBooking = async (req, res) => {
       vehicleItineraries,
       vehicleHotelBookings,
       amount,
+      supplierCost,
     } = req.body;
 
     // satrt
@@ -215,6 +218,7 @@ const updateGroupClientVehicleBooking = async (req, res) => {
           summaryNote: summaryNote || null,
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
 
           vehicleItineraries: {
             upsert: vehicleItineraries
@@ -1,9 +1,19 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const dayjs = require("dayjs");
 const generateHRVNumber = require("../utils/generateHRVNumber");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const emailService = require("../services/emailService");
+const {
+  generateHotelVoucher,
+} = require("../utils/Invoice/generateHotelVoucher");
+const {
+  formatDate,
+  removeGeneratedPdf,
+} = require("../utils/Invoice/pdfPrinter");
 
 const parseDate = (value) => {
   if (typeof value !== "string" || value.trim() === "") return undefined;
@@ -43,6 +53,7 @@ const createHotelBooking = async (req, res) => {
       billDescription,
       amount,
       totalAmount,
+      supplierCost,
     } = req.body;
 
     const result = await prisma.$transaction(async (tx) => {
@@ -81,6 +92,7 @@ const createHotelBooking = async (req, res) => {
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
           totalAmount: totalAmount ? new Prisma.Decimal(totalAmount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
         },
       });
 
@@ -158,6 +170,7 @@ const updateHotelBooking = async (req, res) => {
       billDescription,
       amount,
       totalAmount,
+      supplierCost,
     } = req.body;
 
     const updatedHotelBooking = await prisma.hotelBooking.update({
@@ -190,6 +203,7 @@ const updateHotelBooking = async (req, res) => {
         billDescription: billDescription || null,
         amount: amount ? new Prisma.Decimal(amount) : null,
         totalAmount: totalAmount ? new Prisma.Decimal(totalAmount) : null,
+        supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
       },
     });
 
@@ -270,10 +284,203 @@ const getAllHotelBookingsByBookingId = async (req, res) => {
   }
 };
 
+// Generate the voucher PDF of a hotel booking and store its path on the booking
+const buildHotelVoucher = async (hotelBookingId, agencyId) => {
+  const hotelBooking = await prisma.hotelBooking.findFirst({
+    where: { id: hotelBookingId, agencyId },
+    include: {
+      agency: true,
+      hotel: { include: { hotelCity: true } },
+      city: true,
+      accommodation: true,
+      booking: { include: { client: true } },
+      groupClient: {
+        include: {
+          client: true,
+          groupBooking: { select: { groupBookingNumber: true } },
+        },
+      },
+    },
+  });
+  if (!hotelBooking) return null;
+
+  const party = hotelBooking.booking || hotelBooking.groupClient || {};
+  const client = party.client || {};
+  const children =
+    (party.numberOfChildren5To11 || 0) + (party.numberOfChildrenUnder5 || 0);
+  const { hotel } = hotelBooking;
+
+  const voucherData = {
+    agency: hotelBooking.agency,
+    hrvNumber: hotelBooking.hrvNumber,
+    voucherDate: new Date(),
+    bookingNumber:
+      hotelBooking.booking?.bookingNumber ||
+      hotelBooking.groupClient?.groupBooking?.groupBookingNumber,
+    hotel: {
+      name: hotel.hotelName,
+      addressLines: [
+        hotel.hotelAddressLine1,
+        hotel.hotelAddressLine2,
+        hotel.hotelAddressLine3,
+      ].filter(Boolean),
+      city: [hotel.hotelCity?.cityName, hotel.hotelPincode]
+        .filter(Boolean)
+        .join(" - "),
+      phone: hotel.hotelContactNo1 || hotel.contactPersonMobile,
+      email: hotel.email1 || hotel.contactPersonEmail,
+    },
+    guest: {
+      name: client.clientName,
+      mobile: client.mobile1,
+      adults: party.numberOfAdults,
+      children: children || null,
+      partyComingFrom: hotelBooking.partyComingFrom,
+    },
+    stay: {
+      city: hotelBooking.city?.cityName,
+      checkInDate: hotelBooking.checkInDate,
+      checkOutDate: hotelBooking.checkOutDate,
+      nights: hotelBooking.nights,
+      rooms: hotelBooking.rooms,
+      accommodation: hotelBooking.accommodation?.accommodationName,
+      plan: hotelBooking.plan,
+      tariffPackage: hotelBooking.tariffPackage,
+      extraBed: hotelBooking.extraBed,
+      beds: hotelBooking.beds,
+    },
+    instructions: {
+      accommodationNote: hotelBooking.accommodationNote,
+      billingInstructions: hotelBooking.billingInstructions,
+      specialRequirement: hotelBooking.specialRequirement,
+      notes: hotelBooking.notes,
+    },
+    confirmation: {
+      confirmedBy: hotelBooking.bookingConfirmedBy,
+      confirmationNumber: hotelBooking.confirmationNumber,
+    },
+  };
+
+  const sanitizedHrvNumber = hotelBooking.hrvNumber.replace(/[\/\\]/g, "-");
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "invoices",
+    "booking",
+    "hotelVoucher",
+    uuidv4(),
+    `voucher-${sanitizedHrvNumber}.pdf`
+  );
+
+  removeGeneratedPdf(hotelBooking.voucherPath);
+  await generateHotelVoucher(voucherData, filePath);
+  await prisma.hotelBooking.update({
+    where: { id: hotelBooking.id },
+    data: { voucherPath: filePath },
+  });
+
+  return { hotelBooking, voucherData, filePath };
+};
+
+// Download the voucher PDF of a hotel booking
+const downloadHotelVoucher = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const voucher = await buildHotelVoucher(
+      parseInt(id, 10),
+      req.user.agencyId
+    );
+    if (!voucher) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Hotel booking not found" } });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.download(voucher.filePath, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+        if (!res.headersSent) {
+          res.status(500).send("Failed to download voucher");
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to generate hotel voucher",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Email the voucher PDF of a hotel booking to the hotel
+const emailHotelVoucher = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const voucher = await buildHotelVoucher(
+      parseInt(id, 10),
+      req.user.agencyId
+    );
+    if (!voucher) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Hotel booking not found" } });
+    }
+
+    const { hotel } = voucher.hotelBooking;
+    const recipients = [
+      ...new Set([hotel.email1, hotel.contactPersonEmail].filter(Boolean)),
+    ];
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        errors: {
+          message:
+            "The hotel has no email address. Add an email to the hotel and try again.",
+        },
+      });
+    }
+
+    const { voucherData } = voucher;
+    await emailService.sendEmail(
+      recipients.join(","),
+      `Hotel Reservation Voucher ${voucherData.hrvNumber}`,
+      "hotelVoucher",
+      {
+        agencyName: voucherData.agency.businessName,
+        hotelName: voucherData.hotel.name,
+        hrvNumber: voucherData.hrvNumber,
+        guestName: voucherData.guest.name || "our guest",
+        checkInDate: formatDate(voucherData.stay.checkInDate),
+        checkOutDate: formatDate(voucherData.stay.checkOutDate),
+        rooms: voucherData.stay.rooms || "",
+      },
+      [{ filename: path.basename(voucher.filePath), path: voucher.filePath }]
+    );
+
+    res
+      .status(200)
+      .json({ message: "Voucher emailed to the hotel", recipients });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to email hotel voucher",
+        details: error.message,
+      },
+    });
+  }
+};
+
 module.exports = {
   createHotelBooking,
   getHotelBookingById,
   updateHotelBooking,
   deleteHotelBooking,
   getAllHotelBookingsByBookingId,
+  downloadHotelVoucher,
+  emailHotelVoucher,
 };
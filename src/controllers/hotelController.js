@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all hotels with pagination, sorting, and search
 const getHotels = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getHotels = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId, // Add agency filter
+      deletedAt: null,
       OR: [
         { hotelName: { contains: search } },
         // { hotelCity: { contains: search } },
@@ -79,6 +80,7 @@ const createHotel = async (req, res, next) => {
           AND: [
             { hotelName: data.hotelName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -204,6 +206,7 @@ const updateHotel = async (req, res, next) => {
           AND: [
             { hotelName: data.hotelName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -284,28 +287,15 @@ const updateHotel = async (req, res, next) => {
   }
 };
 
-// Delete a hotel
+// Move a hotel to the trash
 const deleteHotel = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.hotel.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("hotel", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Hotel because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Hotel not found" } });
     }
@@ -330,6 +320,7 @@ const getAllHotels = async (req, res, next) => {
     const hotels = await prisma.hotel.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
     });
 
@@ -0,0 +1,103 @@
+const {
+  getBookingLedger: buildBookingLedger,
+  getGroupClientLedger: buildGroupClientLedger,
+  getOutstandingReceivables: buildOutstandingReceivables,
+} = require("../services/ledgerService");
+
+// Get the customer ledger of a booking
+const getBookingLedger = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+  try {
+    const ledger = await buildBookingLedger(
+      req.user.agencyId,
+      parseInt(id, 10)
+    );
+    if (!ledger) {
+      return res.status(404).json({ errors: { message: "Booking not found" } });
+    }
+    res.status(200).json(ledger);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch booking ledger",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the customer ledger of a group client
+const getGroupClientLedger = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+  try {
+    const ledger = await buildGroupClientLedger(
+      req.user.agencyId,
+      parseInt(id, 10)
+    );
+    if (!ledger) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Group client not found" } });
+    }
+    res.status(200).json(ledger);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch group client ledger",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// List bookings and group clients with a balance due, with pagination
+const getOutstandingReceivables = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const { receivables, totals } = await buildOutstandingReceivables(
+      req.user.agencyId,
+      { branchId: req.branchId }
+    );
+    const totalRecords = receivables.length;
+    const totalPages = Math.ceil(totalRecords / limit);
+
+    res.status(200).json({
+      receivables: receivables.slice(skip, skip + limit),
+      totals,
+      page,
+      totalPages,
+      totalRecords,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch outstanding receivables",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getBookingLedger,
+  getGroupClientLedger,
+  getOutstandingReceivables,
+};
@@ -0,0 +1,303 @@
+const prisma = require("../config/db");
+const { z } = require("zod");
+const validateRequest = require("../utils/validateRequest");
+const {
+  PIPELINE_STAGE_TYPES,
+  getPipelineStages: listPipelineStages,
+  moveToStage,
+  getStageHistory,
+  getPipelineBoard,
+} = require("../services/pipelineService");
+
+const stageSchema = (req) =>
+  z
+    .object({
+      name: z
+        .string()
+        .trim()
+        .min(1, "Stage name cannot be left blank.")
+        .max(100, "Stage name must not exceed 100 characters."),
+      sortOrder: z
+        .union([z.string(), z.number()])
+        .transform((val) => parseInt(val, 10))
+        .refine((val) => !isNaN(val), {
+          message: "Sort order must be a number",
+        }),
+      stageType: z.enum(PIPELINE_STAGE_TYPES, {
+        errorMap: () => ({
+          message: `Stage type must be one of ${PIPELINE_STAGE_TYPES.join(
+            ", "
+          )}`,
+        }),
+      }),
+    })
+    .superRefine(async (data, ctx) => {
+      const existingStage = await prisma.pipelineStage.findFirst({
+        where: { agencyId: req.user.agencyId, name: data.name },
+        select: { id: true },
+      });
+
+      if (existingStage && existingStage.id !== parseInt(req.params.id)) {
+        ctx.addIssue({
+          path: ["name"],
+          message: `Stage with name ${data.name} already exists.`,
+        });
+      }
+    });
+
+// Get the pipeline stages of the agency
+const getPipelineStages = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const stages = await listPipelineStages(req.user.agencyId);
+    res.status(200).json(stages);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch pipeline stages",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Add a pipeline stage
+const createPipelineStage = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(stageSchema(req), req.body, res);
+
+  try {
+    // Make sure the defaults exist before adding to them
+    await listPipelineStages(req.user.agencyId);
+    const stage = await prisma.pipelineStage.create({
+      data: { ...data, agencyId: req.user.agencyId },
+    });
+
+    res.status(201).json(stage);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to create pipeline stage",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Update a pipeline stage
+const updatePipelineStage = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(stageSchema(req), req.body, res);
+  const { id } = req.params;
+
+  try {
+    const { count } = await prisma.pipelineStage.updateMany({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      data,
+    });
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Pipeline stage not found" } });
+    }
+
+    const stage = await prisma.pipelineStage.findUnique({
+      where: { id: parseInt(id, 10) },
+    });
+    res.status(200).json(stage);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update pipeline stage",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Delete a pipeline stage that no enquiry has used
+const deletePipelineStage = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const { count } = await prisma.pipelineStage.deleteMany({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+    });
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Pipeline stage not found" } });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    if (
+      error.code === "P2003" ||
+      error.message.includes("Foreign key constraint failed")
+    ) {
+      return res.status(409).json({
+        errors: {
+          message:
+            "Cannot delete this stage because enquiries are or have been in it. Move them to another stage or rename it instead.",
+        },
+      });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to delete pipeline stage",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the pipeline board with the enquiries in each stage
+const getPipeline = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const stages = await getPipelineBoard(req.user.agencyId, {
+      branchId: req.branchId,
+    });
+    res.status(200).json({ stages });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch pipeline",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Move a booking or group booking enquiry to another stage
+const updateStage = (ownerField, notFoundMessage) => async (req, res) => {
+  const schema = z.object({
+    stageId: z
+      .union([z.string(), z.number()])
+      .transform((val) => parseInt(val, 10))
+      .refine((val) => !isNaN(val), { message: "Stage is required" }),
+    lostReason: z
+      .string()
+      .trim()
+      .max(2000, "Lost reason must not exceed 2000 characters")
+      .nullish(),
+    remarks: z
+      .string()
+      .max(2000, "Remarks must not exceed 2000 characters")
+      .nullish(),
+  });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const data = await validateRequest(schema, req.body, res);
+  const { id } = req.params;
+
+  try {
+    const enquiry = await moveToStage(
+      req.user.agencyId,
+      { [ownerField]: parseInt(id, 10) },
+      req.user.id,
+      data
+    );
+    if (!enquiry) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(200).json(enquiry);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        errors: { lostReason: { type: "server", message: error.message } },
+      });
+    }
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to update pipeline stage",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the stage history of a booking or group booking enquiry
+const getHistory = (ownerField, notFoundMessage) => async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id } = req.params;
+
+  try {
+    const history = await getStageHistory(req.user.agencyId, {
+      [ownerField]: parseInt(id, 10),
+    });
+    if (!history) {
+      return res.status(404).json({ errors: { message: notFoundMessage } });
+    }
+    res.status(200).json(history);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch stage history",
+        details: error.message,
+      },
+    });
+  }
+};
+
+const updateBookingStage = updateStage("bookingId", "Booking not found");
+const updateGroupBookingStage = updateStage(
+  "groupBookingId",
+  "Group booking not found"
+);
+const getBookingStageHistory = getHistory("bookingId", "Booking not found");
+const getGroupBookingStageHistory = getHistory(
+  "groupBookingId",
+  "Group booking not found"
+);
+
+module.exports = {
+  getPipelineStages,
+  createPipelineStage,
+  updatePipelineStage,
+  deletePipelineStage,
+  getPipeline,
+  updateBookingStage,
+  updateGroupBookingStage,
+  getBookingStageHistory,
+  getGroupBookingStageHistory,
+};
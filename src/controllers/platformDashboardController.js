@@ -0,0 +1,104 @@
+const {
+  AGENCY_STATUSES,
+  getPlatformOverview,
+  getAgencyHealth,
+} = require("../services/platformDashboardService");
+
+// Parses a positive whole number of days from the query, falling back to `defaultDays`
+const parseDays = (value, defaultDays) => {
+  if (value === undefined || value === "") return { value: defaultDays };
+  const days = parseInt(value, 10);
+  if (isNaN(days) || days < 1) return { error: "Must be a positive number" };
+  return { value: days };
+};
+
+// Get the platform overview: agencies by status, MRR/ARR, package mix and growth
+const getOverview = async (req, res) => {
+  const expiringDays = parseDays(req.query.expiringDays, 30);
+  const inactiveDays = parseDays(req.query.inactiveDays, 30);
+  if (expiringDays.error || inactiveDays.error) {
+    return res.status(400).json({
+      errors: {
+        [expiringDays.error ? "expiringDays" : "inactiveDays"]: {
+          type: "server",
+          message: expiringDays.error || inactiveDays.error,
+        },
+      },
+    });
+  }
+
+  try {
+    const overview = await getPlatformOverview({
+      expiringDays: expiringDays.value,
+      inactiveDays: inactiveDays.value,
+    });
+    res.status(200).json(overview);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch platform overview",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get agencies with their subscription status, usage and last login
+const getAgencies = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const search = req.query.search || "";
+  const status = req.query.status || undefined;
+  const expiringDays = parseDays(req.query.expiringDays, 30);
+  const inactiveDays = parseDays(req.query.inactiveDays, undefined);
+
+  if (status && !AGENCY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      errors: {
+        status: {
+          type: "server",
+          message: `status must be one of: ${AGENCY_STATUSES.join(", ")}`,
+        },
+      },
+    });
+  }
+  if (expiringDays.error || inactiveDays.error) {
+    return res.status(400).json({
+      errors: {
+        [expiringDays.error ? "expiringDays" : "inactiveDays"]: {
+          type: "server",
+          message: expiringDays.error || inactiveDays.error,
+        },
+      },
+    });
+  }
+
+  try {
+    const { agencies, totalAgencies } = await getAgencyHealth({
+      status,
+      inactiveDays: inactiveDays.value,
+      expiringDays: expiringDays.value,
+      search,
+      skip,
+      take: limit,
+    });
+    const totalPages = Math.ceil(totalAgencies / limit);
+
+    res.json({
+      agencies,
+      page,
+      totalPages,
+      totalAgencies,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch agencies",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = { getOverview, getAgencies };
@@ -3,6 +3,8 @@ const prisma = require("../config/db");
 const { z } = require("zod");
 const createError = require("http-errors");
 const validateRequest = require("../utils/validateRequest");
+const { revokeUserSessions } = require("../services/sessionService");
+const { getLoginHistory } = require("../services/loginSecurityService");
 
 const getProfile = async (req, res, next) => {
   try {
@@ -126,6 +128,10 @@ const changePassword = async (req, res, next) => {
       where: { id: userId },
       data: { password: hashedPassword },
     });
+    // Sign out the user's other devices; this one stays signed in
+    await revokeUserSessions(userId, "password_changed", {
+      exceptSessionId: req.sessionId,
+    });
 
     res.json({ message: "Password changed successfully" });
   } catch (error) {
@@ -133,8 +139,33 @@ const changePassword = async (req, res, next) => {
   }
 };
 
+// Get the logged-in user's login attempts, newest first
+const getProfileLoginHistory = async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const { loginAttempts, totalLoginAttempts } = await getLoginHistory(
+      req.user.id,
+      { skip, take: limit }
+    );
+    const totalPages = Math.ceil(totalLoginAttempts / limit);
+
+    res.json({
+      loginAttempts,
+      page,
+      totalPages,
+      totalLoginAttempts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  getLoginHistory: getProfileLoginHistory,
 };
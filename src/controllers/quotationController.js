@@ -0,0 +1,696 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const createError = require("http-errors");
+const validateRequest = require("../utils/validateRequest");
+const generateQuotationNumber = require("../utils/generateQuotationNumber");
+const generateHRVNumber = require("../utils/generateHRVNumber");
+const generateVehicleHRVNumber = require("../utils/generateVehicleHRVNumber");
+
+const parseDate = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  return dayjs(value).isValid() ? new Date(value) : undefined;
+};
+const toInt = (value) =>
+  value !== undefined && value !== null && value !== ""
+    ? parseInt(value, 10)
+    : null;
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const ITEM_TYPES = ["Hotel", "Transport", "Flight", "Service"];
+const MARKUP_TYPES = ["Percentage", "Amount"];
+
+// Fields a line item needs so it can be turned into a booking on acceptance
+const REQUIRED_ITEM_FIELDS = {
+  Hotel: [
+    "hotelId",
+    "cityId",
+    "partyComingFrom",
+    "checkInDate",
+    "checkOutDate",
+  ],
+  Transport: [
+    "vehicleId",
+    "agentId",
+    "cityId",
+    "pickupPlace",
+    "fromDate",
+    "toDate",
+  ],
+  Flight: ["fromPlace", "toPlace", "fromDate", "toDate"],
+  Service: ["description"],
+};
+
+// Masters a line item can refer to. They are copied into the bookings made
+// when the quotation is accepted, so they must belong to the agency.
+const ITEM_MASTERS = {
+  cityId: { model: "city", label: "City" },
+  hotelId: { model: "hotel", label: "Hotel" },
+  accommodationId: { model: "accommodation", label: "Accommodation" },
+  vehicleId: { model: "vehicle", label: "Vehicle" },
+  agentId: { model: "agent", label: "Agent" },
+  airlineId: { model: "airline", label: "Airline" },
+  serviceId: { model: "service", label: "Service" },
+};
+
+const findAgencyMaster = (model, agencyId, id) =>
+  prisma[model].findFirst({
+    where: { id, agencyId, deletedAt: null },
+    select: { id: true },
+  });
+
+const amountField = (message) =>
+  z
+    .union([z.string(), z.number()])
+    .transform((val) => parseFloat(val))
+    .refine((val) => !isNaN(val) && val >= 0, { message });
+
+const quotationSchema = z.object({
+  quotationDate: z.string().min(1, "Quotation date is required"),
+  validUntil: z.string().optional().nullable(),
+  markupType: z.enum(MARKUP_TYPES, {
+    errorMap: () => ({ message: "Markup type must be Percentage or Amount" }),
+  }),
+  markupValue: amountField("Markup must be a positive number"),
+  gstPercent: amountField("Invalid GST percent")
+    .refine((val) => val <= 100, { message: "Invalid GST percent" })
+    .optional()
+    .nullable(),
+  notes: z.string().optional().nullable(),
+  items: z
+    .array(
+      z
+        .object({
+          itemType: z.enum(ITEM_TYPES, {
+            errorMap: () => ({
+              message: "Item type must be Hotel, Transport, Flight or Service",
+            }),
+          }),
+          quantity: z
+            .union([z.string(), z.number()])
+            .optional()
+            .transform((val) => (val ? parseInt(val, 10) : 1))
+            .refine((val) => !isNaN(val) && val >= 1, {
+              message: "Quantity must be at least 1",
+            }),
+          unitCost: amountField("Unit cost must be a positive number"),
+        })
+        .passthrough()
+        .superRefine((item, ctx) => {
+          (REQUIRED_ITEM_FIELDS[item.itemType] || []).forEach((field) => {
+            if (
+              item[field] === undefined ||
+              item[field] === null ||
+              item[field] === ""
+            ) {
+              ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: `${field} is required for ${item.itemType} items`,
+                path: [field],
+              });
+            }
+          });
+        })
+    )
+    .min(1, "At least one line item is required"),
+});
+
+// quotationSchema with the line items' masters checked against the agency
+const agencyQuotationSchema = (agencyId) =>
+  quotationSchema.superRefine(async (data, ctx) => {
+    for (const [index, item] of data.items.entries()) {
+      for (const [field, { model, label }] of Object.entries(ITEM_MASTERS)) {
+        const id = toInt(item[field]);
+        if (id === null) continue;
+        if (
+          !agencyId ||
+          Number.isNaN(id) ||
+          !(await findAgencyMaster(model, agencyId, id))
+        ) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `${label} not found.`,
+            path: ["items", index, field],
+          });
+        }
+      }
+    }
+  });
+
+/**
+ * Prices the line items and works out markup, GST and totals. The markup is
+ * spread over the lines in proportion to their cost so that each line carries
+ * its own selling amount into the booking once the quotation is accepted.
+ */
+const calculateQuotation = ({ items, markupType, markupValue, gstPercent }) => {
+  const pricedItems = items.map((item) => ({
+    ...item,
+    amount: roundAmount(item.quantity * item.unitCost),
+  }));
+  const costAmount = roundAmount(
+    pricedItems.reduce((total, item) => total + item.amount, 0)
+  );
+  const markupAmount =
+    markupType === "Amount"
+      ? roundAmount(markupValue)
+      : roundAmount((costAmount * markupValue) / 100);
+
+  let allocatedMarkup = 0;
+  pricedItems.forEach((item, index) => {
+    const markupShare =
+      index === pricedItems.length - 1
+        ? roundAmount(markupAmount - allocatedMarkup)
+        : roundAmount(
+            costAmount ? (markupAmount * item.amount) / costAmount : 0
+          );
+    allocatedMarkup = roundAmount(allocatedMarkup + markupShare);
+    item.sellingAmount = roundAmount(item.amount + markupShare);
+  });
+
+  const taxableAmount = roundAmount(costAmount + markupAmount);
+  const gstAmount = roundAmount((taxableAmount * (gstPercent || 0)) / 100);
+
+  return {
+    items: pricedItems,
+    costAmount,
+    markupAmount,
+    taxableAmount,
+    gstAmount,
+    totalAmount: roundAmount(taxableAmount + gstAmount),
+  };
+};
+
+const toItemData = (item) => ({
+  itemType: item.itemType,
+  description: item.description || null,
+  quantity: item.quantity,
+  unitCost: new Prisma.Decimal(item.unitCost),
+  amount: new Prisma.Decimal(item.amount),
+  sellingAmount: new Prisma.Decimal(item.sellingAmount),
+  cityId: toInt(item.cityId),
+  hotelId: toInt(item.hotelId),
+  accommodationId: toInt(item.accommodationId),
+  partyComingFrom: item.partyComingFrom || null,
+  checkInDate: parseDate(item.checkInDate) || null,
+  checkOutDate: parseDate(item.checkOutDate) || null,
+  nights: toInt(item.nights),
+  rooms: toInt(item.rooms),
+  plan: item.plan || null,
+  vehicleId: toInt(item.vehicleId),
+  agentId: toInt(item.agentId),
+  pickupPlace: item.pickupPlace || null,
+  fromDate: parseDate(item.fromDate) || null,
+  toDate: parseDate(item.toDate) || null,
+  days: toInt(item.days),
+  airlineId: toInt(item.airlineId),
+  flightNumber: item.flightNumber || null,
+  fromPlace: item.fromPlace || null,
+  toPlace: item.toPlace || null,
+  serviceId: toInt(item.serviceId),
+});
+
+const toQuotationData = (data) => {
+  const totals = calculateQuotation(data);
+  return {
+    quotationDate: parseDate(data.quotationDate),
+    validUntil: parseDate(data.validUntil) || null,
+    markupType: data.markupType,
+    markupValue: new Prisma.Decimal(data.markupValue),
+    gstPercent:
+      data.gstPercent !== undefined && data.gstPercent !== null
+        ? new Prisma.Decimal(data.gstPercent)
+        : null,
+    notes: data.notes || null,
+    costAmount: new Prisma.Decimal(totals.costAmount),
+    markupAmount: new Prisma.Decimal(totals.markupAmount),
+    taxableAmount: new Prisma.Decimal(totals.taxableAmount),
+    gstAmount: new Prisma.Decimal(totals.gstAmount),
+    totalAmount: new Prisma.Decimal(totals.totalAmount),
+    items: { create: totals.items.map(toItemData) },
+  };
+};
+
+const sendKnownError = (res, error, message) => {
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ errors: { message: error.message } });
+  }
+  return res.status(500).json({
+    errors: {
+      message,
+      details: error.message,
+    },
+  });
+};
+
+// Get all quotation versions of an enquiry
+const getQuotationsByBookingId = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { id: bookingId } = req.params;
+  try {
+    const quotations = await prisma.quotation.findMany({
+      where: {
+        bookingId: parseInt(bookingId, 10),
+        agencyId: req.user.agencyId,
+      },
+      include: { items: true },
+      orderBy: { version: "desc" },
+    });
+    res.status(200).json({ quotations });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch quotations",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Create a new quotation version for an enquiry
+const createQuotation = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const validationResult = await validateRequest(
+    agencyQuotationSchema(req.user.agencyId),
+    req.body,
+    res
+  );
+  const bookingId = parseInt(req.params.id, 10);
+
+  try {
+    const quotation = await prisma.$transaction(async (tx) => {
+      const booking = await tx.booking.findFirst({
+        where: { id: bookingId, agencyId: req.user.agencyId },
+        select: { id: true, bookingType: true },
+      });
+      if (!booking) throw createError(404, "Enquiry not found");
+      if (booking.bookingType !== "Enquiry") {
+        throw createError(
+          409,
+          "Quotations can only be created for bookings that are still enquiries"
+        );
+      }
+
+      const latestVersion = await tx.quotation.findFirst({
+        where: { bookingId },
+        orderBy: { version: "desc" },
+        select: { version: true, quotationNumber: true },
+      });
+      const quotationNumber = latestVersion
+        ? latestVersion.quotationNumber
+        : await generateQuotationNumber(tx, req.user.agencyId);
+
+      return tx.quotation.create({
+        data: {
+          agencyId: req.user.agencyId,
+          bookingId,
+          quotationNumber,
+          version: latestVersion ? latestVersion.version + 1 : 1,
+          ...toQuotationData(validationResult),
+        },
+        include: { items: true },
+      });
+    });
+
+    res.status(201).json(quotation);
+  } catch (error) {
+    sendKnownError(res, error, "Failed to create quotation");
+  }
+};
+
+// Get a quotation by ID
+const getQuotationById = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const quotation = await prisma.quotation.findFirst({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      include: {
+        items: {
+          include: {
+            city: { select: { id: true, cityName: true } },
+            hotel: { select: { id: true, hotelName: true } },
+            vehicle: { select: { id: true, vehicleName: true } },
+            agent: { select: { id: true, agentName: true } },
+            airline: { select: { id: true, airlineName: true } },
+            service: { select: { id: true, serviceName: true } },
+          },
+        },
+        booking: {
+          select: {
+            id: true,
+            bookingNumber: true,
+            bookingType: true,
+            client: { select: { id: true, clientName: true } },
+          },
+        },
+      },
+    });
+
+    if (!quotation) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Quotation not found" } });
+    }
+
+    res.status(200).json(quotation);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch quotation",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Update a draft or sent quotation, replacing its line items
+const updateQuotation = async (req, res) => {
+  const validationResult = await validateRequest(
+    agencyQuotationSchema(req.user.agencyId),
+    req.body,
+    res
+  );
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const quotation = await prisma.$transaction(async (tx) => {
+      const existing = await tx.quotation.findFirst({
+        where: { id, agencyId: req.user.agencyId },
+        select: { status: true },
+      });
+      if (!existing) throw createError(404, "Quotation not found");
+      if (!["Draft", "Sent"].includes(existing.status)) {
+        throw createError(
+          409,
+          `An ${existing.status.toLowerCase()} quotation cannot be edited`
+        );
+      }
+
+      await tx.quotationItem.deleteMany({ where: { quotationId: id } });
+      return tx.quotation.update({
+        where: { id },
+        data: toQuotationData(validationResult),
+        include: { items: true },
+      });
+    });
+
+    res.status(200).json(quotation);
+  } catch (error) {
+    sendKnownError(res, error, "Failed to update quotation");
+  }
+};
+
+// Mark a quotation as sent to the client or rejected
+const updateQuotationStatus = async (req, res) => {
+  const schema = z.object({
+    status: z.enum(["Sent", "Rejected"], {
+      errorMap: () => ({ message: "Status must be Sent or Rejected" }),
+    }),
+    statusReason: z.string().optional().nullable(),
+  });
+  const validationResult = await validateRequest(schema, req.body, res);
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const existing = await prisma.quotation.findFirst({
+      where: { id, agencyId: req.user.agencyId },
+      select: { status: true },
+    });
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Quotation not found" } });
+    }
+    if (!["Draft", "Sent"].includes(existing.status)) {
+      return res.status(409).json({
+        errors: {
+          message: `Quotation is already ${existing.status.toLowerCase()}`,
+        },
+      });
+    }
+
+    const quotation = await prisma.quotation.update({
+      where: { id },
+      data: {
+        status: validationResult.status,
+        statusReason: validationResult.statusReason || null,
+        rejectedAt: validationResult.status === "Rejected" ? new Date() : null,
+      },
+    });
+
+    res.status(200).json(quotation);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to update quotation status",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Each line's share of the quotation's GST, split by selling amount like the
+// markup, so the bookings add up to the total the client accepted
+const allocateGst = (items, gstAmount) => {
+  const taxable = items.reduce(
+    (total, item) => total + parseFloat(item.sellingAmount),
+    0
+  );
+  let allocated = 0;
+  return items.map((item, index) => {
+    const share =
+      index === items.length - 1
+        ? roundAmount(gstAmount - allocated)
+        : roundAmount(
+            taxable ? (gstAmount * parseFloat(item.sellingAmount)) / taxable : 0
+          );
+    allocated = roundAmount(allocated + share);
+    return share;
+  });
+};
+
+// Create the hotel, vehicle, journey or service booking for an accepted line
+// item. Hotel bookings keep the selling amount and bill it with GST as their
+// total; the other bookings have a single amount, which includes the GST.
+const createBookingForItem = async (tx, item, gst, booking, bookingDate) => {
+  const sellingAmount = new Prisma.Decimal(item.sellingAmount);
+  const billedAmount = new Prisma.Decimal(
+    roundAmount(parseFloat(item.sellingAmount) + gst)
+  );
+  // The line's cost before markup is what the supplier is owed
+  const supplierCost = new Prisma.Decimal(item.amount);
+
+  switch (item.itemType) {
+    case "Hotel":
+      return tx.hotelBooking.create({
+        data: {
+          bookingId: booking.id,
+          agencyId: booking.agencyId,
+          hrvNumber: await generateHRVNumber(tx, booking.agencyId),
+          partyComingFrom: item.partyComingFrom,
+          checkInDate: item.checkInDate,
+          checkOutDate: item.checkOutDate,
+          nights:
+            item.nights ??
+            dayjs(item.checkOutDate).diff(dayjs(item.checkInDate), "day"),
+          cityId: item.cityId,
+          hotelId: item.hotelId,
+          accommodationId: item.accommodationId,
+          plan: item.plan,
+          rooms: item.rooms ?? item.quantity,
+          hotelBookingDate: bookingDate,
+          billDescription: item.description,
+          amount: sellingAmount,
+          totalAmount: billedAmount,
+          supplierCost,
+        },
+      });
+    case "Transport":
+      return tx.vehicleBooking.create({
+        data: {
+          bookingId: booking.id,
+          agencyId: booking.agencyId,
+          vehicleHrvNumber: await generateVehicleHRVNumber(
+            tx,
+            booking.agencyId
+          ),
+          vehicleBookingDate: bookingDate,
+          vehicleId: item.vehicleId,
+          numberOfVehicles: item.quantity,
+          fromDate: item.fromDate,
+          toDate: item.toDate,
+          days:
+            item.days ??
+            dayjs(item.toDate).diff(dayjs(item.fromDate), "day") + 1,
+          cityId: item.cityId,
+          agentId: item.agentId,
+          pickupPlace: item.pickupPlace,
+          billDescription: item.description,
+          amount: billedAmount,
+          supplierCost,
+        },
+      });
+    case "Flight":
+      return tx.journeyBooking.create({
+        data: {
+          bookingId: booking.id,
+          mode: "Flight",
+          fromPlace: item.fromPlace,
+          toPlace: item.toPlace,
+          journeyBookingDate: bookingDate,
+          fromDepartureDate: item.fromDate,
+          toArrivalDate: item.toDate,
+          flightNumber: item.flightNumber,
+          airlineId: item.airlineId,
+          billDescription: item.description,
+          amount: billedAmount,
+        },
+      });
+    default:
+      return tx.serviceBooking.create({
+        data: {
+          bookingId: booking.id,
+          serviceId: item.serviceId,
+          description: item.description,
+          cost: billedAmount,
+          supplierCost,
+        },
+      });
+  }
+};
+
+// Accept a quotation: confirm the enquiry and carry its priced lines into bookings
+const acceptQuotation = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const quotation = await tx.quotation.findFirst({
+        where: { id, agencyId: req.user.agencyId },
+        include: { items: { orderBy: { id: "asc" } }, booking: true },
+      });
+      if (!quotation) throw createError(404, "Quotation not found");
+      if (!["Draft", "Sent"].includes(quotation.status)) {
+        throw createError(
+          409,
+          `Quotation is already ${quotation.status.toLowerCase()}`
+        );
+      }
+      if (quotation.booking.bookingType !== "Enquiry") {
+        throw createError(
+          409,
+          "This enquiry has already been converted into a booking"
+        );
+      }
+
+      const bookingDate = new Date();
+      const gstShares = allocateGst(
+        quotation.items,
+        parseFloat(quotation.gstAmount)
+      );
+      for (const [index, item] of quotation.items.entries()) {
+        await createBookingForItem(
+          tx,
+          item,
+          gstShares[index],
+          quotation.booking,
+          bookingDate
+        );
+      }
+
+      const hasItem = (itemType) =>
+        quotation.items.some((item) => item.itemType === itemType);
+      const booking = await tx.booking.update({
+        where: { id: quotation.bookingId },
+        data: {
+          bookingType: "Confirm",
+          isHotel: quotation.booking.isHotel || hasItem("Hotel"),
+          isVehicle: quotation.booking.isVehicle || hasItem("Transport"),
+          isJourney: quotation.booking.isJourney || hasItem("Flight"),
+        },
+      });
+
+      // Only one version of a quotation can be accepted
+      await tx.quotation.updateMany({
+        where: {
+          bookingId: quotation.bookingId,
+          id: { not: quotation.id },
+          status: { in: ["Draft", "Sent"] },
+        },
+        data: {
+          status: "Rejected",
+          statusReason: `Version ${quotation.version} was accepted`,
+          rejectedAt: bookingDate,
+        },
+      });
+
+      const acceptedQuotation = await tx.quotation.update({
+        where: { id: quotation.id },
+        data: { status: "Accepted", acceptedAt: bookingDate },
+        include: { items: true },
+      });
+
+      return { quotation: acceptedQuotation, booking };
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendKnownError(res, error, "Failed to accept quotation");
+  }
+};
+
+// Delete a quotation that has not been accepted
+const deleteQuotation = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  try {
+    const quotation = await prisma.quotation.findFirst({
+      where: { id, agencyId: req.user.agencyId },
+      select: { status: true },
+    });
+    if (!quotation) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Quotation not found" } });
+    }
+    if (quotation.status === "Accepted") {
+      return res.status(409).json({
+        errors: { message: "An accepted quotation cannot be deleted" },
+      });
+    }
+
+    await prisma.quotation.delete({ where: { id } });
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to delete quotation",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getQuotationsByBookingId,
+  createQuotation,
+  getQuotationById,
+  updateQuotation,
+  updateQuotationStatus,
+  acceptQuotation,
+  deleteQuotation,
+};
@@ -0,0 +1,303 @@
+const ExcelJS = require("exceljs");
+const dayjs = require("dayjs");
+const {
+  PROFITABILITY_GROUPS,
+  getProfitabilityReport: buildProfitabilityReport,
+} = require("../services/reportService");
+const {
+  resolveGstPeriod,
+  getGstRegister: buildGstRegister,
+  toGstr1,
+} = require("../services/gstRegisterService");
+
+const parseDateQuery = (value, edge) => {
+  if (!value) return { value: undefined };
+  const date = dayjs(value);
+  if (!date.isValid()) return { error: "Invalid date" };
+  return {
+    value: (edge === "start"
+      ? date.startOf("day")
+      : date.endOf("day")
+    ).toDate(),
+  };
+};
+
+const amountColumns = [
+  { header: "Revenue", key: "revenue", width: 15 },
+  { header: "Hotel Cost", key: "hotelCost", width: 15 },
+  { header: "Vehicle Cost", key: "vehicleCost", width: 15 },
+  { header: "Journey Cost", key: "journeyCost", width: 15 },
+  { header: "Service Cost", key: "serviceCost", width: 15 },
+  { header: "Total Cost", key: "cost", width: 15 },
+  { header: "Margin", key: "margin", width: 15 },
+  { header: "Margin %", key: "marginPercent", width: 10 },
+];
+
+const groupLabels = {
+  tour: "Tour",
+  sector: "Sector",
+  branch: "Branch",
+  staff: "Staff",
+};
+
+// Get revenue, cost and margin per booking, tour, sector, branch or staff over a date range
+const getProfitabilityReport = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const groupBy = req.query.groupBy || "booking";
+  const exportToExcel = req.query.export === "true"; // Check if export is requested
+
+  if (!PROFITABILITY_GROUPS.includes(groupBy)) {
+    return res.status(400).json({
+      errors: {
+        groupBy: {
+          type: "server",
+          message: `groupBy must be one of: ${PROFITABILITY_GROUPS.join(", ")}`,
+        },
+      },
+    });
+  }
+  const fromDate = parseDateQuery(req.query.fromDate, "start");
+  const toDate = parseDateQuery(req.query.toDate, "end");
+  if (fromDate.error || toDate.error) {
+    return res.status(400).json({
+      errors: {
+        [fromDate.error ? "fromDate" : "toDate"]: {
+          type: "server",
+          message: "Invalid date",
+        },
+      },
+    });
+  }
+
+  try {
+    const report = await buildProfitabilityReport(req.user.agencyId, {
+      groupBy,
+      fromDate: fromDate.value,
+      toDate: toDate.value,
+      branchId: req.branchId,
+    });
+
+    if (exportToExcel) {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet("Profitability");
+
+      if (groupBy === "booking") {
+        worksheet.columns = [
+          { header: "Type", key: "type", width: 14 },
+          { header: "Booking No.", key: "number", width: 15 },
+          { header: "Date", key: "date", width: 12 },
+          { header: "Client", key: "clientName", width: 25 },
+          { header: "Tour", key: "tourTitle", width: 25 },
+          { header: "Sector", key: "sectorName", width: 20 },
+          { header: "Branch", key: "branchName", width: 20 },
+          { header: "Staff", key: "createdByName", width: 20 },
+          ...amountColumns,
+        ];
+        report.rows.forEach((row) => {
+          worksheet.addRow({
+            ...row,
+            type: row.type === "GroupBooking" ? "Group Booking" : "Booking",
+            date: dayjs(row.date).format("DD/MM/YYYY"),
+          });
+        });
+      } else {
+        worksheet.columns = [
+          { header: groupLabels[groupBy], key: "name", width: 30 },
+          { header: "Bookings", key: "bookingCount", width: 10 },
+          ...amountColumns,
+        ];
+        report.rows.forEach((row) => {
+          worksheet.addRow({ ...row, name: row.name || "Not specified" });
+        });
+      }
+
+      const totalRow = worksheet.addRow({
+        [groupBy === "booking" ? "type" : "name"]: "Total",
+        ...report.totals,
+      });
+      totalRow.font = { bold: true };
+      worksheet.getRow(1).font = { bold: true };
+
+      // Set response headers for file download
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=profitability-by-${groupBy}.xlsx`
+      );
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch profitability report",
+        details: error.message,
+      },
+    });
+  }
+};
+
+const GST_REGISTER_FORMATS = ["json", "excel", "gstr1"];
+
+// Get the GST output tax register of the agency for a month or a quarter
+const getGstRegister = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const format = req.query.format || "json";
+  if (!GST_REGISTER_FORMATS.includes(format)) {
+    return res.status(400).json({
+      errors: {
+        format: {
+          type: "server",
+          message: `format must be one of: ${GST_REGISTER_FORMATS.join(", ")}`,
+        },
+      },
+    });
+  }
+  const period = resolveGstPeriod(req.query);
+  if (!period) {
+    return res.status(400).json({
+      errors: {
+        month: {
+          type: "server",
+          message:
+            "Provide a month as YYYY-MM, or a financialYear (e.g. 2025-26) with a quarter from 1 to 4",
+        },
+      },
+    });
+  }
+
+  try {
+    const register = await buildGstRegister(req.user.agencyId, {
+      ...period,
+      branchId: req.branchId,
+    });
+
+    if (format === "gstr1") {
+      const gstr1 = toGstr1(register, period.returnPeriod);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=gstr1-${period.returnPeriod}.json`
+      );
+      return res.status(200).json(gstr1);
+    }
+
+    if (format === "excel") {
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet("GST Register");
+
+      worksheet.columns = [
+        { header: "Invoice No.", key: "invoiceNumber", width: 18 },
+        { header: "Invoice Date", key: "invoiceDate", width: 12 },
+        { header: "Booking No.", key: "bookingNumber", width: 15 },
+        { header: "Customer", key: "customerName", width: 25 },
+        { header: "Customer GSTIN", key: "customerGstin", width: 18 },
+        { header: "Type", key: "invoiceType", width: 8 },
+        { header: "Place of Supply", key: "placeOfSupply", width: 22 },
+        { header: "Taxable Value", key: "taxableValue", width: 15 },
+        { header: "CGST %", key: "cgstPercent", width: 8 },
+        { header: "CGST", key: "cgstAmount", width: 12 },
+        { header: "SGST %", key: "sgstPercent", width: 8 },
+        { header: "SGST", key: "sgstAmount", width: 12 },
+        { header: "IGST %", key: "igstPercent", width: 8 },
+        { header: "IGST", key: "igstAmount", width: 12 },
+        { header: "Total Tax", key: "totalTax", width: 12 },
+        { header: "Invoice Value", key: "invoiceValue", width: 15 },
+      ];
+      register.invoices.forEach((invoice) => {
+        worksheet.addRow({
+          ...invoice,
+          invoiceDate: dayjs(invoice.invoiceDate).format("DD/MM/YYYY"),
+        });
+      });
+      const totalRow = worksheet.addRow({
+        invoiceNumber: "Total",
+        ...register.totals,
+      });
+      totalRow.font = { bold: true };
+      worksheet.getRow(1).font = { bold: true };
+
+      const creditNoteSheet = workbook.addWorksheet("Credit Notes");
+      creditNoteSheet.columns = [
+        { header: "Credit Note No.", key: "creditNoteNumber", width: 18 },
+        { header: "Credit Note Date", key: "creditNoteDate", width: 14 },
+        { header: "Invoice No.", key: "invoiceNumber", width: 18 },
+        { header: "Invoice Date", key: "invoiceDate", width: 12 },
+        { header: "Customer", key: "customerName", width: 25 },
+        { header: "Customer GSTIN", key: "customerGstin", width: 18 },
+        { header: "Place of Supply", key: "placeOfSupply", width: 22 },
+        { header: "Taxable Value", key: "taxableValue", width: 15 },
+        { header: "CGST", key: "cgstAmount", width: 12 },
+        { header: "SGST", key: "sgstAmount", width: 12 },
+        { header: "IGST", key: "igstAmount", width: 12 },
+        { header: "Total Tax", key: "totalTax", width: 12 },
+        { header: "Note Value", key: "invoiceValue", width: 15 },
+        { header: "Reason", key: "reason", width: 30 },
+      ];
+      register.creditNotes.forEach((creditNote) => {
+        creditNoteSheet.addRow({
+          ...creditNote,
+          creditNoteDate: dayjs(creditNote.creditNoteDate).format("DD/MM/YYYY"),
+          invoiceDate: dayjs(creditNote.invoiceDate).format("DD/MM/YYYY"),
+        });
+      });
+      const creditNoteTotalRow = creditNoteSheet.addRow({
+        creditNoteNumber: "Total",
+        ...register.creditNoteTotals,
+      });
+      creditNoteTotalRow.font = { bold: true };
+      const netTotalRow = creditNoteSheet.addRow({
+        creditNoteNumber: "Net of credit notes",
+        ...register.netTotals,
+      });
+      netTotalRow.font = { bold: true };
+      creditNoteSheet.getRow(1).font = { bold: true };
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=gst-register-${period.returnPeriod}.xlsx`
+      );
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.status(200).json({
+      period: {
+        label: period.label,
+        fromDate: period.fromDate,
+        toDate: period.toDate,
+      },
+      ...register,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch GST register",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getProfitabilityReport,
+  getGstRegister,
+};
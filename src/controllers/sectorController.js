@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const createError = require("http-errors");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
+const { softDelete } = require("../services/trashService");
 
 // Get all sectors with pagination, sorting, and search
 const getSectors = async (req, res, next) => {
@@ -24,6 +24,7 @@ const getSectors = async (req, res, next) => {
     // Step 2: Build filter clause
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       sectorName: { contains: search },
     };
 
@@ -80,6 +81,7 @@ const createSector = async (req, res, next) => {
           AND: [
             { sectorName: data.sectorName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -152,6 +154,7 @@ const updateSector = async (req, res, next) => {
           AND: [
             { sectorName: data.sectorName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true }, // We only need the id to compare
@@ -185,28 +188,15 @@ const updateSector = async (req, res, next) => {
   }
 };
 
-// Delete a sector
+// Move a sector to the trash
 const deleteSector = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.sector.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("sector", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Sector because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Sector not found" } });
     }
@@ -225,7 +215,7 @@ const getAllSectors = async (req, res, next) => {
         .json({ message: "User does not belongs to any Agency" });
     }
     const sectors = await prisma.sector.findMany({
-      where: { agencyId: req.user.agencyId },
+      where: { agencyId: req.user.agencyId, deletedAt: null },
       select: {
         id: true,
         sectorName: true,
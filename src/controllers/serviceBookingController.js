@@ -1,5 +1,5 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors");
@@ -21,6 +21,7 @@ const createServiceBooking = async (req, res, next) => {
     const {
       description,
       cost,
+      supplierCost,
       isPaid,
       agentId,
       paymentMode,
@@ -39,6 +40,7 @@ const createServiceBooking = async (req, res, next) => {
         bookingId: parseInt(bookingId),
         description,
         cost: cost ? new Prisma.Decimal(cost) : null,
+        supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
         isPaid,
         agentId: agentId ? parseInt(agentId) : null,
         paymentMode: paymentMode || null,
@@ -104,6 +106,7 @@ const updateServiceBooking = async (req, res) => {
     const {
       description,
       cost,
+      supplierCost,
       isPaid,
       agentId,
       paymentMode,
@@ -122,6 +125,7 @@ const updateServiceBooking = async (req, res) => {
       data: {
         description,
         cost: cost ? new Prisma.Decimal(cost) : null,
+        supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
         isPaid,
         agentId: agentId ? parseInt(agentId) : null,
         paymentMode: paymentMode || null,
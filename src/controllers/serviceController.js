@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const createError = require("http-errors"); // For consistent error handling
+const { softDelete } = require("../services/trashService");
 
 // Get all services with pagination, sorting, and search
 const getServices = async (req, res, next) => {
@@ -22,6 +22,7 @@ const getServices = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       serviceName: { contains: search },
     };
 
@@ -79,6 +80,7 @@ const createService = async (req, res, next) => {
           AND: [
             { serviceName: data.serviceName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -162,6 +164,7 @@ const updateService = async (req, res, next) => {
           AND: [
             { serviceName: data.serviceName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -200,28 +203,15 @@ const updateService = async (req, res, next) => {
   }
 };
 
-// Delete a service
+// Move a service to the trash
 const deleteService = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.service.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("service", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this Service because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "Service not found" } });
     }
@@ -246,6 +236,7 @@ const getAllServices = async (req, res, next) => {
     const services = await prisma.service.findMany({
       where: {
         agencyId: req.user.agencyId,
+        deletedAt: null,
       },
       select: {
         id: true,
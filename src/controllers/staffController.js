@@ -5,6 +5,13 @@ const prisma = require("../config/db");
 const roles = require("../config/roles");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
+const { assertCanAddUser } = require("../services/quotaService");
+const { branchFilter } = require("../services/branchScopeService");
+const { revokeUserSessions } = require("../services/sessionService");
+const {
+  getLoginHistory,
+  unlockUser,
+} = require("../services/loginSecurityService");
 const dayjs = require("dayjs");
 
 const getStaff = async (req, res, next) => {
@@ -34,7 +41,7 @@ const getStaff = async (req, res, next) => {
       },
       { agencyId: req.user.agencyId },
       { branchId: { not: null } }, // Add this line to ensure branchId exists
-      req.user.branchId ? { branchId: req.user.branchId } : {},
+      req.branchId ? { branchId: req.branchId } : {},
       active !== undefined ? { active } : {},
     ],
   };
@@ -49,6 +56,8 @@ const getStaff = async (req, res, next) => {
         mobile1: true,
         mobile2: true,
         role: true,
+        agencyRoleId: true,
+        agencyRole: { select: { name: true } },
         active: true,
         lastLogin: true,
         branchId: true,
@@ -131,6 +140,8 @@ const getStaffById = async (req, res, next) => {
         bloodGroup: true,
         gender: true,
         role: true,
+        agencyRoleId: true,
+        agencyRole: { select: { name: true } },
         active: true,
         lastLogin: true,
         branchId: true,
@@ -174,6 +185,44 @@ const getStaffById = async (req, res, next) => {
   }
 };
 
+// A custom role of the agency that staff can be given
+const findAgencyRole = (agencyId, id) =>
+  prisma.agencyRole.findFirst({
+    where: { id, agencyId, systemRole: null },
+    select: { id: true },
+  });
+
+// Agency roles from least to most access. Only an admin picks a staff
+// member's role, and never one above its own.
+const STAFF_ROLES = [roles.USER, roles.BRANCH_ADMIN, roles.ADMIN];
+
+const canAssignRole = (user, role) =>
+  user.role === roles.ADMIN &&
+  STAFF_ROLES.includes(role) &&
+  STAFF_ROLES.indexOf(role) <= STAFF_ROLES.indexOf(user.role);
+
+// Profile fields the staff forms set as sent; the role, custom role, password
+// and branch are checked and set on their own
+const STAFF_FIELDS = [
+  "name",
+  "email",
+  "communicationEmail",
+  "mobile1",
+  "mobile2",
+  "address",
+  "bloodGroup",
+  "gender",
+  "active",
+];
+
+const pickStaffFields = (body) =>
+  Object.fromEntries(
+    STAFF_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
 const createStaff = async (req, res, next) => {
   const schema = z
     .object({
@@ -212,6 +261,7 @@ const createStaff = async (req, res, next) => {
       role: z.enum(Object.values(roles), "Invalid role."),
       active: z.boolean().optional(),
       branchId: z.string().optional(),
+      agencyRoleId: z.number().int().nullable().optional(),
     })
     .superRefine(async (data, ctx) => {
       if (!req.user.agencyId) {
@@ -243,6 +293,30 @@ const createStaff = async (req, res, next) => {
           message: `Email already exists.`,
         });
       }
+
+      // Staff added by anyone but an admin get the user role
+      if (data.role !== roles.USER && !canAssignRole(req.user, data.role)) {
+        ctx.addIssue({
+          path: ["role"],
+          message: "You cannot give staff this role.",
+        });
+      }
+
+      if (data.agencyRoleId) {
+        if (req.user.role !== roles.ADMIN) {
+          ctx.addIssue({
+            path: ["agencyRoleId"],
+            message: "Only an admin can give staff a custom role.",
+          });
+        } else if (
+          !(await findAgencyRole(req.user.agencyId, data.agencyRoleId))
+        ) {
+          ctx.addIssue({
+            path: ["agencyRoleId"],
+            message: "Role not found.",
+          });
+        }
+      }
     });
 
   try {
@@ -259,44 +333,18 @@ const createStaff = async (req, res, next) => {
       if (typeof value !== "string" || value.trim() === "") return undefined;
       return dayjs(value).isValid() ? new Date(value) : undefined;
     };
-    // start
-    const packageData = await prisma.agency.findUnique({
-      where: { id: parseInt(req.user.agencyId) },
-      include: {
-        currentSubscription: {
-          include: {
-            package: true, // ✅ Correct usage of nested include
-          },
-        },
-      },
-    });
-    const usersPerBranch =
-      packageData?.currentSubscription?.package?.usersPerBranch || 0;
-
-    const branchData = await prisma.branch.findUnique({
-      where: { id: parseInt(branchId) },
-      include: {
-        users: true,
-      },
-    });
-
-    const totalUsers = branchData?.users?.length || 0;
-
-    if (totalUsers >= usersPerBranch) {
-      return res.status(500).json({
-        errors: {
-          message: "User limit reached for your package.",
-        },
-      });
+    if (req.body.active !== false) {
+      await assertCanAddUser(req.user.agencyId, parseInt(branchId));
     }
 
-    // end
     const hashedPassword = await bcrypt.hash(req.body.password, 10);
 
     const staff = await prisma.user.create({
       data: {
-        ...req.body,
+        ...pickStaffFields(req.body),
         password: hashedPassword,
+        role: req.body.role,
+        agencyRoleId: req.body.agencyRoleId ?? null,
         agencyId: req.user.agencyId,
         branchId: parseInt(branchId),
         dateOfBirth: parseDate(req.body.dateOfBirth),
@@ -309,6 +357,9 @@ const createStaff = async (req, res, next) => {
       data: staff,
     });
   } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ errors: { message: error.message } });
+    }
     if (error.name === "UnauthorizedError") {
       return res.status(401).json({
         errors: {
@@ -360,6 +411,7 @@ const updateStaff = async (req, res, next) => {
     role: z.enum(Object.values(roles), "Invalid role."),
     active: z.boolean().optional(),
     branchId: z.string().min(1, "Branch field is required"),
+    agencyRoleId: z.number().int().nullable().optional(),
   });
 
   try {
@@ -389,63 +441,63 @@ const updateStaff = async (req, res, next) => {
       }
     }
 
-    // start
-    const packageData = await prisma.agency.findUnique({
-      where: { id: parseInt(req.user.agencyId) },
-      include: {
-        currentSubscription: {
-          include: {
-            package: true, // ✅ Correct usage of nested include
-          },
-        },
-      },
-    });
-    const usersPerBranch =
-      packageData?.currentSubscription?.package?.usersPerBranch || 0;
-
-    const branchData = await prisma.branch.findUnique({
-      where: { id: parseInt(req.body.branchId) },
-      include: {
-        users: true,
-      },
+    const current = await prisma.user.findFirst({
+      where: { id: parseInt(req.params.id), agencyId: req.user.agencyId },
+      select: { role: true, agencyRoleId: true, active: true },
     });
-
-    const totalUsers = branchData?.users?.length || 0;
-
-    let isUserInBranch = false;
-
-    // Check if user with the same email already exists in the branch
-    if (req.body.email) {
-      const existingBranchUser = await prisma.user.findFirst({
-        where: {
-          email: req.body.email,
-          branchId: parseInt(req.body.branchId),
+    if (!current) {
+      return res.status(404).json({
+        errors: {
+          staff: {
+            type: "server",
+            message: "Staff member not found",
+          },
         },
       });
-
-      if (existingBranchUser) {
-        isUserInBranch = true;
-      }
     }
 
-    // Enforce limit only if the user is not already part of the branch
-    if (!isUserInBranch && totalUsers >= usersPerBranch) {
-      return res.status(500).json({
+    if (
+      req.body.role !== current.role &&
+      !canAssignRole(req.user, req.body.role)
+    ) {
+      return res.status(400).json({
         errors: {
-          message: "User limit reached for your package.",
+          role: {
+            type: "server",
+            message: "You cannot give staff this role.",
+          },
         },
       });
     }
 
-    // if (totalUsers >= usersPerBranch) {
-    //   return res.status(500).json({
-    //     errors: {
-    //       message: "User limit reached for your package.",
-    //     },
-    //   });
-    // }
-
-    // end
+    if (
+      req.body.agencyRoleId !== undefined &&
+      req.body.agencyRoleId !== current.agencyRoleId
+    ) {
+      if (req.user.role !== roles.ADMIN) {
+        return res.status(400).json({
+          errors: {
+            agencyRoleId: {
+              type: "server",
+              message: "Only an admin can give staff a custom role.",
+            },
+          },
+        });
+      }
+      if (
+        req.body.agencyRoleId &&
+        !(await findAgencyRole(req.user.agencyId, req.body.agencyRoleId))
+      ) {
+        return res.status(400).json({
+          errors: {
+            agencyRoleId: {
+              type: "server",
+              message: "Role not found.",
+            },
+          },
+        });
+      }
+    }
 
     let branchId = null;
     if (req.user.role === roles.ADMIN) {
@@ -454,20 +506,36 @@ const updateStaff = async (req, res, next) => {
       branchId = req.user.branchId;
     }
 
+    // Moving an active user to another branch, or making them active again,
+    // takes one of its places
+    if (req.body.active ?? current.active) {
+      await assertCanAddUser(req.user.agencyId, parseInt(branchId), {
+        excludeUserId: parseInt(req.params.id),
+      });
+    }
+
     const updatedStaff = await prisma.user.update({
       where: {
         id: parseInt(req.params.id),
         agencyId: req.user.agencyId,
       },
       data: {
-        ...req.body,
+        ...pickStaffFields(req.body),
+        role: req.body.role,
+        agencyRoleId: req.body.agencyRoleId,
         branchId: parseInt(branchId),
         dateOfBirth: parseDate(req.body.dateOfBirth),
       },
     });
+    if (!updatedStaff.active) {
+      await revokeUserSessions(updatedStaff.id, "deactivated");
+    }
 
     res.json(updatedStaff);
   } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ errors: { message: error.message } });
+    }
     if (error.code === "P2025") {
       return res.status(404).json({
         errors: {
@@ -560,6 +628,7 @@ const changePassword = async (req, res, next) => {
         email: true,
       },
     });
+    await revokeUserSessions(updatedStaff.id, "password_changed");
 
     res.json({ message: "Password changed successfully" });
   } catch (error) {
@@ -583,6 +652,17 @@ const setActiveStatus = async (req, res, next) => {
   try {
     const validationErrors = await validateRequest(schema, req.body, res);
 
+    // Making a user active again takes one of their branch's places
+    if (req.body.active) {
+      const staff = await prisma.user.findFirst({
+        where: { id: parseInt(req.params.id), agencyId: req.user.agencyId },
+        select: { active: true, branchId: true },
+      });
+      if (staff && !staff.active && staff.branchId) {
+        await assertCanAddUser(req.user.agencyId, staff.branchId);
+      }
+    }
+
     const updatedStaff = await prisma.user.update({
       where: {
         id: parseInt(req.params.id),
@@ -596,9 +676,15 @@ const setActiveStatus = async (req, res, next) => {
         active: true,
       },
     });
+    if (!updatedStaff.active) {
+      await revokeUserSessions(updatedStaff.id, "deactivated");
+    }
 
     res.json(updatedStaff);
   } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ errors: { message: error.message } });
+    }
     if (error.code === "P2025") {
       return res.status(404).json({ message: "Staff member not found" });
     }
@@ -609,6 +695,73 @@ const setActiveStatus = async (req, res, next) => {
   }
 };
 
+// Staff member of the user's agency, limited to the branch the request is
+// limited to
+const findAgencyStaff = (req) =>
+  prisma.user.findFirst({
+    where: {
+      id: parseInt(req.params.id),
+      agencyId: req.user.agencyId,
+      ...branchFilter(req.branchId),
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      failedLoginCount: true,
+      lockedUntil: true,
+    },
+  });
+
+// Get a staff member's login attempts, newest first
+const getStaffLoginHistory = async (req, res, next) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const staff = await findAgencyStaff(req);
+    if (!staff) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Staff member not found" } });
+    }
+
+    const { loginAttempts, totalLoginAttempts } = await getLoginHistory(
+      staff.id,
+      { skip, take: limit }
+    );
+    const totalPages = Math.ceil(totalLoginAttempts / limit);
+
+    res.json({
+      staff,
+      loginAttempts,
+      page,
+      totalPages,
+      totalLoginAttempts,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift a staff member's lockout after too many failed logins
+const unlockStaff = async (req, res, next) => {
+  try {
+    const staff = await findAgencyStaff(req);
+    if (!staff) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Staff member not found" } });
+    }
+
+    await unlockUser(staff.id);
+    res.json({ message: "Staff member unlocked" });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getStaff,
   getStaffById,
@@ -617,4 +770,6 @@ module.exports = {
   deleteStaff,
   changePassword,
   setActiveStatus,
+  getStaffLoginHistory,
+  unlockStaff,
 };
@@ -1,8 +1,8 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const createError = require("http-errors");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
+const { softDelete } = require("../services/trashService");
 
 // Get all states with pagination, sorting, and search
 const getStates = async (req, res, next) => {
@@ -16,6 +16,7 @@ const getStates = async (req, res, next) => {
   try {
     // Step 2: Build filter clause
     let whereClause = {
+      deletedAt: null,
       OR: [
         { stateName: { contains: search } },
         { country: { countryName: { contains: search } } }, // Filter by countryName
@@ -119,6 +120,7 @@ const createState = async (req, res, next) => {
           AND: [
             { stateName: data.stateName },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -224,6 +226,7 @@ const updateState = async (req, res, next) => {
           AND: [
             { stateName: data.stateName },
             { agencyId: parseInt(req.user.agencyId) || null },
+            { deletedAt: null },
           ],
         },
         select: { id: true }, // We only need the id to compare
@@ -270,28 +273,15 @@ const updateState = async (req, res, next) => {
   }
 };
 
-// Delete a state
+// Move a state to the trash
 const deleteState = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    await prisma.state.delete({
-      where: { id: parseInt(id, 10) },
-    });
+    await softDelete("state", parseInt(id, 10), req.user.id);
 
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this State because it is referenced in related data. Please remove the related references before deleting.",
-        },
-      });
-    }
     if (error.code === "P2025") {
       return res.status(404).json({ errors: { message: "State not found" } });
     }
@@ -316,6 +306,7 @@ const getAllStatesByCountryId = async (req, res, next) => {
     const states = await prisma.state.findMany({
       where: {
         agencyId: req.user.agencyId || null,
+        deletedAt: null,
         countryId: parseInt(id, 10),
       },
       select: {
@@ -343,6 +334,7 @@ const getStatesOfIndia = async (req, res, next) => {
       where: {
         countryName: "India",
         agencyId: req.user.agencyId || null, // Ensure the country belongs to the user's agency
+        deletedAt: null,
       },
       select: { id: true },
     });
@@ -356,6 +348,7 @@ const getStatesOfIndia = async (req, res, next) => {
     const states = await prisma.state.findMany({
       where: {
         agencyId: req.user.agencyId || null,
+        deletedAt: null,
         countryId: india.id,
       },
       select: {
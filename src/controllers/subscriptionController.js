@@ -1,18 +1,45 @@
-const { PrismaClient } = require("@prisma/client");
 const createError = require("http-errors");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const { z } = require("zod"); // Import Zod for validation
 const validateRequest = require("../utils/validateRequest"); // Utility function for validation
 const dayjs = require("dayjs"); // Import dayjs
-const { numberToWords } = require("../utils/numberToWords");
-const generateSubscriptionInvoiceNumber = require("../utils/generateSubscriptionInvoiceNumber");
-const { v4: uuidv4 } = require("uuid");
-
+const roles = require("../config/roles");
+const {
+  getPackageUsage: buildPackageUsage,
+  getUpgradeQuote: buildUpgradeQuote,
+  upgradeSubscription: recordUpgrade,
+} = require("../services/quotaService");
+const {
+  getLatestSubscription,
+  getSubscriptionHistory: buildSubscriptionHistory,
+  scheduleDowngrade: recordDowngrade,
+  cancelSubscription: recordCancellation,
+} = require("../services/subscriptionService");
 const {
-  generateSubscriptionInvoice,
-} = require("../utils/Invoice/generateSubscriptionInvoice");
-const fs = require("fs").promises; // Use promises API
-const path = require("path");
+  issueSubscriptionInvoice,
+} = require("../services/subscriptionInvoiceService");
+
+// Maps quota and subscription service errors to the response shapes used
+// across the API. 400s are reported against `field` when one is given.
+const sendQuotaError = (res, error, message, field = "packageId") => {
+  if (error.status === 400 && field) {
+    return res.status(400).json({
+      errors: { [field]: { type: "server", message: error.message } },
+    });
+  }
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ errors: { message: error.message } });
+  }
+  res.status(500).json({
+    errors: {
+      message,
+      details: error.message,
+    },
+  });
+};
+
 const createSubscription = async (req, res, next) => {
   // Define Zod schema for subscription validation
   const schema = z
@@ -153,10 +180,11 @@ const createSubscription = async (req, res, next) => {
 
     // Determine the startDate for the new subscription
     let startDate;
-    if (agencyData.currentSubscription) {
-      // Use the endDate of the current subscription as the startDate for the new subscription
+    const latestSubscription = await getLatestSubscription(agencyId);
+    if (agencyData.currentSubscription && latestSubscription) {
+      // Start the day after the last term ends, which may be a scheduled downgrade
       // startDate = dayjs(agencyData.currentSubscription.endDate);
-      startDate = dayjs(agencyData.currentSubscription.endDate).add(1, "day");
+      startDate = dayjs(latestSubscription.endDate).add(1, "day");
     } else {
       // If no current subscription, send an error
       return res.status(400).json({
@@ -178,6 +206,8 @@ const createSubscription = async (req, res, next) => {
       data: {
         packageId,
         agencyId,
+        changeType: "renewal",
+        previousSubscriptionId: latestSubscription.id,
         startDate: startDate.toDate(), // Convert dayjs object to JavaScript Date
         endDate: endDate.toDate(), // Convert dayjs object to JavaScript Date
         cost: packageData.cost,
@@ -216,163 +246,20 @@ const createSubscription = async (req, res, next) => {
 
 const generateSubscriptionInvoicePdf = async (req, res) => {
   const { id } = req.params;
-  console.log("Received Subscription ID:", id); // Debugging line to ensure it's correct
 
   try {
-    const result = await prisma.$transaction(async (tx) => {
-      // Step 1: Fetch existing booking receipt
-      const existingInvoice = await tx.subscription.findUnique({
-        where: { id: parseInt(id, 10) },
-        select: { invoiceNumber: true }, // only fetch needed field
-      });
-      let subscription = null;
-      // Step 2: Check if invoice number already exists
-      if (existingInvoice.invoiceNumber) {
-        // Don't update invoice number, just return existing
-        subscription = await tx.subscription.update({
-          where: { id: parseInt(id, 10) },
-          data: {
-            invoiceDate: new Date(),
-          },
-        });
-      } else {
-        const invoiceNumber = await generateSubscriptionInvoiceNumber(tx);
-
-        subscription = await tx.subscription.update({
-          where: { id: parseInt(id, 10) },
-          data: {
-            invoiceDate: new Date(),
-            invoiceNumber: invoiceNumber,
-          },
-        });
-      }
-
-      return {
-        subscription: subscription,
-      };
-    });
-
-    const subscriptionData = await prisma.subscription.findUnique({
-      where: { id: parseInt(id, 10) },
-      include: {
-        agency: true,
-        package: true,
-      },
-    });
-
-    if (!subscriptionData) {
-      return res.status(404).json({ error: "Subscription details not found" });
-    }
-
-    // ✅ Step 2: Format data for generateInvoicePdf
-    const invoiceData = {
-      invoiceNumber: subscriptionData.invoiceNumber,
-      invoiceDate: subscriptionData.invoiceDate,
-      client: {
-        clientName: subscriptionData.agency?.businessName,
-        addressLines: [
-          subscriptionData.agency?.addressLine1 || "",
-          subscriptionData.agency?.addressLine2 || "",
-        ].filter(Boolean),
-        city: subscriptionData.agency?.cityName || "",
-        pincode: subscriptionData.agency?.pincode || "",
-        gstin: subscriptionData.agency?.gstin || "",
-      },
-      sanmishaDetails: {
-        name: "Sanmisha Technologies",
-        addressLines: ["Dombivli East", ""],
-        city: "Dombivli", // Optional
-        pincode: "400605", // Optional
-        gstin: "27AANCS1234C1Z5", // Optional
-        email: "amar@sanmisha.com",
-        logoPath: path.join(__dirname, "..", "assets", "brandlogo.png"), // Optional logo
-      },
-      items: [
-        {
-          srNo: 1,
-          description: `${subscriptionData?.package?.packageName}`,
-          hsnSac: "998551", // or pull this from somewhere
-          amount: parseFloat(subscriptionData.cost),
-        },
-      ],
-      totals: {
-        amountBeforeTax: parseFloat(subscriptionData.cost),
-        cgstAmount: parseFloat(subscriptionData.cgstAmount || 0),
-        cgstRate: subscriptionData.cgstPercent || 0,
-        sgstAmount: parseFloat(subscriptionData.sgstAmount || 0),
-        sgstRate: subscriptionData.sgstPercent || 0,
-        igstAmount: parseFloat(subscriptionData.igstAmount || 0),
-        igstRate: subscriptionData.igstPercent || 0,
-        totalAmount: parseFloat(subscriptionData.totalAmount),
-        amountInWords: numberToWords(parseFloat(subscriptionData.totalAmount)), // Optional: convert to words using a helper
-      },
-    };
-
-    // ✅ Step 3: Define file path
-    // const filePath = path.join(
-    //   __dirname,
-    //   "..",
-    //   "invoices",
-    //   "subscriptions",
-    //   `invoice-${subscriptionData.id}.pdf`
-    // );
-    const oldPath = subscriptionData.invoicePath;
-    const sanitizedInvoiceNumber = subscriptionData.invoiceNumber.replace(
-      /[\/\\]/g,
-      "-"
-    );
-
-    const uuidFolder = uuidv4();
-    const invoiceDir = path.join(
-      __dirname,
-      "..",
-      "..",
-      "invoices",
-      "subscriptions",
-      uuidFolder
-    );
-    const filePath = path.join(
-      invoiceDir,
-      `invoice-${sanitizedInvoiceNumber}.pdf`
-    );
-    try {
-      if (oldPath) {
-        await fs.unlink(oldPath);
-        console.log("Old invoice deleted:", oldPath);
-
-        const folderToDelete = path.dirname(oldPath);
-        const files = await fs.readdir(folderToDelete);
-
-        if (files.length === 0) {
-          await fs.rmdir(folderToDelete);
-          console.log("Empty folder deleted:", folderToDelete);
-        }
-      }
-    } catch (err) {
-      console.error("Error deleting invoice or folder:", err);
+    const invoice = await issueSubscriptionInvoice(parseInt(id, 10));
+    if (!invoice) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Subscription not found" } });
     }
-    // end
-    console.log("Writing PDF to:", filePath);
-
-    // ✅ Step 4: Generate the PDF
-    await generateSubscriptionInvoice(invoiceData, filePath);
-    await prisma.subscription.update({
-      where: { id: parseInt(id, 10) },
-      data: {
-        invoicePath: filePath, // Save relative or absolute path based on your use-case
-      },
-    });
 
     res.setHeader("Content-Type", "application/pdf");
-
-    // ✅ Step 5: Send file to client
-    res.download(filePath, (err) => {
+    res.download(invoice.filePath, (err) => {
       if (err) {
         console.error("Download error:", err);
         res.status(500).send("Failed to download invoice");
-      } else {
-        // Optionally delete file after download
-        // fs.unlink(filePath, () => {});
       }
     });
   } catch (error) {
@@ -386,7 +273,210 @@ const generateSubscriptionInvoicePdf = async (req, res) => {
   }
 };
 
+// Generates the invoice of a subscription that has just been changed. The
+// change stands if this fails; the invoice can be generated again later.
+const withInvoice = async (subscription) => {
+  try {
+    const invoice = await issueSubscriptionInvoice(subscription.id);
+    return { ...subscription, ...invoice.subscription };
+  } catch (error) {
+    console.error(
+      `Failed to generate invoice for subscription ${subscription.id}:`,
+      error
+    );
+    return subscription;
+  }
+};
+
+// Get the branches and users per branch in use against the package limits.
+// Agency users see their own agency; the super admin passes agencyId.
+const getPackageUsage = async (req, res) => {
+  const agencyId =
+    req.user.role === roles.SUPER_ADMIN
+      ? parseInt(req.query.agencyId, 10)
+      : req.user.agencyId;
+  if (!agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  try {
+    const usage = await buildPackageUsage(agencyId);
+    res.status(200).json(usage);
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to fetch package usage");
+  }
+};
+
+const upgradeSchema = z.object({
+  agencyId: z
+    .union([z.string(), z.number()])
+    .transform((val) => parseInt(val, 10))
+    .refine((val) => !isNaN(val), { message: "Agency ID is required." }),
+  packageId: z
+    .union([z.string(), z.number()])
+    .transform((val) => parseInt(val, 10))
+    .refine((val) => !isNaN(val), { message: "Package ID is required." }),
+  upgradeDate: z
+    .string()
+    .nullish()
+    .refine((val) => !val || dayjs(val).isValid(), {
+      message: "Invalid upgrade date",
+    }),
+});
+
+// Quote the prorated cost of moving an agency to a bigger package mid-term
+const getUpgradeQuote = async (req, res) => {
+  const { agencyId, packageId, upgradeDate } = await validateRequest(
+    upgradeSchema,
+    req.query,
+    res
+  );
+
+  try {
+    const quote = await buildUpgradeQuote(
+      agencyId,
+      packageId,
+      upgradeDate ? dayjs(upgradeDate).toDate() : new Date()
+    );
+    res.status(200).json(quote);
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to quote package upgrade");
+  }
+};
+
+// GST percent of a package change; the amounts are worked out from it
+const percentSchema = (label) =>
+  z
+    .union([z.string(), z.number()])
+    .nullish()
+    .transform((val) =>
+      val === null || val === undefined || val === "" ? null : parseFloat(val)
+    )
+    .refine((val) => val === null || (!isNaN(val) && val >= 0 && val <= 100), {
+      message: `Invalid ${label} percent`,
+    });
+
+// Agency, package and payment details of an upgrade or downgrade
+const paymentSchema = upgradeSchema.omit({ upgradeDate: true }).extend({
+  paymentDate: z.string().min(1, "Payment date is required"),
+  paymentMode: z.string().min(1, "Payment mode is required"),
+  cgstPercent: percentSchema("CGST"),
+  sgstPercent: percentSchema("SGST"),
+  igstPercent: percentSchema("IGST"),
+});
+
+// Move an agency to a bigger package for the rest of its current subscription
+const upgradeSubscription = async (req, res) => {
+  const schema = paymentSchema.extend({
+    upgradeDate: upgradeSchema.shape.upgradeDate,
+  });
+  const data = await validateRequest(schema, req.body, res);
+  const { utrNumber, neftImpfNumber, chequeNumber, chequeDate, bankName } =
+    req.body;
+
+  try {
+    const subscription = await recordUpgrade(data.agencyId, data.packageId, {
+      upgradeDate: data.upgradeDate
+        ? dayjs(data.upgradeDate).toDate()
+        : new Date(),
+      paymentDate: dayjs(data.paymentDate).startOf("day").toDate(),
+      paymentMode: data.paymentMode,
+      cgstPercent: data.cgstPercent,
+      sgstPercent: data.sgstPercent,
+      igstPercent: data.igstPercent,
+      utrNumber,
+      neftImpfNumber,
+      chequeNumber,
+      chequeDate: chequeDate ? dayjs(chequeDate).startOf("day").toDate() : null,
+      bankName,
+    });
+    res.status(201).json(await withInvoice(subscription));
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to upgrade package");
+  }
+};
+
+// Get an agency's subscriptions, newest first, with their status.
+// Agency users see their own agency; the super admin passes agencyId.
+const getSubscriptionHistory = async (req, res) => {
+  const agencyId =
+    req.user.role === roles.SUPER_ADMIN
+      ? parseInt(req.query.agencyId, 10)
+      : req.user.agencyId;
+  if (!agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  try {
+    const { subscriptions, totalSubscriptions } =
+      await buildSubscriptionHistory(agencyId, { skip, take: limit });
+    const totalPages = Math.ceil(totalSubscriptions / limit);
+
+    res.json({
+      subscriptions,
+      page,
+      totalPages,
+      totalSubscriptions,
+    });
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to fetch subscriptions");
+  }
+};
+
+// Schedule a move to a smaller package from the end of the agency's last term
+const scheduleDowngrade = async (req, res) => {
+  const data = await validateRequest(paymentSchema, req.body, res);
+  const { utrNumber, neftImpfNumber, chequeNumber, chequeDate, bankName } =
+    req.body;
+
+  try {
+    const subscription = await recordDowngrade(data.agencyId, data.packageId, {
+      paymentDate: dayjs(data.paymentDate).startOf("day").toDate(),
+      paymentMode: data.paymentMode,
+      cgstPercent: data.cgstPercent,
+      sgstPercent: data.sgstPercent,
+      igstPercent: data.igstPercent,
+      utrNumber,
+      neftImpfNumber,
+      chequeNumber,
+      chequeDate: chequeDate ? dayjs(chequeDate).startOf("day").toDate() : null,
+      bankName,
+    });
+    res.status(201).json(await withInvoice(subscription));
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to schedule downgrade");
+  }
+};
+
+// Cancel a subscription that has not started yet
+const cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await recordCancellation(parseInt(req.params.id, 10));
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Subscription not found" } });
+    }
+    res.status(200).json(await withInvoice(subscription));
+  } catch (error) {
+    sendQuotaError(res, error, "Failed to cancel subscription", null);
+  }
+};
+
 module.exports = {
   createSubscription,
   generateSubscriptionInvoicePdf,
+  getPackageUsage,
+  getUpgradeQuote,
+  upgradeSubscription,
+  getSubscriptionHistory,
+  scheduleDowngrade,
+  cancelSubscription,
 };
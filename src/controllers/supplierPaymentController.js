@@ -0,0 +1,412 @@
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
+const { z } = require("zod");
+const dayjs = require("dayjs");
+const createError = require("http-errors");
+const validateRequest = require("../utils/validateRequest");
+const generateSupplierPaymentNumber = require("../utils/generateSupplierPaymentNumber");
+const {
+  getHotelBookingPayable,
+  getVehicleBookingPayable,
+  getSupplierStatement,
+  getPayablesSummary: buildPayablesSummary,
+} = require("../services/supplierPayableService");
+
+const parseDate = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  return dayjs(value).isValid() ? new Date(value) : undefined;
+};
+
+const paymentInclude = {
+  hotel: { select: { id: true, hotelName: true } },
+  agent: { select: { id: true, agentName: true } },
+  hotelBooking: { select: { id: true, hrvNumber: true } },
+  vehicleBooking: { select: { id: true, vehicleHrvNumber: true } },
+  bank: { select: { id: true, bankName: true } },
+};
+
+// Get all supplier payments with pagination and filters
+const getSupplierPayments = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const search = req.query.search || "";
+  const sortBy = req.query.sortBy || "id";
+  const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
+  const fromDate = parseDate(req.query.fromDate);
+  const toDate = parseDate(req.query.toDate);
+
+  const whereClause = {
+    agencyId: req.user.agencyId,
+    ...(req.query.hotelId && { hotelId: parseInt(req.query.hotelId, 10) }),
+    ...(req.query.agentId && { agentId: parseInt(req.query.agentId, 10) }),
+    ...(req.query.hotelBookingId && {
+      hotelBookingId: parseInt(req.query.hotelBookingId, 10),
+    }),
+    ...(req.query.vehicleBookingId && {
+      vehicleBookingId: parseInt(req.query.vehicleBookingId, 10),
+    }),
+    ...((fromDate || toDate) && {
+      paymentDate: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate }),
+      },
+    }),
+    ...(search && {
+      OR: [
+        { paymentNumber: { contains: search } },
+        { hotelBooking: { hrvNumber: { contains: search } } },
+        { vehicleBooking: { vehicleHrvNumber: { contains: search } } },
+        { hotel: { hotelName: { contains: search } } },
+        { agent: { agentName: { contains: search } } },
+      ],
+    }),
+  };
+
+  try {
+    const supplierPayments = await prisma.supplierPayment.findMany({
+      where: whereClause,
+      include: paymentInclude,
+      skip,
+      take: limit,
+      orderBy: { [sortBy]: sortOrder },
+    });
+
+    const totalSupplierPayments = await prisma.supplierPayment.count({
+      where: whereClause,
+    });
+    const totalPages = Math.ceil(totalSupplierPayments / limit);
+
+    res.json({
+      supplierPayments,
+      page,
+      totalPages,
+      totalSupplierPayments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch supplier payments",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Record a payment to a hotel or agent against a hotel or vehicle booking
+const createSupplierPayment = async (req, res) => {
+  const schema = z
+    .object({
+      hotelBookingId: z
+        .union([z.string(), z.number()])
+        .nullish()
+        .transform((val) => (val ? parseInt(val, 10) : undefined)),
+      vehicleBookingId: z
+        .union([z.string(), z.number()])
+        .nullish()
+        .transform((val) => (val ? parseInt(val, 10) : undefined)),
+      paymentDate: z
+        .string()
+        .min(1, "Payment date is required")
+        .refine((val) => parseDate(val) !== undefined, {
+          message: "Invalid payment date",
+        }),
+      paymentMode: z.string().min(1, "Payment mode is required"),
+      bankId: z
+        .union([z.string(), z.number()])
+        .nullish()
+        .transform((val) => (val ? parseInt(val, 10) : undefined)),
+      amount: z
+        .union([z.string(), z.number()])
+        .transform((val) => parseFloat(val))
+        .refine((val) => !isNaN(val) && val > 0, {
+          message: "Amount must be greater than zero",
+        }),
+    })
+    .superRefine(async (data, ctx) => {
+      if (!data.hotelBookingId === !data.vehicleBookingId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Select either a hotel booking or a vehicle booking",
+          path: ["hotelBookingId"],
+        });
+      }
+      if (data.bankId !== undefined) {
+        const bank = Number.isNaN(data.bankId)
+          ? null
+          : await prisma.bank.findFirst({
+              where: {
+                id: data.bankId,
+                agencyId: req.user.agencyId,
+                deletedAt: null,
+              },
+              select: { id: true },
+            });
+        if (!bank) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: "Bank not found",
+            path: ["bankId"],
+          });
+        }
+      }
+    });
+
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+
+  const validationResult = await validateRequest(schema, req.body, res);
+  const { hotelBookingId, vehicleBookingId, amount, bankId } = validationResult;
+  const {
+    paymentDate,
+    paymentMode,
+    chequeDate,
+    chequeNumber,
+    utrNumber,
+    neftImpfNumber,
+    remarks,
+  } = req.body;
+
+  try {
+    const supplierPayment = await prisma.$transaction(async (tx) => {
+      let supplier;
+      let payable;
+      let paidWhere;
+
+      if (hotelBookingId) {
+        const hotelBooking = await tx.hotelBooking.findFirst({
+          where: { id: hotelBookingId, agencyId: req.user.agencyId },
+        });
+        if (!hotelBooking) throw createError(404, "Hotel booking not found");
+        supplier = { hotelId: hotelBooking.hotelId };
+        payable = getHotelBookingPayable(hotelBooking);
+        paidWhere = { hotelBookingId };
+      } else {
+        const vehicleBooking = await tx.vehicleBooking.findFirst({
+          where: { id: vehicleBookingId, agencyId: req.user.agencyId },
+        });
+        if (!vehicleBooking) {
+          throw createError(404, "Vehicle booking not found");
+        }
+        supplier = { agentId: vehicleBooking.agentId };
+        payable = getVehicleBookingPayable(vehicleBooking);
+        paidWhere = { vehicleBookingId };
+      }
+
+      const paid = await tx.supplierPayment.aggregate({
+        where: paidWhere,
+        _sum: { amount: true },
+      });
+      const outstanding =
+        Math.round((payable - parseFloat(paid._sum.amount || 0)) * 100) / 100;
+      if (amount > outstanding) {
+        throw createError(
+          400,
+          `Amount exceeds the outstanding amount of ${outstanding.toFixed(2)}`
+        );
+      }
+
+      const paymentNumber = await generateSupplierPaymentNumber(
+        tx,
+        req.user.agencyId
+      );
+
+      return tx.supplierPayment.create({
+        data: {
+          agencyId: req.user.agencyId,
+          paymentNumber,
+          paymentDate: parseDate(paymentDate),
+          ...supplier,
+          hotelBookingId: hotelBookingId || null,
+          vehicleBookingId: vehicleBookingId || null,
+          amount: new Prisma.Decimal(amount),
+          paymentMode,
+          bankId: bankId || null,
+          chequeDate: chequeDate ? parseDate(chequeDate) : null,
+          chequeNumber: chequeNumber || null,
+          utrNumber: utrNumber || null,
+          neftImpfNumber: neftImpfNumber || null,
+          remarks: remarks || null,
+        },
+        include: paymentInclude,
+      });
+    });
+
+    res.status(201).json(supplierPayment);
+  } catch (error) {
+    if (error.status === 400) {
+      return res
+        .status(400)
+        .json({
+          errors: { amount: { type: "server", message: error.message } },
+        });
+    }
+    if (error.status === 404) {
+      return res.status(404).json({ errors: { message: error.message } });
+    }
+    res.status(500).json({
+      errors: {
+        message: "Failed to create supplier payment",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get a supplier payment by ID
+const getSupplierPaymentById = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const supplierPayment = await prisma.supplierPayment.findFirst({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+      include: paymentInclude,
+    });
+
+    if (!supplierPayment) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Supplier payment not found" } });
+    }
+
+    res.status(200).json(supplierPayment);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch supplier payment",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Delete a supplier payment
+const deleteSupplierPayment = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { count } = await prisma.supplierPayment.deleteMany({
+      where: { id: parseInt(id, 10), agencyId: req.user.agencyId },
+    });
+
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Supplier payment not found" } });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to delete supplier payment",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the payables statement of a hotel
+const getHotelStatement = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const hotelId = parseInt(req.params.id, 10);
+  try {
+    const hotel = await prisma.hotel.findFirst({
+      where: { id: hotelId, agencyId: req.user.agencyId },
+      select: { id: true, hotelName: true },
+    });
+    if (!hotel) {
+      return res.status(404).json({ errors: { message: "Hotel not found" } });
+    }
+
+    const statement = await getSupplierStatement(
+      req.user.agencyId,
+      { hotelId },
+      parseDate(req.query.asOn)
+    );
+    res.status(200).json({ hotel, ...statement });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch hotel statement",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get the payables statement of an agent
+const getAgentStatement = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const agentId = parseInt(req.params.id, 10);
+  try {
+    const agent = await prisma.agent.findFirst({
+      where: { id: agentId, agencyId: req.user.agencyId },
+      select: { id: true, agentName: true },
+    });
+    if (!agent) {
+      return res.status(404).json({ errors: { message: "Agent not found" } });
+    }
+
+    const statement = await getSupplierStatement(
+      req.user.agencyId,
+      { agentId },
+      parseDate(req.query.asOn)
+    );
+    res.status(200).json({ agent, ...statement });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch agent statement",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Get outstanding payables of all suppliers with ageing buckets
+const getPayablesSummary = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  try {
+    const summary = await buildPayablesSummary(
+      req.user.agencyId,
+      parseDate(req.query.asOn)
+    );
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch payables summary",
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getSupplierPayments,
+  createSupplierPayment,
+  getSupplierPaymentById,
+  deleteSupplierPayment,
+  getHotelStatement,
+  getAgentStatement,
+  getPayablesSummary,
+};
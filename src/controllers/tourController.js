@@ -1,5 +1,4 @@
-const { PrismaClient } = require("@prisma/client");
-const prisma = new PrismaClient();
+const prisma = require("../config/db");
 const dayjs = require("dayjs");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateUpload");
@@ -9,6 +8,7 @@ const { STATUS_OPEN } = require("../config/data");
 const UPLOAD_DIR_BASE = "uploads"; // Base directory - MUST MATCH STATIC SERVING and middleware config
 const TOUR_MODULE_NAME = "tour"; // Define module name consistently
 const fs = require("fs").promises; // Use promises API
+const { softDelete } = require("../services/trashService");
 const { TOUR_TYPE_GROUP_TOUR } = require("../config/data");
 // --- Helper to construct URLs (Updated for new structure) ---
 const getFileUrl = (moduleName, fieldName, uuid, filename) => {
@@ -40,6 +40,7 @@ const getTours = async (req, res, next) => {
 
     const whereClause = {
       agencyId: req.user.agencyId,
+      deletedAt: null,
       OR: [
         { tourTitle: { contains: search } },
         { tourType: { contains: search } },
@@ -123,6 +124,7 @@ const createTour = async (req, res, next) => {
           AND: [
             { tourTitle: data.tourTitle },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
       });
@@ -319,6 +321,7 @@ const updateTour = async (req, res, next) => {
           AND: [
             { tourTitle: data.tourTitle },
             { agencyId: parseInt(req.user.agencyId) },
+            { deletedAt: null },
           ],
         },
         select: { id: true },
@@ -795,7 +798,8 @@ const updateTour = async (req, res, next) => {
   }
 };
 
-// Delete a tour
+// Move a tour to the trash. Its attachment is kept so that it can be
+// restored, and is removed when the tour is deleted from the trash for good.
 const deleteTour = async (req, res, next) => {
   const { id } = req.params;
   const tourId = parseInt(id, 10);
@@ -805,92 +809,17 @@ const deleteTour = async (req, res, next) => {
   }
 
   try {
-    // 1. Fetch agency UUID BEFORE deleting
+    await softDelete("tour", tourId, req.user.id);
 
-    // Foreign key constraint failed (tour is referenced in other tables)
-
-    const tourToDelete = await prisma.tour.findUnique({
-      where: { id: tourId },
-      select: { uploadUUID: true }, // Need UUID for file cleanup
-    });
-
-    if (!tourToDelete) {
-      return next(createError(404, `Tour with ID ${tourId} not found.`));
-    }
-
-    // 2. Delete the agency record (Prisma handles cascades if set)
-    await prisma.tour.delete({
-      where: { id: tourId },
-    });
-    console.log(`[Delete] DB record for tour ${tourId} deleted.`);
-
-    // 3. Delete associated upload files/directories (AFTER successful DB delete)
-    if (tourToDelete.uploadUUID) {
-      const uuid = tourToDelete.uploadUUID;
-      const fieldsToDelete = ["attachment"]; // Fields associated with this module
-
-      console.log(`[Delete] Attempting file cleanup for UUID: ${uuid}`);
-      for (const fieldName of fieldsToDelete) {
-        const fieldDirPath = path.join(
-          UPLOAD_DIR_BASE,
-          TOUR_MODULE_NAME,
-          fieldName,
-          uuid
-        );
-        try {
-          console.log(`[Delete] Removing directory: ${fieldDirPath}`);
-          // Use fs.rm to remove the field-specific directory and its contents within the UUID folder
-          await fs.rm(fieldDirPath, { recursive: true, force: true });
-          console.log(`[Delete] Removed ${fieldDirPath} (or it didn't exist).`);
-        } catch (err) {
-          // Log error but don't fail the request
-          console.error(
-            `[Delete] Failed to remove directory ${fieldDirPath} for deleted agency ${tourId}:`,
-            err
-          );
-        }
-      }
-      // Optional: Try removing the module's top-level UUID folder if it's now empty
-      // This is more complex and might have race conditions. Sticking to field dir removal is safer.
-      /*
-      const moduleUUIDPath = path.join(UPLOAD_DIR_BASE, AGENCY_MODULE_NAME, uuid);
-       try {
-           await fs.rmdir(moduleUUIDPath); // rmdir fails if not empty
-           console.log(`[Delete] Successfully removed now-empty module UUID directory: ${moduleUUIDPath}`);
-       } catch (err) {
-           if (err.code !== 'ENOENT' && err.code !== 'ENOTEMPTY') { // Ignore "not found" or "not empty"
-              console.error(`[Delete] Error trying to remove module UUID directory ${moduleUUIDPath}:`, err);
-           }
-       }
-       */
-    } else {
-      console.log(
-        `[Delete] Tour ${tourId} had no upload UUID. No file cleanup needed.`
-      );
-    }
-
-    // 4. Success Response
     res.status(204).send();
   } catch (error) {
-    if (
-      error.code === "P2003" ||
-      error.message.includes("Foreign key constraint failed")
-    ) {
-      return res.status(409).json({
-        errors: {
-          message:
-            "Cannot delete this tour because it is referenced in related data (e.g., itineraries or enquiries). Please remove those first.",
-        },
-      });
-    }
-
     console.error(`Error deleting tour ${tourId}:`, error);
     if (error.code === "P2025") {
       return next(createError(404, `Tour with ID ${tourId} not found.`));
     }
     return res.status(500).json({
       errors: {
-        message: "Failed to create tour",
+        message: "Failed to delete tour",
         details: error.message,
       },
     });
@@ -910,6 +839,7 @@ const getAllTours = async (req, res, next) => {
       where: {
         AND: [
           { agencyId: req.user.agencyId },
+          { deletedAt: null },
           { status: STATUS_OPEN },
           { isGroupTour: false },
         ],
@@ -938,6 +868,7 @@ const getAllGroupTours = async (req, res, next) => {
       where: {
         AND: [
           { agencyId: req.user.agencyId },
+          { deletedAt: null },
           { status: STATUS_OPEN },
           { isGroupTour: true },
         ],
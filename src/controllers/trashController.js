@@ -0,0 +1,163 @@
+const {
+  TENANT_RESOURCES,
+  findRecordOwner,
+} = require("../services/tenantService");
+const {
+  TRASH_TYPES,
+  getTrash: findTrash,
+  findNameConflict,
+  restore,
+  purge,
+} = require("../services/trashService");
+
+const invalidType = (res) =>
+  res.status(400).json({
+    errors: {
+      type: {
+        type: "server",
+        message: `type must be one of: ${TRASH_TYPES.join(", ")}`,
+      },
+    },
+  });
+
+// The trashed record named by :type and :id, if it is in the user's agency and branch
+const findTrashedRecord = async (req) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return null;
+  const owner = await findRecordOwner(req.params.type, id);
+  const { branch } = TENANT_RESOURCES[req.params.type];
+  if (
+    !owner ||
+    !owner.deletedAt ||
+    owner.agencyId !== req.user.agencyId ||
+    (branch && req.branchId && owner.branchId !== req.branchId)
+  ) {
+    return null;
+  }
+  return id;
+};
+
+// Get the deleted records of one type in the agency
+const getTrash = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const { type } = req.query;
+
+  if (!TRASH_TYPES.includes(type)) return invalidType(res);
+
+  try {
+    const { items, totalItems } = await findTrash(req.user.agencyId, type, {
+      branchId: req.branchId,
+      skip,
+      take: limit,
+    });
+    const totalPages = Math.ceil(totalItems / limit);
+
+    res.json({
+      items,
+      page,
+      totalPages,
+      totalItems,
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to fetch trash",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Restore a deleted record
+const restoreRecord = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { type } = req.params;
+  if (!TRASH_TYPES.includes(type)) return invalidType(res);
+  const { label } = TENANT_RESOURCES[type];
+
+  try {
+    const id = await findTrashedRecord(req);
+    if (!id) {
+      return res
+        .status(404)
+        .json({ errors: { message: `${label} not found in trash` } });
+    }
+
+    const conflict = await findNameConflict(type, id);
+    if (conflict) {
+      return res.status(409).json({
+        errors: {
+          message: `${label} with name ${conflict} already exists. Rename that one before restoring this one.`,
+        },
+      });
+    }
+
+    const record = await restore(type, id);
+    res.status(200).json(record);
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: `Failed to restore ${label.toLowerCase()}`,
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Permanently delete a record from the trash
+const purgeRecord = async (req, res) => {
+  if (!req.user.agencyId) {
+    return res
+      .status(404)
+      .json({ message: "User does not belong to any Agency" });
+  }
+  const { type } = req.params;
+  if (!TRASH_TYPES.includes(type)) return invalidType(res);
+  const { label } = TENANT_RESOURCES[type];
+
+  try {
+    const id = await findTrashedRecord(req);
+    if (!id) {
+      return res
+        .status(404)
+        .json({ errors: { message: `${label} not found in trash` } });
+    }
+
+    await purge(type, id);
+    res.status(204).send();
+  } catch (error) {
+    if (
+      error.code === "P2003" ||
+      error.message.includes("Foreign key constraint failed")
+    ) {
+      return res.status(409).json({
+        errors: {
+          message: `Cannot permanently delete this ${label} because it is referenced in related data. Restore it instead, or remove those references first.`,
+        },
+      });
+    }
+    res.status(500).json({
+      errors: {
+        message: `Failed to delete ${label.toLowerCase()}`,
+        details: error.message,
+      },
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreRecord,
+  purgeRecord,
+};
@@ -5,6 +5,7 @@ const prisma = require("../config/db");
 const validateRequest = require("../utils/validateRequest");
 const roles = require("../config/roles");
 const aclService = require("../services/aclService");
+const { revokeUserSessions } = require("../services/sessionService");
 const { z } = require("zod");
 
 const getUsers = async (req, res, next) => {
@@ -24,7 +25,10 @@ const getUsers = async (req, res, next) => {
   const exportToExcel = req.query.export === "true"; // Check if export is requested
 
   // Check if the user has the 'users.export' permission using ACL service
-  if (exportToExcel && !aclService.hasPermission(req.user, "users.export")) {
+  if (
+    exportToExcel &&
+    !(await aclService.hasPermission(req.user, "users.export"))
+  ) {
     return res.status(403).json({
       errors: { message: "You do not have permission to export users" },
     });
@@ -231,6 +235,9 @@ const updateUser = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: req.body,
     });
+    if (!updatedUser.active) {
+      await revokeUserSessions(updatedUser.id, "deactivated");
+    }
     res.json(updatedUser);
   } catch (error) {
     if (error.code === "P2025") {
@@ -283,6 +290,9 @@ const setActiveStatus = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: { active: req.body.active },
     });
+    if (!updatedUser.active) {
+      await revokeUserSessions(updatedUser.id, "deactivated");
+    }
     res.json(updatedUser);
   } catch (error) {
     next(error);
@@ -306,6 +316,7 @@ const changePassword = async (req, res, next) => {
       where: { id: parseInt(req.params.id) },
       data: { password: hashedPassword },
     });
+    await revokeUserSessions(updatedUser.id, "password_changed");
     res.json(updatedUser);
   } catch (error) {
     next(error);
@@ -1,9 +1,19 @@
-const { PrismaClient, Prisma } = require("@prisma/client");
-const prisma = new PrismaClient();
+const { Prisma } = require("@prisma/client");
+const prisma = require("../config/db");
 const { z } = require("zod");
 const validateRequest = require("../utils/validateRequest");
 const dayjs = require("dayjs");
 const generateVehicleHRVNumber = require("../utils/generateVehicleHRVNumber");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const emailService = require("../services/emailService");
+const {
+  generateVehicleDutySlip,
+} = require("../utils/Invoice/generateVehicleDutySlip");
+const {
+  formatDate,
+  removeGeneratedPdf,
+} = require("../utils/Invoice/pdfPrinter");
 // Helper function to parse date strings into Date objects
 const parseDate = (value) => {
   if (typeof value !== "string" || value.trim() === "") return undefined;
@@ -38,6 +48,7 @@ const createVehicleBooking = async (req, res) => {
       vehicleItineraries,
       vehicleHotelBookings,
       amount,
+      supplierCost,
     } = req.body;
 
     const result = await prisma.$transaction(async (tx) => {
@@ -67,6 +78,7 @@ const createVehicleBooking = async (req, res) => {
           summaryNote: summaryNote || null,
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
           vehicleItineraries: {
             create: (vehicleItineraries || []).map((itinerary) => ({
               day: parseInt(itinerary.day),
@@ -167,6 +179,7 @@ const updateVehicleBooking = async (req, res) => {
       vehicleItineraries,
       vehicleHotelBookings,
       amount,
+      supplierCost,
     } = req.body;
 
     // satrt
@@ -214,6 +227,7 @@ const updateVehicleBooking = async (req, res) => {
           summaryNote: summaryNote || null,
           billDescription: billDescription || null,
           amount: amount ? new Prisma.Decimal(amount) : null,
+          supplierCost: supplierCost ? new Prisma.Decimal(supplierCost) : null,
 
           vehicleItineraries: {
             upsert: vehicleItineraries
@@ -359,10 +373,212 @@ const getAllVehicleBookingsByBookingId = async (req, res) => {
   }
 };
 
+// Generate the duty slip PDF of a vehicle booking and store its path on the booking
+const buildVehicleDutySlip = async (vehicleBookingId, agencyId) => {
+  const vehicleBooking = await prisma.vehicleBooking.findFirst({
+    where: { id: vehicleBookingId, agencyId },
+    include: {
+      agency: true,
+      agent: true,
+      vehicle: true,
+      city: true,
+      booking: { include: { client: true } },
+      groupClient: {
+        include: {
+          client: true,
+          groupBooking: { select: { groupBookingNumber: true } },
+        },
+      },
+      vehicleItineraries: {
+        include: { city: true },
+        orderBy: [{ day: "asc" }, { date: "asc" }],
+      },
+      vehicleHotelBookings: {
+        include: { city: true, hotel: true },
+        orderBy: { checkInDate: "asc" },
+      },
+    },
+  });
+  if (!vehicleBooking) return null;
+
+  const party = vehicleBooking.booking || vehicleBooking.groupClient || {};
+  const client = party.client || {};
+  const children =
+    (party.numberOfChildren5To11 || 0) + (party.numberOfChildrenUnder5 || 0);
+
+  const dutySlipData = {
+    agency: vehicleBooking.agency,
+    vehicleHrvNumber: vehicleBooking.vehicleHrvNumber,
+    dutySlipDate: new Date(),
+    bookingNumber:
+      vehicleBooking.booking?.bookingNumber ||
+      vehicleBooking.groupClient?.groupBooking?.groupBookingNumber,
+    agent: {
+      name: vehicleBooking.agent.agentName,
+      contactPersonName: vehicleBooking.agent.contactPersonName,
+      mobile: vehicleBooking.agent.mobile1,
+      email: vehicleBooking.agent.email1,
+    },
+    guest: {
+      name: client.clientName,
+      mobile: client.mobile1,
+      adults: party.numberOfAdults,
+      children: children || null,
+    },
+    vehicle: {
+      name: vehicleBooking.vehicle.vehicleName,
+      numberOfVehicles: vehicleBooking.numberOfVehicles,
+      city: vehicleBooking.city?.cityName,
+      pickupPlace: vehicleBooking.pickupPlace,
+      fromDate: vehicleBooking.fromDate,
+      toDate: vehicleBooking.toDate,
+      days: vehicleBooking.days,
+    },
+    itineraries: vehicleBooking.vehicleItineraries.map((itinerary) => ({
+      day: itinerary.day,
+      date: itinerary.date,
+      city: itinerary.city?.cityName,
+      description: itinerary.description,
+    })),
+    hotelStops: vehicleBooking.vehicleHotelBookings.map((stop) => ({
+      city: stop.city?.cityName,
+      hotelName: stop.hotel.hotelName,
+      address: [
+        stop.hotel.hotelAddressLine1,
+        stop.hotel.hotelAddressLine2,
+        stop.hotel.hotelAddressLine3,
+      ]
+        .filter(Boolean)
+        .join(", "),
+      phone: stop.hotel.hotelContactNo1,
+      checkInDate: stop.checkInDate,
+      checkOutDate: stop.checkOutDate,
+      numberOfRooms: stop.numberOfRooms,
+      numberOfNights: stop.numberOfNights,
+      plan: stop.plan,
+    })),
+    notes: {
+      terms: vehicleBooking.terms,
+      specialRequest: vehicleBooking.specialRequest,
+      vehicleNote: vehicleBooking.vehicleNote,
+      specialNote: vehicleBooking.specialNote,
+      summaryNote: vehicleBooking.summaryNote,
+    },
+  };
+
+  const sanitizedHrvNumber = vehicleBooking.vehicleHrvNumber.replace(
+    /[\/\\]/g,
+    "-"
+  );
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "invoices",
+    "booking",
+    "vehicleDutySlip",
+    uuidv4(),
+    `duty-slip-${sanitizedHrvNumber}.pdf`
+  );
+
+  removeGeneratedPdf(vehicleBooking.dutySlipPath);
+  await generateVehicleDutySlip(dutySlipData, filePath);
+  await prisma.vehicleBooking.update({
+    where: { id: vehicleBooking.id },
+    data: { dutySlipPath: filePath },
+  });
+
+  return { vehicleBooking, dutySlipData, filePath };
+};
+
+// Download the duty slip PDF of a vehicle booking
+const downloadVehicleDutySlip = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const dutySlip = await buildVehicleDutySlip(
+      parseInt(id, 10),
+      req.user.agencyId
+    );
+    if (!dutySlip) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Vehicle booking not found" } });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.download(dutySlip.filePath, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+        if (!res.headersSent) {
+          res.status(500).send("Failed to download duty slip");
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to generate duty slip",
+        details: error.message,
+      },
+    });
+  }
+};
+
+// Email the duty slip PDF of a vehicle booking to its agent
+const emailVehicleDutySlip = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const dutySlip = await buildVehicleDutySlip(
+      parseInt(id, 10),
+      req.user.agencyId
+    );
+    if (!dutySlip) {
+      return res
+        .status(404)
+        .json({ errors: { message: "Vehicle booking not found" } });
+    }
+
+    const { dutySlipData } = dutySlip;
+    const recipient = dutySlip.vehicleBooking.agent.email1;
+    await emailService.sendEmail(
+      recipient,
+      `Vehicle Duty Slip ${dutySlipData.vehicleHrvNumber}`,
+      "vehicleDutySlip",
+      {
+        agencyName: dutySlipData.agency.businessName,
+        agentName: dutySlipData.agent.name,
+        vehicleHrvNumber: dutySlipData.vehicleHrvNumber,
+        guestName: dutySlipData.guest.name || "our guest",
+        vehicleName: dutySlipData.vehicle.name,
+        numberOfVehicles: dutySlipData.vehicle.numberOfVehicles,
+        fromDate: formatDate(dutySlipData.vehicle.fromDate),
+        toDate: formatDate(dutySlipData.vehicle.toDate),
+        pickupPlace: dutySlipData.vehicle.pickupPlace,
+      },
+      [{ filename: path.basename(dutySlip.filePath), path: dutySlip.filePath }]
+    );
+
+    res
+      .status(200)
+      .json({ message: "Duty slip emailed to the agent", recipient });
+  } catch (error) {
+    res.status(500).json({
+      errors: {
+        message: "Failed to email duty slip",
+        details: error.message,
+      },
+    });
+  }
+};
+
 module.exports = {
   createVehicleBooking,
   getVehicleBookingById,
   updateVehicleBooking,
   deleteVehicleBooking,
   getAllVehicleBookingsByBookingId,
+  downloadVehicleDutySlip,
+  emailVehicleDutySlip,
 };
@@ -0,0 +1,158 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const config = require("../config/config");
+const emailService = require("../services/emailService");
+const scheduleDaily = require("./scheduleDaily");
+
+const userSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+    communicationEmail: true,
+    active: true,
+  },
+};
+
+// Enquiries still being worked on: not yet won or lost in the pipeline
+const openEnquiryWhere = (dueBy) => ({
+  bookingType: "Enquiry",
+  deletedAt: null,
+  followUpDate: { lte: dueBy },
+  OR: [{ pipelineStageId: null }, { pipelineStage: { stageType: "open" } }],
+});
+
+const enquirySelect = {
+  id: true,
+  followUpDate: true,
+  remarks: true,
+  assignedTo: userSelect,
+  createdBy: userSelect,
+  agency: { select: { businessName: true } },
+  pipelineStage: { select: { name: true } },
+};
+
+/**
+ * Emails each user a digest of the follow-ups on their enquiries that are due
+ * today or overdue. An enquiry belongs to the staff member it is assigned to,
+ * falling back to its creator and then to whoever logged its last follow-up.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of digests sent.
+ */
+const sendFollowUpDigests = async (now = new Date()) => {
+  const today = dayjs(now).startOf("day");
+  const where = openEnquiryWhere(today.endOf("day").toDate());
+  const lastFollowUp = {
+    orderBy: { createdAt: "desc" },
+    take: 1,
+    select: { user: userSelect },
+  };
+
+  const [bookings, groupBookings] = await Promise.all([
+    prisma.booking.findMany({
+      where,
+      select: {
+        ...enquirySelect,
+        bookingNumber: true,
+        client: { select: { clientName: true } },
+        FollowUps: lastFollowUp,
+      },
+    }),
+    prisma.groupBooking.findMany({
+      where,
+      select: {
+        ...enquirySelect,
+        groupBookingNumber: true,
+        tour: { select: { tourTitle: true } },
+        followUps: lastFollowUp,
+      },
+    }),
+  ]);
+
+  const enquiries = [
+    ...bookings.map((booking) => ({
+      ...booking,
+      owner:
+        booking.assignedTo || booking.createdBy || booking.FollowUps[0]?.user,
+      name: booking.client?.clientName,
+    })),
+    ...groupBookings.map((groupBooking) => ({
+      ...groupBooking,
+      owner:
+        groupBooking.assignedTo ||
+        groupBooking.createdBy ||
+        groupBooking.followUps[0]?.user,
+      bookingNumber: groupBooking.groupBookingNumber,
+      name: groupBooking.tour?.tourTitle,
+    })),
+  ].sort((a, b) => new Date(a.followUpDate) - new Date(b.followUpDate));
+
+  const digests = new Map();
+  enquiries.forEach((enquiry) => {
+    if (!enquiry.owner?.active) return;
+    if (!digests.has(enquiry.owner.id)) {
+      digests.set(enquiry.owner.id, {
+        user: enquiry.owner,
+        agencyName: enquiry.agency.businessName,
+        overdue: [],
+        due: [],
+      });
+    }
+    const followUpDate = dayjs(enquiry.followUpDate);
+    const item = {
+      bookingNumber: enquiry.bookingNumber,
+      name: enquiry.name || "",
+      stage: enquiry.pipelineStage?.name || "",
+      followUpDate: followUpDate.format("DD/MM/YYYY"),
+      daysOverdue: today.diff(followUpDate.startOf("day"), "day"),
+      remarks: enquiry.remarks || "",
+    };
+    const digest = digests.get(enquiry.owner.id);
+    (item.daysOverdue > 0 ? digest.overdue : digest.due).push(item);
+  });
+
+  let sent = 0;
+  for (const digest of digests.values()) {
+    try {
+      await emailService.sendEmail(
+        digest.user.communicationEmail || digest.user.email,
+        `Follow-ups for ${today.format("DD/MM/YYYY")}: ${
+          digest.due.length
+        } due, ${digest.overdue.length} overdue`,
+        "followUpDigest",
+        {
+          appName: config.appName,
+          agencyName: digest.agencyName,
+          name: digest.user.name,
+          date: today.format("DD/MM/YYYY"),
+          due: digest.due,
+          overdue: digest.overdue,
+          link: config.frontendUrl,
+        }
+      );
+      sent += 1;
+    } catch (error) {
+      console.error(
+        `Failed to send follow-up digest to user ${digest.user.id}:`,
+        error.message
+      );
+    }
+  }
+  return sent;
+};
+
+/**
+ * Schedules the daily follow-up digest inside the API process. Does nothing
+ * when FOLLOW_UP_DIGEST_ENABLED is "false".
+ * @returns {void}
+ */
+const startFollowUpDigestJob = () => {
+  if (!config.followUpDigestEnabled) return;
+
+  scheduleDaily("Follow-up digest", config.followUpDigestTime, async () => {
+    const sent = await sendFollowUpDigests();
+    console.log(`Follow-up digest sent to ${sent} user(s)`);
+  });
+};
+
+module.exports = { sendFollowUpDigests, startFollowUpDigestJob };
@@ -0,0 +1,112 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const config = require("../config/config");
+const emailService = require("../services/emailService");
+const scheduleDaily = require("./scheduleDaily");
+
+/**
+ * Emails the contact person of each agency whose subscription ends within one
+ * of the reminder thresholds (RENEWAL_REMINDER_DAYS, 30, 15, 7 and 1 days by
+ * default). Each threshold is sent once per subscription; a threshold missed
+ * while the server was down is caught up on the next run.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of reminders sent.
+ */
+const sendRenewalReminders = async (now = new Date()) => {
+  const thresholds = [...config.renewalReminderDays].sort((a, b) => a - b);
+  if (thresholds.length === 0) return 0;
+
+  const today = dayjs(now).startOf("day");
+  const agencies = await prisma.agency.findMany({
+    where: {
+      currentSubscription: {
+        endDate: {
+          gte: now,
+          lte: today
+            .add(thresholds[thresholds.length - 1], "day")
+            .endOf("day")
+            .toDate(),
+        },
+      },
+      // Nothing to remind when the next term is already booked
+      subscriptions: { none: { cancelledAt: null, startDate: { gt: now } } },
+    },
+    select: {
+      id: true,
+      businessName: true,
+      contactPersonName: true,
+      contactPersonEmail: true,
+      currentSubscription: {
+        select: {
+          id: true,
+          endDate: true,
+          renewalReminderDays: true,
+          package: { select: { packageName: true } },
+        },
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const agency of agencies) {
+    const subscription = agency.currentSubscription;
+    const endDate = dayjs(subscription.endDate);
+    const daysLeft = endDate.startOf("day").diff(today, "day");
+    const threshold = thresholds.find((days) => days >= daysLeft);
+    if (
+      subscription.renewalReminderDays !== null &&
+      subscription.renewalReminderDays <= threshold
+    ) {
+      continue;
+    }
+
+    try {
+      await emailService.sendEmail(
+        agency.contactPersonEmail,
+        `Your ${config.appName} subscription ${
+          daysLeft === 0
+            ? "ends today"
+            : `ends in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`
+        }`,
+        "renewalReminder",
+        {
+          appName: config.appName,
+          name: agency.contactPersonName,
+          agencyName: agency.businessName,
+          packageName: subscription.package.packageName,
+          endDate: endDate.format("DD/MM/YYYY"),
+          daysLeft,
+          graceDays: config.subscriptionGraceDays,
+          link: config.frontendUrl,
+        }
+      );
+      await prisma.subscription.update({
+        where: { id: subscription.id },
+        data: { renewalReminderDays: threshold },
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(
+        `Failed to send renewal reminder to agency ${agency.id}:`,
+        error.message
+      );
+    }
+  }
+  return sent;
+};
+
+/**
+ * Schedules the daily renewal reminders inside the API process. Does nothing
+ * when RENEWAL_REMINDER_ENABLED is "false".
+ * @returns {void}
+ */
+const startRenewalReminderJob = () => {
+  if (!config.renewalReminderEnabled) return;
+
+  scheduleDaily("Renewal reminders", config.renewalReminderTime, async () => {
+    const sent = await sendRenewalReminders();
+    console.log(`Renewal reminders sent to ${sent} agency(s)`);
+  });
+};
+
+module.exports = { sendRenewalReminders, startRenewalReminderJob };
@@ -0,0 +1,40 @@
+const dayjs = require("dayjs");
+
+// Milliseconds until the next HH:mm in server time
+const delayUntil = (time) => {
+  const [hour, minute] = time.split(":").map((part) => parseInt(part, 10));
+  let next = dayjs()
+    .hour(hour || 0)
+    .minute(minute || 0)
+    .second(0)
+    .millisecond(0);
+  if (!next.isAfter(dayjs())) next = next.add(1, "day");
+  return next.diff(dayjs());
+};
+
+/**
+ * Runs `task` every day at `time` (HH:mm, server time) inside the API process.
+ * Failures are logged and the next run is still scheduled.
+ * @param {string} name - Used in log messages.
+ * @param {string} time
+ * @param {() => Promise<void>} task
+ * @returns {void}
+ */
+const scheduleDaily = (name, time, task) => {
+  const scheduleNext = () => {
+    const timer = setTimeout(async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`${name} failed:`, error);
+      }
+      scheduleNext();
+    }, delayUntil(time));
+    // Do not keep the process alive just for the job
+    timer.unref();
+  };
+
+  scheduleNext();
+};
+
+module.exports = scheduleDaily;
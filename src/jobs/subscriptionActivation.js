@@ -0,0 +1,28 @@
+const config = require("../config/config");
+const {
+  activateScheduledSubscriptions,
+} = require("../services/subscriptionService");
+const scheduleDaily = require("./scheduleDaily");
+
+const activate = async () => {
+  const activated = await activateScheduledSubscriptions();
+  console.log(`Scheduled subscriptions activated for ${activated} agency(s)`);
+};
+
+/**
+ * Switches agencies to their scheduled subscriptions (e.g. downgrades) once
+ * they start: on startup, to catch up after downtime, and then every day.
+ * @returns {void}
+ */
+const startSubscriptionActivationJob = () => {
+  activate().catch((error) =>
+    console.error("Scheduled subscription activation failed:", error)
+  );
+  scheduleDaily(
+    "Scheduled subscription activation",
+    config.subscriptionActivationTime,
+    activate
+  );
+};
+
+module.exports = { startSubscriptionActivationJob };
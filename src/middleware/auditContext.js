@@ -0,0 +1,32 @@
+const prisma = require("../config/db");
+const { runWithContext } = require("../utils/requestContext");
+
+/**
+ * Gives each request a context the audit extension queues its entries on,
+ * and writes them with the actor, agency, IP and user agent once the
+ * response has succeeded. Entries of requests that fail are dropped, as
+ * their transactions are rolled back.
+ * @type {import("express").RequestHandler}
+ */
+module.exports = (req, res, next) => {
+  const context = { auditEntries: [] };
+
+  res.on("finish", () => {
+    if (res.statusCode >= 400 || !context.auditEntries.length) return;
+    prisma.auditLog
+      .createMany({
+        data: context.auditEntries.map((entry) => ({
+          ...entry,
+          agencyId: entry.agencyId ?? req.user?.agencyId ?? null,
+          userId: req.user?.id ?? null,
+          ipAddress: req.ip || null,
+          userAgent: req.headers["user-agent"] || null,
+        })),
+      })
+      .catch((error) => {
+        console.error("Failed to write audit log:", error.message);
+      });
+  });
+
+  runWithContext(context, next);
+};
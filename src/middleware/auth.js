@@ -2,6 +2,14 @@ const jwt = require("jsonwebtoken");
 const createError = require("http-errors");
 const { secret } = require("../config/jwt");
 const prisma = require("../config/db");
+const { SUPER_ADMIN } = require("../config/roles");
+const {
+  getAgencySubscriptionState,
+} = require("../services/subscriptionStateService");
+const { isSessionActive } = require("../services/sessionService");
+const { resolveBranchScope } = require("../services/branchScopeService");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
 
 module.exports = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
@@ -13,12 +21,44 @@ module.exports = async (req, res, next) => {
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
     });
-    if (!user) {
+    // Tokens of a revoked session (logout, deactivation, password change)
+    // stop working before they expire
+    if (!user || !(await isSessionActive(decoded.sessionId, user.id))) {
       return next(createError(401, "Unauthorized"));
     }
     req.user = user;
-    next();
+    req.sessionId = decoded.sessionId;
   } catch (error) {
     return next(createError(401, "Unauthorized"));
   }
+
+  // Branch the request's data is limited to, for list filters and tenantGuard
+  try {
+    req.branchId = await resolveBranchScope(req);
+  } catch (error) {
+    return next(
+      error.status ? error : createError(500, "Error checking branch")
+    );
+  }
+
+  // Agencies past their subscription's grace period can read but not write;
+  // signing out stays possible
+  if (
+    !READ_METHODS.includes(req.method) &&
+    req.baseUrl !== "/auth" &&
+    req.user.role !== SUPER_ADMIN &&
+    req.user.agencyId
+  ) {
+    try {
+      const { status, warning } = await getAgencySubscriptionState(
+        req.user.agencyId
+      );
+      if (status === "read_only") {
+        return next(createError(403, warning));
+      }
+    } catch (error) {
+      return next(createError(500, "Error checking subscription"));
+    }
+  }
+  next();
 };
@@ -0,0 +1,51 @@
+const config = require("../config/config");
+
+/**
+ * Limits each client IP to `max` requests per window on the routes it is
+ * used on. Counts are kept in memory, so they are per process and start
+ * again on restart. Over the limit the response is a 429 with Retry-After.
+ * @param {{ name: string, max?: number, windowMinutes?: number }} options -
+ *   `name` keeps the counts of different routes apart.
+ * @returns {import("express").RequestHandler}
+ */
+module.exports = ({
+  name,
+  max = config.authRateLimitPerIp,
+  windowMinutes = config.authRateLimitWindowMinutes,
+}) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const hits = new Map(); // ip -> { count, resetAt }
+
+  // Forget windows that have ended so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, ip) => {
+      if (entry.resetAt <= now) hits.delete(ip);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip || "unknown";
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        errors: {
+          message: `Too many ${name} attempts. Try again in ${Math.ceil(
+            retryAfter / 60
+          )} minute(s).`,
+        },
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,57 @@
+const createError = require("http-errors");
+const { SUPER_ADMIN } = require("../config/roles");
+const {
+  TENANT_RESOURCES,
+  findRecordOwner,
+} = require("../services/tenantService");
+const { isRestrictedToAssigned } = require("../services/assignmentService");
+
+/**
+ * Lets a request through only when the record named by the route parameter
+ * belongs to the user's agency and, for records kept per branch, to the
+ * branch the request is limited to (req.branchId). Other records get the same
+ * 404 as missing ones, so their ids cannot be probed, and so do records in the
+ * trash or belonging to a booking in the trash, which can only be reached
+ * through /trash. When the agency restricts user-role staff to their own
+ * enquiries, records of an enquiry or booking assigned to someone else are
+ * hidden from them the same way. The super admin is not tied to an agency
+ * and is let through.
+ * @param {string} resource - A key of TENANT_RESOURCES in services/tenantService.
+ * @param {string} [param] - The route parameter holding the record id.
+ * @returns {import("express").RequestHandler}
+ */
+module.exports = (resource, param = "id") => {
+  if (!TENANT_RESOURCES[resource]) {
+    throw new Error(`Unknown tenant resource: ${resource}`);
+  }
+  const { label, branch, assignee } = TENANT_RESOURCES[resource];
+
+  return async (req, res, next) => {
+    if (req.user?.role === SUPER_ADMIN) return next();
+
+    try {
+      const id = parseInt(req.params[param], 10);
+      const owner = Number.isNaN(id)
+        ? null
+        : await findRecordOwner(resource, id);
+
+      if (
+        !req.user?.agencyId ||
+        !owner ||
+        owner.agencyId !== req.user.agencyId ||
+        owner.deletedAt ||
+        (branch && req.branchId && owner.branchId !== req.branchId) ||
+        (assignee &&
+          owner.assignedToId !== req.user.id &&
+          (await isRestrictedToAssigned(req.user)))
+      ) {
+        return res
+          .status(404)
+          .json({ errors: { message: `${label} not found` } });
+      }
+      return next();
+    } catch (error) {
+      return next(createError(500, "Error checking record access"));
+    }
+  };
+};
@@ -0,0 +1,23 @@
+const createError = require("http-errors");
+const auth = require("./auth");
+const { verifyChallengeToken } = require("../services/twoFactorService");
+
+// Two-factor enrollment is open to signed-in users and, with the challenge
+// token from login, to users whose agency requires them to enroll before
+// they can sign in.
+module.exports = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return auth(req, res, next);
+  }
+  try {
+    const { user, deviceName } = await verifyChallengeToken(
+      req.body.challengeToken,
+      "2fa_setup"
+    );
+    req.user = user;
+    req.twoFactorChallenge = { deviceName };
+    next();
+  } catch (error) {
+    next(createError(error.status || 401, error.message));
+  }
+};
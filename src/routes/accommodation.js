@@ -10,6 +10,7 @@ const {
 } = require("../controllers/accommodationController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,7 @@ router.get("/all", auth, acl("accommodations.read"), getAllAccommodations);
  *       500:
  *         description: Failed to fetch accommodation
  */
-router.get("/:id", auth, acl("accommodations.read"), getAccommodationById);
+router.get("/:id", auth, acl("accommodations.read"), tenantGuard("accommodation"), getAccommodationById);
 
 /**
  * @swagger
@@ -231,13 +232,14 @@ router.get("/:id", auth, acl("accommodations.read"), getAccommodationById);
  *       500:
  *         description: Failed to update accommodation
  */
-router.put("/:id", auth, acl("accommodations.write"), updateAccommodation);
+router.put("/:id", auth, acl("accommodations.write"), tenantGuard("accommodation"), updateAccommodation);
 
 /**
  * @swagger
  * /accommodations/{id}:
  *   delete:
  *     summary: Delete accommodation by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Accommodations]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +258,6 @@ router.put("/:id", auth, acl("accommodations.write"), updateAccommodation);
  *       500:
  *         description: Failed to delete accommodation
  */
-router.delete("/:id", auth, acl("accommodations.delete"), deleteAccommodation);
+router.delete("/:id", auth, acl("accommodations.delete"), tenantGuard("accommodation"), deleteAccommodation);
 
 module.exports = router;
\ No newline at end of file
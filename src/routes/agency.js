@@ -10,6 +10,7 @@ const {
 } = require("../controllers/agencyController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 const multer = require("multer");
 const agencyUploadConfig = [
@@ -314,7 +315,13 @@ router.post(
  *       500:
  *         description: Failed to fetch agency
  */
-router.get("/:id", auth, acl("agencies.read"), getAgencyById);
+router.get(
+  "/:id",
+  auth,
+  acl("agencies.read"),
+  tenantGuard("agency"),
+  getAgencyById
+);
 
 /**
  * @swagger
@@ -379,6 +386,7 @@ router.put(
   "profile/:id",
   auth,
   acl("agencies.write"),
+  tenantGuard("agency"),
   ...uploadMiddleware, // Spread the array of middleware functions
   updateAgencyProfile
 );
@@ -446,6 +454,7 @@ router.put(
   "/:id",
   auth,
   acl("agencies.write"),
+  tenantGuard("agency"),
   ...uploadMiddleware, // Spread the array of middleware functions
   updateAgency
 );
@@ -473,6 +482,12 @@ router.put(
  *       500:
  *         description: Failed to delete agency
  */
-router.delete("/:id", auth, acl("agencies.delete"), deleteAgency);
+router.delete(
+  "/:id",
+  auth,
+  acl("agencies.delete"),
+  tenantGuard("agency"),
+  deleteAgency
+);
 
 module.exports = router;
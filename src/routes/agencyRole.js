@@ -0,0 +1,302 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  getAgencyRoles,
+  getAgencyRoleById,
+  createAgencyRole,
+  updateAgencyRole,
+  deleteAgencyRole,
+  updateSystemRole,
+  resetSystemRole,
+} = require("../controllers/agencyRoleController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AgencyRoles
+ *   description: Roles and permission grants of the agency
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgencyRole:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for a built-in role the agency has not changed
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         systemRole:
+ *           type: string
+ *           nullable: true
+ *           enum: [admin, branch_admin, user]
+ *           description: Set for the built-in roles, null for custom roles
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         userCount:
+ *           type: integer
+ *         customized:
+ *           type: boolean
+ *           description: Whether the grants are stored by the agency rather than the defaults
+ *         editable:
+ *           type: boolean
+ *           description: The admin role always keeps its default grants
+ *     AgencyRoleInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - permissions
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Accounts
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["bookings.read", "bookingReceipts.read", "bookingReceipts.write"]
+ */
+
+/**
+ * @swagger
+ * /agency-roles/permissions:
+ *   get:
+ *     summary: Get the catalog of permissions roles can be granted
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions grouped by module
+ */
+router.get("/permissions", auth, acl("agencyRoles.read"), getPermissions);
+
+/**
+ * @swagger
+ * /agency-roles:
+ *   get:
+ *     summary: Get the built-in and custom roles of the agency
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgencyRole'
+ *       500:
+ *         description: Failed to fetch roles
+ */
+router.get("/", auth, acl("agencyRoles.read"), getAgencyRoles);
+
+/**
+ * @swagger
+ * /agency-roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgencyRoleInput'
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error, a duplicate name or a permission not in the catalog
+ *       500:
+ *         description: Failed to create role
+ */
+router.post("/", auth, acl("agencyRoles.write"), createAgencyRole);
+
+/**
+ * @swagger
+ * /agency-roles/system/{systemRole}:
+ *   put:
+ *     summary: Change the permissions of the branch_admin or user built-in role
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemRole
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [branch_admin, user]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: A permission not in the catalog
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Failed to update role
+ *   delete:
+ *     summary: Put a built-in role back on the default permissions
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: systemRole
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [branch_admin, user]
+ *     responses:
+ *       200:
+ *         description: Role reset to the default permissions
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Failed to reset role
+ */
+router.put(
+  "/system/:systemRole",
+  auth,
+  acl("agencyRoles.write"),
+  updateSystemRole
+);
+router.delete(
+  "/system/:systemRole",
+  auth,
+  acl("agencyRoles.write"),
+  resetSystemRole
+);
+
+/**
+ * @swagger
+ * /agency-roles/{id}:
+ *   get:
+ *     summary: Get a role by ID
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AgencyRole'
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Failed to fetch role
+ *   put:
+ *     summary: Update a custom role
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgencyRoleInput'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, a duplicate name or a permission not in the catalog
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Failed to update role
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [AgencyRoles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role is still assigned to staff
+ *       500:
+ *         description: Failed to delete role
+ */
+router.get(
+  "/:id",
+  auth,
+  acl("agencyRoles.read"),
+  tenantGuard("agencyRole"),
+  getAgencyRoleById
+);
+router.put(
+  "/:id",
+  auth,
+  acl("agencyRoles.write"),
+  tenantGuard("agencyRole"),
+  updateAgencyRole
+);
+router.delete(
+  "/:id",
+  auth,
+  acl("agencyRoles.write"),
+  tenantGuard("agencyRole"),
+  deleteAgencyRole
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAgencySettings,
+  updateAgencySettings,
+} = require("../controllers/agencySettingController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AgencySettings
+ *   description: Agency-wide preferences
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgencySettingInput:
+ *       type: object
+ *       required:
+ *         - autoAssignStrategy
+ *         - restrictToAssignedEnquiries
+ *       properties:
+ *         autoAssignStrategy:
+ *           type: string
+ *           enum: [none, round_robin, least_loaded]
+ *           description: How new enquiries and bookings are assigned to the staff of their branch. With none they are assigned to the user who creates them.
+ *         restrictToAssignedEnquiries:
+ *           type: boolean
+ *           description: When true, user-role staff only see the enquiries and bookings assigned to them
+ *         requireTwoFactor:
+ *           type: boolean
+ *           description: When true, admin and branch_admin users must use two-factor authentication and enroll at their next login
+ */
+
+/**
+ * @swagger
+ * /agency-settings:
+ *   get:
+ *     summary: Get the settings of the agency
+ *     tags: [AgencySettings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Agency settings, or the defaults when never saved
+ *       500:
+ *         description: Failed to fetch agency settings
+ */
+router.get("/", auth, acl("agencySettings.read"), getAgencySettings);
+
+/**
+ * @swagger
+ * /agency-settings:
+ *   put:
+ *     summary: Update the settings of the agency
+ *     tags: [AgencySettings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgencySettingInput'
+ *     responses:
+ *       200:
+ *         description: Agency settings updated
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Failed to update agency settings
+ */
+router.put("/", auth, acl("agencySettings.write"), updateAgencySettings);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
 } = require("../controllers/agentController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -298,7 +299,13 @@ router.get("/all", auth, acl("agents.read"), getAllAgents);
  *       500:
  *         description: Failed to fetch agent
  */
-router.get("/:id", auth, acl("agents.read"), getAgentById);
+router.get(
+  "/:id",
+  auth,
+  acl("agents.read"),
+  tenantGuard("agent"),
+  getAgentById
+);
 
 /**
  * @swagger
@@ -395,13 +402,20 @@ router.get("/:id", auth, acl("agents.read"), getAgentById);
  *       500:
  *         description: Failed to update agent
  */
-router.put("/:id", auth, acl("agents.write"), updateAgent);
+router.put(
+  "/:id",
+  auth,
+  acl("agents.write"),
+  tenantGuard("agent"),
+  updateAgent
+);
 
 /**
  * @swagger
  * /agents/{id}:
  *   delete:
  *     summary: Delete an agent by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Agents]
  *     security:
  *       - bearerAuth: []
@@ -420,6 +434,12 @@ router.put("/:id", auth, acl("agents.write"), updateAgent);
  *       500:
  *         description: Failed to delete agent
  */
-router.delete("/:id", auth, acl("agents.delete"), deleteAgent);
+router.delete(
+  "/:id",
+  auth,
+  acl("agents.delete"),
+  tenantGuard("agent"),
+  deleteAgent
+);
 
 module.exports = router;
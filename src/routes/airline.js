@@ -10,6 +10,7 @@ const {
 } = require("../controllers/airlineController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,13 @@ router.get("/all", auth, acl("airlines.read"), getAllAirlines);
  *       500:
  *         description: Failed to fetch airline
  */
-router.get("/:id", auth, acl("airlines.read"), getAirlineById);
+router.get(
+  "/:id",
+  auth,
+  acl("airlines.read"),
+  tenantGuard("airline"),
+  getAirlineById
+);
 
 /**
  * @swagger
@@ -231,13 +238,20 @@ router.get("/:id", auth, acl("airlines.read"), getAirlineById);
  *       500:
  *         description: Failed to update airline
  */
-router.put("/:id", auth, acl("airlines.write"), updateAirline);
+router.put(
+  "/:id",
+  auth,
+  acl("airlines.write"),
+  tenantGuard("airline"),
+  updateAirline
+);
 
 /**
  * @swagger
  * /airlines/{id}:
  *   delete:
  *     summary: Delete airline by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Airlines]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +270,12 @@ router.put("/:id", auth, acl("airlines.write"), updateAirline);
  *       500:
  *         description: Failed to delete airline
  */
-router.delete("/:id", auth, acl("airlines.delete"), deleteAirline);
+router.delete(
+  "/:id",
+  auth,
+  acl("airlines.delete"),
+  tenantGuard("airline"),
+  deleteAirline
+);
 
 module.exports = router;
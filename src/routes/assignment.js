@@ -0,0 +1,181 @@
+const express = require("express");
+const router = express.Router();
+const {
+  assignBookingToStaff,
+  assignGroupBookingToStaff,
+  getBookingAssignments,
+  getGroupBookingAssignments,
+} = require("../controllers/assignmentController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Assignments
+ *   description: Staff ownership of enquiries and bookings
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssignmentInput:
+ *       type: object
+ *       required:
+ *         - userId
+ *       properties:
+ *         userId:
+ *           type: integer
+ *           nullable: true
+ *           description: Staff member to assign to, or null to unassign
+ *         reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /assignments/bookings/{id}:
+ *   put:
+ *     summary: Assign a booking or enquiry to a staff member
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentInput'
+ *     responses:
+ *       200:
+ *         description: Booking with its assigned staff member
+ *       400:
+ *         description: Validation error or staff member not found
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is already assigned to the staff member
+ *       500:
+ *         description: Failed to assign booking
+ */
+router.put(
+  "/bookings/:id",
+  auth,
+  acl("assignments.write"),
+  tenantGuard("booking"),
+  assignBookingToStaff
+);
+
+/**
+ * @swagger
+ * /assignments/bookings/{id}/history:
+ *   get:
+ *     summary: Get the assignment history of a booking or enquiry
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Assignments, oldest first
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to fetch assignment history
+ */
+router.get(
+  "/bookings/:id/history",
+  auth,
+  acl("assignments.read"),
+  tenantGuard("booking"),
+  getBookingAssignments
+);
+
+/**
+ * @swagger
+ * /assignments/group-bookings/{id}:
+ *   put:
+ *     summary: Assign a group booking or enquiry to a staff member
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentInput'
+ *     responses:
+ *       200:
+ *         description: Group booking with its assigned staff member
+ *       400:
+ *         description: Validation error or staff member not found
+ *       404:
+ *         description: Group booking not found
+ *       409:
+ *         description: Group booking is already assigned to the staff member
+ *       500:
+ *         description: Failed to assign booking
+ */
+router.put(
+  "/group-bookings/:id",
+  auth,
+  acl("assignments.write"),
+  tenantGuard("groupBooking"),
+  assignGroupBookingToStaff
+);
+
+/**
+ * @swagger
+ * /assignments/group-bookings/{id}/history:
+ *   get:
+ *     summary: Get the assignment history of a group booking or enquiry
+ *     tags: [Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group booking ID
+ *     responses:
+ *       200:
+ *         description: Assignments, oldest first
+ *       404:
+ *         description: Group booking not found
+ *       500:
+ *         description: Failed to fetch assignment history
+ */
+router.get(
+  "/group-bookings/:id/history",
+  auth,
+  acl("assignments.read"),
+  tenantGuard("groupBooking"),
+  getGroupBookingAssignments
+);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require("express");
+const router = express.Router();
+const { getAuditLogs } = require("../controllers/auditLogController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AuditLogs
+ *   description: Who created, changed or deleted what in the agency
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         entityType:
+ *           type: string
+ *           example: HotelBooking
+ *         entityId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for bulk updates and deletes
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: The changed fields before an update, or the deleted record. For bulk changes, the filter and number of records ({ where, count }).
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: The changed fields after an update, or the created record. For bulk updates, the values set.
+ *         bookingId:
+ *           type: integer
+ *           nullable: true
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /audit-logs:
+ *   get:
+ *     summary: Get the audit log of the agency
+ *     tags: [AuditLogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: Model name, e.g. Booking or HotelBooking
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Who made the change
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: integer
+ *         description: Changes to a booking and the records that belong to it
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Audit log entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 auditLogs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalAuditLogs:
+ *                   type: integer
+ *       400:
+ *         description: Invalid action
+ *       500:
+ *         description: Failed to fetch audit logs
+ */
+router.get("/", auth, acl("auditLogs.read"), getAuditLogs);
+
+module.exports = router;
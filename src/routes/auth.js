@@ -2,6 +2,9 @@ const express = require('express');
 
 const router = express.Router();
 const authController = require('../controllers/authController');
+const auth = require('../middleware/auth');
+const twoFactorSetup = require('../middleware/twoFactorSetup');
+const rateLimit = require('../middleware/rateLimit');
 
 /**
  * @swagger
@@ -61,17 +64,33 @@ router.post('/register', authController.register);
  *               password:
  *                 type: string
  *                 description: Password for the user account
+ *               deviceName:
+ *                 type: string
+ *                 description: Name shown for this session in the session list
  *     responses:
  *       200:
- *         description: Successful login
+ *         description: Successful login. When a second factor is needed the response only has twoFactorRequired, twoFactorSetupRequired and a challengeToken valid for 5 minutes; finish with /auth/2fa/verify, or enroll with /auth/2fa/setup and /auth/2fa/enable when setup is required.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: The agency requires two-factor authentication for the user's role and the user has not enrolled yet
+ *                 challengeToken:
+ *                   type: string
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchanged at /auth/refresh for new tokens; single use
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Lifetime of the access token, e.g. 15m
  *                 user:
  *                   type: object
  *                   properties:
@@ -87,14 +106,36 @@ router.post('/register', authController.register);
  *                       type: boolean
  *                     lastLogin:
  *                       type: string
+ *                     subscription:
+ *                       type: object
+ *                       description: Agency users only. Once the subscription has ended, status is grace (full access with a warning) for SUBSCRIPTION_GRACE_DAYS days and then read_only, where only GET requests are allowed.
+ *                       properties:
+ *                         status:
+ *                           type: string
+ *                           enum: [active, grace, read_only]
+ *                         daysToExpiry:
+ *                           type: integer
+ *                         graceEndsOn:
+ *                           type: string
+ *                           format: date-time
+ *                         inGracePeriod:
+ *                           type: boolean
+ *                         readOnly:
+ *                           type: boolean
+ *                         warning:
+ *                           type: string
  *       400:
  *         description: Bad request
  *       401:
  *         description: Invalid email or password
  *       403:
  *         description: Account is inactive
+ *       423:
+ *         description: The email is locked after LOGIN_MAX_FAILED_ATTEMPTS failed logins, for LOGIN_LOCKOUT_MINUTES minutes, whether or not it belongs to an account
+ *       429:
+ *         description: Too many attempts from this IP address
  */
-router.post('/login', authController.login);
+router.post('/login', rateLimit({ name: 'login' }), authController.login);
 
 /**
  * @swagger
@@ -114,13 +155,17 @@ router.post('/login', authController.login);
  *                 description: Email address of the user
  *     responses:
  *       200:
- *         description: Password reset link sent successfully
+ *         description: Password reset link sent when the email belongs to a user; the same answer is given when it does not
  *       400:
  *         description: Bad request
- *       404:
- *         description: User not found
+ *       429:
+ *         description: Too many attempts from this IP address
  */
-router.post('/forgot-password', authController.forgotPassword);
+router.post(
+  '/forgot-password',
+  rateLimit({ name: 'password reset' }),
+  authController.forgotPassword
+);
 
 /**
  * @swagger
@@ -150,21 +195,310 @@ router.post('/forgot-password', authController.forgotPassword);
  *         description: Password reset successful
  *       400:
  *         description: Invalid or expired token
+ *       429:
+ *         description: Too many attempts from this IP address
+ */
+router.post(
+  '/reset-password/:token',
+  rateLimit({ name: 'password reset' }),
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: Returns a new access token and a new refresh token; the old refresh token stops working. Using a refresh token that has already been exchanged revokes its session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token, refreshToken and expiresIn
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       403:
+ *         description: Account is inactive
  */
-router.post('/reset-password/:token', authController.resetPassword);
+router.post('/refresh', rateLimit({ name: 'refresh' }), authController.refresh);
 
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     summary: Logout a user
+ *     description: Revokes the session the refresh token belongs to. Its access tokens stop working too.
  *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logged out successfully
+ *       400:
+ *         description: Refresh token is required
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes all of the signed-in user's sessions, including the current one.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all sessions
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth, authController.logoutAll);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: Get the signed-in user's open sessions
+ *     description: One session per signed-in device, most recently used first. The session making the request has current set to true.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device name, user agent, IP address and last use
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth, authController.getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the signed-in user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, authController.deleteSession);
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Finish a login with a second factor
+ *     description: Takes the challenge token from /auth/login and an authenticator code or a one-time backup code. Returns the same response as a login without two-factor authentication.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Successful login
+ *       400:
+ *         description: Missing or invalid code; counts towards the account lockout
+ *       401:
+ *         description: Invalid or expired challenge token
+ *       423:
+ *         description: Account is locked
+ *       429:
+ *         description: Too many attempts from this IP address
+ */
+router.post(
+  '/2fa/verify',
+  rateLimit({ name: 'two-factor' }),
+  authController.verifyTwoFactor
+);
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get the signed-in user's two-factor authentication status
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, required (by the agency policy) and backupCodesRemaining
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', auth, authController.getTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and an otpauth:// URI to show as a QR code in an authenticator app. Two-factor authentication is turned on by /auth/2fa/enable. Signed-in users send their bearer token; users who must enroll during login send the challenge token instead.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup challenge token from /auth/login
+ *     responses:
+ *       200:
+ *         description: secret and otpauthUrl
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', twoFactorSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Turn on two-factor authentication
+ *     description: Confirms enrollment with a code from the authenticator app and returns 10 one-time backup codes, shown only once. With a setup challenge token the login is completed too and the response also has the login tokens.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: backupCodes, and the login response when a challenge token was used
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/enable', twoFactorSetup, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Missing or invalid code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The agency requires two-factor authentication for the user's role
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ */
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backupCodes; the old ones stop working
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is not enabled
  */
-router.post('/logout', (req, res) => {
-  res.json({ message: 'Logged out' });
-});
+router.post('/2fa/backup-codes', auth, authController.regenerateBackupCodes);
 
 module.exports = router;
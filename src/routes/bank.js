@@ -10,6 +10,7 @@ const {
 } = require("../controllers/bankController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,7 @@ router.get("/all", auth, acl("banks.read"), getAllBanks);
  *       500:
  *         description: Failed to fetch bank
  */
-router.get("/:id", auth, acl("banks.read"), getBankById);
+router.get("/:id", auth, acl("banks.read"), tenantGuard("bank"), getBankById);
 
 /**
  * @swagger
@@ -231,13 +232,14 @@ router.get("/:id", auth, acl("banks.read"), getBankById);
  *       500:
  *         description: Failed to update bank
  */
-router.put("/:id", auth, acl("banks.write"), updateBank);
+router.put("/:id", auth, acl("banks.write"), tenantGuard("bank"), updateBank);
 
 /**
  * @swagger
  * /banks/{id}:
  *   delete:
  *     summary: Delete bank by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Banks]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +258,12 @@ router.put("/:id", auth, acl("banks.write"), updateBank);
  *       500:
  *         description: Failed to delete bank
  */
-router.delete("/:id", auth, acl("banks.delete"), deleteBank);
+router.delete(
+  "/:id",
+  auth,
+  acl("banks.delete"),
+  tenantGuard("bank"),
+  deleteBank
+);
 
 module.exports = router;
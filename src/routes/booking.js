@@ -7,9 +7,12 @@ const {
   updateBooking,
   deleteBooking,
   getTourEnquiries,
+  downloadBookingItinerary,
 } = require("../controllers/bookingController");
+const { getBookingActivity } = require("../controllers/auditLogController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -37,6 +40,7 @@ const acl = require("../middleware/acl");
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/BranchContext'
  *       - in: query
  *         name: page
  *         schema:
@@ -89,6 +93,12 @@ const acl = require("../middleware/acl");
  *         schema:
  *           type: string
  *         description: Filter by client name
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only those assigned to the logged in user. Always applied for user-role staff when the agency restricts them to their assigned enquiries.
  *     responses:
  *       200:
  *         description: List of all bookings
@@ -167,6 +177,7 @@ router.get("/", auth, acl("bookings.read"), getBookings);
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/BranchContext'
  *       - in: query
  *         name: page
  *         schema:
@@ -219,6 +230,12 @@ router.get("/", auth, acl("bookings.read"), getBookings);
  *         schema:
  *           type: string
  *         description: Filter by client name
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only those assigned to the logged in user. Always applied for user-role staff when the agency restricts them to their assigned enquiries.
  *     responses:
  *       200:
  *         description: List of all bookings
@@ -314,6 +331,9 @@ router.get("/enquiries", auth, acl("bookings.read"), getTourEnquiries);
  *                 format: date-time
  *               budgetField:
  *                 type: string
+ *               enquirySource:
+ *                 type: string
+ *                 description: Where the enquiry came from, e.g. Walk-in, Phone, Website or Referral
  *               clientId:
  *                 type: integer
  *               numberOfAdults:
@@ -435,7 +455,93 @@ router.post("/", auth, acl("bookings.write"), createBooking);
  *       500:
  *         description: Failed to fetch booking
  */
-router.get("/:id", auth, acl("bookings.read"), getBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("bookings.read"),
+  tenantGuard("booking"),
+  getBookingById
+);
+
+/**
+ * @swagger
+ * /bookings/{id}/itinerary:
+ *   get:
+ *     summary: Download the final itinerary PDF of a confirmed booking
+ *     description: Merges the day-wise plan with journeys, hotel check-ins, transfers and the passenger list. The PDF is regenerated on every request.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Itinerary PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not confirmed
+ *       500:
+ *         description: Failed to generate itinerary
+ */
+router.get(
+  "/:id/itinerary",
+  auth,
+  acl("bookings.read"),
+  tenantGuard("booking"),
+  downloadBookingItinerary
+);
+
+/**
+ * @swagger
+ * /bookings/{id}/activity:
+ *   get:
+ *     summary: Get the activity timeline of a booking
+ *     description: Every recorded change to the booking and to the records that belong to it, such as its hotel, journey, service and vehicle bookings, travel documents, receipts and follow-ups, oldest first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Activity timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 activity:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to fetch booking activity
+ */
+router.get(
+  "/:id/activity",
+  auth,
+  acl("bookings.read"),
+  tenantGuard("booking"),
+  getBookingActivity
+);
 /**
  * @swagger
  * /bookings/{id}:
@@ -469,6 +575,9 @@ router.get("/:id", auth, acl("bookings.read"), getBookingById);
  *                 format: date-time
  *               budgetField:
  *                 type: string
+ *               enquirySource:
+ *                 type: string
+ *                 description: Where the enquiry came from, e.g. Walk-in, Phone, Website or Referral
  *               clientId:
  *                 type: integer
  *               numberOfAdults:
@@ -501,13 +610,20 @@ router.get("/:id", auth, acl("bookings.read"), getBookingById);
  *       500:
  *         description: Failed to update booking
  */
-router.put("/:id", auth, acl("bookings.write"), updateBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("bookings.write"),
+  tenantGuard("booking"),
+  updateBooking
+);
 
 /**
  * @swagger
  * /bookings/{id}:
  *   delete:
  *     summary: Delete booking by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -526,6 +642,12 @@ router.put("/:id", auth, acl("bookings.write"), updateBooking);
  *       500:
  *         description: Failed to delete booking
  */
-router.delete("/:id", auth, acl("bookings.delete"), deleteBooking);
+router.delete(
+  "/:id",
+  auth,
+  acl("bookings.delete"),
+  tenantGuard("booking"),
+  deleteBooking
+);
 
 module.exports = router;
@@ -2,12 +2,13 @@ const express = require("express");
 const router = express.Router();
 const {
   createBookingReceipt,
-  deleteBookingReceipt,
+  cancelBookingReceipt,
   getAllBookingReceiptsByBookingId,
   generateInvoice,
 } = require("../controllers/bookingReceiptController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -41,6 +42,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("bookingReceipts.read"),
+  tenantGuard("booking"),
   getAllBookingReceiptsByBookingId
 );
 
@@ -79,7 +81,13 @@ router.get(
  *         description: Server error while generating invoice
  */
 
-router.get("/:id/invoice", auth, acl("bookingReceipts.read"), generateInvoice);
+router.get(
+  "/:id/invoice",
+  auth,
+  acl("bookingReceipts.read"),
+  tenantGuard("bookingReceipt"),
+  generateInvoice
+);
 
 /**
  * @swagger
@@ -136,13 +144,20 @@ router.get("/:id/invoice", auth, acl("bookingReceipts.read"), generateInvoice);
  *       500:
  *         description: Failed to create booking receipt
  */
-router.post("/:id", auth, acl("bookingReceipts.write"), createBookingReceipt);
+router.post(
+  "/:id",
+  auth,
+  acl("bookingReceipts.write"),
+  tenantGuard("booking"),
+  createBookingReceipt
+);
 
 /**
  * @swagger
- * /booking-receipts/{id}:
- *   delete:
- *     summary: Delete a booking receipt
+ * /booking-receipts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a booking receipt
+ *     description: Receipts are cancelled instead of deleted so the receipt and invoice number series has no gaps. Cancelled receipts are left out of the ledger and the GST register.
  *     tags: [BookingReceipts]
  *     security:
  *       - bearerAuth: []
@@ -153,19 +168,35 @@ router.post("/:id", auth, acl("bookingReceipts.write"), createBookingReceipt);
  *         schema:
  *           type: integer
  *         description: Booking receipt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
- *       204:
- *         description: Booking receipt deleted
+ *       200:
+ *         description: Booking receipt cancelled
+ *       400:
+ *         description: Validation error
  *       404:
  *         description: Booking receipt not found
+ *       409:
+ *         description: Receipt already cancelled or has credit notes
  *       500:
- *         description: Failed to delete booking receipt
+ *         description: Failed to cancel booking receipt
  */
-router.delete(
-  "/:id",
+router.post(
+  "/:id/cancel",
   auth,
   acl("bookingReceipts.delete"),
-  deleteBookingReceipt
+  tenantGuard("bookingReceipt"),
+  cancelBookingReceipt
 );
 
 module.exports = router;
@@ -10,6 +10,7 @@ const {
 } = require("../controllers/branchController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -26,6 +27,14 @@ const acl = require("../middleware/acl");
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *   parameters:
+ *     BranchContext:
+ *       in: header
+ *       name: X-Branch-Id
+ *       required: false
+ *       schema:
+ *         type: integer
+ *       description: Limits an admin's request to one branch of the agency. Branch admins and users always see their own branch only. A branchId query parameter works the same.
  */
 
 /**
@@ -134,7 +143,7 @@ router.get("/all", auth, acl("branches.read"), getAllBranches);
  *       500:
  *         description: Internal server error
  */
-router.get("/:id", auth, getBranchById);
+router.get("/:id", auth, tenantGuard("branch"), getBranchById);
 
 /**
  * @swagger
@@ -183,7 +192,7 @@ router.get("/:id", auth, getBranchById);
  *       500:
  *         description: Internal server error
  */
-router.put("/:id", auth, updateBranch);
+router.put("/:id", auth, tenantGuard("branch"), updateBranch);
 
 /**
  * @swagger
@@ -208,6 +217,6 @@ router.put("/:id", auth, updateBranch);
  *       500:
  *         description: Internal server error
  */
-router.delete("/:id", auth, deleteBranch);
+router.delete("/:id", auth, tenantGuard("branch"), deleteBranch);
 
 module.exports = router;
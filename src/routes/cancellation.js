@@ -0,0 +1,376 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCancellations,
+  getCancellationById,
+  previewBookingCancellation,
+  cancelBooking,
+  previewGroupClientCancellation,
+  cancelGroupClient,
+  recordRefund,
+} = require("../controllers/cancellationController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cancellations
+ *   description: Booking and group client cancellations and refunds
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationInput:
+ *       type: object
+ *       required:
+ *         - cancellationDate
+ *         - reason
+ *       properties:
+ *         cancellationDate:
+ *           type: string
+ *           format: date
+ *         reason:
+ *           type: string
+ *         cancellationCharges:
+ *           type: number
+ *           description: Charges agreed with the client, used instead of the cancellation policy; at most the booking charges
+ */
+
+/**
+ * @swagger
+ * /cancellations:
+ *   get:
+ *     summary: Get all cancellations with pagination, sorting and filters
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of cancellations per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by booking number, client name or refund number
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort order
+ *       - in: query
+ *         name: refundStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, refunded]
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of cancellations
+ *       500:
+ *         description: Failed to fetch cancellations
+ */
+router.get("/", auth, acl("cancellations.read"), getCancellations);
+
+/**
+ * @swagger
+ * /cancellations/booking/{id}/preview:
+ *   get:
+ *     summary: Preview the charges and refundable amount of cancelling a booking
+ *     description: Charges are worked out from the agency's cancellation policy slab for the days left to the journey date, on the booking's journey, hotel, vehicle and service charges. Nothing is saved.
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *       - in: query
+ *         name: cancellationDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: cancellationCharges
+ *         schema:
+ *           type: number
+ *         description: Charges agreed with the client, used instead of the policy; at most the booking charges
+ *     responses:
+ *       200:
+ *         description: Cancellation charges and refundable amount
+ *       400:
+ *         description: Validation error, or charges above the booking charges
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not confirmed or is already cancelled
+ *       500:
+ *         description: Failed to preview cancellation
+ */
+router.get(
+  "/booking/:id/preview",
+  auth,
+  acl("cancellations.read"),
+  tenantGuard("booking"),
+  previewBookingCancellation
+);
+
+/**
+ * @swagger
+ * /cancellations/booking/{id}:
+ *   post:
+ *     summary: Cancel a booking
+ *     description: Records the cancellation charges and refundable amount and marks the booking and its journey, hotel, vehicle and service bookings as cancelled.
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationInput'
+ *     responses:
+ *       201:
+ *         description: Booking cancelled
+ *       400:
+ *         description: Validation error, or charges above the booking charges
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not confirmed or is already cancelled
+ *       500:
+ *         description: Failed to cancel booking
+ */
+router.post(
+  "/booking/:id",
+  auth,
+  acl("cancellations.write"),
+  tenantGuard("booking"),
+  cancelBooking
+);
+
+/**
+ * @swagger
+ * /cancellations/group-client/{id}/preview:
+ *   get:
+ *     summary: Preview the charges and refundable amount of cancelling a group client
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group client ID
+ *       - in: query
+ *         name: cancellationDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: cancellationCharges
+ *         schema:
+ *           type: number
+ *         description: Charges agreed with the client, used instead of the policy; at most the booking charges
+ *     responses:
+ *       200:
+ *         description: Cancellation charges and refundable amount
+ *       400:
+ *         description: Validation error, or charges above the booking charges
+ *       404:
+ *         description: Group client not found
+ *       409:
+ *         description: Group booking is not confirmed or the client is already cancelled
+ *       500:
+ *         description: Failed to preview cancellation
+ */
+router.get(
+  "/group-client/:id/preview",
+  auth,
+  acl("cancellations.read"),
+  tenantGuard("groupClient"),
+  previewGroupClientCancellation
+);
+
+/**
+ * @swagger
+ * /cancellations/group-client/{id}:
+ *   post:
+ *     summary: Cancel a group client
+ *     description: Records the cancellation charges and refundable amount and marks the group client and its journey, hotel, vehicle and service bookings as cancelled.
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group client ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationInput'
+ *     responses:
+ *       201:
+ *         description: Group client cancelled
+ *       400:
+ *         description: Validation error, or charges above the booking charges
+ *       404:
+ *         description: Group client not found
+ *       409:
+ *         description: Group booking is not confirmed or the client is already cancelled
+ *       500:
+ *         description: Failed to cancel booking
+ */
+router.post(
+  "/group-client/:id",
+  auth,
+  acl("cancellations.write"),
+  tenantGuard("groupClient"),
+  cancelGroupClient
+);
+
+/**
+ * @swagger
+ * /cancellations/{id}:
+ *   get:
+ *     summary: Get a cancellation by ID
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cancellation ID
+ *     responses:
+ *       200:
+ *         description: Cancellation details
+ *       404:
+ *         description: Cancellation not found
+ *       500:
+ *         description: Failed to fetch cancellation
+ */
+router.get(
+  "/:id",
+  auth,
+  acl("cancellations.read"),
+  tenantGuard("bookingCancellation"),
+  getCancellationById
+);
+
+/**
+ * @swagger
+ * /cancellations/{id}/refund:
+ *   post:
+ *     summary: Record the refund paid to the client
+ *     tags: [Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cancellation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refundDate
+ *               - refundAmount
+ *               - paymentMode
+ *             properties:
+ *               refundDate:
+ *                 type: string
+ *                 format: date
+ *               refundAmount:
+ *                 type: number
+ *                 description: Up to the refundable amount of the cancellation
+ *               paymentMode:
+ *                 type: string
+ *               bankId:
+ *                 type: integer
+ *               chequeDate:
+ *                 type: string
+ *                 format: date
+ *               chequeNumber:
+ *                 type: string
+ *               utrNumber:
+ *                 type: string
+ *               neftImpfNumber:
+ *                 type: string
+ *               refundRemarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund recorded
+ *       400:
+ *         description: Validation error or amount exceeds the refundable amount
+ *       404:
+ *         description: Cancellation not found
+ *       409:
+ *         description: Refund already recorded or nothing is refundable
+ *       500:
+ *         description: Failed to record refund
+ */
+router.post(
+  "/:id/refund",
+  auth,
+  acl("cancellations.write"),
+  tenantGuard("bookingCancellation"),
+  recordRefund
+);
+
+module.exports = router;
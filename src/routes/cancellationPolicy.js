@@ -0,0 +1,160 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+} = require("../controllers/cancellationPolicyController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: CancellationPolicies
+ *   description: Cancellation charge slabs by days before the journey date
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationPolicyInput:
+ *       type: object
+ *       required:
+ *         - daysBeforeJourney
+ *         - chargePercent
+ *       properties:
+ *         daysBeforeJourney:
+ *           type: integer
+ *           description: Slab applies when the booking is cancelled at least this many days before the journey date
+ *         chargePercent:
+ *           type: number
+ *           description: Cancellation charges as a percent of the booking charges
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /cancellation-policies:
+ *   get:
+ *     summary: Get the cancellation policy slabs of the agency
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancellation policy slabs, most days first
+ *       500:
+ *         description: Failed to fetch cancellation policies
+ */
+router.get(
+  "/",
+  auth,
+  acl("cancellationPolicies.read"),
+  getCancellationPolicies
+);
+
+/**
+ * @swagger
+ * /cancellation-policies:
+ *   post:
+ *     summary: Add a cancellation policy slab
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicyInput'
+ *     responses:
+ *       201:
+ *         description: Cancellation policy created
+ *       400:
+ *         description: Validation error or a slab for the same days already exists
+ *       500:
+ *         description: Failed to create cancellation policy
+ */
+router.post(
+  "/",
+  auth,
+  acl("cancellationPolicies.write"),
+  createCancellationPolicy
+);
+
+/**
+ * @swagger
+ * /cancellation-policies/{id}:
+ *   put:
+ *     summary: Update a cancellation policy slab
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cancellation policy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicyInput'
+ *     responses:
+ *       200:
+ *         description: Cancellation policy updated
+ *       400:
+ *         description: Validation error or a slab for the same days already exists
+ *       404:
+ *         description: Cancellation policy not found
+ *       500:
+ *         description: Failed to update cancellation policy
+ */
+router.put(
+  "/:id",
+  auth,
+  acl("cancellationPolicies.write"),
+  tenantGuard("cancellationPolicy"),
+  updateCancellationPolicy
+);
+
+/**
+ * @swagger
+ * /cancellation-policies/{id}:
+ *   delete:
+ *     summary: Delete a cancellation policy slab
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cancellation policy ID
+ *     responses:
+ *       204:
+ *         description: Cancellation policy deleted
+ *       404:
+ *         description: Cancellation policy not found
+ *       500:
+ *         description: Failed to delete cancellation policy
+ */
+router.delete(
+  "/:id",
+  auth,
+  acl("cancellationPolicies.write"),
+  tenantGuard("cancellationPolicy"),
+  deleteCancellationPolicy
+);
+
+module.exports = router;
@@ -11,6 +11,7 @@ const {
 } = require('../controllers/cityController');
 const auth = require('../middleware/auth');
 const acl = require('../middleware/acl');
+const tenantGuard = require('../middleware/tenantGuard');
 
 /**
  * @swagger
@@ -181,7 +182,7 @@ router.post('/', auth, acl('cities.write'), createCity);
  *       500:
  *         description: Failed to fetch city
  */
-router.get('/by-state/:id', auth, acl('cities.read'), getAllCitiesByStateId);
+router.get('/by-state/:id', auth, acl('cities.read'), tenantGuard('state'), getAllCitiesByStateId);
 
 /**
  * @swagger
@@ -262,7 +263,7 @@ router.get('/all', auth, acl('cities.read'), getAllCities);
  *       500:
  *         description: Failed to fetch city
  */
-router.get('/:id', auth, acl('cities.read'), getCityById);
+router.get('/:id', auth, acl('cities.read'), tenantGuard('city'), getCityById);
 
 /**
  * @swagger
@@ -302,13 +303,14 @@ router.get('/:id', auth, acl('cities.read'), getCityById);
  *       500:
  *         description: Failed to update city
  */
-router.put('/:id', auth, acl('cities.write'), updateCity);
+router.put('/:id', auth, acl('cities.write'), tenantGuard('city'), updateCity);
 
 /**
  * @swagger
  * /cities/{id}:
  *   delete:
  *     summary: Delete city by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Cities]
  *     security:
  *       - bearerAuth: []
@@ -327,6 +329,6 @@ router.put('/:id', auth, acl('cities.write'), updateCity);
  *       500:
  *         description: Failed to delete city
  */
-router.delete('/:id', auth, acl('cities.delete'), deleteCity);
+router.delete('/:id', auth, acl('cities.delete'), tenantGuard('city'), deleteCity);
 
 module.exports = router;
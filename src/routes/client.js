@@ -10,6 +10,7 @@ const {
 } = require("../controllers/clientController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -341,7 +342,13 @@ router.get("/all", auth, acl("clients.read"), getAllClients);
  *       500:
  *         description: Failed to fetch client
  */
-router.get("/:id", auth, acl("clients.read"), getClientById);
+router.get(
+  "/:id",
+  auth,
+  acl("clients.read"),
+  tenantGuard("client"),
+  getClientById
+);
 
 /**
  * @swagger
@@ -436,13 +443,20 @@ router.get("/:id", auth, acl("clients.read"), getClientById);
  *       500:
  *         description: Failed to update client
  */
-router.put("/:id", auth, acl("clients.write"), updateClient);
+router.put(
+  "/:id",
+  auth,
+  acl("clients.write"),
+  tenantGuard("client"),
+  updateClient
+);
 
 /**
  * @swagger
  * /clients/{id}:
  *   delete:
  *     summary: Delete client by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Clients]
  *     security:
  *       - bearerAuth: []
@@ -461,6 +475,12 @@ router.put("/:id", auth, acl("clients.write"), updateClient);
  *       500:
  *         description: Failed to delete client
  */
-router.delete("/:id", auth, acl("clients.delete"), deleteClient);
+router.delete(
+  "/:id",
+  auth,
+  acl("clients.delete"),
+  tenantGuard("client"),
+  deleteClient
+);
 
 module.exports = router;
@@ -10,6 +10,7 @@ const {
 } = require("../controllers/countryController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,13 @@ router.get("/all", auth, acl("countries.read"), getAllCountries);
  *       500:
  *         description: Failed to fetch country
  */
-router.get("/:id", auth, acl("countries.read"), getCountryById);
+router.get(
+  "/:id",
+  auth,
+  acl("countries.read"),
+  tenantGuard("country"),
+  getCountryById
+);
 
 /**
  * @swagger
@@ -231,13 +238,20 @@ router.get("/:id", auth, acl("countries.read"), getCountryById);
  *       500:
  *         description: Failed to update country
  */
-router.put("/:id", auth, acl("countries.write"), updateCountry);
+router.put(
+  "/:id",
+  auth,
+  acl("countries.write"),
+  tenantGuard("country"),
+  updateCountry
+);
 
 /**
  * @swagger
  * /countries/{id}:
  *   delete:
  *     summary: Delete country by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Countries]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +270,12 @@ router.put("/:id", auth, acl("countries.write"), updateCountry);
  *       500:
  *         description: Failed to delete country
  */
-router.delete("/:id", auth, acl("countries.delete"), deleteCountry);
+router.delete(
+  "/:id",
+  auth,
+  acl("countries.delete"),
+  tenantGuard("country"),
+  deleteCountry
+);
 
 module.exports = router;
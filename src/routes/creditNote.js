@@ -0,0 +1,207 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCreditNotes,
+  createCreditNote,
+  getCreditNoteById,
+  downloadCreditNote,
+} = require("../controllers/creditNoteController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: CreditNotes
+ *   description: Credit notes reversing booking receipt invoices
+ */
+
+/**
+ * @swagger
+ * /credit-notes:
+ *   get:
+ *     summary: Get all credit notes with pagination, sorting and filters
+ *     tags: [CreditNotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of credit notes per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by credit note, invoice or receipt number
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort order
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: groupClientId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: bookingReceiptId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of credit notes
+ *       500:
+ *         description: Failed to fetch credit notes
+ */
+router.get("/", auth, acl("creditNotes.read"), getCreditNotes);
+
+/**
+ * @swagger
+ * /credit-notes/receipt/{id}:
+ *   post:
+ *     summary: Issue a credit note against a booking receipt
+ *     description: Reverses all or part of the taxable value of an invoiced receipt. Tax is reversed at the receipt's GST rates. The credit note reduces the amount received in the ledger and is reported in the GST register.
+ *     tags: [CreditNotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking receipt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - creditNoteDate
+ *               - reason
+ *               - amount
+ *             properties:
+ *               creditNoteDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Taxable value to reverse, up to the uncredited receipt amount
+ *     responses:
+ *       201:
+ *         description: Credit note created
+ *       400:
+ *         description: Validation error or amount exceeds the uncredited receipt amount
+ *       404:
+ *         description: Booking receipt not found
+ *       409:
+ *         description: Receipt is cancelled or has no invoice yet
+ *       500:
+ *         description: Failed to create credit note
+ */
+router.post(
+  "/receipt/:id",
+  auth,
+  acl("creditNotes.write"),
+  tenantGuard("bookingReceipt"),
+  createCreditNote
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}:
+ *   get:
+ *     summary: Get a credit note by ID
+ *     tags: [CreditNotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Credit note ID
+ *     responses:
+ *       200:
+ *         description: Credit note details
+ *       404:
+ *         description: Credit note not found
+ *       500:
+ *         description: Failed to fetch credit note
+ */
+router.get(
+  "/:id",
+  auth,
+  acl("creditNotes.read"),
+  tenantGuard("creditNote"),
+  getCreditNoteById
+);
+
+/**
+ * @swagger
+ * /credit-notes/{id}/pdf:
+ *   get:
+ *     summary: Download the credit note PDF
+ *     tags: [CreditNotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Credit note ID
+ *     responses:
+ *       200:
+ *         description: Credit note PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Credit note not found
+ *       500:
+ *         description: Failed to generate credit note
+ */
+router.get(
+  "/:id/pdf",
+  auth,
+  acl("creditNotes.read"),
+  tenantGuard("creditNote"),
+  downloadCreditNote
+);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require("express");
 const router = express.Router();
-const { getUpcomingFollowUps } = require("../controllers/dashboardController");
+const {
+  getUpcomingFollowUps,
+  getEnquiryStats,
+  getMonthlyStats,
+  getDepartures,
+  getPendingPaymentStats,
+  getTopPerformers,
+} = require("../controllers/dashboardController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
 
@@ -65,4 +72,166 @@ const acl = require("../middleware/acl");
  */
 router.get("/follow-ups", auth, acl("dashboard.read"), getUpcomingFollowUps);
 
+/**
+ * @swagger
+ * /dashboard/enquiries:
+ *   get:
+ *     summary: Get enquiry counts by status and source with the conversion rate
+ *     description: Counts the enquiries created in the range by pipeline stage and by source, and how many were converted into confirmed bookings.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Only used for admins; other users always see their own branch
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of the month 11 months ago
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Enquiry statistics
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Failed to fetch enquiry statistics
+ */
+router.get("/enquiries", auth, acl("dashboard.read"), getEnquiryStats);
+
+/**
+ * @swagger
+ * /dashboard/monthly:
+ *   get:
+ *     summary: Get confirmed bookings and revenue by month
+ *     description: Revenue is the receipts of each month net of the credit notes and refunds issued in it.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Only used for admins; other users always see their own branch
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of the month 11 months ago
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: One row per month, oldest first
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Failed to fetch monthly statistics
+ */
+router.get("/monthly", auth, acl("dashboard.read"), getMonthlyStats);
+
+/**
+ * @swagger
+ * /dashboard/departures:
+ *   get:
+ *     summary: Get confirmed bookings departing in the next 30 days
+ *     description: Includes the number of departures in the next 7 and 30 days. Cancelled bookings are left out.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Only used for admins; other users always see their own branch
+ *     responses:
+ *       200:
+ *         description: Upcoming departures
+ *       500:
+ *         description: Failed to fetch upcoming departures
+ */
+router.get("/departures", auth, acl("dashboard.read"), getDepartures);
+
+/**
+ * @swagger
+ * /dashboard/pending-payments:
+ *   get:
+ *     summary: Get the balance due on confirmed bookings
+ *     description: Returns the totals and the ten largest outstanding balances.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Only used for admins; other users always see their own branch
+ *     responses:
+ *       200:
+ *         description: Pending payments
+ *       500:
+ *         description: Failed to fetch pending payments
+ */
+router.get(
+  "/pending-payments",
+  auth,
+  acl("dashboard.read"),
+  getPendingPaymentStats
+);
+
+/**
+ * @swagger
+ * /dashboard/top-performers:
+ *   get:
+ *     summary: Get the top tours and sectors by revenue
+ *     description: Returns the five tours and sectors with the most revenue from confirmed bookings in the range.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Only used for admins; other users always see their own branch
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of the month 11 months ago
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Top tours and sectors
+ *       400:
+ *         description: Invalid date
+ *       500:
+ *         description: Failed to fetch top tours and sectors
+ */
+router.get("/top-performers", auth, acl("dashboard.read"), getTopPerformers);
+
 module.exports = router;
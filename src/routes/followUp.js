@@ -8,6 +8,7 @@ const {
 } = require("../controllers/followUpController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -83,7 +84,13 @@ const acl = require("../middleware/acl");
  *       500:
  *         description: Failed to fetch follow-ups
  */
-router.get("/booking/:id", auth, acl("followUps.read"), getFollowUpsById);
+router.get(
+  "/booking/:id",
+  auth,
+  acl("followUps.read"),
+  tenantGuard("booking"),
+  getFollowUpsById
+);
 
 /**
  * @swagger
@@ -146,6 +153,7 @@ router.get(
   "/group-booking/:groupBookingId",
   auth,
   acl("followUps.read"),
+  tenantGuard("groupBooking", "groupBookingId"),
   getFollowUpsByGroupBookingId
 );
 
@@ -214,7 +222,13 @@ router.get(
  *       500:
  *         description: Failed to create follow-up
  */
-router.post("/:id", auth, acl("followUps.write"), createFollowUp);
+router.post(
+  "/:id",
+  auth,
+  acl("followUps.write"),
+  tenantGuard("booking"),
+  createFollowUp
+);
 
 /**
  * @swagger
@@ -285,6 +299,7 @@ router.post(
   "/group-booking/:groupBookingId",
   auth,
   acl("followUps.write"),
+  tenantGuard("groupBooking", "groupBookingId"),
   createFollowUpByGroupBookingId
 );
 
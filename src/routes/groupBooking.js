@@ -10,6 +10,7 @@ const {
 } = require("../controllers/groupBooking/groupBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -37,6 +38,7 @@ const acl = require("../middleware/acl");
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/BranchContext'
  *       - in: query
  *         name: page
  *         schema:
@@ -84,6 +86,12 @@ const acl = require("../middleware/acl");
  *         schema:
  *           type: string
  *         description: Filter by tour title
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only those assigned to the logged in user. Always applied for user-role staff when the agency restricts them to their assigned enquiries.
  *     responses:
  *       200:
  *         description: List of all group bookings
@@ -201,6 +209,12 @@ router.get("/", auth, acl("groupBookings.read"), getGroupBookings);
  *         schema:
  *           type: string
  *         description: Filter by tour title
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only those assigned to the logged in user. Always applied for user-role staff when the agency restricts them to their assigned enquiries.
  *     responses:
  *       200:
  *         description: List of all group bookings
@@ -323,6 +337,12 @@ router.get(
  *         schema:
  *           type: string
  *         description: Filter by tour title
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only those assigned to the logged in user. Always applied for user-role staff when the agency restricts them to their assigned enquiries.
  *     responses:
  *       200:
  *         description: List of all group booking enquiries
@@ -424,6 +444,9 @@ router.get(
  *                 type: boolean
  *               bookingType:
  *                 type: string
+ *               enquirySource:
+ *                 type: string
+ *                 description: Where the enquiry came from, e.g. Walk-in, Phone, Website or Referral
  *               groupBookingDetails:
  *                 type: array
  *                 items:
@@ -529,7 +552,13 @@ router.post("/", auth, acl("groupBookings.write"), createGroupBooking);
  *       500:
  *         description: Failed to fetch group booking
  */
-router.get("/:id", auth, acl("groupBookings.read"), getGroupBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("groupBookings.read"),
+  tenantGuard("groupBooking"),
+  getGroupBookingById
+);
 
 /**
  * @swagger
@@ -573,6 +602,9 @@ router.get("/:id", auth, acl("groupBookings.read"), getGroupBookingById);
  *                 type: boolean
  *               bookingType:
  *                 type: string
+ *               enquirySource:
+ *                 type: string
+ *                 description: Where the enquiry came from, e.g. Walk-in, Phone, Website or Referral
  *               groupBookingDetails:
  *                 type: array
  *                 items:
@@ -599,13 +631,20 @@ router.get("/:id", auth, acl("groupBookings.read"), getGroupBookingById);
  *       500:
  *         description: Failed to update group booking
  */
-router.put("/:id", auth, acl("groupBookings.write"), updateGroupBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("groupBookings.write"),
+  tenantGuard("groupBooking"),
+  updateGroupBooking
+);
 
 /**
  * @swagger
  * /group-bookings/{id}:
  *   delete:
  *     summary: Delete group booking by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [GroupBookings]
  *     security:
  *       - bearerAuth: []
@@ -624,6 +663,12 @@ router.put("/:id", auth, acl("groupBookings.write"), updateGroupBooking);
  *       500:
  *         description: Failed to delete group booking
  */
-router.delete("/:id", auth, acl("groupBookings.delete"), deleteGroupBooking);
+router.delete(
+  "/:id",
+  auth,
+  acl("groupBookings.delete"),
+  tenantGuard("groupBooking"),
+  deleteGroupBooking
+);
 
 module.exports = router;
@@ -6,9 +6,11 @@ const {
   getGroupClientBookingById,
   updateGroupClientBooking,
   deleteGroupClientBooking,
+  downloadGroupClientItinerary,
 } = require("../controllers/groupBooking/groupClientBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -103,6 +105,7 @@ router.get(
   "/all/:groupBookingId",
   auth,
   acl("groupClientBookings.read"),
+  tenantGuard("groupBooking", "groupBookingId"),
   getGroupClientByGroupBookingId
 );
 
@@ -186,6 +189,7 @@ router.post(
   "/:groupBookingId",
   auth,
   acl("groupClientBookings.write"),
+  tenantGuard("groupBooking", "groupBookingId"),
   createGroupClientBooking
 );
 
@@ -286,9 +290,49 @@ router.get(
   "/:groupClientId",
   auth,
   acl("groupClientBookings.read"),
+  tenantGuard("groupClient", "groupClientId"),
   getGroupClientBookingById
 );
 
+/**
+ * @swagger
+ * /group-client-bookings/{groupClientId}/itinerary:
+ *   get:
+ *     summary: Download the final itinerary PDF of a group client
+ *     description: Built from the group booking's day-wise plan and the group client's own journey, hotel and vehicle bookings and members. The PDF is regenerated on every request.
+ *     tags: [GroupClientBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupClientId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Group client booking ID
+ *     responses:
+ *       200:
+ *         description: Itinerary PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Group client booking not found
+ *       409:
+ *         description: Group booking is not confirmed
+ *       500:
+ *         description: Failed to generate itinerary
+ */
+router.get(
+  "/:groupClientId/itinerary",
+  auth,
+  acl("groupClientBookings.read"),
+  tenantGuard("groupClient", "groupClientId"),
+  downloadGroupClientItinerary
+);
+
 /**
  * @swagger
  * /group-client-bookings/{groupClientId}:
@@ -378,6 +422,7 @@ router.put(
   "/:groupClientId",
   auth,
   acl("groupClientBookings.write"),
+  tenantGuard("groupClient", "groupClientId"),
   updateGroupClientBooking
 );
 
@@ -408,6 +453,7 @@ router.delete(
   "/:groupClientId",
   auth,
   acl("groupClientBookings.delete"),
+  tenantGuard("groupClient", "groupClientId"),
   deleteGroupClientBooking
 );
 
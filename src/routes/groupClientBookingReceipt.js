@@ -2,12 +2,13 @@ const express = require("express");
 const router = express.Router();
 const {
   createGroupClientBookingReceipt,
-  deleteGroupClientBookingReceipt,
+  cancelGroupClientBookingReceipt,
   getAllBookingReceiptsByGroupClientBookingId,
   generateGroupClientInvoice,
 } = require("../controllers/groupBooking/groupClientBookingReceiptController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -41,6 +42,7 @@ router.get(
   "/all/:groupClientBookingId",
   auth,
   acl("groupClientBookingReceipts.read"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   getAllBookingReceiptsByGroupClientBookingId
 );
 
@@ -116,14 +118,16 @@ router.post(
   "/:groupClientBookingId",
   auth,
   acl("groupClientBookingReceipts.write"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   createGroupClientBookingReceipt
 );
 
 /**
  * @swagger
- * /group-client-booking-receipts/{id}:
- *   delete:
- *     summary: Delete a group client booking receipt by ID
+ * /group-client-booking-receipts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a group client booking receipt
+ *     description: Receipts are cancelled instead of deleted so the receipt and invoice number series has no gaps. Cancelled receipts are left out of the ledger and the GST register.
  *     tags: [GroupClientBookingReceipts]
  *     security:
  *       - bearerAuth: []
@@ -134,19 +138,35 @@ router.post(
  *         schema:
  *           type: integer
  *         description: Receipt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
- *       204:
- *         description: Receipt deleted
+ *       200:
+ *         description: Receipt cancelled
+ *       400:
+ *         description: Validation error
  *       404:
  *         description: Receipt not found
+ *       409:
+ *         description: Receipt already cancelled or has credit notes
  *       500:
- *         description: Failed to delete receipt
+ *         description: Failed to cancel receipt
  */
-router.delete(
-  "/:bookingReceiptId",
+router.post(
+  "/:bookingReceiptId/cancel",
   auth,
   acl("groupClientBookingReceipts.delete"),
-  deleteGroupClientBookingReceipt
+  tenantGuard("bookingReceipt", "bookingReceiptId"),
+  cancelGroupClientBookingReceipt
 );
 
 /**
@@ -176,6 +196,7 @@ router.get(
   "/:bookingReceiptId/invoice",
   auth,
   acl("groupClientBookingReceipts.read"),
+  tenantGuard("bookingReceipt", "bookingReceiptId"),
   generateGroupClientInvoice
 );
 
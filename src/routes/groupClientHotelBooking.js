@@ -9,6 +9,7 @@ const {
 } = require("../controllers/groupBooking/groupClientHotelBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +43,7 @@ router.get(
   "/all/:groupClientBookingId",
   auth,
   acl("groupClientHotelBookings.read"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   getAllHotelBookingsByGroupClientBookingId
 );
 
@@ -137,6 +139,7 @@ router.post(
   "/:groupClientBookingId",
   auth,
   acl("groupClientHotelBookings.write"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   createGroupClientHotelBooking
 );
 
@@ -167,6 +170,7 @@ router.get(
   "/:hotelBookingId",
   auth,
   acl("groupClientHotelBookings.read"),
+  tenantGuard("hotelBooking", "hotelBookingId"),
   getGroupClientHotelBookingById
 );
 
@@ -203,6 +207,7 @@ router.put(
   "/:hotelBookingId",
   auth,
   acl("groupClientHotelBookings.write"),
+  tenantGuard("hotelBooking", "hotelBookingId"),
   updateGroupClientHotelBooking
 );
 
@@ -233,6 +238,7 @@ router.delete(
   "/:hotelBookingId",
   auth,
   acl("groupClientHotelBookings.delete"),
+  tenantGuard("hotelBooking", "hotelBookingId"),
   deleteGroupClientHotelBooking
 );
 
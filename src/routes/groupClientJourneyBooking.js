@@ -9,6 +9,7 @@ const {
 } = require("../controllers/groupBooking/groupClientJourneyBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +43,7 @@ router.get(
   "/all/:groupClientBookingId",
   auth,
   acl("groupClientJourneyBookings.read"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   getAllJourneyBookingsByGroupClientBookingId
 );
 
@@ -72,6 +74,7 @@ router.get(
   "/:journeyBookingId",
   auth,
   acl("groupClientJourneyBookings.read"),
+  tenantGuard("journeyBooking", "journeyBookingId"),
   getGroupClientJourneyBookingById
 );
 
@@ -144,6 +147,7 @@ router.post(
   "/:groupClientBookingId",
   auth,
   acl("groupClientJourneyBookings.write"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   createGroupClientJourneyBooking
 );
 
@@ -216,6 +220,7 @@ router.put(
   "/:journeyBookingId",
   auth,
   acl("groupClientJourneyBookings.write"),
+  tenantGuard("journeyBooking", "journeyBookingId"),
   updateGroupClientJourneyBooking
 );
 
@@ -246,6 +251,7 @@ router.delete(
   "/:journeyBookingId",
   auth,
   acl("groupClientJourneyBookings.delete"),
+  tenantGuard("journeyBooking", "journeyBookingId"),
   deleteGroupClientJourneyBooking
 );
 
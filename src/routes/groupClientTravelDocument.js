@@ -9,6 +9,7 @@ const {
 } = require("../controllers/groupBooking/groupClientTravelDocumentController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 const travelDocUploadConfig = [
   {
@@ -54,6 +55,7 @@ router.get(
   "/all/:groupClientBookingId",
   auth,
   acl("groupClientTravelDocuments.read"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   getAllTravelDocumentsByGroupClientBookingId
 );
 
@@ -106,6 +108,7 @@ router.post(
   "/:groupClientBookingId",
   auth,
   acl("groupClientTravelDocuments.write"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   ...uploadMiddleware,
   createGroupClientTravelDocument
 );
@@ -137,6 +140,7 @@ router.get(
   "/:travelDocumentId",
   auth,
   acl("groupClientTravelDocuments.read"),
+  tenantGuard("travelDocument", "travelDocumentId"),
   getGroupClientTravelDocumentById
 );
 
@@ -175,6 +179,7 @@ router.put(
   "/:travelDocumentId",
   auth,
   acl("groupClientTravelDocuments.write"),
+  tenantGuard("travelDocument", "travelDocumentId"),
   ...uploadMiddleware,
   updateGroupClientTravelDocument
 );
@@ -206,6 +211,7 @@ router.delete(
   "/:travelDocumentId",
   auth,
   acl("groupClientTravelDocuments.delete"),
+  tenantGuard("travelDocument", "travelDocumentId"),
   deleteGroupClientTravelDocument
 );
 
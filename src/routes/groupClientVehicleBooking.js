@@ -9,6 +9,7 @@ const {
 } = require("../controllers/groupBooking/groupClientVehicleBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +43,7 @@ router.get(
   "/all/:groupClientBookingId",
   auth,
   acl("groupClientVehicleBookings.read"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   getAllVehicleBookingsByGroupClientBookingId
 );
 
@@ -127,6 +129,7 @@ router.post(
   "/:groupClientBookingId",
   auth,
   acl("groupClientVehicleBookings.write"),
+  tenantGuard("groupClient", "groupClientBookingId"),
   createGroupClientVehicleBooking
 );
 
@@ -157,6 +160,7 @@ router.get(
   "/:vehicleBookingId",
   auth,
   acl("groupClientVehicleBookings.read"),
+  tenantGuard("vehicleBooking", "vehicleBookingId"),
   getGroupClientVehicleBookingById
 );
 
@@ -232,6 +236,7 @@ router.put(
   "/:vehicleBookingId",
   auth,
   acl("groupClientVehicleBookings.write"),
+  tenantGuard("vehicleBooking", "vehicleBookingId"),
   updateGroupClientVehicleBooking
 );
 
@@ -262,6 +267,7 @@ router.delete(
   "/:vehicleBookingId",
   auth,
   acl("groupClientVehicleBookings.delete"),
+  tenantGuard("vehicleBooking", "vehicleBookingId"),
   deleteGroupClientVehicleBooking
 );
 
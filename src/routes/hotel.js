@@ -10,6 +10,7 @@ const {
 } = require("../controllers/hotelController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -369,7 +370,13 @@ router.get("/all", auth, acl("hotels.read"), getAllHotels);
  *       500:
  *         description: Failed to fetch hotel
  */
-router.get("/:id", auth, acl("hotels.read"), getHotelById);
+router.get(
+  "/:id",
+  auth,
+  acl("hotels.read"),
+  tenantGuard("hotel"),
+  getHotelById
+);
 
 /**
  * @swagger
@@ -463,13 +470,20 @@ router.get("/:id", auth, acl("hotels.read"), getHotelById);
  *       500:
  *         description: Failed to update hotel
  */
-router.put("/:id", auth, acl("hotels.write"), updateHotel);
+router.put(
+  "/:id",
+  auth,
+  acl("hotels.write"),
+  tenantGuard("hotel"),
+  updateHotel
+);
 
 /**
  * @swagger
  * /hotels/{id}:
  *   delete:
  *     summary: Delete hotel by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Hotels]
  *     security:
  *       - bearerAuth: []
@@ -488,6 +502,12 @@ router.put("/:id", auth, acl("hotels.write"), updateHotel);
  *       500:
  *         description: Failed to delete hotel
  */
-router.delete("/:id", auth, acl("hotels.delete"), deleteHotel);
+router.delete(
+  "/:id",
+  auth,
+  acl("hotels.delete"),
+  tenantGuard("hotel"),
+  deleteHotel
+);
 
 module.exports = router;
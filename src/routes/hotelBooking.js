@@ -6,9 +6,12 @@ const {
   updateHotelBooking,
   deleteHotelBooking,
   getAllHotelBookingsByBookingId,
+  downloadHotelVoucher,
+  emailHotelVoucher,
 } = require("../controllers/hotelBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +45,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("hotelBookings.read"),
+  tenantGuard("booking"),
   getAllHotelBookingsByBookingId
 );
 
@@ -126,7 +130,13 @@ router.get(
  *       500:
  *         description: Failed to create hotel booking
  */
-router.post("/:id", auth, acl("hotelBookings.write"), createHotelBooking);
+router.post(
+  "/:id",
+  auth,
+  acl("hotelBookings.write"),
+  tenantGuard("booking"),
+  createHotelBooking
+);
 
 /**
  * @swagger
@@ -151,7 +161,13 @@ router.post("/:id", auth, acl("hotelBookings.write"), createHotelBooking);
  *       500:
  *         description: Failed to fetch hotel booking
  */
-router.get("/:id", auth, acl("hotelBookings.read"), getHotelBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("hotelBookings.read"),
+  tenantGuard("hotelBooking"),
+  getHotelBookingById
+);
 
 /**
  * @swagger
@@ -182,7 +198,13 @@ router.get("/:id", auth, acl("hotelBookings.read"), getHotelBookingById);
  *       500:
  *         description: Failed to update hotel booking
  */
-router.put("/:id", auth, acl("hotelBookings.write"), updateHotelBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("hotelBookings.write"),
+  tenantGuard("hotelBooking"),
+  updateHotelBooking
+);
 
 /**
  * @swagger
@@ -207,6 +229,83 @@ router.put("/:id", auth, acl("hotelBookings.write"), updateHotelBooking);
  *       500:
  *         description: Failed to delete hotel booking
  */
-router.delete("/:id", auth, acl("hotelBookings.delete"), deleteHotelBooking);
+router.delete(
+  "/:id",
+  auth,
+  acl("hotelBookings.delete"),
+  tenantGuard("hotelBooking"),
+  deleteHotelBooking
+);
+
+/**
+ * @swagger
+ * /hotel-bookings/{id}/voucher:
+ *   get:
+ *     summary: Generate and download the hotel voucher PDF
+ *     description: Renders the hotel reservation voucher (HRV) on the agency letterhead or logo.
+ *     tags: [HotelBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hotel booking ID
+ *     responses:
+ *       200:
+ *         description: Voucher PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Hotel booking not found
+ *       500:
+ *         description: Failed to generate hotel voucher
+ */
+router.get(
+  "/:id/voucher",
+  auth,
+  acl("hotelBookings.read"),
+  tenantGuard("hotelBooking"),
+  downloadHotelVoucher
+);
+
+/**
+ * @swagger
+ * /hotel-bookings/{id}/voucher/email:
+ *   post:
+ *     summary: Email the hotel voucher PDF to the hotel
+ *     description: Sends the voucher to the hotel's email1 and contact person email.
+ *     tags: [HotelBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hotel booking ID
+ *     responses:
+ *       200:
+ *         description: Voucher emailed to the hotel
+ *       400:
+ *         description: The hotel has no email address
+ *       404:
+ *         description: Hotel booking not found
+ *       500:
+ *         description: Failed to email hotel voucher
+ */
+router.post(
+  "/:id/voucher/email",
+  auth,
+  acl("hotelBookings.write"),
+  tenantGuard("hotelBooking"),
+  emailHotelVoucher
+);
 
 module.exports = router;
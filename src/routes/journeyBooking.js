@@ -9,6 +9,7 @@ const {
 } = require("../controllers/journeyBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +43,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("journeyBookings.read"),
+  tenantGuard("booking"),
   getAllJourneyBookingsByBookingId
 );
 
@@ -68,7 +70,13 @@ router.get(
  *       500:
  *         description: Failed to fetch journey booking
  */
-router.get("/:id", auth, acl("journeyBookings.read"), getJourneyBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("journeyBookings.read"),
+  tenantGuard("journeyBooking"),
+  getJourneyBookingById
+);
 
 /**
  * @swagger
@@ -135,7 +143,13 @@ router.get("/:id", auth, acl("journeyBookings.read"), getJourneyBookingById);
  *       500:
  *         description: Failed to create journey booking
  */
-router.post("/:id", auth, acl("journeyBookings.write"), createJourneyBooking);
+router.post(
+  "/:id",
+  auth,
+  acl("journeyBookings.write"),
+  tenantGuard("booking"),
+  createJourneyBooking
+);
 
 /**
  * @swagger
@@ -202,7 +216,13 @@ router.post("/:id", auth, acl("journeyBookings.write"), createJourneyBooking);
  *       500:
  *         description: Failed to update journey booking
  */
-router.put("/:id", auth, acl("journeyBookings.write"), updateJourneyBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("journeyBookings.write"),
+  tenantGuard("journeyBooking"),
+  updateJourneyBooking
+);
 
 /**
  * @swagger
@@ -231,6 +251,7 @@ router.delete(
   "/:id",
   auth,
   acl("journeyBookings.delete"),
+  tenantGuard("journeyBooking"),
   deleteJourneyBooking
 );
 
@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBookingLedger,
+  getGroupClientLedger,
+  getOutstandingReceivables,
+} = require("../controllers/ledgerController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ledgers
+ *   description: Customer ledger and outstanding receivable endpoints
+ */
+
+/**
+ * @swagger
+ * /ledgers/outstanding:
+ *   get:
+ *     summary: List bookings and group clients with a balance due
+ *     tags: [Ledgers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Filter by branch (ignored for non-admin users, who only see their own branch)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of records per page
+ *     responses:
+ *       200:
+ *         description: Outstanding receivables sorted by balance due, with totals
+ *       500:
+ *         description: Failed to fetch outstanding receivables
+ */
+router.get(
+  "/outstanding",
+  auth,
+  acl("ledgers.read"),
+  getOutstandingReceivables
+);
+
+/**
+ * @swagger
+ * /ledgers/booking/{id}:
+ *   get:
+ *     summary: Get the customer ledger of a booking
+ *     description: Lists journey, hotel, vehicle and service charges as debits and booking receipts as credits, with a running balance and totals.
+ *     tags: [Ledgers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Booking ledger
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to fetch booking ledger
+ */
+router.get(
+  "/booking/:id",
+  auth,
+  acl("ledgers.read"),
+  tenantGuard("booking"),
+  getBookingLedger
+);
+
+/**
+ * @swagger
+ * /ledgers/group-client/{id}:
+ *   get:
+ *     summary: Get the customer ledger of a group client
+ *     tags: [Ledgers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group client ID
+ *     responses:
+ *       200:
+ *         description: Group client ledger
+ *       404:
+ *         description: Group client not found
+ *       500:
+ *         description: Failed to fetch group client ledger
+ */
+router.get(
+  "/group-client/:id",
+  auth,
+  acl("ledgers.read"),
+  tenantGuard("groupClient"),
+  getGroupClientLedger
+);
+
+module.exports = router;
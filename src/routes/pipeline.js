@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPipelineStages,
+  createPipelineStage,
+  updatePipelineStage,
+  deletePipelineStage,
+  getPipeline,
+  updateBookingStage,
+  updateGroupBookingStage,
+  getBookingStageHistory,
+  getGroupBookingStageHistory,
+} = require("../controllers/pipelineController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pipeline
+ *   description: Lead pipeline stages for booking and group booking enquiries
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PipelineStageInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - sortOrder
+ *         - stageType
+ *       properties:
+ *         name:
+ *           type: string
+ *         sortOrder:
+ *           type: integer
+ *         stageType:
+ *           type: string
+ *           enum: [open, won, lost]
+ *     StageChangeInput:
+ *       type: object
+ *       required:
+ *         - stageId
+ *       properties:
+ *         stageId:
+ *           type: integer
+ *         lostReason:
+ *           type: string
+ *           description: Required when moving to a lost stage
+ *         remarks:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /pipeline:
+ *   get:
+ *     summary: Get the pipeline board
+ *     description: Returns each stage with the enquiries in it. Enquiries created before the pipeline existed are shown in the first open stage. Non-admin users only see their own branch.
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pipeline stages with their enquiries
+ *       500:
+ *         description: Failed to fetch pipeline
+ */
+router.get("/", auth, acl("pipeline.read"), getPipeline);
+
+/**
+ * @swagger
+ * /pipeline/stages:
+ *   get:
+ *     summary: Get the pipeline stages of the agency
+ *     description: The default stages (New, Contacted, Quoted, Negotiating, Won, Lost) are created the first time the pipeline is used.
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pipeline stages in order
+ *       500:
+ *         description: Failed to fetch pipeline stages
+ */
+router.get("/stages", auth, acl("pipeline.read"), getPipelineStages);
+
+/**
+ * @swagger
+ * /pipeline/stages:
+ *   post:
+ *     summary: Add a pipeline stage
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PipelineStageInput'
+ *     responses:
+ *       201:
+ *         description: Pipeline stage created
+ *       400:
+ *         description: Validation error or a stage with the same name exists
+ *       500:
+ *         description: Failed to create pipeline stage
+ */
+router.post("/stages", auth, acl("pipelineStages.write"), createPipelineStage);
+
+/**
+ * @swagger
+ * /pipeline/stages/{id}:
+ *   put:
+ *     summary: Update a pipeline stage
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Pipeline stage ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PipelineStageInput'
+ *     responses:
+ *       200:
+ *         description: Pipeline stage updated
+ *       400:
+ *         description: Validation error or a stage with the same name exists
+ *       404:
+ *         description: Pipeline stage not found
+ *       500:
+ *         description: Failed to update pipeline stage
+ */
+router.put(
+  "/stages/:id",
+  auth,
+  acl("pipelineStages.write"),
+  tenantGuard("pipelineStage"),
+  updatePipelineStage
+);
+
+/**
+ * @swagger
+ * /pipeline/stages/{id}:
+ *   delete:
+ *     summary: Delete a pipeline stage
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Pipeline stage ID
+ *     responses:
+ *       204:
+ *         description: Pipeline stage deleted
+ *       404:
+ *         description: Pipeline stage not found
+ *       409:
+ *         description: Stage is used by enquiries or their history
+ *       500:
+ *         description: Failed to delete pipeline stage
+ */
+router.delete(
+  "/stages/:id",
+  auth,
+  acl("pipelineStages.write"),
+  tenantGuard("pipelineStage"),
+  deletePipelineStage
+);
+
+/**
+ * @swagger
+ * /pipeline/bookings/{id}/stage:
+ *   put:
+ *     summary: Move a booking enquiry to another stage
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StageChangeInput'
+ *     responses:
+ *       200:
+ *         description: Booking with its new stage
+ *       400:
+ *         description: Validation error or lost reason missing
+ *       404:
+ *         description: Booking or stage not found
+ *       409:
+ *         description: Booking is already in the stage
+ *       500:
+ *         description: Failed to update pipeline stage
+ */
+router.put(
+  "/bookings/:id/stage",
+  auth,
+  acl("pipeline.write"),
+  tenantGuard("booking"),
+  updateBookingStage
+);
+
+/**
+ * @swagger
+ * /pipeline/bookings/{id}/history:
+ *   get:
+ *     summary: Get the stage history of a booking enquiry
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Stage changes, oldest first
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to fetch stage history
+ */
+router.get(
+  "/bookings/:id/history",
+  auth,
+  acl("pipeline.read"),
+  tenantGuard("booking"),
+  getBookingStageHistory
+);
+
+/**
+ * @swagger
+ * /pipeline/group-bookings/{id}/stage:
+ *   put:
+ *     summary: Move a group booking enquiry to another stage
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StageChangeInput'
+ *     responses:
+ *       200:
+ *         description: Group booking with its new stage
+ *       400:
+ *         description: Validation error or lost reason missing
+ *       404:
+ *         description: Group booking or stage not found
+ *       409:
+ *         description: Group booking is already in the stage
+ *       500:
+ *         description: Failed to update pipeline stage
+ */
+router.put(
+  "/group-bookings/:id/stage",
+  auth,
+  acl("pipeline.write"),
+  tenantGuard("groupBooking"),
+  updateGroupBookingStage
+);
+
+/**
+ * @swagger
+ * /pipeline/group-bookings/{id}/history:
+ *   get:
+ *     summary: Get the stage history of a group booking enquiry
+ *     tags: [Pipeline]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Group booking ID
+ *     responses:
+ *       200:
+ *         description: Stage changes, oldest first
+ *       404:
+ *         description: Group booking not found
+ *       500:
+ *         description: Failed to fetch stage history
+ */
+router.get(
+  "/group-bookings/:id/history",
+  auth,
+  acl("pipeline.read"),
+  tenantGuard("groupBooking"),
+  getGroupBookingStageHistory
+);
+
+module.exports = router;
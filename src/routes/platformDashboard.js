@@ -0,0 +1,98 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getOverview,
+  getAgencies,
+} = require("../controllers/platformDashboardController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+/**
+ * @swagger
+ * tags:
+ *   name: PlatformDashboard
+ *   description: Subscription and agency health overview for the super admin
+ */
+
+/**
+ * @swagger
+ * /platform-dashboard:
+ *   get:
+ *     summary: Get the platform overview
+ *     description: Agencies by subscription status (from the current subscription's end date), MRR and ARR from the running subscriptions before GST, the package mix, new agencies per month for the last 12 months and the number of agencies with no login in the last `inactiveDays` days.
+ *     tags: [PlatformDashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: expiringDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Subscriptions ending within this many days count as expiring
+ *       - in: query
+ *         name: inactiveDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Platform overview
+ *       400:
+ *         description: Invalid number of days
+ *       500:
+ *         description: Failed to fetch platform overview
+ */
+router.get("/", auth, acl("platformDashboard.read"), getOverview);
+
+/**
+ * @swagger
+ * /platform-dashboard/agencies:
+ *   get:
+ *     summary: Get agencies with their subscription status, usage and last login
+ *     tags: [PlatformDashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by business name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expiring, expired, none]
+ *       - in: query
+ *         name: expiringDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Subscriptions ending within this many days count as expiring
+ *       - in: query
+ *         name: inactiveDays
+ *         schema:
+ *           type: integer
+ *         description: Only agencies none of whose users have logged in for this many days
+ *     responses:
+ *       200:
+ *         description: Agencies with usage counts (users, branches, bookings, group bookings)
+ *       400:
+ *         description: Invalid status or number of days
+ *       500:
+ *         description: Failed to fetch agencies
+ */
+router.get("/agencies", auth, acl("platformDashboard.read"), getAgencies);
+
+module.exports = router;
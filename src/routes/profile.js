@@ -80,4 +80,31 @@ router.post('/', auth, profileController.updateProfile);
  */
 router.post('/change-password', auth, profileController.changePassword);
 
+/**
+ * @swagger
+ * /profile/login-history:
+ *   get:
+ *     summary: Get the logged-in user's login attempts, newest first
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Login attempts with time, IP address, user agent, success and the reason for failures
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/login-history', auth, profileController.getLoginHistory);
+
 module.exports = router;
@@ -0,0 +1,376 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getQuotationsByBookingId,
+  createQuotation,
+  getQuotationById,
+  updateQuotation,
+  updateQuotationStatus,
+  acceptQuotation,
+  deleteQuotation,
+} = require("../controllers/quotationController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotations
+ *   description: Versioned quotations for tour enquiries
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuotationInput:
+ *       type: object
+ *       required:
+ *         - quotationDate
+ *         - markupType
+ *         - markupValue
+ *         - items
+ *       properties:
+ *         quotationDate:
+ *           type: string
+ *           format: date
+ *         validUntil:
+ *           type: string
+ *           format: date
+ *         markupType:
+ *           type: string
+ *           enum: [Percentage, Amount]
+ *         markupValue:
+ *           type: number
+ *           description: Markup percentage or flat amount, depending on markupType
+ *         gstPercent:
+ *           type: number
+ *         notes:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - itemType
+ *               - unitCost
+ *             properties:
+ *               itemType:
+ *                 type: string
+ *                 enum: [Hotel, Transport, Flight, Service]
+ *               description:
+ *                 type: string
+ *                 description: Required for Service items
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *               unitCost:
+ *                 type: number
+ *               cityId:
+ *                 type: integer
+ *                 description: Required for Hotel and Transport items
+ *               hotelId:
+ *                 type: integer
+ *               accommodationId:
+ *                 type: integer
+ *               partyComingFrom:
+ *                 type: string
+ *               checkInDate:
+ *                 type: string
+ *                 format: date
+ *               checkOutDate:
+ *                 type: string
+ *                 format: date
+ *               nights:
+ *                 type: integer
+ *               rooms:
+ *                 type: integer
+ *               plan:
+ *                 type: string
+ *               vehicleId:
+ *                 type: integer
+ *               agentId:
+ *                 type: integer
+ *               pickupPlace:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Start date for Transport items, departure date for Flight items
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *                 description: End date for Transport items, arrival date for Flight items
+ *               days:
+ *                 type: integer
+ *               airlineId:
+ *                 type: integer
+ *               flightNumber:
+ *                 type: string
+ *               fromPlace:
+ *                 type: string
+ *               toPlace:
+ *                 type: string
+ *               serviceId:
+ *                 type: integer
+ */
+
+/**
+ * @swagger
+ * /quotations/booking/{id}:
+ *   get:
+ *     summary: Get all quotation versions of an enquiry
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enquiry (booking) ID
+ *     responses:
+ *       200:
+ *         description: Quotations, latest version first
+ *       500:
+ *         description: Failed to fetch quotations
+ */
+router.get(
+  "/booking/:id",
+  auth,
+  acl("quotations.read"),
+  tenantGuard("booking"),
+  getQuotationsByBookingId
+);
+
+/**
+ * @swagger
+ * /quotations/booking/{id}:
+ *   post:
+ *     summary: Create a new quotation version for an enquiry
+ *     description: The first quotation of an enquiry gets a new quotation number; later ones reuse it with the next version number.
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Enquiry (booking) ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotationInput'
+ *     responses:
+ *       201:
+ *         description: Quotation created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Enquiry not found
+ *       409:
+ *         description: Booking is no longer an enquiry
+ *       500:
+ *         description: Failed to create quotation
+ */
+router.post(
+  "/booking/:id",
+  auth,
+  acl("quotations.write"),
+  tenantGuard("booking"),
+  createQuotation
+);
+
+/**
+ * @swagger
+ * /quotations/{id}:
+ *   get:
+ *     summary: Get a quotation by ID
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Quotation with its line items
+ *       404:
+ *         description: Quotation not found
+ *       500:
+ *         description: Failed to fetch quotation
+ */
+router.get(
+  "/:id",
+  auth,
+  acl("quotations.read"),
+  tenantGuard("quotation"),
+  getQuotationById
+);
+
+/**
+ * @swagger
+ * /quotations/{id}:
+ *   put:
+ *     summary: Update a draft or sent quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quotation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotationInput'
+ *     responses:
+ *       200:
+ *         description: Quotation updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Quotation not found
+ *       409:
+ *         description: Quotation has already been accepted or rejected
+ *       500:
+ *         description: Failed to update quotation
+ */
+router.put(
+  "/:id",
+  auth,
+  acl("quotations.write"),
+  tenantGuard("quotation"),
+  updateQuotation
+);
+
+/**
+ * @swagger
+ * /quotations/{id}/status:
+ *   patch:
+ *     summary: Mark a quotation as sent or rejected
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quotation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Sent, Rejected]
+ *               statusReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quotation status updated
+ *       404:
+ *         description: Quotation not found
+ *       409:
+ *         description: Quotation has already been accepted or rejected
+ *       500:
+ *         description: Failed to update quotation status
+ */
+router.patch(
+  "/:id/status",
+  auth,
+  acl("quotations.write"),
+  tenantGuard("quotation"),
+  updateQuotationStatus
+);
+
+/**
+ * @swagger
+ * /quotations/{id}/accept:
+ *   post:
+ *     summary: Accept a quotation
+ *     description: Turns the enquiry into a confirmed booking, creates hotel, vehicle, journey and service bookings from the line items at their selling amounts plus their share of the GST, and rejects the other versions.
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Accepted quotation and the confirmed booking
+ *       404:
+ *         description: Quotation not found
+ *       409:
+ *         description: Quotation already accepted or rejected, or enquiry already confirmed
+ *       500:
+ *         description: Failed to accept quotation
+ */
+router.post(
+  "/:id/accept",
+  auth,
+  acl("quotations.write"),
+  tenantGuard("quotation"),
+  acceptQuotation
+);
+
+/**
+ * @swagger
+ * /quotations/{id}:
+ *   delete:
+ *     summary: Delete a quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Quotation ID
+ *     responses:
+ *       204:
+ *         description: Quotation deleted
+ *       404:
+ *         description: Quotation not found
+ *       409:
+ *         description: Accepted quotations cannot be deleted
+ *       500:
+ *         description: Failed to delete quotation
+ */
+router.delete(
+  "/:id",
+  auth,
+  acl("quotations.delete"),
+  tenantGuard("quotation"),
+  deleteQuotation
+);
+
+module.exports = router;
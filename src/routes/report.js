@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getProfitabilityReport,
+  getGstRegister,
+} = require("../controllers/reportController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: Management reports
+ */
+
+/**
+ * @swagger
+ * /reports/profitability:
+ *   get:
+ *     summary: Revenue, cost and margin of confirmed bookings
+ *     description: Revenue is the sum of booking receipts; cost is the sum of hotel, vehicle, journey and service booking amounts. Group bookings are reported as one row combining all their group clients.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [booking, tour, sector, branch, staff]
+ *           default: booking
+ *         description: Report per booking, or grouped by tour, sector, branch or the staff user who created the booking
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Booking date from (inclusive)
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Booking date to (inclusive)
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: integer
+ *         description: Filter by branch (ignored for non-admin users, who only see their own branch)
+ *       - in: query
+ *         name: export
+ *         schema:
+ *           type: boolean
+ *         description: Export the report to an Excel file
+ *     responses:
+ *       200:
+ *         description: Report rows with totals, or an Excel file when export is true
+ *       400:
+ *         description: Invalid groupBy or date
+ *       500:
+ *         description: Failed to fetch profitability report
+ */
+router.get("/profitability", auth, acl("reports.read"), getProfitabilityReport);
+
+/**
+ * @swagger
+ * /reports/gst-register:
+ *   get:
+ *     summary: GST output tax register for a month or quarter
+ *     description: Lists each invoiced booking receipt and credit note with the customer GSTIN, place of supply, taxable value and tax split, plus the cancelled invoices of the period. Pass either month, or financialYear with quarter.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: 2025-06
+ *         description: Month as YYYY-MM
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: 2025-26
+ *         description: Financial year of the quarter
+ *       - in: query
+ *         name: quarter
+ *         schema:
+ *           type: integer
+ *           enum: [1, 2, 3, 4]
+ *         description: Quarter of the financial year (1 = April to June)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, excel, gstr1]
+ *           default: json
+ *         description: Register as JSON, as an Excel file, or as GSTR-1 B2B/B2CL/B2CS/CDNR/CDNUR JSON
+ *     responses:
+ *       200:
+ *         description: GST register
+ *       400:
+ *         description: Invalid period or format
+ *       500:
+ *         description: Failed to fetch GST register
+ */
+router.get("/gst-register", auth, acl("reports.read"), getGstRegister);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
 } = require("../controllers/sectorController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,7 @@ router.get("/all", auth, acl("sectors.read"), getAllSectors);
  *       500:
  *         description: Failed to fetch sector
  */
-router.get("/:id", auth, acl("sectors.read"), getSectorById);
+router.get("/:id", auth, acl("sectors.read"), tenantGuard("sector"), getSectorById);
 
 /**
  * @swagger
@@ -231,13 +232,14 @@ router.get("/:id", auth, acl("sectors.read"), getSectorById);
  *       500:
  *         description: Failed to update sector
  */
-router.put("/:id", auth, acl("sectors.write"), updateSector);
+router.put("/:id", auth, acl("sectors.write"), tenantGuard("sector"), updateSector);
 
 /**
  * @swagger
  * /sectors/{id}:
  *   delete:
  *     summary: Delete sector by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Sectors]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +258,6 @@ router.put("/:id", auth, acl("sectors.write"), updateSector);
  *       500:
  *         description: Failed to delete sector
  */
-router.delete("/:id", auth, acl("sectors.delete"), deleteSector);
+router.delete("/:id", auth, acl("sectors.delete"), tenantGuard("sector"), deleteSector);
 
 module.exports = router;
\ No newline at end of file
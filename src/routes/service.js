@@ -10,6 +10,7 @@ const {
 } = require("../controllers/serviceController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,13 @@ router.get("/all", auth, acl("services.read"), getAllServices);
  *       500:
  *         description: Failed to fetch service
  */
-router.get("/:id", auth, acl("services.read"), getServiceById);
+router.get(
+  "/:id",
+  auth,
+  acl("services.read"),
+  tenantGuard("service"),
+  getServiceById
+);
 
 /**
  * @swagger
@@ -231,13 +238,20 @@ router.get("/:id", auth, acl("services.read"), getServiceById);
  *       500:
  *         description: Failed to update service
  */
-router.put("/:id", auth, acl("services.write"), updateService);
+router.put(
+  "/:id",
+  auth,
+  acl("services.write"),
+  tenantGuard("service"),
+  updateService
+);
 
 /**
  * @swagger
  * /services/{id}:
  *   delete:
  *     summary: Delete service by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Services]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +270,12 @@ router.put("/:id", auth, acl("services.write"), updateService);
  *       500:
  *         description: Failed to delete service
  */
-router.delete("/:id", auth, acl("services.delete"), deleteService);
+router.delete(
+  "/:id",
+  auth,
+  acl("services.delete"),
+  tenantGuard("service"),
+  deleteService
+);
 
 module.exports = router;
@@ -9,6 +9,7 @@ const {
 } = require("../controllers/serviceBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -42,6 +43,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("serviceBookings.read"),
+  tenantGuard("booking"),
   getAllServiceBookingsByBookingId
 );
 
@@ -82,7 +84,13 @@ router.get(
  *       500:
  *         description: Failed to create service booking
  */
-router.post("/:id", auth, acl("serviceBookings.write"), createServiceBooking);
+router.post(
+  "/:id",
+  auth,
+  acl("serviceBookings.write"),
+  tenantGuard("booking"),
+  createServiceBooking
+);
 
 /**
  * @swagger
@@ -107,7 +115,13 @@ router.post("/:id", auth, acl("serviceBookings.write"), createServiceBooking);
  *       500:
  *         description: Failed to fetch service booking
  */
-router.get("/:id", auth, acl("serviceBookings.read"), getServiceBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("serviceBookings.read"),
+  tenantGuard("serviceBooking"),
+  getServiceBookingById
+);
 
 /**
  * @swagger
@@ -146,7 +160,13 @@ router.get("/:id", auth, acl("serviceBookings.read"), getServiceBookingById);
  *       500:
  *         description: Failed to update service booking
  */
-router.put("/:id", auth, acl("serviceBookings.write"), updateServiceBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("serviceBookings.write"),
+  tenantGuard("serviceBooking"),
+  updateServiceBooking
+);
 
 /**
  * @swagger
@@ -175,6 +195,7 @@ router.delete(
   "/:id",
   auth,
   acl("serviceBookings.delete"),
+  tenantGuard("serviceBooking"),
   deleteServiceBooking
 );
 
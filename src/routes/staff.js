@@ -3,6 +3,7 @@ const router = express.Router();
 const staffController = require("../controllers/staffController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -25,6 +26,10 @@ const acl = require("../middleware/acl");
  *           type: string
  *         role:
  *           type: string
+ *         agencyRoleId:
+ *           type: integer
+ *           nullable: true
+ *           description: Custom agency role whose permissions replace those of the built-in role
  *         active:
  *           type: boolean
  *         branchId:
@@ -121,7 +126,13 @@ const acl = require("../middleware/acl");
  *                   type: string
  *                   example: Staff member not found
  */
-router.get("/:id", auth, acl("staff.read"), staffController.getStaffById);
+router.get(
+  "/:id",
+  auth,
+  acl("staff.read"),
+  tenantGuard("staff"),
+  staffController.getStaffById
+);
 
 /**
  * @swagger
@@ -220,6 +231,12 @@ router.get("/", auth, acl("staff.read"), staffController.getStaff);
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [admin, branch_admin, user]
+ *                 description: Only an admin can give a role other than user, and never one above its own
+ *               agencyRoleId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Custom agency role; only an admin can set it
  *               active:
  *                 type: boolean
  *               branchId:
@@ -321,6 +338,12 @@ router.post("/", auth, acl("staff.write"), staffController.createStaff);
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [admin, branch_admin, user]
+ *                 description: Only an admin can give a role other than user, and never one above its own
+ *               agencyRoleId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Custom agency role; only an admin can set it
  *               active:
  *                 type: boolean
  *               branchId:
@@ -399,7 +422,13 @@ router.post("/", auth, acl("staff.write"), staffController.createStaff);
  *                   type: string
  *                   example: Email already exists
  */
-router.put("/:id", auth, acl("staff.write"), staffController.updateStaff);
+router.put(
+  "/:id",
+  auth,
+  acl("staff.write"),
+  tenantGuard("staff"),
+  staffController.updateStaff
+);
 
 /**
  * @swagger
@@ -421,7 +450,13 @@ router.put("/:id", auth, acl("staff.write"), staffController.updateStaff);
  *       404:
  *         description: Not found
  */
-router.delete("/:id", auth, acl("staff.write"), staffController.deleteStaff);
+router.delete(
+  "/:id",
+  auth,
+  acl("staff.write"),
+  tenantGuard("staff"),
+  staffController.deleteStaff
+);
 
 /**
  * @swagger
@@ -455,7 +490,7 @@ router.delete("/:id", auth, acl("staff.write"), staffController.deleteStaff);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or the branch has no places left in the agency's package for another active user
  *       404:
  *         description: Staff not found
  */
@@ -463,6 +498,7 @@ router.patch(
   "/:id/status",
   auth,
   acl("staff.write"),
+  tenantGuard("staff"),
   staffController.setActiveStatus
 );
 
@@ -470,7 +506,84 @@ router.patch(
   "/:id/password",
   auth,
   acl("staff.write"),
+  tenantGuard("staff"),
   staffController.changePassword
 );
 
+/**
+ * @swagger
+ * /staff/{id}/login-history:
+ *   get:
+ *     summary: Get a staff member's login attempts, newest first
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Staff ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: The staff member with their lockout state, and their login attempts
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff not found
+ */
+router.get(
+  "/:id/login-history",
+  auth,
+  acl("staffLoginHistory.read"),
+  tenantGuard("staff"),
+  staffController.getStaffLoginHistory
+);
+
+/**
+ * @swagger
+ * /staff/{id}/unlock:
+ *   post:
+ *     summary: Unlock a staff member locked out after too many failed logins
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Staff ID
+ *     responses:
+ *       200:
+ *         description: Staff member unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Staff not found
+ */
+router.post(
+  "/:id/unlock",
+  auth,
+  acl("staff.unlock"),
+  tenantGuard("staff"),
+  staffController.unlockStaff
+);
+
 module.exports = router;
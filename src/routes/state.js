@@ -12,6 +12,7 @@ const {
 } = require("../controllers/stateController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -215,6 +216,7 @@ router.get(
   "/by-country/:id",
   auth,
   acl("states.read"),
+  tenantGuard("country"),
   getAllStatesByCountryId
 );
 
@@ -263,7 +265,13 @@ router.get(
  *       500:
  *         description: Failed to fetch state
  */
-router.get("/:id", auth, acl("states.read"), getStateById);
+router.get(
+  "/:id",
+  auth,
+  acl("states.read"),
+  tenantGuard("state"),
+  getStateById
+);
 
 /**
  * @swagger
@@ -303,13 +311,20 @@ router.get("/:id", auth, acl("states.read"), getStateById);
  *       500:
  *         description: Failed to update state
  */
-router.put("/:id", auth, acl("states.write"), updateState);
+router.put(
+  "/:id",
+  auth,
+  acl("states.write"),
+  tenantGuard("state"),
+  updateState
+);
 
 /**
  * @swagger
  * /states/{id}:
  *   delete:
  *     summary: Delete state by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [States]
  *     security:
  *       - bearerAuth: []
@@ -328,6 +343,12 @@ router.put("/:id", auth, acl("states.write"), updateState);
  *       500:
  *         description: Failed to delete state
  */
-router.delete("/:id", auth, acl("states.delete"), deleteState);
+router.delete(
+  "/:id",
+  auth,
+  acl("states.delete"),
+  tenantGuard("state"),
+  deleteState
+);
 
 module.exports = router;
@@ -3,6 +3,12 @@ const router = express.Router();
 const {
   createSubscription,
   generateSubscriptionInvoicePdf,
+  getPackageUsage,
+  getUpgradeQuote,
+  upgradeSubscription,
+  getSubscriptionHistory,
+  scheduleDowngrade,
+  cancelSubscription,
 } = require("../controllers/subscriptionController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
@@ -123,4 +129,274 @@ router.get(
  */
 router.post("/", auth, acl("subscriptions.write"), createSubscription);
 
+/**
+ * @swagger
+ * /subscriptions/usage:
+ *   get:
+ *     summary: Get branch and user usage against the package limits
+ *     description: Agency users get their own agency; the super admin passes agencyId. Only active users count against a branch's places.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agencyId
+ *         schema:
+ *           type: integer
+ *         description: Only used by the super admin
+ *     responses:
+ *       200:
+ *         description: Package limits with the branches used and the users used in each branch
+ *       403:
+ *         description: The agency has no subscription
+ *       500:
+ *         description: Failed to fetch package usage
+ */
+router.get("/usage", auth, acl("packageUsage.read"), getPackageUsage);
+
+/**
+ * @swagger
+ * /subscriptions/upgrade-quote:
+ *   get:
+ *     summary: Quote the prorated cost of upgrading an agency's package
+ *     description: The unused part of the current subscription is credited against the new package's cost for the remaining days. The upgraded subscription ends on the same date as the current one.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agencyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: packageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: upgradeDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Upgrade quote with the unused credit and prorated cost
+ *       400:
+ *         description: Smaller package or the current subscription is not running on the upgrade date
+ *       403:
+ *         description: The agency has no subscription
+ *       404:
+ *         description: Agency or package not found
+ *       409:
+ *         description: The agency is already on the package
+ *       500:
+ *         description: Failed to quote package upgrade
+ */
+router.get("/upgrade-quote", auth, acl("subscriptions.read"), getUpgradeQuote);
+
+/**
+ * @swagger
+ * /subscriptions/upgrade:
+ *   post:
+ *     summary: Upgrade an agency to a bigger package mid-term
+ *     description: Creates a subscription from the upgrade date to the end of the current one at the prorated cost and makes it the agency's current subscription. GST is worked out from the percents given.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *               - packageId
+ *               - paymentDate
+ *               - paymentMode
+ *             properties:
+ *               agencyId:
+ *                 type: integer
+ *               packageId:
+ *                 type: integer
+ *               upgradeDate:
+ *                 type: string
+ *                 format: date
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               paymentMode:
+ *                 type: string
+ *               cgstPercent:
+ *                 type: number
+ *               sgstPercent:
+ *                 type: number
+ *               igstPercent:
+ *                 type: number
+ *               utrNumber:
+ *                 type: string
+ *               neftImpfNumber:
+ *                 type: string
+ *               chequeNumber:
+ *                 type: string
+ *               chequeDate:
+ *                 type: string
+ *                 format: date
+ *               bankName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Upgraded subscription with the quote it was based on. Its invoice shows the new package for the remaining days less the credit for the unused days.
+ *       400:
+ *         description: Validation error, smaller package or the current subscription is not running
+ *       403:
+ *         description: The agency has no subscription
+ *       404:
+ *         description: Agency or package not found
+ *       409:
+ *         description: The agency is already on the package
+ *       500:
+ *         description: Failed to upgrade package
+ */
+router.post("/upgrade", auth, acl("subscriptions.write"), upgradeSubscription);
+
+/**
+ * @swagger
+ * /subscriptions/history:
+ *   get:
+ *     summary: Get an agency's subscriptions, newest first
+ *     description: Agency users get their own agency; the super admin passes agencyId. Each subscription has a status of active, scheduled (not started), replaced (by an upgrade), expired or cancelled, and a changeType of new, renewal, upgrade or downgrade.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agencyId
+ *         schema:
+ *           type: integer
+ *         description: Only used by the super admin
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Subscriptions with their package and status
+ *       404:
+ *         description: Agency not found
+ *       500:
+ *         description: Failed to fetch subscriptions
+ */
+router.get(
+  "/history",
+  auth,
+  acl("subscriptionHistory.read"),
+  getSubscriptionHistory
+);
+
+/**
+ * @swagger
+ * /subscriptions/downgrade:
+ *   post:
+ *     summary: Schedule a downgrade to a smaller package at the end of the term
+ *     description: Creates a subscription to the smaller package starting the day after the agency's last term ends, at the full package cost, and generates its invoice. It becomes the agency's current subscription when it starts. The agency's branches and users must fit in the smaller package.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *               - packageId
+ *               - paymentDate
+ *               - paymentMode
+ *             properties:
+ *               agencyId:
+ *                 type: integer
+ *               packageId:
+ *                 type: integer
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               paymentMode:
+ *                 type: string
+ *               cgstPercent:
+ *                 type: number
+ *               sgstPercent:
+ *                 type: number
+ *               igstPercent:
+ *                 type: number
+ *               utrNumber:
+ *                 type: string
+ *               neftImpfNumber:
+ *                 type: string
+ *               chequeNumber:
+ *                 type: string
+ *               chequeDate:
+ *                 type: string
+ *                 format: date
+ *               bankName:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Scheduled subscription with its invoice number
+ *       400:
+ *         description: Validation error, the package is not smaller or the agency does not fit in it
+ *       403:
+ *         description: The agency has no subscription
+ *       404:
+ *         description: Package not found
+ *       409:
+ *         description: The agency is already on the package or a downgrade is already scheduled
+ *       500:
+ *         description: Failed to schedule downgrade
+ */
+router.post("/downgrade", auth, acl("subscriptions.write"), scheduleDowngrade);
+
+/**
+ * @swagger
+ * /subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a subscription that has not started yet
+ *     description: If it was the agency's current subscription, the latest remaining subscription becomes current again. The invoice is generated again marked as cancelled.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cancelled subscription
+ *       400:
+ *         description: The subscription has already started
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: Already cancelled, or later subscriptions must be cancelled first
+ *       500:
+ *         description: Failed to cancel subscription
+ */
+router.post(
+  "/:id/cancel",
+  auth,
+  acl("subscriptions.write"),
+  cancelSubscription
+);
+
 module.exports = router;
@@ -0,0 +1,300 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSupplierPayments,
+  createSupplierPayment,
+  getSupplierPaymentById,
+  deleteSupplierPayment,
+  getHotelStatement,
+  getAgentStatement,
+  getPayablesSummary,
+} = require("../controllers/supplierPaymentController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
+
+/**
+ * @swagger
+ * tags:
+ *   name: SupplierPayments
+ *   description: Payments to hotels and agents, supplier statements and payables ageing
+ */
+
+/**
+ * @swagger
+ * /supplier-payments:
+ *   get:
+ *     summary: Get all supplier payments with pagination and filters
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of records per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by payment number, HRV number, hotel or agent name
+ *       - in: query
+ *         name: hotelId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: hotelBookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: vehicleBookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of supplier payments
+ *       500:
+ *         description: Failed to fetch supplier payments
+ */
+router.get("/", auth, acl("supplierPayments.read"), getSupplierPayments);
+
+/**
+ * @swagger
+ * /supplier-payments:
+ *   post:
+ *     summary: Record a payment against a hotel or vehicle booking
+ *     description: Partial payments are allowed; the amount may not exceed the outstanding amount of the booking.
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentDate
+ *               - paymentMode
+ *               - amount
+ *             properties:
+ *               hotelBookingId:
+ *                 type: integer
+ *                 description: Hotel booking being paid (either this or vehicleBookingId)
+ *               vehicleBookingId:
+ *                 type: integer
+ *                 description: Vehicle booking being paid (either this or hotelBookingId)
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *               paymentMode:
+ *                 type: string
+ *                 example: Cheque
+ *               amount:
+ *                 type: number
+ *               bankId:
+ *                 type: integer
+ *               chequeDate:
+ *                 type: string
+ *                 format: date
+ *               chequeNumber:
+ *                 type: string
+ *               utrNumber:
+ *                 type: string
+ *               neftImpfNumber:
+ *                 type: string
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Supplier payment recorded
+ *       400:
+ *         description: Validation error or amount exceeds the outstanding amount
+ *       404:
+ *         description: Hotel or vehicle booking not found
+ *       500:
+ *         description: Failed to create supplier payment
+ */
+router.post("/", auth, acl("supplierPayments.write"), createSupplierPayment);
+
+/**
+ * @swagger
+ * /supplier-payments/summary:
+ *   get:
+ *     summary: Get outstanding payables per supplier with ageing buckets
+ *     description: Covers hotel, vehicle and service bookings that are not cancelled or in the trash. Outstanding amounts are aged from the booking date into 0-30, 31-60, 61-90 and 90+ day buckets.
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age outstanding amounts on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Payables summary
+ *       500:
+ *         description: Failed to fetch payables summary
+ */
+router.get("/summary", auth, acl("supplierPayments.read"), getPayablesSummary);
+
+/**
+ * @swagger
+ * /supplier-payments/hotel/{id}/statement:
+ *   get:
+ *     summary: Get the statement of a hotel
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hotel ID
+ *       - in: query
+ *         name: asOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age outstanding amounts on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: HRV-wise payables, payments and ageing of the hotel
+ *       404:
+ *         description: Hotel not found
+ *       500:
+ *         description: Failed to fetch hotel statement
+ */
+router.get(
+  "/hotel/:id/statement",
+  auth,
+  acl("supplierPayments.read"),
+  tenantGuard("hotel"),
+  getHotelStatement
+);
+
+/**
+ * @swagger
+ * /supplier-payments/agent/{id}/statement:
+ *   get:
+ *     summary: Get the statement of an agent
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Agent ID
+ *       - in: query
+ *         name: asOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to age outstanding amounts on (defaults to today)
+ *     responses:
+ *       200:
+ *         description: HRV-wise payables of its vehicle bookings, its service bookings, payments and ageing of the agent
+ *       404:
+ *         description: Agent not found
+ *       500:
+ *         description: Failed to fetch agent statement
+ */
+router.get(
+  "/agent/:id/statement",
+  auth,
+  acl("supplierPayments.read"),
+  tenantGuard("agent"),
+  getAgentStatement
+);
+
+/**
+ * @swagger
+ * /supplier-payments/{id}:
+ *   get:
+ *     summary: Get a supplier payment by ID
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Supplier payment ID
+ *     responses:
+ *       200:
+ *         description: Supplier payment details
+ *       404:
+ *         description: Supplier payment not found
+ *       500:
+ *         description: Failed to fetch supplier payment
+ */
+router.get(
+  "/:id",
+  auth,
+  acl("supplierPayments.read"),
+  tenantGuard("supplierPayment"),
+  getSupplierPaymentById
+);
+
+/**
+ * @swagger
+ * /supplier-payments/{id}:
+ *   delete:
+ *     summary: Delete a supplier payment
+ *     tags: [SupplierPayments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Supplier payment ID
+ *     responses:
+ *       204:
+ *         description: Supplier payment deleted
+ *       404:
+ *         description: Supplier payment not found
+ *       500:
+ *         description: Failed to delete supplier payment
+ */
+router.delete(
+  "/:id",
+  auth,
+  acl("supplierPayments.delete"),
+  tenantGuard("supplierPayment"),
+  deleteSupplierPayment
+);
+
+module.exports = router;
@@ -11,6 +11,7 @@ const {
 } = require("../controllers/tourController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 const multer = require("multer");
 const tourUploadConfig = [
@@ -291,7 +292,7 @@ router.get("/allGroupTours", auth, acl("tours.read"), getAllGroupTours);
  *       500:
  *         description: Failed to fetch tour
  */
-router.get("/:id", auth, acl("tours.read"), getTourById);
+router.get("/:id", auth, acl("tours.read"), tenantGuard("tour"), getTourById);
 
 /**
  * @swagger
@@ -357,6 +358,7 @@ router.put(
   "/:id",
   auth,
   acl("tours.write"),
+  tenantGuard("tour"),
   ...uploadMiddleware, // Spread the array of middleware functions
   updateTour
 );
@@ -366,6 +368,7 @@ router.put(
  * /tours/{id}:
  *   delete:
  *     summary: Delete tour by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Tours]
  *     security:
  *       - bearerAuth: []
@@ -384,6 +387,12 @@ router.put(
  *       500:
  *         description: Failed to delete tour
  */
-router.delete("/:id", auth, acl("tours.delete"), deleteTour);
+router.delete(
+  "/:id",
+  auth,
+  acl("tours.delete"),
+  tenantGuard("tour"),
+  deleteTour
+);
 
 module.exports = router;
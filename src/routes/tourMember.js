@@ -9,6 +9,7 @@ const {
 } = require("../controllers/tourMemberController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -73,7 +74,13 @@ const acl = require("../middleware/acl");
  *       500:
  *         description: Failed to create tour member
  */
-router.post("/:id", auth, acl("tourMembers.write"), createTourMember);
+router.post(
+  "/:id",
+  auth,
+  acl("tourMembers.write"),
+  tenantGuard("booking"),
+  createTourMember
+);
 
 /**
  * @swagger
@@ -102,7 +109,13 @@ router.post("/:id", auth, acl("tourMembers.write"), createTourMember);
  *       500:
  *         description: Failed to fetch tour member
  */
-router.get("/:id", auth, acl("tourMembers.read"), getTourMemberById);
+router.get(
+  "/:id",
+  auth,
+  acl("tourMembers.read"),
+  tenantGuard("tourMember"),
+  getTourMemberById
+);
 
 /**
  * @swagger
@@ -138,6 +151,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("tourMembers.read"),
+  tenantGuard("booking"),
   getAllTourMembersByBookingId
 );
 
@@ -176,7 +190,13 @@ router.get(
  *       500:
  *         description: Failed to update tour member
  */
-router.put("/:id", auth, acl("tourMembers.write"), updateTourMember);
+router.put(
+  "/:id",
+  auth,
+  acl("tourMembers.write"),
+  tenantGuard("tourMember"),
+  updateTourMember
+);
 /**
  * @swagger
  * /tour-members/{id}:
@@ -200,6 +220,12 @@ router.put("/:id", auth, acl("tourMembers.write"), updateTourMember);
  *       500:
  *         description: Failed to delete tour member
  */
-router.delete("/:id", auth, acl("tourMembers.delete"), deleteTourMember);
+router.delete(
+  "/:id",
+  auth,
+  acl("tourMembers.delete"),
+  tenantGuard("tourMember"),
+  deleteTourMember
+);
 
 module.exports = router;
@@ -0,0 +1,166 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTrash,
+  restoreRecord,
+  purgeRecord,
+} = require("../controllers/trashController");
+const auth = require("../middleware/auth");
+const acl = require("../middleware/acl");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted master data and bookings, which can be restored or deleted for good
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrashType:
+ *       type: string
+ *       enum: [accommodation, agent, airline, bank, booking, city, client, country, groupBooking, hotel, sector, service, state, tour, vehicle]
+ *     TrashItem:
+ *       type: object
+ *       properties:
+ *         type:
+ *           $ref: '#/components/schemas/TrashType'
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: The record's name, title or number
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedBy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: Get the deleted records of one type
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TrashType'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - $ref: '#/components/parameters/BranchContext'
+ *     responses:
+ *       200:
+ *         description: Deleted records, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashItem'
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalItems:
+ *                   type: integer
+ *       400:
+ *         description: Invalid type
+ *       500:
+ *         description: Failed to fetch trash
+ */
+router.get("/", auth, acl("trash.read"), getTrash);
+
+/**
+ * @swagger
+ * /trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted record
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TrashType'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored record
+ *       400:
+ *         description: Invalid type
+ *       404:
+ *         description: Record not found in trash
+ *       409:
+ *         description: Another record of the same type already has its name
+ *       500:
+ *         description: Failed to restore record
+ */
+router.post("/:type/:id/restore", auth, acl("trash.write"), restoreRecord);
+
+/**
+ * @swagger
+ * /trash/{type}/{id}:
+ *   delete:
+ *     summary: Permanently delete a record in the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/TrashType'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Record permanently deleted
+ *       400:
+ *         description: Invalid type
+ *       404:
+ *         description: Record not found in trash
+ *       409:
+ *         description: The record is still referenced by other data
+ *       500:
+ *         description: Failed to delete record
+ */
+router.delete("/:type/:id", auth, acl("trash.delete"), purgeRecord);
+
+module.exports = router;
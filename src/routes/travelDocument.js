@@ -9,6 +9,7 @@ const {
 } = require("../controllers/travelDocumentController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 const createUploadMiddleware = require("../middleware/uploadMiddleware");
 const tourUploadConfig = [
   {
@@ -80,6 +81,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("travelDocuments.read"),
+  tenantGuard("booking"),
   getAllTravelDocumentsByBookingId
 );
 /**
@@ -129,6 +131,7 @@ router.post(
   "/:id",
   auth,
   acl("travelDocuments.write"),
+  tenantGuard("booking"),
   ...uploadMiddleware, // Spread the array of middleware functions
   createTravelDocument
 );
@@ -160,7 +163,13 @@ router.post(
  *       500:
  *         description: Failed to fetch travel document
  */
-router.get("/:id", auth, acl("travelDocuments.read"), getTravelDocumentById);
+router.get(
+  "/:id",
+  auth,
+  acl("travelDocuments.read"),
+  tenantGuard("travelDocument"),
+  getTravelDocumentById
+);
 
 /**
  * @swagger
@@ -202,6 +211,7 @@ router.put(
   "/:id",
   auth,
   acl("travelDocuments.write"),
+  tenantGuard("travelDocument"),
   ...uploadMiddleware, // Spread the array of middleware functions
   updateTravelDocument
 );
@@ -233,6 +243,7 @@ router.delete(
   "/:id",
   auth,
   acl("travelDocuments.delete"),
+  tenantGuard("travelDocument"),
   deleteTravelDocument
 );
 
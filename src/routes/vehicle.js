@@ -10,6 +10,7 @@ const {
 } = require("../controllers/vehicleController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -194,7 +195,7 @@ router.get("/all", auth, acl("vehicles.read"), getAllVehicles);
  *       500:
  *         description: Failed to fetch vehicle
  */
-router.get("/:id", auth, acl("vehicles.read"), getVehicleById);
+router.get("/:id", auth, acl("vehicles.read"), tenantGuard("vehicle"), getVehicleById);
 
 /**
  * @swagger
@@ -231,13 +232,14 @@ router.get("/:id", auth, acl("vehicles.read"), getVehicleById);
  *       500:
  *         description: Failed to update vehicle
  */
-router.put("/:id", auth, acl("vehicles.write"), updateVehicle);
+router.put("/:id", auth, acl("vehicles.write"), tenantGuard("vehicle"), updateVehicle);
 
 /**
  * @swagger
  * /vehicles/{id}:
  *   delete:
  *     summary: Delete vehicle by ID
+ *     description: Moves it to the trash; see /trash to restore or permanently delete it.
  *     tags: [Vehicles]
  *     security:
  *       - bearerAuth: []
@@ -256,6 +258,6 @@ router.put("/:id", auth, acl("vehicles.write"), updateVehicle);
  *       500:
  *         description: Failed to delete vehicle
  */
-router.delete("/:id", auth, acl("vehicles.delete"), deleteVehicle);
+router.delete("/:id", auth, acl("vehicles.delete"), tenantGuard("vehicle"), deleteVehicle);
 
 module.exports = router;
\ No newline at end of file
@@ -6,9 +6,12 @@ const {
   updateVehicleBooking,
   deleteVehicleBooking,
   getAllVehicleBookingsByBookingId,
+  downloadVehicleDutySlip,
+  emailVehicleDutySlip,
 } = require("../controllers/vehicleBookingController");
 const auth = require("../middleware/auth");
 const acl = require("../middleware/acl");
+const tenantGuard = require("../middleware/tenantGuard");
 
 /**
  * @swagger
@@ -51,6 +54,7 @@ router.get(
   "/booking/:id",
   auth,
   acl("vehicleBookings.read"),
+  tenantGuard("booking"),
   getAllVehicleBookingsByBookingId
 );
 
@@ -130,7 +134,13 @@ router.get(
  *       500:
  *         description: Failed to create vehicle booking
  */
-router.post("/:id", auth, acl("vehicleBookings.write"), createVehicleBooking);
+router.post(
+  "/:id",
+  auth,
+  acl("vehicleBookings.write"),
+  tenantGuard("booking"),
+  createVehicleBooking
+);
 
 /**
  * @swagger
@@ -159,7 +169,13 @@ router.post("/:id", auth, acl("vehicleBookings.write"), createVehicleBooking);
  *       500:
  *         description: Failed to fetch vehicle booking
  */
-router.get("/:id", auth, acl("vehicleBookings.read"), getVehicleBookingById);
+router.get(
+  "/:id",
+  auth,
+  acl("vehicleBookings.read"),
+  tenantGuard("vehicleBooking"),
+  getVehicleBookingById
+);
 
 /**
  * @swagger
@@ -197,7 +213,13 @@ router.get("/:id", auth, acl("vehicleBookings.read"), getVehicleBookingById);
  *       500:
  *         description: Failed to update vehicle booking
  */
-router.put("/:id", auth, acl("vehicleBookings.write"), updateVehicleBooking);
+router.put(
+  "/:id",
+  auth,
+  acl("vehicleBookings.write"),
+  tenantGuard("vehicleBooking"),
+  updateVehicleBooking
+);
 
 /**
  * @swagger
@@ -226,7 +248,76 @@ router.delete(
   "/:id",
   auth,
   acl("vehicleBookings.delete"),
+  tenantGuard("vehicleBooking"),
   deleteVehicleBooking
 );
 
+/**
+ * @swagger
+ * /vehicle-bookings/{id}/duty-slip:
+ *   get:
+ *     summary: Generate and download the vehicle duty slip PDF
+ *     description: The duty slip is numbered with the vehicle HRV number and lists the day-wise route and the hotel the driver reports to each night.
+ *     tags: [VehicleBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Vehicle booking ID
+ *     responses:
+ *       200:
+ *         description: Duty slip PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Vehicle booking not found
+ *       500:
+ *         description: Failed to generate duty slip
+ */
+router.get(
+  "/:id/duty-slip",
+  auth,
+  acl("vehicleBookings.read"),
+  tenantGuard("vehicleBooking"),
+  downloadVehicleDutySlip
+);
+
+/**
+ * @swagger
+ * /vehicle-bookings/{id}/duty-slip/email:
+ *   post:
+ *     summary: Email the vehicle duty slip PDF to the assigned agent
+ *     tags: [VehicleBookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Vehicle booking ID
+ *     responses:
+ *       200:
+ *         description: Duty slip emailed to the agent
+ *       404:
+ *         description: Vehicle booking not found
+ *       500:
+ *         description: Failed to email duty slip
+ */
+router.post(
+  "/:id/duty-slip/email",
+  auth,
+  acl("vehicleBookings.write"),
+  tenantGuard("vehicleBooking"),
+  emailVehicleDutySlip
+);
+
 module.exports = router;
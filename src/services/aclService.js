@@ -1,13 +1,112 @@
+const prisma = require('../config/db');
 const permissions = require('../config/permissions');
+const { SUPER_ADMIN, ADMIN, BRANCH_ADMIN, USER } = require('../config/roles');
+
+const CACHE_TTL_MS = 60 * 1000;
+// `${agencyId}:${roleKey}` -> { granted: Set, expiresAt }
+const cache = new Map();
+
+// Permissions an agency can grant: all but those reserved for the super admin
+const AGENCY_PERMISSIONS = Object.keys(permissions).filter((permission) =>
+  permissions[permission].some((role) => role !== SUPER_ADMIN)
+);
+
+// Built-in roles whose grants an agency can change; admin always keeps its defaults
+const CUSTOMIZABLE_ROLES = [BRANCH_ADMIN, USER];
+
+/**
+ * Grants a built-in role has until its agency changes them: those listed in
+ * config/permissions.js, except that the user role cannot delete records or
+ * edit the agency.
+ * @param {string} role
+ * @returns {string[]}
+ */
+const defaultPermissions = (role) =>
+  AGENCY_PERMISSIONS.filter(
+    (permission) =>
+      permissions[permission].includes(role) &&
+      (role !== USER ||
+        !(permission.endsWith('.delete') || permission === 'agencies.write'))
+  );
+
+/**
+ * The permission catalog agencies pick grants from, grouped by the part of
+ * the key before the dot.
+ * @returns {{ group: string, permissions: string[] }[]}
+ */
+const getPermissionCatalog = () => {
+  const groups = new Map();
+  AGENCY_PERMISSIONS.forEach((permission) => {
+    const group = permission.split('.')[0];
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(permission);
+  });
+  return [...groups.entries()].map(([group, keys]) => ({
+    group,
+    permissions: keys,
+  }));
+};
+
+// Grants of an agency user's custom role, or of their built-in role
+const loadPermissions = async (user) => {
+  if (user.role === ADMIN) return defaultPermissions(ADMIN);
+
+  const role = await prisma.agencyRole.findFirst({
+    where: user.agencyRoleId
+      ? { id: user.agencyRoleId, agencyId: user.agencyId }
+      : { agencyId: user.agencyId, systemRole: user.role },
+    select: { permissions: { select: { permission: true } } },
+  });
+  if (role) return role.permissions.map(({ permission }) => permission);
+  return user.agencyRoleId ? [] : defaultPermissions(user.role);
+};
+
+/**
+ * Forgets the cached grants of an agency's roles after they change.
+ * @param {number} agencyId
+ * @returns {void}
+ */
+const invalidateAgency = (agencyId) => {
+  [...cache.keys()]
+    .filter((key) => key.startsWith(`${agencyId}:`))
+    .forEach((key) => cache.delete(key));
+};
 
 const aclService = {
-  hasPermission: (user, permission) => {
+  AGENCY_PERMISSIONS,
+  CUSTOMIZABLE_ROLES,
+  defaultPermissions,
+  getPermissionCatalog,
+  invalidateAgency,
+
+  /**
+   * Whether a user holds a permission. The super admin and users outside an
+   * agency use config/permissions.js; agency users use their agency's grants,
+   * cached for a minute.
+   * @param {object} user
+   * @param {string} permission
+   * @returns {Promise<boolean>}
+   */
+  hasPermission: async (user, permission) => {
     if (!user || !user.role) {
       return false;
     }
+    if (user.role === SUPER_ADMIN || !user.agencyId) {
+      return permissions[permission]?.includes(user.role) || false;
+    }
 
-    const userRole = user.role;
-    return permissions[permission]?.includes(userRole) || false;
+    const key = `${user.agencyId}:${
+      user.agencyRoleId ? `role:${user.agencyRoleId}` : user.role
+    }`;
+    let entry = cache.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = {
+        granted: new Set(await loadPermissions(user)),
+        expiresAt: Date.now() + CACHE_TTL_MS,
+      };
+      cache.set(key, entry);
+    }
+    return entry.granted.has(permission);
   },
 };
 
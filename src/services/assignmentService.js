@@ -0,0 +1,248 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { USER, BRANCH_ADMIN } = require("../config/roles");
+
+const AUTO_ASSIGN_STRATEGIES = ["none", "round_robin", "least_loaded"];
+
+const DEFAULT_AGENCY_SETTINGS = {
+  autoAssignStrategy: "none",
+  restrictToAssignedEnquiries: false,
+  requireTwoFactor: false,
+};
+
+const userSelect = { select: { id: true, name: true } };
+
+/**
+ * Returns the settings of an agency, or the defaults when none are saved.
+ * @param {number} agencyId
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<object>}
+ */
+const getAgencySettings = async (agencyId, tx = prisma) => {
+  const settings = await tx.agencySetting.findUnique({ where: { agencyId } });
+  return settings || { agencyId, ...DEFAULT_AGENCY_SETTINGS };
+};
+
+// Enquiries are bookings or group bookings; `owner` is { bookingId } or { groupBookingId }
+const bookingModel = (owner) =>
+  owner.bookingId
+    ? { model: "booking", field: "bookingId", id: owner.bookingId }
+    : {
+        model: "groupBooking",
+        field: "groupBookingId",
+        id: owner.groupBookingId,
+      };
+
+// Active staff of the branch (or the whole agency when the booking has no
+// branch), oldest first. Staff are never deleted while they have bookings,
+// only deactivated, so inactive ones are all that need leaving out.
+const findAssignableStaff = (tx, agencyId, branchId) =>
+  tx.user.findMany({
+    where: {
+      agencyId,
+      active: true,
+      role: { in: [USER, BRANCH_ADMIN] },
+      ...(branchId && { branchId }),
+    },
+    select: { id: true },
+    orderBy: { id: "asc" },
+  });
+
+// Next staff member after the one who got the branch's last automatic assignment
+const pickRoundRobin = async (tx, staff, branchId) => {
+  const last = await tx.bookingAssignment.findFirst({
+    where: {
+      isAutomatic: true,
+      branchId: branchId || null,
+      toUserId: { in: staff.map((user) => user.id) },
+    },
+    orderBy: { id: "desc" },
+    select: { toUserId: true },
+  });
+  const lastIndex = last
+    ? staff.findIndex((user) => user.id === last.toUserId)
+    : -1;
+  return staff[(lastIndex + 1) % staff.length];
+};
+
+// Staff member with the fewest open enquiries; ties go to the longest-serving.
+// Enquiries in the trash or already won or lost do not count.
+const pickLeastLoaded = async (tx, staff) => {
+  const where = {
+    assignedToId: { in: staff.map((user) => user.id) },
+    bookingType: "Enquiry",
+    deletedAt: null,
+    OR: [{ pipelineStageId: null }, { pipelineStage: { stageType: "open" } }],
+  };
+  const [bookings, groupBookings] = await Promise.all([
+    tx.booking.groupBy({ by: ["assignedToId"], where, _count: { id: true } }),
+    tx.groupBooking.groupBy({
+      by: ["assignedToId"],
+      where,
+      _count: { id: true },
+    }),
+  ]);
+
+  const load = new Map(staff.map((user) => [user.id, 0]));
+  [...bookings, ...groupBookings].forEach((row) => {
+    load.set(row.assignedToId, load.get(row.assignedToId) + row._count.id);
+  });
+  return staff.reduce((best, user) =>
+    load.get(user.id) < load.get(best.id) ? user : best
+  );
+};
+
+/**
+ * Assigns a newly created booking or group booking using the agency's
+ * auto-assignment strategy, picking from the staff of its branch. Without a
+ * strategy, or when the branch has no staff, it stays with the user who created it.
+ * @param {Prisma.TransactionClient} tx
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @param {number} createdById - User creating the booking.
+ * @returns {Promise<number>} The assigned user ID.
+ */
+const autoAssignBooking = async (tx, agencyId, owner, createdById) => {
+  const { model, field, id } = bookingModel(owner);
+  const [{ autoAssignStrategy }, booking] = await Promise.all([
+    getAgencySettings(agencyId, tx),
+    tx[model].findUnique({ where: { id }, select: { branchId: true } }),
+  ]);
+  const branchId = booking.branchId || null;
+
+  let assignee = null;
+  if (autoAssignStrategy !== "none") {
+    const staff = await findAssignableStaff(tx, agencyId, branchId);
+    if (staff.length > 0) {
+      assignee =
+        autoAssignStrategy === "round_robin"
+          ? await pickRoundRobin(tx, staff, branchId)
+          : await pickLeastLoaded(tx, staff);
+    }
+  }
+  const toUserId = assignee ? assignee.id : createdById;
+
+  await tx[model].update({
+    where: { id },
+    data: { assignedToId: toUserId },
+  });
+  await tx.bookingAssignment.create({
+    data: {
+      [field]: id,
+      branchId,
+      toUserId,
+      assignedById: assignee ? null : createdById,
+      isAutomatic: !!assignee,
+    },
+  });
+  return toUserId;
+};
+
+/**
+ * Assigns (or unassigns, with a null user) a booking or group booking to a
+ * staff member of the agency and records the change in its history.
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @param {number|null} toUserId
+ * @param {number} assignedById - User making the change.
+ * @param {string} [reason]
+ * @returns {Promise<object|null>} The booking with its assignee, or null when not found.
+ */
+const assignBooking = (agencyId, owner, toUserId, assignedById, reason) =>
+  prisma.$transaction(async (tx) => {
+    const { model, field, id } = bookingModel(owner);
+    const booking = await tx[model].findFirst({
+      where: { id, agencyId },
+      select: { id: true, branchId: true, assignedToId: true },
+    });
+    if (!booking) return null;
+
+    if (toUserId) {
+      const user = await tx.user.findFirst({
+        where: { id: toUserId, agencyId, active: true },
+        select: { id: true },
+      });
+      if (!user) throw createError(400, "Staff member not found");
+    }
+    if ((booking.assignedToId || null) === (toUserId || null)) {
+      throw createError(409, "Booking is already assigned to this user");
+    }
+
+    await tx.bookingAssignment.create({
+      data: {
+        [field]: id,
+        branchId: booking.branchId || null,
+        fromUserId: booking.assignedToId,
+        toUserId: toUserId || null,
+        assignedById,
+        reason: reason || null,
+      },
+    });
+    return tx[model].update({
+      where: { id },
+      data: { assignedToId: toUserId || null },
+      include: { assignedTo: userSelect },
+    });
+  });
+
+/**
+ * Returns the assignment history of a booking or group booking, oldest first.
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @returns {Promise<object[]|null>} Null when the booking is not found.
+ */
+const getAssignmentHistory = async (agencyId, owner) => {
+  const { model, field, id } = bookingModel(owner);
+  const booking = await prisma[model].findFirst({
+    where: { id, agencyId },
+    select: { id: true },
+  });
+  if (!booking) return null;
+
+  return prisma.bookingAssignment.findMany({
+    where: { [field]: id },
+    include: {
+      fromUser: userSelect,
+      toUser: userSelect,
+      assignedBy: userSelect,
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+};
+
+/**
+ * Whether the user is user-role staff of an agency that restricts them to
+ * the enquiries and bookings assigned to them.
+ * @param {object} user - Logged in user.
+ * @returns {Promise<boolean>}
+ */
+const isRestrictedToAssigned = async (user) => {
+  if (user.role !== USER) return false;
+  const { restrictToAssignedEnquiries } = await getAgencySettings(
+    user.agencyId
+  );
+  return restrictToAssignedEnquiries;
+};
+
+/**
+ * Where clause restricting a booking list to the logged in user's assignments:
+ * when they ask for `assignedTo=me`, or always for user-role staff when the
+ * agency restricts them to their own enquiries.
+ * @param {object} user - Logged in user.
+ * @param {object} query - Request query.
+ * @returns {Promise<object>}
+ */
+const assignedToFilter = async (user, query) => {
+  if (query.assignedTo === "me") return { assignedToId: user.id };
+  return (await isRestrictedToAssigned(user)) ? { assignedToId: user.id } : {};
+};
+
+module.exports = {
+  AUTO_ASSIGN_STRATEGIES,
+  getAgencySettings,
+  autoAssignBooking,
+  assignBooking,
+  getAssignmentHistory,
+  isRestrictedToAssigned,
+  assignedToFilter,
+};
@@ -0,0 +1,76 @@
+const prisma = require("../config/db");
+
+const AUDIT_ACTIONS = ["create", "update", "delete"];
+
+const auditLogSelect = {
+  id: true,
+  entityType: true,
+  entityId: true,
+  action: true,
+  before: true,
+  after: true,
+  bookingId: true,
+  ipAddress: true,
+  userAgent: true,
+  createdAt: true,
+  user: { select: { id: true, name: true, email: true } },
+};
+
+/**
+ * Audit log entries of an agency, newest first.
+ * @param {number} agencyId
+ * @param {{ entityType?: string, entityId?: number, action?: string, userId?: number, bookingId?: number, fromDate?: Date, toDate?: Date }} filters
+ * @param {{ skip: number, take: number }} options
+ * @returns {Promise<{ auditLogs: object[], totalAuditLogs: number }>}
+ */
+const getAuditLogs = async (agencyId, filters, { skip, take }) => {
+  const { entityType, entityId, action, userId, bookingId, fromDate, toDate } =
+    filters;
+  const where = {
+    agencyId,
+    ...(entityType && { entityType }),
+    ...(entityId && { entityId }),
+    ...(action && { action }),
+    ...(userId && { userId }),
+    ...(bookingId && { bookingId }),
+    ...((fromDate || toDate) && {
+      createdAt: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate }),
+      },
+    }),
+  };
+
+  const [auditLogs, totalAuditLogs] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      select: auditLogSelect,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip,
+      take,
+    }),
+    prisma.auditLog.count({ where }),
+  ]);
+  return { auditLogs, totalAuditLogs };
+};
+
+/**
+ * Everything recorded about a booking in order: changes to the booking and to
+ * the records that belong to it, such as its hotel, journey and vehicle
+ * bookings, travel documents, receipts and follow-ups.
+ * @param {number} agencyId
+ * @param {number} bookingId
+ * @returns {Promise<object[]>}
+ */
+const getBookingActivity = (agencyId, bookingId) =>
+  prisma.auditLog.findMany({
+    where: { agencyId, bookingId },
+    select: auditLogSelect,
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+
+module.exports = {
+  AUDIT_ACTIONS,
+  getAuditLogs,
+  getBookingActivity,
+};
@@ -0,0 +1,72 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+const { ADMIN, SUPER_ADMIN } = require("../config/roles");
+
+const BRANCH_HEADER = "x-branch-id";
+// Paths to the branch of records that belong to a booking or a group client
+const BOOKING_BRANCH = [
+  "booking.branchId",
+  "groupClient.groupBooking.branchId",
+];
+
+/**
+ * The branch a request is limited to. Branch admins and users of a branch
+ * always see their own branch only. Admins see the whole agency unless they
+ * switch to a branch with the X-Branch-Id header or a `branchId` query
+ * parameter.
+ * @param {import("express").Request} req - With the logged in user on req.user.
+ * @returns {Promise<number|null>} null when not limited to a branch.
+ */
+const resolveBranchScope = async (req) => {
+  const { user } = req;
+  if (user.role === SUPER_ADMIN || !user.agencyId) return null;
+
+  const requested = req.headers[BRANCH_HEADER] ?? req.query.branchId;
+  let branchId = null;
+  if (requested !== undefined && requested !== "") {
+    branchId = parseInt(requested, 10);
+    if (Number.isNaN(branchId)) throw createError(400, "Invalid branch id");
+  }
+
+  if (user.role !== ADMIN) {
+    if (!user.branchId) return null;
+    if (branchId && branchId !== user.branchId) {
+      throw createError(403, "You can only access the data of your branch");
+    }
+    return user.branchId;
+  }
+
+  if (branchId) {
+    const branch = await prisma.branch.findFirst({
+      where: { id: branchId, agencyId: user.agencyId },
+      select: { id: true },
+    });
+    if (!branch) throw createError(404, "Branch not found");
+  }
+  return branchId;
+};
+
+/**
+ * Where clause limiting records to a branch, reached through `paths` when the
+ * branch is on a related record. With several paths a record matches through
+ * any of them, e.g. receipts of a booking or of a group client.
+ * @param {number|null} branchId - req.branchId.
+ * @param {string[]} [paths] - Like "booking.branchId".
+ * @returns {object} An empty object when not limited to a branch.
+ */
+const branchFilter = (branchId, paths = ["branchId"]) => {
+  if (!branchId) return {};
+  const conditions = paths.map((path) =>
+    path
+      .split(".")
+      .reduceRight((condition, field) => ({ [field]: condition }), branchId)
+  );
+  return conditions.length === 1 ? conditions[0] : { OR: conditions };
+};
+
+module.exports = {
+  BRANCH_HEADER,
+  BOOKING_BRANCH,
+  resolveBranchScope,
+  branchFilter,
+};
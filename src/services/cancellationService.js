@@ -0,0 +1,348 @@
+const createError = require("http-errors");
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const generateRefundNumber = require("../utils/generateRefundNumber");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Sub-bookings that are cancelled along with their booking or group client
+const SUB_BOOKING_MODELS = [
+  "journeyBooking",
+  "hotelBooking",
+  "vehicleBooking",
+  "serviceBooking",
+];
+
+const chargesInclude = {
+  journeyBookings: {
+    where: { isCancelled: false },
+    select: { amount: true },
+  },
+  hotelBookings: {
+    where: { isCancelled: false },
+    select: { totalAmount: true },
+  },
+  vehicleBookings: {
+    where: { isCancelled: false },
+    select: { amount: true },
+  },
+  serviceBookings: {
+    where: { isCancelled: false },
+    select: { cost: true },
+  },
+  bookingReceipts: {
+    where: { isCancelled: false },
+    select: { amount: true },
+  },
+  creditNotes: { select: { amount: true } },
+  cancellation: { select: { id: true } },
+};
+
+const sumOf = (records, field) =>
+  records.reduce((total, record) => total + toNumber(record[field]), 0);
+
+/**
+ * Picks the policy slab for a cancellation made `daysBeforeJourney` days ahead:
+ * the slab with the most days that is still met. Cancelling later than every
+ * slab (or on or after the journey date) forfeits the whole amount, and
+ * without a journey date the strictest slab applies.
+ * @param {object[]} policies - Cancellation policy slabs of the agency.
+ * @param {number|null} daysBeforeJourney
+ * @returns {number} Charge percent.
+ */
+const resolveChargePercent = (policies, daysBeforeJourney) => {
+  if (policies.length === 0) return 0;
+  if (daysBeforeJourney === null) {
+    return Math.max(
+      ...policies.map((policy) => toNumber(policy.chargePercent))
+    );
+  }
+  const slab = policies
+    .filter((policy) => policy.daysBeforeJourney <= daysBeforeJourney)
+    .sort((a, b) => b.daysBeforeJourney - a.daysBeforeJourney)[0];
+  return slab ? toNumber(slab.chargePercent) : 100;
+};
+
+/**
+ * Works out the cancellation charges and refundable amount of a booking or
+ * group client loaded with `chargesInclude`.
+ * @param {number} agencyId
+ * @param {object} record
+ * @param {Date|null} journeyDate
+ * @param {Date} cancellationDate
+ * @param {number} [chargesOverride] - Charges agreed with the client instead of
+ * the policy; they cannot be more than the bookings are worth.
+ * @returns {Promise<object>}
+ */
+const quoteCancellation = async (
+  agencyId,
+  record,
+  journeyDate,
+  cancellationDate,
+  chargesOverride
+) => {
+  const policies = await prisma.cancellationPolicy.findMany({
+    where: { agencyId },
+  });
+
+  const daysBeforeJourney = journeyDate
+    ? Math.max(
+        dayjs(journeyDate)
+          .startOf("day")
+          .diff(dayjs(cancellationDate).startOf("day"), "day"),
+        0
+      )
+    : null;
+  const chargePercent = resolveChargePercent(policies, daysBeforeJourney);
+
+  const bookingCharges = roundAmount(
+    sumOf(record.journeyBookings, "amount") +
+      sumOf(record.hotelBookings, "totalAmount") +
+      sumOf(record.vehicleBookings, "amount") +
+      sumOf(record.serviceBookings, "cost")
+  );
+  const totalReceived = roundAmount(
+    sumOf(record.bookingReceipts, "amount") -
+      sumOf(record.creditNotes, "amount")
+  );
+  if (chargesOverride !== undefined && chargesOverride > bookingCharges) {
+    throw createError(
+      400,
+      `Cancellation charges cannot exceed the booking charges of ${bookingCharges}`,
+      { field: "cancellationCharges" }
+    );
+  }
+  const cancellationCharges =
+    chargesOverride !== undefined
+      ? roundAmount(chargesOverride)
+      : roundAmount((bookingCharges * chargePercent) / 100);
+
+  return {
+    cancellationDate,
+    daysBeforeJourney,
+    chargePercent,
+    bookingCharges,
+    totalReceived,
+    cancellationCharges,
+    refundableAmount: roundAmount(
+      Math.max(totalReceived - cancellationCharges, 0)
+    ),
+  };
+};
+
+const findBooking = (tx, agencyId, bookingId) =>
+  tx.booking.findFirst({
+    where: { id: bookingId, agencyId },
+    include: chargesInclude,
+  });
+
+const findGroupClient = (tx, agencyId, groupClientId) =>
+  tx.groupClient.findFirst({
+    where: { id: groupClientId, groupBooking: { agencyId } },
+    include: {
+      ...chargesInclude,
+      groupBooking: { select: { journeyDate: true, bookingType: true } },
+    },
+  });
+
+const assertCancellable = (record, bookingType) => {
+  if (bookingType !== "Confirm") {
+    throw createError(409, "Only confirmed bookings can be cancelled");
+  }
+  if (record.isCancelled || record.cancellation) {
+    throw createError(409, "Booking is already cancelled");
+  }
+};
+
+/**
+ * Previews the cancellation of a booking without saving anything.
+ * @param {number} agencyId
+ * @param {number} bookingId
+ * @param {{ cancellationDate: Date, cancellationCharges?: number }} data
+ * @returns {Promise<object|null>} Null when the booking is not found.
+ */
+const previewBookingCancellation = async (agencyId, bookingId, data) => {
+  const booking = await findBooking(prisma, agencyId, bookingId);
+  if (!booking) return null;
+  assertCancellable(booking, booking.bookingType);
+  return quoteCancellation(
+    agencyId,
+    booking,
+    booking.journeyDate,
+    data.cancellationDate,
+    data.cancellationCharges
+  );
+};
+
+/**
+ * Previews the cancellation of a group client without saving anything.
+ * @param {number} agencyId
+ * @param {number} groupClientId
+ * @param {{ cancellationDate: Date, cancellationCharges?: number }} data
+ * @returns {Promise<object|null>} Null when the group client is not found.
+ */
+const previewGroupClientCancellation = async (
+  agencyId,
+  groupClientId,
+  data
+) => {
+  const groupClient = await findGroupClient(prisma, agencyId, groupClientId);
+  if (!groupClient) return null;
+  assertCancellable(groupClient, groupClient.groupBooking.bookingType);
+  return quoteCancellation(
+    agencyId,
+    groupClient,
+    groupClient.groupBooking.journeyDate,
+    data.cancellationDate,
+    data.cancellationCharges
+  );
+};
+
+// Records the cancellation and marks the record and its sub-bookings as cancelled.
+const recordCancellation = async (
+  tx,
+  agencyId,
+  owner,
+  quote,
+  userId,
+  reason
+) => {
+  const [ownerField, ownerModel] = owner.bookingId
+    ? ["bookingId", "booking"]
+    : ["groupClientId", "groupClient"];
+  const ownerId = owner[ownerField];
+
+  await tx[ownerModel].update({
+    where: { id: ownerId },
+    data: { isCancelled: true },
+  });
+  for (const model of SUB_BOOKING_MODELS) {
+    await tx[model].updateMany({
+      where: { [ownerField]: ownerId },
+      data: { isCancelled: true },
+    });
+  }
+
+  return tx.bookingCancellation.create({
+    data: {
+      agencyId,
+      [ownerField]: ownerId,
+      ...quote,
+      reason,
+      cancelledById: userId,
+    },
+  });
+};
+
+/**
+ * Cancels a confirmed booking, working out the charges from the agency's
+ * cancellation policy, and cascades the cancellation to its sub-bookings.
+ * @param {number} agencyId
+ * @param {number} bookingId
+ * @param {number} userId - User cancelling the booking.
+ * @param {{ cancellationDate: Date, reason: string, cancellationCharges?: number }} data
+ * @returns {Promise<object|null>} The cancellation, or null when the booking is not found.
+ */
+const cancelBooking = (agencyId, bookingId, userId, data) =>
+  prisma.$transaction(async (tx) => {
+    const booking = await findBooking(tx, agencyId, bookingId);
+    if (!booking) return null;
+    assertCancellable(booking, booking.bookingType);
+
+    const quote = await quoteCancellation(
+      agencyId,
+      booking,
+      booking.journeyDate,
+      data.cancellationDate,
+      data.cancellationCharges
+    );
+    return recordCancellation(
+      tx,
+      agencyId,
+      { bookingId: booking.id },
+      quote,
+      userId,
+      data.reason
+    );
+  });
+
+/**
+ * Cancels a group client of a confirmed group booking and cascades the
+ * cancellation to its sub-bookings.
+ * @param {number} agencyId
+ * @param {number} groupClientId
+ * @param {number} userId - User cancelling the group client.
+ * @param {{ cancellationDate: Date, reason: string, cancellationCharges?: number }} data
+ * @returns {Promise<object|null>} The cancellation, or null when the group client is not found.
+ */
+const cancelGroupClient = (agencyId, groupClientId, userId, data) =>
+  prisma.$transaction(async (tx) => {
+    const groupClient = await findGroupClient(tx, agencyId, groupClientId);
+    if (!groupClient) return null;
+    assertCancellable(groupClient, groupClient.groupBooking.bookingType);
+
+    const quote = await quoteCancellation(
+      agencyId,
+      groupClient,
+      groupClient.groupBooking.journeyDate,
+      data.cancellationDate,
+      data.cancellationCharges
+    );
+    return recordCancellation(
+      tx,
+      agencyId,
+      { groupClientId: groupClient.id },
+      quote,
+      userId,
+      data.reason
+    );
+  });
+
+/**
+ * Records the refund paid to the client against a cancellation.
+ * @param {number} agencyId
+ * @param {number} cancellationId
+ * @param {number} userId - User recording the refund.
+ * @param {object} data - Refund date, amount and payment details.
+ * @returns {Promise<object|null>} The updated cancellation, or null when not found.
+ */
+const recordRefund = (agencyId, cancellationId, userId, data) =>
+  prisma.$transaction(async (tx) => {
+    const cancellation = await tx.bookingCancellation.findFirst({
+      where: { id: cancellationId, agencyId },
+    });
+    if (!cancellation) return null;
+    if (cancellation.refundNumber) {
+      throw createError(409, "Refund has already been recorded");
+    }
+    const refundableAmount = toNumber(cancellation.refundableAmount);
+    if (refundableAmount <= 0) {
+      throw createError(409, "Nothing is refundable on this cancellation");
+    }
+    if (data.refundAmount > refundableAmount) {
+      throw createError(
+        400,
+        `Refund cannot exceed the refundable amount of ${refundableAmount}`,
+        { field: "refundAmount" }
+      );
+    }
+
+    const refundNumber = await generateRefundNumber(tx, agencyId);
+    return tx.bookingCancellation.update({
+      where: { id: cancellation.id },
+      data: {
+        ...data,
+        refundNumber,
+        refundedById: userId,
+      },
+    });
+  });
+
+module.exports = {
+  previewBookingCancellation,
+  previewGroupClientCancellation,
+  cancelBooking,
+  cancelGroupClient,
+  recordRefund,
+};
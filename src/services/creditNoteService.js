@@ -0,0 +1,209 @@
+const path = require("path");
+const createError = require("http-errors");
+const { v4: uuidv4 } = require("uuid");
+const prisma = require("../config/db");
+const generateCreditNoteNumber = require("../utils/generateCreditNoteNumber");
+const { generateCreditNote } = require("../utils/Invoice/generateCreditNote");
+const { removeGeneratedPdf } = require("../utils/Invoice/pdfPrinter");
+const { numberToWords } = require("../utils/numberToWords");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const TAX_FIELDS = ["cgst", "sgst", "igst"];
+
+const findAgencyReceipt = (tx, agencyId, receiptId) =>
+  tx.bookingReceipt.findFirst({
+    where: { id: receiptId, agencyId },
+    include: { creditNotes: true },
+  });
+
+/**
+ * Cancels a booking receipt. The receipt keeps its receipt and invoice numbers
+ * so the series has no gaps; it is left out of the ledger and the GST register.
+ * @param {number} agencyId
+ * @param {number} receiptId
+ * @param {number} userId - User cancelling the receipt.
+ * @param {string} reason
+ * @returns {Promise<object|null>} The cancelled receipt, or null when not found.
+ */
+const cancelBookingReceipt = (agencyId, receiptId, userId, reason) =>
+  prisma.$transaction(async (tx) => {
+    const receipt = await findAgencyReceipt(tx, agencyId, receiptId);
+    if (!receipt) return null;
+    if (receipt.isCancelled) {
+      throw createError(409, "Booking receipt is already cancelled");
+    }
+    if (receipt.creditNotes.length > 0) {
+      throw createError(
+        409,
+        "Booking receipt has credit notes and cannot be cancelled"
+      );
+    }
+
+    return tx.bookingReceipt.update({
+      where: { id: receipt.id },
+      data: {
+        isCancelled: true,
+        cancelledAt: new Date(),
+        cancelledById: userId,
+        cancellationReason: reason,
+      },
+    });
+  });
+
+/**
+ * Issues a credit note reversing all or part of the taxable value of an
+ * invoiced receipt. Tax is reversed at the receipt's rates; a credit note for
+ * the whole remaining amount reverses exactly the remaining tax.
+ * @param {number} agencyId
+ * @param {number} receiptId
+ * @param {number} userId - User issuing the credit note.
+ * @param {{ amount: number, creditNoteDate: Date, reason: string }} data
+ * @returns {Promise<object|null>} The credit note, or null when the receipt is not found.
+ */
+const createCreditNote = (agencyId, receiptId, userId, data) =>
+  prisma.$transaction(async (tx) => {
+    const receipt = await findAgencyReceipt(tx, agencyId, receiptId);
+    if (!receipt) return null;
+    if (receipt.isCancelled) {
+      throw createError(409, "Booking receipt is cancelled");
+    }
+    if (!receipt.invoiceNumber) {
+      throw createError(
+        409,
+        "Generate the invoice of this receipt before issuing a credit note"
+      );
+    }
+
+    const creditedSoFar = (field) =>
+      receipt.creditNotes.reduce(
+        (total, creditNote) => total + toNumber(creditNote[field]),
+        0
+      );
+    const remainingAmount = roundAmount(
+      toNumber(receipt.amount) - creditedSoFar("amount")
+    );
+    if (data.amount > remainingAmount) {
+      throw createError(
+        400,
+        `Amount cannot exceed the uncredited receipt amount of ${remainingAmount}`
+      );
+    }
+
+    const isFinalCredit = data.amount === remainingAmount;
+    const tax = {};
+    TAX_FIELDS.forEach((type) => {
+      const percent = receipt[`${type}Percent`];
+      tax[`${type}Percent`] = percent;
+      tax[`${type}Amount`] = isFinalCredit
+        ? roundAmount(
+            toNumber(receipt[`${type}Amount`]) - creditedSoFar(`${type}Amount`)
+          )
+        : roundAmount((data.amount * (percent || 0)) / 100);
+    });
+
+    const creditNoteNumber = await generateCreditNoteNumber(tx, agencyId);
+    return tx.creditNote.create({
+      data: {
+        agencyId,
+        bookingReceiptId: receipt.id,
+        bookingId: receipt.bookingId,
+        groupClientId: receipt.groupClientId,
+        creditNoteNumber,
+        creditNoteDate: data.creditNoteDate,
+        reason: data.reason,
+        amount: data.amount,
+        ...tax,
+        totalAmount: roundAmount(
+          data.amount + tax.cgstAmount + tax.sgstAmount + tax.igstAmount
+        ),
+        createdById: userId,
+      },
+    });
+  });
+
+/**
+ * Generates (or regenerates) the credit note PDF and stores its path.
+ * @param {number} agencyId
+ * @param {number} creditNoteId
+ * @returns {Promise<{ creditNote: object, filePath: string }|null>} Null when the credit note is not found.
+ */
+const buildCreditNotePdf = async (agencyId, creditNoteId) => {
+  const clientInclude = { include: { city: true, state: true } };
+  const creditNote = await prisma.creditNote.findFirst({
+    where: { id: creditNoteId, agencyId },
+    include: {
+      agency: true,
+      bookingReceipt: true,
+      booking: { include: { client: clientInclude } },
+      groupClient: {
+        include: {
+          client: clientInclude,
+          groupBooking: { select: { groupBookingNumber: true } },
+        },
+      },
+    },
+  });
+  if (!creditNote) return null;
+
+  const client = creditNote.booking?.client || creditNote.groupClient?.client;
+  const totalAmount = toNumber(creditNote.totalAmount);
+  const creditNoteData = {
+    agency: creditNote.agency,
+    creditNoteNumber: creditNote.creditNoteNumber,
+    creditNoteDate: creditNote.creditNoteDate,
+    invoiceNumber: creditNote.bookingReceipt.invoiceNumber,
+    invoiceDate: creditNote.bookingReceipt.invoiceDate,
+    receiptNumber: creditNote.bookingReceipt.receiptNumber,
+    bookingNumber:
+      creditNote.booking?.bookingNumber ||
+      creditNote.groupClient?.groupBooking?.groupBookingNumber,
+    client: {
+      name: client?.clientName,
+      addressLines: [client?.address1, client?.address2].filter(Boolean),
+      city: [client?.city?.cityName, client?.state?.stateName, client?.pincode]
+        .filter(Boolean)
+        .join(", "),
+      gstin: client?.gstin,
+    },
+    reason: creditNote.reason,
+    totals: {
+      amount: toNumber(creditNote.amount),
+      cgstPercent: creditNote.cgstPercent,
+      cgstAmount: toNumber(creditNote.cgstAmount),
+      sgstPercent: creditNote.sgstPercent,
+      sgstAmount: toNumber(creditNote.sgstAmount),
+      igstPercent: creditNote.igstPercent,
+      igstAmount: toNumber(creditNote.igstAmount),
+      totalAmount,
+      amountInWords: numberToWords(totalAmount),
+    },
+  };
+
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "invoices",
+    "booking",
+    "creditNote",
+    uuidv4(),
+    `credit-note-${creditNote.creditNoteNumber.replace(/[\/\\]/g, "-")}.pdf`
+  );
+
+  removeGeneratedPdf(creditNote.creditNotePath);
+  await generateCreditNote(creditNoteData, filePath);
+  await prisma.creditNote.update({
+    where: { id: creditNote.id },
+    data: { creditNotePath: filePath },
+  });
+
+  return { creditNote, filePath };
+};
+
+module.exports = {
+  cancelBookingReceipt,
+  createCreditNote,
+  buildCreditNotePdf,
+};
@@ -0,0 +1,340 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const { getPipelineStages } = require("./pipelineService");
+const { getOutstandingReceivables } = require("./ledgerService");
+const { getProfitabilityReport } = require("./reportService");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const dateRangeFilter = (fromDate, toDate) => {
+  if (!fromDate && !toDate) return undefined;
+  return {
+    ...(fromDate && { gte: fromDate }),
+    ...(toDate && { lte: toDate }),
+  };
+};
+
+// Bookings and group bookings that are or started out as enquiries
+const enquiryWhere = (agencyId, branchId, dateField, dateRange) => ({
+  agencyId,
+  deletedAt: null,
+  OR: [{ bookingType: "Enquiry" }, { pipelineStageId: { not: null } }],
+  ...(branchId && { branchId }),
+  ...(dateRange && { [dateField]: dateRange }),
+});
+
+// Adds one to the count of `key`, keeping the first label seen for it
+const countBy = (counts, key, fields) => {
+  if (!counts.has(key)) counts.set(key, { ...fields, count: 0 });
+  counts.get(key).count += 1;
+};
+
+/**
+ * Counts enquiries by pipeline stage and by source, and works out how many
+ * were converted into confirmed bookings. Enquiries created before the
+ * pipeline existed are counted in the first open stage.
+ * @param {number} agencyId
+ * @param {{ branchId?: number, fromDate?: Date, toDate?: Date }} [filters]
+ * @returns {Promise<object>}
+ */
+const getEnquirySummary = async (
+  agencyId,
+  { branchId, fromDate, toDate } = {}
+) => {
+  const dateRange = dateRangeFilter(fromDate, toDate);
+  const select = {
+    bookingType: true,
+    enquirySource: true,
+    pipelineStageId: true,
+  };
+
+  const [stages, bookings, groupBookings] = await Promise.all([
+    getPipelineStages(agencyId),
+    prisma.booking.findMany({
+      where: enquiryWhere(agencyId, branchId, "bookingDate", dateRange),
+      select,
+    }),
+    prisma.groupBooking.findMany({
+      where: enquiryWhere(agencyId, branchId, "groupBookingDate", dateRange),
+      select,
+    }),
+  ]);
+  const initialStage =
+    stages.find((stage) => stage.stageType === "open") || stages[0];
+
+  const byStatus = new Map(
+    stages.map((stage) => [
+      stage.id,
+      {
+        stageId: stage.id,
+        name: stage.name,
+        stageType: stage.stageType,
+        count: 0,
+      },
+    ])
+  );
+  const bySource = new Map();
+  let convertedEnquiries = 0;
+
+  [...bookings, ...groupBookings].forEach((enquiry) => {
+    countBy(byStatus, enquiry.pipelineStageId ?? initialStage.id, {});
+    const source = enquiry.enquirySource || null;
+    countBy(bySource, source, { source });
+    if (enquiry.bookingType === "Confirm") convertedEnquiries += 1;
+  });
+
+  const totalEnquiries = bookings.length + groupBookings.length;
+  return {
+    totalEnquiries,
+    convertedEnquiries,
+    conversionRate:
+      totalEnquiries > 0
+        ? roundAmount((convertedEnquiries / totalEnquiries) * 100)
+        : null,
+    byStatus: [...byStatus.values()],
+    bySource: [...bySource.values()].sort((a, b) => b.count - a.count),
+  };
+};
+
+/**
+ * Confirmed bookings and revenue for each month of the range. Revenue is the
+ * receipts of the month net of the credit notes and refunds issued in it.
+ * @param {number} agencyId
+ * @param {{ branchId?: number, fromDate: Date, toDate: Date }} filters
+ * @returns {Promise<object[]>} One row per month, oldest first.
+ */
+const getMonthlyBookingsAndRevenue = async (
+  agencyId,
+  { branchId, fromDate, toDate }
+) => {
+  const dateRange = dateRangeFilter(fromDate, toDate);
+  const branchWhere = branchId && {
+    OR: [
+      { booking: { branchId } },
+      { groupClient: { groupBooking: { branchId } } },
+    ],
+  };
+
+  const [bookings, groupBookings, receipts, creditNotes, refunds] =
+    await Promise.all([
+      prisma.booking.findMany({
+        where: {
+          agencyId,
+          bookingType: "Confirm",
+          deletedAt: null,
+          bookingDate: dateRange,
+          ...(branchId && { branchId }),
+        },
+        select: { bookingDate: true },
+      }),
+      prisma.groupBooking.findMany({
+        where: {
+          agencyId,
+          bookingType: "Confirm",
+          deletedAt: null,
+          groupBookingDate: dateRange,
+          ...(branchId && { branchId }),
+        },
+        select: { groupBookingDate: true },
+      }),
+      prisma.bookingReceipt.findMany({
+        where: {
+          agencyId,
+          isCancelled: false,
+          receiptDate: dateRange,
+          ...branchWhere,
+        },
+        select: { receiptDate: true, amount: true },
+      }),
+      prisma.creditNote.findMany({
+        where: { agencyId, creditNoteDate: dateRange, ...branchWhere },
+        select: { creditNoteDate: true, amount: true },
+      }),
+      prisma.bookingCancellation.findMany({
+        where: { agencyId, refundDate: dateRange, ...branchWhere },
+        select: { refundDate: true, refundAmount: true },
+      }),
+    ]);
+
+  const months = new Map();
+  for (
+    let month = dayjs(fromDate).startOf("month");
+    !month.isAfter(dayjs(toDate));
+    month = month.add(1, "month")
+  ) {
+    months.set(month.format("YYYY-MM"), {
+      month: month.format("YYYY-MM"),
+      label: month.format("MMM YYYY"),
+      bookingCount: 0,
+      revenue: 0,
+    });
+  }
+  const monthOf = (date) => months.get(dayjs(date).format("YYYY-MM"));
+  const addRevenue = (date, amount) => {
+    const row = monthOf(date);
+    if (row) row.revenue = roundAmount(row.revenue + amount);
+  };
+
+  bookings.forEach((booking) => {
+    const row = monthOf(booking.bookingDate);
+    if (row) row.bookingCount += 1;
+  });
+  groupBookings.forEach((groupBooking) => {
+    const row = monthOf(groupBooking.groupBookingDate);
+    if (row) row.bookingCount += 1;
+  });
+  receipts.forEach((receipt) =>
+    addRevenue(receipt.receiptDate, toNumber(receipt.amount))
+  );
+  creditNotes.forEach((creditNote) =>
+    addRevenue(creditNote.creditNoteDate, -toNumber(creditNote.amount))
+  );
+  refunds.forEach((refund) =>
+    addRevenue(refund.refundDate, -toNumber(refund.refundAmount))
+  );
+
+  return [...months.values()];
+};
+
+/**
+ * Confirmed bookings and group bookings departing in the next 30 days, with
+ * the number departing in the next 7 and 30 days. Cancelled bookings, and
+ * group bookings whose clients have all cancelled, are left out.
+ * @param {number} agencyId
+ * @param {{ branchId?: number }} [filters]
+ * @returns {Promise<object>}
+ */
+const getUpcomingDepartures = async (agencyId, { branchId } = {}) => {
+  const today = dayjs().startOf("day");
+  const nextWeek = today.add(7, "day").endOf("day");
+  const journeyDate = {
+    gte: today.toDate(),
+    lte: today.add(30, "day").endOf("day").toDate(),
+  };
+
+  const [bookings, groupBookings] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        agencyId,
+        bookingType: "Confirm",
+        deletedAt: null,
+        isCancelled: false,
+        journeyDate,
+        ...(branchId && { branchId }),
+      },
+      select: {
+        id: true,
+        bookingNumber: true,
+        journeyDate: true,
+        totalTravelers: true,
+        client: { select: { id: true, clientName: true } },
+        tour: { select: { id: true, tourTitle: true } },
+        branch: { select: { id: true, branchName: true } },
+      },
+    }),
+    prisma.groupBooking.findMany({
+      where: {
+        agencyId,
+        bookingType: "Confirm",
+        deletedAt: null,
+        journeyDate,
+        groupClients: { some: { isCancelled: false } },
+        ...(branchId && { branchId }),
+      },
+      select: {
+        id: true,
+        groupBookingNumber: true,
+        journeyDate: true,
+        tour: { select: { id: true, tourTitle: true } },
+        branch: { select: { id: true, branchName: true } },
+        _count: { select: { groupClients: { where: { isCancelled: false } } } },
+      },
+    }),
+  ]);
+
+  const departures = [
+    ...bookings.map((booking) => ({
+      type: "Booking",
+      id: booking.id,
+      bookingNumber: booking.bookingNumber,
+      journeyDate: booking.journeyDate,
+      client: booking.client,
+      tour: booking.tour,
+      branch: booking.branch,
+      travellers: booking.totalTravelers,
+      groupClientCount: null,
+    })),
+    ...groupBookings.map((groupBooking) => ({
+      type: "GroupBooking",
+      id: groupBooking.id,
+      bookingNumber: groupBooking.groupBookingNumber,
+      journeyDate: groupBooking.journeyDate,
+      client: null,
+      tour: groupBooking.tour,
+      branch: groupBooking.branch,
+      travellers: null,
+      groupClientCount: groupBooking._count.groupClients,
+    })),
+  ].sort((a, b) => new Date(a.journeyDate) - new Date(b.journeyDate));
+
+  return {
+    next7Days: departures.filter(
+      (departure) => !dayjs(departure.journeyDate).isAfter(nextWeek)
+    ).length,
+    next30Days: departures.length,
+    departures,
+  };
+};
+
+/**
+ * Balance due across confirmed bookings, with the largest outstanding ones.
+ * @param {number} agencyId
+ * @param {{ branchId?: number, limit?: number }} [filters]
+ * @returns {Promise<object>}
+ */
+const getPendingPayments = async (agencyId, { branchId, limit = 10 } = {}) => {
+  const { receivables, totals } = await getOutstandingReceivables(agencyId, {
+    branchId,
+  });
+  return {
+    bookingCount: receivables.length,
+    totals,
+    receivables: receivables.slice(0, limit),
+  };
+};
+
+/**
+ * Tours and sectors with the most revenue from confirmed bookings in the range.
+ * @param {number} agencyId
+ * @param {{ branchId?: number, fromDate?: Date, toDate?: Date, limit?: number }} [filters]
+ * @returns {Promise<{ tours: object[], sectors: object[] }>}
+ */
+const getTopToursAndSectors = async (
+  agencyId,
+  { branchId, fromDate, toDate, limit = 5 } = {}
+) => {
+  const top = async (groupBy) => {
+    const { rows } = await getProfitabilityReport(agencyId, {
+      groupBy,
+      fromDate,
+      toDate,
+      branchId,
+    });
+    return rows
+      .filter((row) => row.id !== null)
+      .sort((a, b) => b.revenue - a.revenue || b.bookingCount - a.bookingCount)
+      .slice(0, limit);
+  };
+
+  const [tours, sectors] = await Promise.all([top("tour"), top("sector")]);
+  return { tours, sectors };
+};
+
+module.exports = {
+  getEnquirySummary,
+  getMonthlyBookingsAndRevenue,
+  getUpcomingDepartures,
+  getPendingPayments,
+  getTopToursAndSectors,
+};
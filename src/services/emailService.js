@@ -47,7 +47,14 @@ const compileTemplate = (templateName, data) => {
   return ejs.render(source, data);
 };
 
-const sendEmail = async (to, subject, templateName, templateData) => {
+// attachments: [{ filename, path }] - files are read from disk and attached to the email
+const sendEmail = async (
+  to,
+  subject,
+  templateName,
+  templateData,
+  attachments = []
+) => {
   const html = compileTemplate(templateName, templateData);
 
   const mailOptions = {
@@ -60,10 +67,20 @@ const sendEmail = async (to, subject, templateName, templateData) => {
   try {
     if (process.env.EMAIL_TRANSPORTER === "sendgrid") {
       // Send email using SendGrid
+      if (attachments.length > 0) {
+        mailOptions.attachments = attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: fs.readFileSync(attachment.path).toString("base64"),
+          disposition: "attachment",
+        }));
+      }
       await sgMail.send(mailOptions);
       console.log("Email sent successfully using SendGrid");
     } else {
       // Send email using SMTP or Mailtrap
+      if (attachments.length > 0) {
+        mailOptions.attachments = attachments;
+      }
       await transporter.sendMail(mailOptions);
     }
   } catch (error) {
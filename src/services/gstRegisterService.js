@@ -0,0 +1,426 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const gstStateCodes = require("../config/gstStateCodes");
+const { BOOKING_BRANCH, branchFilter } = require("./branchScopeService");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Inter-state invoices to unregistered customers above this value go to B2CL instead of B2CS.
+const B2CL_INVOICE_LIMIT = 100000;
+
+const normaliseStateName = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z]/g, "");
+
+const stateCodesByName = Object.entries(gstStateCodes).reduce(
+  (codes, [code, name]) => ({ ...codes, [normaliseStateName(name)]: code }),
+  {}
+);
+
+const stateCodeFromGstin = (gstin) => {
+  const code = (gstin || "").trim().slice(0, 2);
+  return gstStateCodes[code] ? code : null;
+};
+
+const stateCodeFromName = (stateName) =>
+  stateCodesByName[normaliseStateName(stateName)] || null;
+
+const formatPlaceOfSupply = (code) =>
+  code ? `${code}-${gstStateCodes[code]}` : null;
+
+/**
+ * Resolves the period of the register from a month (YYYY-MM) or a financial
+ * year quarter (financialYear "2025-26", quarter 1-4 starting in April).
+ * @returns {{ fromDate: Date, toDate: Date, label: string, returnPeriod: string }|null}
+ */
+const resolveGstPeriod = ({ month, financialYear, quarter }) => {
+  if (month) {
+    const start = dayjs(`${month}-01`);
+    if (!/^\d{4}-\d{2}$/.test(month) || !start.isValid()) return null;
+    return {
+      fromDate: start.startOf("month").toDate(),
+      toDate: start.endOf("month").toDate(),
+      label: start.format("MMM YYYY"),
+      returnPeriod: start.format("MMYYYY"),
+    };
+  }
+
+  const quarterNumber = parseInt(quarter, 10);
+  const match = /^(\d{4})-\d{2}$/.exec(financialYear || "");
+  if (!match || !(quarterNumber >= 1 && quarterNumber <= 4)) return null;
+
+  const start = dayjs(`${match[1]}-04-01`).add(
+    (quarterNumber - 1) * 3,
+    "month"
+  );
+  const end = start.add(2, "month").endOf("month");
+  return {
+    fromDate: start.toDate(),
+    toDate: end.toDate(),
+    label: `Q${quarterNumber} ${financialYear}`,
+    returnPeriod: end.format("MMYYYY"),
+  };
+};
+
+const emptyTaxTotals = () => ({
+  taxableValue: 0,
+  cgstAmount: 0,
+  sgstAmount: 0,
+  igstAmount: 0,
+  totalTax: 0,
+  invoiceValue: 0,
+});
+
+const sumTaxTotals = (rows) =>
+  rows.reduce((sum, row) => {
+    Object.keys(sum).forEach((key) => {
+      sum[key] = roundAmount(sum[key] + row[key]);
+    });
+    return sum;
+  }, emptyTaxTotals());
+
+/**
+ * Customer GSTIN, B2B/B2C type and place of supply of a receipt or credit note.
+ * The place of supply falls back from the customer GSTIN to the customer state
+ * and finally to the agency's own state.
+ */
+const describeCustomer = (client, supplierStateCode) => {
+  const customerGstin = client?.gstin?.trim().toUpperCase() || null;
+  const placeOfSupplyCode =
+    stateCodeFromGstin(customerGstin) ||
+    stateCodeFromName(client?.state?.stateName) ||
+    supplierStateCode;
+  return {
+    customerName: client?.clientName || null,
+    customerGstin,
+    invoiceType: customerGstin ? "B2B" : "B2C",
+    placeOfSupplyCode,
+    placeOfSupply: formatPlaceOfSupply(placeOfSupplyCode),
+  };
+};
+
+// Taxable value and CGST/SGST/IGST split of a receipt or credit note.
+const describeTax = (record) => {
+  const cgstAmount = toNumber(record.cgstAmount);
+  const sgstAmount = toNumber(record.sgstAmount);
+  const igstAmount = toNumber(record.igstAmount);
+  return {
+    supplyType: igstAmount > 0 ? "INTER" : "INTRA",
+    taxRate:
+      igstAmount > 0
+        ? record.igstPercent || 0
+        : (record.cgstPercent || 0) + (record.sgstPercent || 0),
+    taxableValue: toNumber(record.amount),
+    cgstPercent: record.cgstPercent,
+    cgstAmount,
+    sgstPercent: record.sgstPercent,
+    sgstAmount,
+    igstPercent: record.igstPercent,
+    igstAmount,
+    totalTax: roundAmount(cgstAmount + sgstAmount + igstAmount),
+    invoiceValue: toNumber(record.totalAmount),
+  };
+};
+
+/**
+ * Lists the invoiced booking receipts and the credit notes of an agency in a
+ * period with the customer GSTIN, place of supply, taxable value and tax split.
+ * Cancelled receipts keep their invoice numbers and are listed separately.
+ * @param {number} agencyId
+ * @param {{ fromDate: Date, toDate: Date, branchId?: number|null }} period -
+ *   With a branchId, only the receipts and credit notes of that branch.
+ * @returns {Promise<{ agency: object, invoices: object[], creditNotes: object[], cancelledInvoices: object[], totals: object, creditNoteTotals: object, netTotals: object, pendingInvoiceCount: number }>}
+ */
+const getGstRegister = async (agencyId, { fromDate, toDate, branchId }) => {
+  const clientSelect = {
+    select: {
+      clientName: true,
+      gstin: true,
+      state: { select: { stateName: true } },
+    },
+  };
+  const partyInclude = {
+    booking: { select: { bookingNumber: true, client: clientSelect } },
+    groupClient: {
+      select: {
+        client: clientSelect,
+        groupBooking: { select: { groupBookingNumber: true } },
+      },
+    },
+  };
+  const period = { gte: fromDate, lte: toDate };
+  const branch = branchFilter(branchId, BOOKING_BRANCH);
+
+  const [
+    agency,
+    receipts,
+    cancelledReceipts,
+    creditNotes,
+    pendingInvoiceCount,
+  ] = await Promise.all([
+    prisma.agency.findUnique({
+      where: { id: agencyId },
+      select: { businessName: true, gstin: true, stateName: true },
+    }),
+    prisma.bookingReceipt.findMany({
+      where: {
+        agencyId,
+        ...branch,
+        isCancelled: false,
+        invoiceNumber: { not: null },
+        invoiceDate: period,
+      },
+      include: partyInclude,
+      orderBy: [{ invoiceDate: "asc" }, { id: "asc" }],
+    }),
+    prisma.bookingReceipt.findMany({
+      where: {
+        agencyId,
+        ...branch,
+        isCancelled: true,
+        invoiceNumber: { not: null },
+        invoiceDate: period,
+      },
+      select: {
+        id: true,
+        invoiceNumber: true,
+        invoiceDate: true,
+        cancelledAt: true,
+        cancellationReason: true,
+      },
+      orderBy: [{ invoiceDate: "asc" }, { id: "asc" }],
+    }),
+    prisma.creditNote.findMany({
+      where: { agencyId, ...branch, creditNoteDate: period },
+      include: {
+        ...partyInclude,
+        bookingReceipt: {
+          select: {
+            invoiceNumber: true,
+            invoiceDate: true,
+            totalAmount: true,
+          },
+        },
+      },
+      orderBy: [{ creditNoteDate: "asc" }, { id: "asc" }],
+    }),
+    // Receipts in the period that have no invoice generated yet, so are missing from the register
+    prisma.bookingReceipt.count({
+      where: {
+        agencyId,
+        ...branch,
+        isCancelled: false,
+        invoiceNumber: null,
+        receiptDate: period,
+      },
+    }),
+  ]);
+
+  const supplierStateCode =
+    stateCodeFromGstin(agency.gstin) || stateCodeFromName(agency.stateName);
+  const clientOf = (record) =>
+    record.booking?.client || record.groupClient?.client || null;
+  const bookingNumberOf = (record) =>
+    record.booking?.bookingNumber ||
+    record.groupClient?.groupBooking?.groupBookingNumber ||
+    null;
+
+  const invoices = receipts.map((receipt) => ({
+    id: receipt.id,
+    invoiceNumber: receipt.invoiceNumber,
+    invoiceDate: receipt.invoiceDate,
+    receiptNumber: receipt.receiptNumber,
+    bookingNumber: bookingNumberOf(receipt),
+    ...describeCustomer(clientOf(receipt), supplierStateCode),
+    ...describeTax(receipt),
+  }));
+
+  const creditNoteRows = creditNotes.map((creditNote) => ({
+    id: creditNote.id,
+    creditNoteNumber: creditNote.creditNoteNumber,
+    creditNoteDate: creditNote.creditNoteDate,
+    invoiceNumber: creditNote.bookingReceipt.invoiceNumber,
+    invoiceDate: creditNote.bookingReceipt.invoiceDate,
+    originalInvoiceValue: toNumber(creditNote.bookingReceipt.totalAmount),
+    bookingNumber: bookingNumberOf(creditNote),
+    reason: creditNote.reason,
+    ...describeCustomer(clientOf(creditNote), supplierStateCode),
+    ...describeTax(creditNote),
+  }));
+
+  const totals = sumTaxTotals(invoices);
+  const creditNoteTotals = sumTaxTotals(creditNoteRows);
+  const netTotals = emptyTaxTotals();
+  Object.keys(netTotals).forEach((key) => {
+    netTotals[key] = roundAmount(totals[key] - creditNoteTotals[key]);
+  });
+
+  return {
+    agency,
+    invoices,
+    creditNotes: creditNoteRows,
+    cancelledInvoices: cancelledReceipts,
+    totals: { invoiceCount: invoices.length, ...totals },
+    creditNoteTotals: {
+      creditNoteCount: creditNoteRows.length,
+      ...creditNoteTotals,
+    },
+    netTotals,
+    pendingInvoiceCount,
+  };
+};
+
+const gstr1ItemDetails = (invoice) => ({
+  txval: invoice.taxableValue,
+  rt: invoice.taxRate,
+  iamt: invoice.igstAmount,
+  camt: invoice.cgstAmount,
+  samt: invoice.sgstAmount,
+  csamt: 0,
+});
+
+// Inter-state B2C invoices above the limit are reported invoice-wise (B2CL)
+const isLargeB2c = (supplyType, invoiceValue) =>
+  supplyType === "INTER" && invoiceValue > B2CL_INVOICE_LIMIT;
+
+const formatGstr1Date = (date) => dayjs(date).format("DD-MM-YYYY");
+
+/**
+ * Shapes a GST register into the B2B, B2CL, B2CS, CDNR and CDNUR sections of a
+ * GSTR-1 return. Credit notes on small B2C invoices are netted off the B2CS
+ * summary, as GSTR-1 has no note-wise section for them.
+ * @param {object} register - Result of getGstRegister.
+ * @param {string} returnPeriod - Filing period as MMYYYY.
+ * @returns {object}
+ */
+const toGstr1 = (register, returnPeriod) => {
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const cdnur = [];
+
+  // B2CS is summarised per supply type, place of supply and rate
+  const addToB2cs = (row, sign) => {
+    const key = `${row.supplyType}|${row.placeOfSupplyCode}|${row.taxRate}`;
+    if (!b2cs.has(key)) {
+      b2cs.set(key, {
+        sply_ty: row.supplyType,
+        pos: row.placeOfSupplyCode,
+        typ: "OE",
+        rt: row.taxRate,
+        txval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+        csamt: 0,
+      });
+    }
+    const summary = b2cs.get(key);
+    summary.txval = roundAmount(summary.txval + sign * row.taxableValue);
+    summary.iamt = roundAmount(summary.iamt + sign * row.igstAmount);
+    summary.camt = roundAmount(summary.camt + sign * row.cgstAmount);
+    summary.samt = roundAmount(summary.samt + sign * row.sgstAmount);
+  };
+
+  register.invoices.forEach((invoice) => {
+    const gstr1Invoice = {
+      inum: invoice.invoiceNumber,
+      idt: formatGstr1Date(invoice.invoiceDate),
+      val: invoice.invoiceValue,
+      pos: invoice.placeOfSupplyCode,
+    };
+
+    if (invoice.customerGstin) {
+      if (!b2b.has(invoice.customerGstin)) {
+        b2b.set(invoice.customerGstin, {
+          ctin: invoice.customerGstin,
+          inv: [],
+        });
+      }
+      b2b.get(invoice.customerGstin).inv.push({
+        ...gstr1Invoice,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: [{ num: 1, itm_det: gstr1ItemDetails(invoice) }],
+      });
+      return;
+    }
+
+    if (isLargeB2c(invoice.supplyType, invoice.invoiceValue)) {
+      if (!b2cl.has(invoice.placeOfSupplyCode)) {
+        b2cl.set(invoice.placeOfSupplyCode, {
+          pos: invoice.placeOfSupplyCode,
+          inv: [],
+        });
+      }
+      const { txval, rt, iamt, csamt } = gstr1ItemDetails(invoice);
+      b2cl.get(invoice.placeOfSupplyCode).inv.push({
+        inum: gstr1Invoice.inum,
+        idt: gstr1Invoice.idt,
+        val: gstr1Invoice.val,
+        itms: [{ num: 1, itm_det: { txval, rt, iamt, csamt } }],
+      });
+      return;
+    }
+
+    addToB2cs(invoice, 1);
+  });
+
+  register.creditNotes.forEach((creditNote) => {
+    const gstr1Note = {
+      ntty: "C",
+      nt_num: creditNote.creditNoteNumber,
+      nt_dt: formatGstr1Date(creditNote.creditNoteDate),
+      val: creditNote.invoiceValue,
+      pos: creditNote.placeOfSupplyCode,
+    };
+
+    if (creditNote.customerGstin) {
+      if (!cdnr.has(creditNote.customerGstin)) {
+        cdnr.set(creditNote.customerGstin, {
+          ctin: creditNote.customerGstin,
+          nt: [],
+        });
+      }
+      cdnr.get(creditNote.customerGstin).nt.push({
+        ...gstr1Note,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: [{ num: 1, itm_det: gstr1ItemDetails(creditNote) }],
+      });
+      return;
+    }
+
+    if (isLargeB2c(creditNote.supplyType, creditNote.originalInvoiceValue)) {
+      const { txval, rt, iamt, csamt } = gstr1ItemDetails(creditNote);
+      cdnur.push({
+        ...gstr1Note,
+        typ: "B2CL",
+        itms: [{ num: 1, itm_det: { txval, rt, iamt, csamt } }],
+      });
+      return;
+    }
+
+    addToB2cs(creditNote, -1);
+  });
+
+  return {
+    gstin: register.agency.gstin,
+    fp: returnPeriod,
+    b2b: [...b2b.values()],
+    b2cl: [...b2cl.values()],
+    b2cs: [...b2cs.values()],
+    cdnr: [...cdnr.values()],
+    cdnur,
+  };
+};
+
+module.exports = {
+  resolveGstPeriod,
+  getGstRegister,
+  toGstr1,
+};
@@ -0,0 +1,340 @@
+const path = require("path");
+const dayjs = require("dayjs");
+const createError = require("http-errors");
+const { v4: uuidv4 } = require("uuid");
+const prisma = require("../config/db");
+const {
+  generateTripItinerary,
+} = require("../utils/Invoice/generateTripItinerary");
+const { removeGeneratedPdf } = require("../utils/Invoice/pdfPrinter");
+
+// Sub-bookings shared by bookings and group clients that make up the itinerary.
+const itineraryInclude = {
+  journeyBookings: {
+    include: { airline: true, vehicle: true },
+    orderBy: { fromDepartureDate: "asc" },
+  },
+  hotelBookings: {
+    include: { city: true, hotel: true, accommodation: true },
+    orderBy: { checkInDate: "asc" },
+  },
+  vehicleBookings: {
+    include: { city: true, vehicle: true, agent: true },
+    orderBy: { fromDate: "asc" },
+  },
+};
+
+const dateKey = (date) => dayjs(date).format("YYYY-MM-DD");
+
+const describeCarrier = (journey) => {
+  switch (journey.mode) {
+    case "Flight":
+      return {
+        carrier: [journey.airline?.airlineName, journey.flightNumber]
+          .filter(Boolean)
+          .join(" "),
+        reference: journey.pnrNumber ? `PNR: ${journey.pnrNumber}` : "",
+      };
+    case "Train":
+      return {
+        carrier: [journey.trainName, journey.trainNumber]
+          .filter(Boolean)
+          .join(" "),
+        reference: journey.pnrNumber ? `PNR: ${journey.pnrNumber}` : "",
+      };
+    case "Bus":
+      return { carrier: journey.busName || "", reference: "" };
+    default:
+      return { carrier: journey.vehicle?.vehicleName || "", reference: "" };
+  }
+};
+
+const mapJourneys = (journeyBookings) =>
+  journeyBookings.map((journey) => ({
+    mode: journey.mode,
+    fromPlace: journey.fromPlace,
+    toPlace: journey.toPlace,
+    departure: journey.fromDepartureDate,
+    arrival: journey.toArrivalDate,
+    className: journey.class,
+    ...describeCarrier(journey),
+  }));
+
+const mapHotels = (hotelBookings) =>
+  hotelBookings.map((hotelBooking) => ({
+    city: hotelBooking.city?.cityName,
+    hotelName: hotelBooking.hotel.hotelName,
+    address: [
+      hotelBooking.hotel.hotelAddressLine1,
+      hotelBooking.hotel.hotelAddressLine2,
+      hotelBooking.hotel.hotelAddressLine3,
+    ]
+      .filter(Boolean)
+      .join(", "),
+    phone: hotelBooking.hotel.hotelContactNo1,
+    checkInDate: hotelBooking.checkInDate,
+    checkOutDate: hotelBooking.checkOutDate,
+    nights: hotelBooking.nights,
+    rooms: hotelBooking.rooms,
+    accommodation: hotelBooking.accommodation?.accommodationName,
+    plan: hotelBooking.plan,
+    confirmationNumber: hotelBooking.confirmationNumber,
+  }));
+
+const mapTransfers = (vehicleBookings) =>
+  vehicleBookings.map((vehicleBooking) => ({
+    vehicleName: vehicleBooking.vehicle.vehicleName,
+    numberOfVehicles: vehicleBooking.numberOfVehicles,
+    city: vehicleBooking.city?.cityName,
+    pickupPlace: vehicleBooking.pickupPlace,
+    fromDate: vehicleBooking.fromDate,
+    toDate: vehicleBooking.toDate,
+    agentName: vehicleBooking.agent.contactPersonName,
+    agentMobile: vehicleBooking.agent.mobile1,
+  }));
+
+/**
+ * Merges the day-wise plan with journeys, hotel check-ins/check-outs and
+ * transfers into one entry per date. Dates without a planned day are added
+ * and numbered from the first day of the trip.
+ * @param {object[]} plannedDays - Booking or group booking details ({ day, date, description, city }).
+ * @param {object} parts - { journeys, hotels, transfers } as mapped for the PDF.
+ * @returns {object[]} Days sorted by date, each with an `events` array.
+ */
+const buildDays = (plannedDays, { journeys, hotels, transfers }) => {
+  const days = new Map();
+  const getDay = (date) => {
+    const key = dateKey(date);
+    if (!days.has(key)) {
+      days.set(key, {
+        day: null,
+        date,
+        city: null,
+        description: null,
+        events: [],
+      });
+    }
+    return days.get(key);
+  };
+
+  plannedDays.forEach((detail) => {
+    const day = getDay(detail.date);
+    day.day = detail.day;
+    day.city = detail.city?.cityName || null;
+    day.description = detail.description;
+  });
+
+  journeys.forEach((journey) => {
+    const carrier = journey.carrier ? ` (${journey.carrier})` : "";
+    const departureTime = dayjs(journey.departure).format("HH:mm");
+    getDay(journey.departure).events.push(
+      `${journey.mode}: ${journey.fromPlace} to ${journey.toPlace}${carrier}${
+        departureTime === "00:00" ? "" : `, departs ${departureTime}`
+      }`
+    );
+    if (dateKey(journey.arrival) !== dateKey(journey.departure)) {
+      getDay(journey.arrival).events.push(
+        `Arrive at ${journey.toPlace} by ${journey.mode.toLowerCase()}`
+      );
+    }
+  });
+
+  hotels.forEach((hotel) => {
+    getDay(hotel.checkInDate).events.push(
+      `Check-in at ${hotel.hotelName}${hotel.city ? `, ${hotel.city}` : ""}${
+        hotel.nights ? ` for ${hotel.nights} night(s)` : ""
+      }`
+    );
+    getDay(hotel.checkOutDate).events.push(`Check-out from ${hotel.hotelName}`);
+  });
+
+  transfers.forEach((transfer) => {
+    getDay(transfer.fromDate).events.push(
+      `${transfer.vehicleName} reports at ${transfer.pickupPlace}${
+        transfer.city ? `, ${transfer.city}` : ""
+      }`
+    );
+  });
+
+  const sortedDays = [...days.values()].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+  if (sortedDays.length === 0) return sortedDays;
+
+  const firstDate = dayjs(dateKey(sortedDays[0].date));
+  return sortedDays.map((day) => ({
+    ...day,
+    day: day.day ?? dayjs(dateKey(day.date)).diff(firstDate, "day") + 1,
+  }));
+};
+
+const getItineraryFilePath = (bookingNumber) =>
+  path.join(
+    __dirname,
+    "..",
+    "..",
+    "invoices",
+    "booking",
+    "itinerary",
+    uuidv4(),
+    `itinerary-${bookingNumber.replace(/[\/\\]/g, "-")}.pdf`
+  );
+
+/**
+ * Generates (or regenerates) the final itinerary PDF of a confirmed booking and stores its path.
+ * @param {number} agencyId
+ * @param {number} bookingId
+ * @returns {Promise<{ filePath: string, itineraryData: object }|null>} Null when the booking is not found.
+ */
+const buildBookingItinerary = async (agencyId, bookingId) => {
+  const booking = await prisma.booking.findFirst({
+    where: { id: bookingId, agencyId },
+    include: {
+      agency: true,
+      client: true,
+      tour: { select: { tourTitle: true } },
+      bookingDetails: {
+        include: { city: true },
+        orderBy: [{ date: "asc" }, { day: "asc" }],
+      },
+      tourMembers: { orderBy: { id: "asc" } },
+      ...itineraryInclude,
+    },
+  });
+  if (!booking) return null;
+  if (booking.bookingType !== "Confirm") {
+    throw createError(
+      409,
+      "Itinerary can only be generated for confirmed bookings"
+    );
+  }
+
+  const journeys = mapJourneys(booking.journeyBookings);
+  const hotels = mapHotels(booking.hotelBookings);
+  const transfers = mapTransfers(booking.vehicleBookings);
+  const days = buildDays(booking.bookingDetails, {
+    journeys,
+    hotels,
+    transfers,
+  });
+
+  const itineraryData = {
+    agency: booking.agency,
+    bookingNumber: booking.bookingNumber,
+    itineraryDate: new Date(),
+    tourTitle: booking.tour?.tourTitle,
+    guest: {
+      name: booking.client?.clientName,
+      mobile: booking.client?.mobile1,
+      email: booking.client?.email,
+      adults: booking.numberOfAdults,
+      children:
+        (booking.numberOfChildren5To11 || 0) +
+          (booking.numberOfChildrenUnder5 || 0) || null,
+    },
+    travelDates: {
+      from: booking.journeyDate || days[0]?.date,
+      to: booking.departureDate || days[days.length - 1]?.date,
+    },
+    days,
+    journeys,
+    hotels,
+    transfers,
+    passengers: booking.tourMembers,
+  };
+
+  const filePath = getItineraryFilePath(booking.bookingNumber);
+  removeGeneratedPdf(booking.itineraryPath);
+  await generateTripItinerary(itineraryData, filePath);
+  await prisma.booking.update({
+    where: { id: booking.id },
+    data: { itineraryPath: filePath },
+  });
+
+  return { filePath, itineraryData };
+};
+
+/**
+ * Generates (or regenerates) the final itinerary PDF of a group client from the
+ * group booking's day-wise plan and the client's own sub-bookings, and stores its path.
+ * @param {number} agencyId
+ * @param {number} groupClientId
+ * @returns {Promise<{ filePath: string, itineraryData: object }|null>} Null when the group client is not found.
+ */
+const buildGroupClientItinerary = async (agencyId, groupClientId) => {
+  const groupClient = await prisma.groupClient.findFirst({
+    where: { id: groupClientId, groupBooking: { agencyId } },
+    include: {
+      client: true,
+      groupBooking: {
+        include: {
+          agency: true,
+          tour: { select: { tourTitle: true } },
+          groupBookingDetails: {
+            include: { city: true },
+            orderBy: [{ date: "asc" }, { day: "asc" }],
+          },
+        },
+      },
+      groupClientMembers: { orderBy: { id: "asc" } },
+      ...itineraryInclude,
+    },
+  });
+  if (!groupClient) return null;
+
+  const { groupBooking } = groupClient;
+  if (groupBooking.bookingType !== "Confirm") {
+    throw createError(
+      409,
+      "Itinerary can only be generated for confirmed group bookings"
+    );
+  }
+
+  const journeys = mapJourneys(groupClient.journeyBookings);
+  const hotels = mapHotels(groupClient.hotelBookings);
+  const transfers = mapTransfers(groupClient.vehicleBookings);
+  const days = buildDays(groupBooking.groupBookingDetails, {
+    journeys,
+    hotels,
+    transfers,
+  });
+
+  const itineraryData = {
+    agency: groupBooking.agency,
+    bookingNumber: groupBooking.groupBookingNumber,
+    itineraryDate: new Date(),
+    tourTitle: groupBooking.tour?.tourTitle,
+    guest: {
+      name: groupClient.client?.clientName,
+      mobile: groupClient.client?.mobile1,
+      email: groupClient.client?.email,
+      adults: groupClient.numberOfAdults,
+      children:
+        (groupClient.numberOfChildren5To11 || 0) +
+          (groupClient.numberOfChildrenUnder5 || 0) || null,
+    },
+    travelDates: {
+      from: groupBooking.journeyDate || days[0]?.date,
+      to: days[days.length - 1]?.date,
+    },
+    days,
+    journeys,
+    hotels,
+    transfers,
+    passengers: groupClient.groupClientMembers,
+  };
+
+  const filePath = getItineraryFilePath(
+    `${groupBooking.groupBookingNumber}-${groupClient.id}`
+  );
+  removeGeneratedPdf(groupClient.itineraryPath);
+  await generateTripItinerary(itineraryData, filePath);
+  await prisma.groupClient.update({
+    where: { id: groupClient.id },
+    data: { itineraryPath: filePath },
+  });
+
+  return { filePath, itineraryData };
+};
+
+module.exports = { buildBookingItinerary, buildGroupClientItinerary };
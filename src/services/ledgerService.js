@@ -0,0 +1,607 @@
+const prisma = require("../config/db");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Sub-bookings and receipts that make up the customer ledger of a booking or a group client.
+const ledgerInclude = {
+  journeyBookings: {
+    where: { isCancelled: false },
+    select: {
+      id: true,
+      mode: true,
+      fromPlace: true,
+      toPlace: true,
+      journeyBookingDate: true,
+      amount: true,
+    },
+  },
+  hotelBookings: {
+    where: { isCancelled: false },
+    select: {
+      id: true,
+      hrvNumber: true,
+      hotelBookingDate: true,
+      totalAmount: true,
+      hotel: { select: { hotelName: true } },
+    },
+  },
+  vehicleBookings: {
+    where: { isCancelled: false },
+    select: {
+      id: true,
+      vehicleHrvNumber: true,
+      vehicleBookingDate: true,
+      amount: true,
+      vehicle: { select: { vehicleName: true } },
+    },
+  },
+  serviceBookings: {
+    where: { isCancelled: false },
+    select: {
+      id: true,
+      description: true,
+      createdAt: true,
+      cost: true,
+      service: { select: { serviceName: true } },
+    },
+  },
+  bookingReceipts: {
+    where: { isCancelled: false },
+    select: {
+      id: true,
+      receiptNumber: true,
+      receiptDate: true,
+      paymentMode: true,
+      amount: true,
+      totalAmount: true,
+    },
+  },
+  creditNotes: {
+    select: {
+      id: true,
+      creditNoteNumber: true,
+      creditNoteDate: true,
+      amount: true,
+      totalAmount: true,
+    },
+  },
+  cancellation: {
+    select: {
+      id: true,
+      cancellationDate: true,
+      cancellationCharges: true,
+      refundNumber: true,
+      refundDate: true,
+      refundAmount: true,
+    },
+  },
+};
+
+/**
+ * Builds ledger entries, running balance and totals for a booking or group client.
+ * Receipts are counted on their taxable amount, so GST collected on a receipt is
+ * reported separately and never set off against the booking charges. Cancelled
+ * receipts are left out and credit notes are netted off the amount received.
+ * Once a booking is cancelled its sub-bookings are left out, the cancellation
+ * charges are billed instead and any refund is netted off the amount received.
+ * @param {object} record - Booking or group client loaded with `ledgerInclude`.
+ * @returns {{ entries: object[], totals: object }}
+ */
+const buildLedger = (record) => {
+  const charges = [
+    ...record.journeyBookings.map((journey) => ({
+      type: "Journey",
+      referenceId: journey.id,
+      reference: `${journey.mode}: ${journey.fromPlace} - ${journey.toPlace}`,
+      date: journey.journeyBookingDate,
+      debit: toNumber(journey.amount),
+      credit: 0,
+    })),
+    ...record.hotelBookings.map((hotel) => ({
+      type: "Hotel",
+      referenceId: hotel.id,
+      reference: `HRV ${hotel.hrvNumber} - ${hotel.hotel?.hotelName || ""}`,
+      date: hotel.hotelBookingDate,
+      debit: toNumber(hotel.totalAmount),
+      credit: 0,
+    })),
+    ...record.vehicleBookings.map((vehicle) => ({
+      type: "Vehicle",
+      referenceId: vehicle.id,
+      reference: `HRV ${vehicle.vehicleHrvNumber} - ${
+        vehicle.vehicle?.vehicleName || ""
+      }`,
+      date: vehicle.vehicleBookingDate,
+      debit: toNumber(vehicle.amount),
+      credit: 0,
+    })),
+    ...record.serviceBookings.map((service) => ({
+      type: "Service",
+      referenceId: service.id,
+      reference: service.service?.serviceName || service.description,
+      date: service.createdAt,
+      debit: toNumber(service.cost),
+      credit: 0,
+    })),
+  ];
+
+  const receipts = record.bookingReceipts.map((receipt) => ({
+    type: "Receipt",
+    referenceId: receipt.id,
+    reference: `Receipt ${receipt.receiptNumber} (${receipt.paymentMode})`,
+    date: receipt.receiptDate,
+    debit: 0,
+    credit: toNumber(receipt.amount),
+  }));
+
+  // Credit notes reverse part of a receipt, so they are debited back
+  const creditNotes = record.creditNotes.map((creditNote) => ({
+    type: "CreditNote",
+    referenceId: creditNote.id,
+    reference: `Credit Note ${creditNote.creditNoteNumber}`,
+    date: creditNote.creditNoteDate,
+    debit: toNumber(creditNote.amount),
+    credit: 0,
+  }));
+
+  // Cancellation charges replace the cancelled sub-bookings; refunds are paid back out
+  const { cancellation } = record;
+  const cancellationEntries = [];
+  if (cancellation) {
+    cancellationEntries.push({
+      type: "CancellationCharges",
+      referenceId: cancellation.id,
+      reference: "Cancellation charges",
+      date: cancellation.cancellationDate,
+      debit: toNumber(cancellation.cancellationCharges),
+      credit: 0,
+    });
+    if (cancellation.refundNumber) {
+      cancellationEntries.push({
+        type: "Refund",
+        referenceId: cancellation.id,
+        reference: `Refund ${cancellation.refundNumber}`,
+        date: cancellation.refundDate,
+        debit: toNumber(cancellation.refundAmount),
+        credit: 0,
+      });
+    }
+  }
+
+  let runningBalance = 0;
+  const entries = [
+    ...charges,
+    ...receipts,
+    ...creditNotes,
+    ...cancellationEntries,
+  ]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((entry) => {
+      runningBalance = roundAmount(runningBalance + entry.debit - entry.credit);
+      return { ...entry, balance: runningBalance };
+    });
+
+  const sumOf = (type) =>
+    roundAmount(
+      charges
+        .filter((charge) => charge.type === type)
+        .reduce((total, charge) => total + charge.debit, 0)
+    );
+
+  const billableTotal = roundAmount(
+    charges.reduce((total, charge) => total + charge.debit, 0)
+  );
+  const creditNoteTotal = roundAmount(
+    creditNotes.reduce((total, creditNote) => total + creditNote.debit, 0)
+  );
+  const cancellationCharges = roundAmount(
+    toNumber(cancellation?.cancellationCharges)
+  );
+  const refundTotal = roundAmount(toNumber(cancellation?.refundAmount));
+  const receivedTotal = roundAmount(
+    receipts.reduce((total, receipt) => total + receipt.credit, 0) -
+      creditNoteTotal -
+      refundTotal
+  );
+  const taxOf = (records) =>
+    records.reduce(
+      (total, record) =>
+        total + toNumber(record.totalAmount) - toNumber(record.amount),
+      0
+    );
+  const taxCollected = roundAmount(
+    taxOf(record.bookingReceipts) - taxOf(record.creditNotes)
+  );
+
+  return {
+    entries,
+    totals: {
+      journeyTotal: sumOf("Journey"),
+      hotelTotal: sumOf("Hotel"),
+      vehicleTotal: sumOf("Vehicle"),
+      serviceTotal: sumOf("Service"),
+      billableTotal,
+      cancellationCharges,
+      creditNoteTotal,
+      refundTotal,
+      receivedTotal,
+      taxCollected,
+      balanceDue: roundAmount(
+        billableTotal + cancellationCharges - receivedTotal
+      ),
+    },
+  };
+};
+
+/**
+ * Returns the customer ledger of a booking, or null when it does not belong to the agency.
+ * @param {number} agencyId - Agency of the logged in user.
+ * @param {number} bookingId - Booking ID.
+ * @returns {Promise<object|null>}
+ */
+const getBookingLedger = async (agencyId, bookingId) => {
+  const booking = await prisma.booking.findFirst({
+    where: { id: bookingId, agencyId },
+    include: {
+      client: { select: { id: true, clientName: true } },
+      branch: { select: { id: true, branchName: true } },
+      tour: { select: { id: true, tourTitle: true } },
+      ...ledgerInclude,
+    },
+  });
+
+  if (!booking) return null;
+
+  return {
+    booking: {
+      id: booking.id,
+      bookingNumber: booking.bookingNumber,
+      bookingDate: booking.bookingDate,
+      journeyDate: booking.journeyDate,
+      client: booking.client,
+      branch: booking.branch,
+      tour: booking.tour,
+    },
+    ...buildLedger(booking),
+  };
+};
+
+/**
+ * Returns the customer ledger of a group client, or null when it does not belong to the agency.
+ * @param {number} agencyId - Agency of the logged in user.
+ * @param {number} groupClientId - Group client ID.
+ * @returns {Promise<object|null>}
+ */
+const getGroupClientLedger = async (agencyId, groupClientId) => {
+  const groupClient = await prisma.groupClient.findFirst({
+    where: { id: groupClientId, groupBooking: { agencyId } },
+    include: {
+      client: { select: { id: true, clientName: true } },
+      groupBooking: {
+        select: {
+          id: true,
+          groupBookingNumber: true,
+          journeyDate: true,
+          branch: { select: { id: true, branchName: true } },
+          tour: { select: { id: true, tourTitle: true } },
+        },
+      },
+      ...ledgerInclude,
+    },
+  });
+
+  if (!groupClient) return null;
+
+  return {
+    groupClient: {
+      id: groupClient.id,
+      bookingDate: groupClient.bookingDate,
+      tourCost: toNumber(groupClient.tourCost),
+      client: groupClient.client,
+      groupBooking: groupClient.groupBooking,
+    },
+    ...buildLedger(groupClient),
+  };
+};
+
+// Adds grouped `_sum` rows into the per-record totals map under `key`.
+const addSums = (totalsMap, rows, idField, sumField, key) => {
+  rows.forEach((row) => {
+    const id = row[idField];
+    if (!totalsMap.has(id)) {
+      totalsMap.set(id, {
+        journeyTotal: 0,
+        hotelTotal: 0,
+        vehicleTotal: 0,
+        serviceTotal: 0,
+        receivedTotal: 0,
+        creditNoteTotal: 0,
+        cancellationCharges: 0,
+        refundTotal: 0,
+      });
+    }
+    totalsMap.get(id)[key] = roundAmount(toNumber(row._sum[sumField]));
+  });
+};
+
+// Nets credit notes and refunds off the receipts and works out the billable total and balance due.
+const finaliseTotals = (totalsMap) => {
+  totalsMap.forEach((totals) => {
+    totals.receivedTotal = roundAmount(
+      totals.receivedTotal - totals.creditNoteTotal - totals.refundTotal
+    );
+    totals.billableTotal = roundAmount(
+      totals.journeyTotal +
+        totals.hotelTotal +
+        totals.vehicleTotal +
+        totals.serviceTotal
+    );
+    totals.balanceDue = roundAmount(
+      totals.billableTotal + totals.cancellationCharges - totals.receivedTotal
+    );
+  });
+  return totalsMap;
+};
+
+/**
+ * Aggregates charges and receipts for every booking matching `bookingWhere`.
+ * @param {object} bookingWhere - Prisma where clause on Booking.
+ * @returns {Promise<Map<number, object>>} Totals keyed by booking ID.
+ */
+const summariseBookings = async (bookingWhere) => {
+  const where = { bookingId: { not: null }, booking: bookingWhere };
+  // Cancelled receipts and sub-bookings of cancelled bookings are left out
+  const activeWhere = { ...where, isCancelled: false };
+  const [
+    journeys,
+    hotels,
+    vehicles,
+    services,
+    receipts,
+    creditNotes,
+    cancellations,
+  ] = await Promise.all([
+    prisma.journeyBooking.groupBy({
+      by: ["bookingId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.hotelBooking.groupBy({
+      by: ["bookingId"],
+      where: activeWhere,
+      _sum: { totalAmount: true },
+    }),
+    prisma.vehicleBooking.groupBy({
+      by: ["bookingId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.serviceBooking.groupBy({
+      by: ["bookingId"],
+      where: activeWhere,
+      _sum: { cost: true },
+    }),
+    prisma.bookingReceipt.groupBy({
+      by: ["bookingId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.creditNote.groupBy({
+      by: ["bookingId"],
+      where,
+      _sum: { amount: true },
+    }),
+    prisma.bookingCancellation.groupBy({
+      by: ["bookingId"],
+      where,
+      _sum: { cancellationCharges: true, refundAmount: true },
+    }),
+  ]);
+
+  const totalsMap = new Map();
+  addSums(totalsMap, journeys, "bookingId", "amount", "journeyTotal");
+  addSums(totalsMap, hotels, "bookingId", "totalAmount", "hotelTotal");
+  addSums(totalsMap, vehicles, "bookingId", "amount", "vehicleTotal");
+  addSums(totalsMap, services, "bookingId", "cost", "serviceTotal");
+  addSums(totalsMap, receipts, "bookingId", "amount", "receivedTotal");
+  addSums(totalsMap, creditNotes, "bookingId", "amount", "creditNoteTotal");
+  addSums(
+    totalsMap,
+    cancellations,
+    "bookingId",
+    "cancellationCharges",
+    "cancellationCharges"
+  );
+  addSums(totalsMap, cancellations, "bookingId", "refundAmount", "refundTotal");
+  return finaliseTotals(totalsMap);
+};
+
+/**
+ * Aggregates charges and receipts for every group client matching `groupClientWhere`.
+ * @param {object} groupClientWhere - Prisma where clause on GroupClient.
+ * @returns {Promise<Map<number, object>>} Totals keyed by group client ID.
+ */
+const summariseGroupClients = async (groupClientWhere) => {
+  const where = { groupClientId: { not: null }, groupClient: groupClientWhere };
+  // Cancelled receipts and sub-bookings of cancelled bookings are left out
+  const activeWhere = { ...where, isCancelled: false };
+  const [
+    journeys,
+    hotels,
+    vehicles,
+    services,
+    receipts,
+    creditNotes,
+    cancellations,
+  ] = await Promise.all([
+    prisma.journeyBooking.groupBy({
+      by: ["groupClientId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.hotelBooking.groupBy({
+      by: ["groupClientId"],
+      where: activeWhere,
+      _sum: { totalAmount: true },
+    }),
+    prisma.vehicleBooking.groupBy({
+      by: ["groupClientId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.serviceBooking.groupBy({
+      by: ["groupClientId"],
+      where: activeWhere,
+      _sum: { cost: true },
+    }),
+    prisma.bookingReceipt.groupBy({
+      by: ["groupClientId"],
+      where: activeWhere,
+      _sum: { amount: true },
+    }),
+    prisma.creditNote.groupBy({
+      by: ["groupClientId"],
+      where,
+      _sum: { amount: true },
+    }),
+    prisma.bookingCancellation.groupBy({
+      by: ["groupClientId"],
+      where,
+      _sum: { cancellationCharges: true, refundAmount: true },
+    }),
+  ]);
+
+  const totalsMap = new Map();
+  addSums(totalsMap, journeys, "groupClientId", "amount", "journeyTotal");
+  addSums(totalsMap, hotels, "groupClientId", "totalAmount", "hotelTotal");
+  addSums(totalsMap, vehicles, "groupClientId", "amount", "vehicleTotal");
+  addSums(totalsMap, services, "groupClientId", "cost", "serviceTotal");
+  addSums(totalsMap, receipts, "groupClientId", "amount", "receivedTotal");
+  addSums(totalsMap, creditNotes, "groupClientId", "amount", "creditNoteTotal");
+  addSums(
+    totalsMap,
+    cancellations,
+    "groupClientId",
+    "cancellationCharges",
+    "cancellationCharges"
+  );
+  addSums(
+    totalsMap,
+    cancellations,
+    "groupClientId",
+    "refundAmount",
+    "refundTotal"
+  );
+  return finaliseTotals(totalsMap);
+};
+
+/**
+ * Lists confirmed bookings and group clients of an agency that still have a balance due.
+ * @param {number} agencyId - Agency ID.
+ * @param {object} [filters]
+ * @param {number} [filters.branchId] - Restrict to a single branch.
+ * @returns {Promise<{ receivables: object[], totals: object }>}
+ */
+const getOutstandingReceivables = async (agencyId, { branchId } = {}) => {
+  // Bookings in the trash are left out of both the totals and the list
+  const bookingWhere = {
+    agencyId,
+    bookingType: "Confirm",
+    deletedAt: null,
+    ...(branchId ? { branchId } : {}),
+  };
+  const groupBookingWhere = {
+    agencyId,
+    deletedAt: null,
+    ...(branchId ? { branchId } : {}),
+  };
+
+  const [bookingTotals, groupClientTotals] = await Promise.all([
+    summariseBookings(bookingWhere),
+    summariseGroupClients({ groupBooking: groupBookingWhere }),
+  ]);
+
+  const dueBookingIds = [...bookingTotals.keys()].filter(
+    (id) => bookingTotals.get(id).balanceDue > 0
+  );
+  const dueGroupClientIds = [...groupClientTotals.keys()].filter(
+    (id) => groupClientTotals.get(id).balanceDue > 0
+  );
+
+  const [bookings, groupClients] = await Promise.all([
+    prisma.booking.findMany({
+      where: { id: { in: dueBookingIds }, deletedAt: null },
+      select: {
+        id: true,
+        bookingNumber: true,
+        bookingDate: true,
+        journeyDate: true,
+        client: { select: { id: true, clientName: true } },
+        branch: { select: { id: true, branchName: true } },
+      },
+    }),
+    prisma.groupClient.findMany({
+      where: {
+        id: { in: dueGroupClientIds },
+        groupBooking: { deletedAt: null },
+      },
+      select: {
+        id: true,
+        bookingDate: true,
+        client: { select: { id: true, clientName: true } },
+        groupBooking: {
+          select: {
+            id: true,
+            groupBookingNumber: true,
+            journeyDate: true,
+            branch: { select: { id: true, branchName: true } },
+          },
+        },
+      },
+    }),
+  ]);
+
+  const receivables = [
+    ...bookings.map((booking) => ({
+      type: "Booking",
+      id: booking.id,
+      bookingNumber: booking.bookingNumber,
+      bookingDate: booking.bookingDate,
+      journeyDate: booking.journeyDate,
+      client: booking.client,
+      branch: booking.branch,
+      ...bookingTotals.get(booking.id),
+    })),
+    ...groupClients.map((groupClient) => ({
+      type: "GroupClient",
+      id: groupClient.id,
+      bookingNumber: groupClient.groupBooking.groupBookingNumber,
+      bookingDate: groupClient.bookingDate,
+      journeyDate: groupClient.groupBooking.journeyDate,
+      client: groupClient.client,
+      branch: groupClient.groupBooking.branch,
+      groupBookingId: groupClient.groupBooking.id,
+      ...groupClientTotals.get(groupClient.id),
+    })),
+  ].sort((a, b) => b.balanceDue - a.balanceDue);
+
+  const totals = receivables.reduce(
+    (acc, row) => ({
+      billableTotal: roundAmount(acc.billableTotal + row.billableTotal),
+      receivedTotal: roundAmount(acc.receivedTotal + row.receivedTotal),
+      balanceDue: roundAmount(acc.balanceDue + row.balanceDue),
+    }),
+    { billableTotal: 0, receivedTotal: 0, balanceDue: 0 }
+  );
+
+  return { receivables, totals };
+};
+
+module.exports = {
+  getBookingLedger,
+  getGroupClientLedger,
+  getOutstandingReceivables,
+  summariseBookings,
+  summariseGroupClients,
+};
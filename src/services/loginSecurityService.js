@@ -0,0 +1,159 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const config = require("../config/config");
+
+const requestDetails = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: req.headers["user-agent"] || null,
+});
+
+/**
+ * The message to refuse a login with while the account is locked after too
+ * many failed logins.
+ * @param {{ lockedUntil: Date|null }} user
+ * @returns {string|null} null when the account is not locked.
+ */
+const lockoutMessage = (user) => {
+  if (!user.lockedUntil || !dayjs(user.lockedUntil).isAfter()) return null;
+  const minutes = Math.max(
+    Math.ceil(dayjs(user.lockedUntil).diff(dayjs(), "second") / 60),
+    1
+  );
+  return `Account is locked after too many failed logins. Try again in ${minutes} minute(s) or ask your administrator to unlock it.`;
+};
+
+/**
+ * The lockout message for an email that no user has, once it has failed as
+ * often as locks an account, so that unknown emails are answered the same way
+ * as real ones. Attempts made while it is locked are recorded as locked and do
+ * not count, as for real accounts.
+ * @param {string} email
+ * @returns {Promise<string|null>} null when the email is not locked.
+ */
+const unknownEmailLockoutMessage = async (email) => {
+  const where = { email, userId: null, reason: "unknown_email" };
+  const failures = await prisma.loginAttempt.count({ where });
+  if (failures === 0 || failures % config.loginMaxFailedAttempts !== 0) {
+    return null;
+  }
+  const lastFailure = await prisma.loginAttempt.findFirst({
+    where,
+    orderBy: { createdAt: "desc" },
+    select: { createdAt: true },
+  });
+  return lockoutMessage({
+    lockedUntil: dayjs(lastFailure.createdAt)
+      .add(config.loginLockoutMinutes, "minute")
+      .toDate(),
+  });
+};
+
+/**
+ * Records a failed login. For a known user the failure counts towards the
+ * lockout, which starts once LOGIN_MAX_FAILED_ATTEMPTS is reached.
+ * @param {import("express").Request} req
+ * @param {{ email: string, user?: object|null, reason: string }} attempt -
+ *   reason is unknown_email, invalid_password, inactive, locked or invalid_two_factor.
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (req, { email, user = null, reason }) => {
+  await prisma.loginAttempt.create({
+    data: {
+      userId: user?.id ?? null,
+      email,
+      success: false,
+      reason,
+      ...requestDetails(req),
+    },
+  });
+  // Only wrong passwords and codes count: attempts on a locked account do
+  // not extend the lockout, and an inactive account cannot sign in anyway
+  if (!user || reason === "locked" || reason === "inactive") return;
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } },
+    select: { failedLoginCount: true },
+  });
+  if (updated.failedLoginCount >= config.loginMaxFailedAttempts) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginCount: 0,
+        lockedUntil: dayjs().add(config.loginLockoutMinutes, "minute").toDate(),
+      },
+    });
+  }
+};
+
+/**
+ * Records a successful login and clears the failed login count.
+ * @param {import("express").Request} req
+ * @param {object} user
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (req, user) => {
+  await prisma.$transaction([
+    prisma.loginAttempt.create({
+      data: {
+        userId: user.id,
+        email: user.email,
+        success: true,
+        ...requestDetails(req),
+      },
+    }),
+    prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginCount: 0, lockedUntil: null },
+    }),
+  ]);
+};
+
+/**
+ * Login attempts on a user's account, newest first.
+ * @param {number} userId
+ * @param {{ skip: number, take: number }} options
+ * @returns {Promise<{ loginAttempts: object[], totalLoginAttempts: number }>}
+ */
+const getLoginHistory = async (userId, { skip, take }) => {
+  const where = { userId };
+  const [loginAttempts, totalLoginAttempts] = await Promise.all([
+    prisma.loginAttempt.findMany({
+      where,
+      select: {
+        id: true,
+        ipAddress: true,
+        userAgent: true,
+        success: true,
+        reason: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "desc" },
+      skip,
+      take,
+    }),
+    prisma.loginAttempt.count({ where }),
+  ]);
+  return { loginAttempts, totalLoginAttempts };
+};
+
+/**
+ * Lifts a lockout and clears the failed login count.
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+const unlockUser = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+};
+
+module.exports = {
+  lockoutMessage,
+  unknownEmailLockoutMessage,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLoginHistory,
+  unlockUser,
+};
@@ -0,0 +1,250 @@
+const createError = require("http-errors");
+const prisma = require("../config/db");
+
+const PIPELINE_STAGE_TYPES = ["open", "won", "lost"];
+
+// Stages every agency starts with; they can be renamed, reordered or extended
+const DEFAULT_PIPELINE_STAGES = [
+  { name: "New", stageType: "open" },
+  { name: "Contacted", stageType: "open" },
+  { name: "Quoted", stageType: "open" },
+  { name: "Negotiating", stageType: "open" },
+  { name: "Won", stageType: "won" },
+  { name: "Lost", stageType: "lost" },
+];
+
+const stageOrder = [{ sortOrder: "asc" }, { id: "asc" }];
+
+/**
+ * Returns the pipeline stages of an agency, creating the default stages the
+ * first time the pipeline is used.
+ * @param {number} agencyId
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<object[]>}
+ */
+const getPipelineStages = async (agencyId, tx = prisma) => {
+  const stages = await tx.pipelineStage.findMany({
+    where: { agencyId },
+    orderBy: stageOrder,
+  });
+  if (stages.length > 0) return stages;
+
+  await tx.pipelineStage.createMany({
+    data: DEFAULT_PIPELINE_STAGES.map((stage, index) => ({
+      ...stage,
+      agencyId,
+      sortOrder: index + 1,
+    })),
+    skipDuplicates: true,
+  });
+  return tx.pipelineStage.findMany({
+    where: { agencyId },
+    orderBy: stageOrder,
+  });
+};
+
+// The first open stage, where new enquiries start
+const getInitialStage = async (agencyId, tx = prisma) => {
+  const stages = await getPipelineStages(agencyId, tx);
+  return stages.find((stage) => stage.stageType === "open") || stages[0];
+};
+
+// Enquiries are bookings or group bookings; `owner` is { bookingId } or { groupBookingId }
+const enquiryModel = (owner) =>
+  owner.bookingId
+    ? { model: "booking", field: "bookingId", id: owner.bookingId }
+    : {
+        model: "groupBooking",
+        field: "groupBookingId",
+        id: owner.groupBookingId,
+      };
+
+/**
+ * Places a new enquiry in the first open stage and records it in the stage history.
+ * @param {Prisma.TransactionClient} tx
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @param {number} userId
+ * @returns {Promise<void>}
+ */
+const startPipeline = async (tx, agencyId, owner, userId) => {
+  const { model, field, id } = enquiryModel(owner);
+  const stage = await getInitialStage(agencyId, tx);
+
+  await tx[model].update({
+    where: { id },
+    data: { pipelineStageId: stage.id },
+  });
+  await tx.pipelineStageHistory.create({
+    data: { [field]: id, toStageId: stage.id, changedById: userId },
+  });
+};
+
+/**
+ * Moves an enquiry to another pipeline stage. A lost reason is required when
+ * moving to a lost stage and is cleared when the enquiry is reopened.
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @param {number} userId
+ * @param {{ stageId: number, lostReason?: string, remarks?: string }} data
+ * @returns {Promise<object|null>} The enquiry with its stage, or null when not found.
+ */
+const moveToStage = (agencyId, owner, userId, data) =>
+  prisma.$transaction(async (tx) => {
+    const { model, field, id } = enquiryModel(owner);
+    const enquiry = await tx[model].findFirst({
+      where: { id, agencyId },
+      select: { id: true, pipelineStageId: true },
+    });
+    if (!enquiry) return null;
+
+    const stage = await tx.pipelineStage.findFirst({
+      where: { id: data.stageId, agencyId },
+    });
+    if (!stage) throw createError(404, "Pipeline stage not found");
+    if (stage.id === enquiry.pipelineStageId) {
+      throw createError(409, `Enquiry is already in the ${stage.name} stage`);
+    }
+    if (stage.stageType === "lost" && !data.lostReason) {
+      throw createError(400, "Lost reason is required");
+    }
+    const lostReason = stage.stageType === "lost" ? data.lostReason : null;
+
+    await tx.pipelineStageHistory.create({
+      data: {
+        [field]: id,
+        fromStageId: enquiry.pipelineStageId,
+        toStageId: stage.id,
+        lostReason,
+        remarks: data.remarks || null,
+        changedById: userId,
+      },
+    });
+    return tx[model].update({
+      where: { id },
+      data: { pipelineStageId: stage.id, lostReason },
+      include: { pipelineStage: true },
+    });
+  });
+
+/**
+ * Returns the stage history of an enquiry, oldest first.
+ * @param {number} agencyId
+ * @param {{ bookingId?: number, groupBookingId?: number }} owner
+ * @returns {Promise<object[]|null>} Null when the enquiry is not found.
+ */
+const getStageHistory = async (agencyId, owner) => {
+  const { model, field, id } = enquiryModel(owner);
+  const enquiry = await prisma[model].findFirst({
+    where: { id, agencyId },
+    select: { id: true },
+  });
+  if (!enquiry) return null;
+
+  return prisma.pipelineStageHistory.findMany({
+    where: { [field]: id },
+    include: {
+      fromStage: { select: { id: true, name: true, stageType: true } },
+      toStage: { select: { id: true, name: true, stageType: true } },
+      changedBy: { select: { id: true, name: true } },
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+};
+
+/**
+ * Builds the pipeline board: each stage with the enquiries in it. Enquiries
+ * that predate the pipeline are shown in the first open stage.
+ * @param {number} agencyId
+ * @param {{ branchId?: number }} [filters]
+ * @returns {Promise<object[]>}
+ */
+const getPipelineBoard = async (agencyId, { branchId } = {}) => {
+  const stages = await getPipelineStages(agencyId);
+  const initialStage =
+    stages.find((stage) => stage.stageType === "open") || stages[0];
+  const where = {
+    agencyId,
+    deletedAt: null,
+    OR: [{ bookingType: "Enquiry" }, { pipelineStageId: { not: null } }],
+    ...(branchId && { branchId }),
+  };
+  const enquirySelect = {
+    id: true,
+    pipelineStageId: true,
+    lostReason: true,
+    followUpDate: true,
+    bookingType: true,
+  };
+
+  const [bookings, groupBookings] = await Promise.all([
+    prisma.booking.findMany({
+      where,
+      select: {
+        ...enquirySelect,
+        bookingNumber: true,
+        bookingDate: true,
+        journeyDate: true,
+        client: { select: { id: true, clientName: true } },
+      },
+      orderBy: { bookingDate: "desc" },
+    }),
+    prisma.groupBooking.findMany({
+      where,
+      select: {
+        ...enquirySelect,
+        groupBookingNumber: true,
+        groupBookingDate: true,
+        journeyDate: true,
+      },
+      orderBy: { groupBookingDate: "desc" },
+    }),
+  ]);
+
+  const enquiries = [
+    ...bookings.map((booking) => ({
+      type: "Booking",
+      id: booking.id,
+      bookingNumber: booking.bookingNumber,
+      bookingDate: booking.bookingDate,
+      journeyDate: booking.journeyDate,
+      client: booking.client,
+      bookingType: booking.bookingType,
+      followUpDate: booking.followUpDate,
+      lostReason: booking.lostReason,
+      stageId: booking.pipelineStageId ?? initialStage.id,
+    })),
+    ...groupBookings.map((groupBooking) => ({
+      type: "GroupBooking",
+      id: groupBooking.id,
+      bookingNumber: groupBooking.groupBookingNumber,
+      bookingDate: groupBooking.groupBookingDate,
+      journeyDate: groupBooking.journeyDate,
+      client: null,
+      bookingType: groupBooking.bookingType,
+      followUpDate: groupBooking.followUpDate,
+      lostReason: groupBooking.lostReason,
+      stageId: groupBooking.pipelineStageId ?? initialStage.id,
+    })),
+  ];
+
+  return stages.map((stage) => {
+    const stageEnquiries = enquiries.filter(
+      (enquiry) => enquiry.stageId === stage.id
+    );
+    return {
+      ...stage,
+      enquiryCount: stageEnquiries.length,
+      enquiries: stageEnquiries,
+    };
+  });
+};
+
+module.exports = {
+  PIPELINE_STAGE_TYPES,
+  getPipelineStages,
+  startPipeline,
+  moveToStage,
+  getStageHistory,
+  getPipelineBoard,
+};
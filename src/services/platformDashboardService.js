@@ -0,0 +1,262 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const AGENCY_STATUSES = ["active", "expiring", "expired", "none"];
+
+/**
+ * Subscription status of an agency from its current subscription's end date.
+ * @param {{ endDate: Date }|null} subscription
+ * @param {Date} now
+ * @param {number} expiringDays - Days before the end date an agency counts as expiring.
+ * @returns {string} One of AGENCY_STATUSES.
+ */
+const subscriptionStatus = (subscription, now, expiringDays) => {
+  if (!subscription) return "none";
+  const endDate = dayjs(subscription.endDate);
+  if (endDate.isBefore(now)) return "expired";
+  if (!endDate.isAfter(dayjs(now).add(expiringDays, "day"))) return "expiring";
+  return "active";
+};
+
+// Where clause on Agency for each status
+const statusWhere = (status, now, expiringDays) => {
+  const expiringBy = dayjs(now).add(expiringDays, "day").toDate();
+  return {
+    active: { currentSubscription: { endDate: { gt: expiringBy } } },
+    expiring: {
+      currentSubscription: { endDate: { gte: now, lte: expiringBy } },
+    },
+    expired: { currentSubscription: { endDate: { lt: now } } },
+    none: { currentSubscriptionId: null },
+  }[status];
+};
+
+// Monthly value of a subscription, before GST, spread over its package period
+const monthlyValue = (subscription) =>
+  toNumber(subscription.cost) /
+  Math.max(subscription.package?.periodInMonths || 1, 1);
+
+/**
+ * Platform overview: agencies by subscription status, MRR and ARR from the
+ * running subscriptions, the package mix, new agencies per month and how many
+ * agencies have had no login in the last `inactiveDays` days.
+ * @param {{ expiringDays?: number, inactiveDays?: number, months?: number }} [options]
+ * @returns {Promise<object>}
+ */
+const getPlatformOverview = async ({
+  expiringDays = 30,
+  inactiveDays = 30,
+  months = 12,
+} = {}) => {
+  const now = new Date();
+  const firstMonth = dayjs(now)
+    .subtract(months - 1, "month")
+    .startOf("month");
+
+  const [agencies, packages, inactiveAgencies] = await Promise.all([
+    prisma.agency.findMany({
+      select: {
+        id: true,
+        createdAt: true,
+        currentSubscription: {
+          select: {
+            cost: true,
+            endDate: true,
+            packageId: true,
+            package: { select: { periodInMonths: true } },
+          },
+        },
+      },
+    }),
+    prisma.package.findMany({
+      select: { id: true, packageName: true },
+      orderBy: { id: "asc" },
+    }),
+    prisma.agency.count({
+      where: {
+        users: {
+          none: {
+            lastLogin: {
+              gte: dayjs(now).subtract(inactiveDays, "day").toDate(),
+            },
+          },
+        },
+      },
+    }),
+  ]);
+
+  const agencyStatus = Object.fromEntries(
+    AGENCY_STATUSES.map((status) => [status, 0])
+  );
+  const packageMix = new Map(
+    packages.map((pkg) => [
+      pkg.id,
+      {
+        packageId: pkg.id,
+        packageName: pkg.packageName,
+        agencyCount: 0,
+        mrr: 0,
+      },
+    ])
+  );
+  const newAgencies = new Map();
+  for (
+    let month = firstMonth;
+    !month.isAfter(now);
+    month = month.add(1, "month")
+  ) {
+    newAgencies.set(month.format("YYYY-MM"), {
+      month: month.format("YYYY-MM"),
+      label: month.format("MMM YYYY"),
+      agencyCount: 0,
+    });
+  }
+  let mrr = 0;
+
+  agencies.forEach((agency) => {
+    const subscription = agency.currentSubscription;
+    const status = subscriptionStatus(subscription, now, expiringDays);
+    agencyStatus[status] += 1;
+
+    // Expired subscriptions no longer bring in revenue
+    if (status === "active" || status === "expiring") {
+      const value = monthlyValue(subscription);
+      mrr += value;
+      const mix = packageMix.get(subscription.packageId);
+      if (mix) {
+        mix.agencyCount += 1;
+        mix.mrr = roundAmount(mix.mrr + value);
+      }
+    }
+
+    const month = newAgencies.get(dayjs(agency.createdAt).format("YYYY-MM"));
+    if (month) month.agencyCount += 1;
+  });
+
+  return {
+    totalAgencies: agencies.length,
+    agencyStatus,
+    mrr: roundAmount(mrr),
+    arr: roundAmount(mrr * 12),
+    packageMix: [...packageMix.values()].sort(
+      (a, b) => b.agencyCount - a.agencyCount
+    ),
+    newAgencies: [...newAgencies.values()],
+    inactiveAgencies,
+    expiringDays,
+    inactiveDays,
+  };
+};
+
+/**
+ * Agencies with their subscription status, usage counts and last login.
+ * @param {object} options
+ * @param {string} [options.status] - Only agencies with this subscription status.
+ * @param {number} [options.inactiveDays] - Only agencies with no login in this many days.
+ * @param {number} [options.expiringDays]
+ * @param {string} [options.search] - Matches the business name.
+ * @param {number} options.skip
+ * @param {number} options.take
+ * @returns {Promise<{ agencies: object[], totalAgencies: number }>}
+ */
+const getAgencyHealth = async ({
+  status,
+  inactiveDays,
+  expiringDays = 30,
+  search = "",
+  skip,
+  take,
+}) => {
+  const now = new Date();
+  const where = {
+    ...(status && statusWhere(status, now, expiringDays)),
+    ...(inactiveDays && {
+      users: {
+        none: {
+          lastLogin: {
+            gte: dayjs(now).subtract(inactiveDays, "day").toDate(),
+          },
+        },
+      },
+    }),
+    ...(search && { businessName: { contains: search } }),
+  };
+
+  const [agencies, totalAgencies] = await Promise.all([
+    prisma.agency.findMany({
+      where,
+      select: {
+        id: true,
+        businessName: true,
+        contactPersonName: true,
+        contactPersonEmail: true,
+        createdAt: true,
+        currentSubscription: {
+          select: {
+            startDate: true,
+            endDate: true,
+            package: { select: { id: true, packageName: true } },
+          },
+        },
+        _count: {
+          select: {
+            users: true,
+            branches: true,
+            bookings: true,
+            groupBookings: true,
+          },
+        },
+      },
+      orderBy: { businessName: "asc" },
+      skip,
+      take,
+    }),
+    prisma.agency.count({ where }),
+  ]);
+
+  const lastLogins = await prisma.user.groupBy({
+    by: ["agencyId"],
+    where: { agencyId: { in: agencies.map((agency) => agency.id) } },
+    _max: { lastLogin: true },
+  });
+  const lastLoginByAgency = new Map(
+    lastLogins.map((row) => [row.agencyId, row._max.lastLogin])
+  );
+
+  return {
+    agencies: agencies.map((agency) => {
+      const subscription = agency.currentSubscription;
+      const lastLogin = lastLoginByAgency.get(agency.id) || null;
+      return {
+        id: agency.id,
+        businessName: agency.businessName,
+        contactPersonName: agency.contactPersonName,
+        contactPersonEmail: agency.contactPersonEmail,
+        createdAt: agency.createdAt,
+        package: subscription?.package ?? null,
+        subscriptionStartDate: subscription?.startDate ?? null,
+        subscriptionEndDate: subscription?.endDate ?? null,
+        status: subscriptionStatus(subscription, now, expiringDays),
+        daysToExpiry: subscription
+          ? dayjs(subscription.endDate)
+              .startOf("day")
+              .diff(dayjs(now).startOf("day"), "day")
+          : null,
+        users: agency._count.users,
+        branches: agency._count.branches,
+        bookings: agency._count.bookings,
+        groupBookings: agency._count.groupBookings,
+        lastLogin,
+        daysSinceLastLogin: lastLogin
+          ? dayjs(now).diff(dayjs(lastLogin), "day")
+          : null,
+      };
+    }),
+    totalAgencies,
+  };
+};
+
+module.exports = { AGENCY_STATUSES, getPlatformOverview, getAgencyHealth };
@@ -0,0 +1,255 @@
+const createError = require("http-errors");
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// The agency's current subscription with its package, or a 403 when it has none
+const getCurrentSubscription = async (agencyId, tx = prisma) => {
+  const agency = await tx.agency.findUnique({
+    where: { id: agencyId },
+    select: { currentSubscription: { include: { package: true } } },
+  });
+  if (!agency) throw createError(404, "Agency not found");
+  if (!agency.currentSubscription) {
+    throw createError(403, "Your agency does not have a subscription.");
+  }
+  return agency.currentSubscription;
+};
+
+/**
+ * Branches and users per branch in use against the limits of the agency's
+ * current package. Deactivated users do not take up a place.
+ * @param {number} agencyId
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<object>}
+ */
+const getPackageUsage = async (agencyId, tx = prisma) => {
+  const subscription = await getCurrentSubscription(agencyId, tx);
+  const { package: pkg } = subscription;
+  const branches = await tx.branch.findMany({
+    where: { agencyId },
+    select: {
+      id: true,
+      branchName: true,
+      _count: { select: { users: { where: { active: true } } } },
+    },
+    orderBy: { branchName: "asc" },
+  });
+
+  return {
+    package: {
+      id: pkg.id,
+      packageName: pkg.packageName,
+      numberOfBranches: pkg.numberOfBranches,
+      usersPerBranch: pkg.usersPerBranch,
+    },
+    subscription: {
+      id: subscription.id,
+      startDate: subscription.startDate,
+      endDate: subscription.endDate,
+    },
+    branches: {
+      used: branches.length,
+      limit: pkg.numberOfBranches,
+      remaining: Math.max(pkg.numberOfBranches - branches.length, 0),
+    },
+    users: branches.map((branch) => ({
+      branchId: branch.id,
+      branchName: branch.branchName,
+      used: branch._count.users,
+      limit: pkg.usersPerBranch,
+      remaining: Math.max(pkg.usersPerBranch - branch._count.users, 0),
+    })),
+  };
+};
+
+/**
+ * Throws a 403 when the agency already has as many branches as its package allows.
+ * @param {number} agencyId
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<void>}
+ */
+const assertCanAddBranch = async (agencyId, tx = prisma) => {
+  const { package: pkg } = await getCurrentSubscription(agencyId, tx);
+  const branchCount = await tx.branch.count({ where: { agencyId } });
+  if (branchCount >= pkg.numberOfBranches) {
+    throw createError(
+      403,
+      `Your ${pkg.packageName} package allows ${pkg.numberOfBranches} branch(es) and all are in use. Upgrade your package to add more.`
+    );
+  }
+};
+
+/**
+ * Throws a 403 when a branch already has as many active users as the agency's
+ * package allows. Pass `excludeUserId` when moving an existing user into the
+ * branch or making them active again.
+ * @param {number} agencyId
+ * @param {number} branchId
+ * @param {{ excludeUserId?: number }} [options]
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<void>}
+ */
+const assertCanAddUser = async (
+  agencyId,
+  branchId,
+  { excludeUserId } = {},
+  tx = prisma
+) => {
+  const { package: pkg } = await getCurrentSubscription(agencyId, tx);
+  const userCount = await tx.user.count({
+    where: {
+      branchId,
+      active: true,
+      ...(excludeUserId && { id: { not: excludeUserId } }),
+    },
+  });
+  if (userCount >= pkg.usersPerBranch) {
+    throw createError(
+      403,
+      `Your ${pkg.packageName} package allows ${pkg.usersPerBranch} user(s) per branch and this branch has no places left. Upgrade your package to add more.`
+    );
+  }
+};
+
+/**
+ * Works out the prorated cost of moving an agency to a bigger package for the
+ * rest of its current subscription. The unused part of the current
+ * subscription is credited against the new package's cost for the same days.
+ * @param {number} agencyId
+ * @param {number} packageId - Package to upgrade to.
+ * @param {Date} [upgradeDate]
+ * @returns {Promise<object>}
+ */
+const getUpgradeQuote = async (
+  agencyId,
+  packageId,
+  upgradeDate = new Date()
+) => {
+  const subscription = await getCurrentSubscription(agencyId);
+  const currentPackage = subscription.package;
+  const newPackage = await prisma.package.findUnique({
+    where: { id: packageId },
+  });
+  if (!newPackage) throw createError(404, "Package not found");
+
+  if (newPackage.id === currentPackage.id) {
+    throw createError(409, "The agency is already on this package");
+  }
+  if (
+    newPackage.numberOfBranches < currentPackage.numberOfBranches ||
+    newPackage.usersPerBranch < currentPackage.usersPerBranch
+  ) {
+    throw createError(
+      400,
+      "The new package must allow at least as many branches and users per branch as the current one"
+    );
+  }
+
+  const startDate = dayjs(upgradeDate).startOf("day");
+  const currentStart = dayjs(subscription.startDate).startOf("day");
+  const endDate = dayjs(subscription.endDate).startOf("day");
+  if (startDate.isBefore(currentStart) || startDate.isAfter(endDate)) {
+    throw createError(
+      400,
+      "Upgrades can only be made while the current subscription is running"
+    );
+  }
+
+  const totalDays = Math.max(endDate.diff(currentStart, "day"), 1);
+  const remainingDays = endDate.diff(startDate, "day");
+  const newPeriodDays = Math.max(
+    startDate.add(newPackage.periodInMonths, "month").diff(startDate, "day"),
+    1
+  );
+
+  const unusedCredit = roundAmount(
+    (parseFloat(subscription.cost) * remainingDays) / totalDays
+  );
+  const newPackageCost = roundAmount(
+    (parseFloat(newPackage.cost) * remainingDays) / newPeriodDays
+  );
+
+  return {
+    currentSubscriptionId: subscription.id,
+    currentPackage: {
+      id: currentPackage.id,
+      packageName: currentPackage.packageName,
+    },
+    newPackage: { id: newPackage.id, packageName: newPackage.packageName },
+    startDate: startDate.toDate(),
+    endDate: subscription.endDate,
+    remainingDays,
+    unusedCredit,
+    newPackageCost,
+    proratedCost: Math.max(roundAmount(newPackageCost - unusedCredit), 0),
+  };
+};
+
+/**
+ * Moves an agency to a bigger package mid-term. A new subscription runs from
+ * the upgrade date to the end of the current one at the prorated cost, and
+ * becomes the agency's current subscription. The credit for the unused days
+ * is kept on the new subscription for its invoice.
+ * @param {number} agencyId
+ * @param {number} packageId
+ * @param {object} payment - Payment details and GST percents.
+ * @returns {Promise<object>} The new subscription.
+ */
+const upgradeSubscription = async (agencyId, packageId, payment) => {
+  const quote = await getUpgradeQuote(agencyId, packageId, payment.upgradeDate);
+  const taxAmount = (percent) =>
+    percent ? roundAmount((quote.proratedCost * percent) / 100) : null;
+  const cgstAmount = taxAmount(payment.cgstPercent);
+  const sgstAmount = taxAmount(payment.sgstPercent);
+  const igstAmount = taxAmount(payment.igstPercent);
+
+  return prisma.$transaction(async (tx) => {
+    const subscription = await tx.subscription.create({
+      data: {
+        agencyId,
+        packageId,
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+        cost: quote.proratedCost,
+        changeType: "upgrade",
+        previousSubscriptionId: quote.currentSubscriptionId,
+        creditAmount: Math.min(quote.unusedCredit, quote.newPackageCost),
+        cgstPercent: payment.cgstPercent || null,
+        cgstAmount,
+        sgstPercent: payment.sgstPercent || null,
+        sgstAmount,
+        igstPercent: payment.igstPercent || null,
+        igstAmount,
+        totalAmount: roundAmount(
+          quote.proratedCost +
+            (cgstAmount || 0) +
+            (sgstAmount || 0) +
+            (igstAmount || 0)
+        ),
+        paymentDate: payment.paymentDate,
+        paymentMode: payment.paymentMode,
+        utrNumber: payment.utrNumber || null,
+        neftImpfNumber: payment.neftImpfNumber || null,
+        chequeNumber: payment.chequeNumber || null,
+        chequeDate: payment.chequeDate || null,
+        bankName: payment.bankName || null,
+      },
+      include: { package: true },
+    });
+    await tx.agency.update({
+      where: { id: agencyId },
+      data: { currentSubscriptionId: subscription.id },
+    });
+    return { ...subscription, upgrade: quote };
+  });
+};
+
+module.exports = {
+  getPackageUsage,
+  assertCanAddBranch,
+  assertCanAddUser,
+  getUpgradeQuote,
+  upgradeSubscription,
+};
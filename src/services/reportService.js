@@ -0,0 +1,221 @@
+const prisma = require("../config/db");
+const { summariseBookings, summariseGroupClients } = require("./ledgerService");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const PROFITABILITY_GROUPS = ["booking", "tour", "sector", "branch", "staff"];
+
+const emptyTotals = () => ({
+  revenue: 0,
+  hotelCost: 0,
+  vehicleCost: 0,
+  journeyCost: 0,
+  serviceCost: 0,
+  cost: 0,
+  margin: 0,
+});
+
+const TOTAL_KEYS = Object.keys(emptyTotals());
+
+// Adds the amount columns of `source` to `target`, leaving any other fields untouched.
+const addTotals = (target, source) => {
+  TOTAL_KEYS.forEach((key) => {
+    target[key] = roundAmount(target[key] + (source[key] || 0));
+  });
+  return target;
+};
+
+// Revenue is what the customer has paid (receipts); cost is the sum of the sub-booking amounts.
+const toProfitability = (ledgerTotals) => {
+  const totals = emptyTotals();
+  if (!ledgerTotals) return totals;
+  totals.revenue = ledgerTotals.receivedTotal;
+  totals.hotelCost = ledgerTotals.hotelTotal;
+  totals.vehicleCost = ledgerTotals.vehicleTotal;
+  totals.journeyCost = ledgerTotals.journeyTotal;
+  totals.serviceCost = ledgerTotals.serviceTotal;
+  totals.cost = ledgerTotals.billableTotal;
+  totals.margin = roundAmount(totals.revenue - totals.cost);
+  return totals;
+};
+
+const withMarginPercent = (row) => ({
+  ...row,
+  marginPercent:
+    row.revenue > 0 ? roundAmount((row.margin / row.revenue) * 100) : null,
+});
+
+const dateRangeFilter = (fromDate, toDate) => {
+  if (!fromDate && !toDate) return undefined;
+  return {
+    ...(fromDate && { gte: fromDate }),
+    ...(toDate && { lte: toDate }),
+  };
+};
+
+const groupingKeys = {
+  tour: (row) => ({ id: row.tour?.id ?? null, name: row.tour?.tourTitle }),
+  sector: (row) => ({
+    id: row.tour?.sector?.id ?? null,
+    name: row.tour?.sector?.sectorName,
+  }),
+  branch: (row) => ({
+    id: row.branch?.id ?? null,
+    name: row.branch?.branchName,
+  }),
+  staff: (row) => ({
+    id: row.createdBy?.id ?? null,
+    name: row.createdBy?.name,
+  }),
+};
+
+const reportSelect = {
+  branch: { select: { id: true, branchName: true } },
+  tour: {
+    select: {
+      id: true,
+      tourTitle: true,
+      sector: { select: { id: true, sectorName: true } },
+    },
+  },
+  createdBy: { select: { id: true, name: true } },
+};
+
+/**
+ * Builds the revenue, cost and margin of confirmed bookings and group bookings
+ * in a date range, either per booking or grouped by tour, sector, branch or staff.
+ * @param {number} agencyId
+ * @param {object} options - { groupBy, fromDate, toDate, branchId }
+ * @returns {Promise<{ groupBy: string, rows: object[], totals: object }>}
+ */
+const getProfitabilityReport = async (
+  agencyId,
+  { groupBy = "booking", fromDate, toDate, branchId } = {}
+) => {
+  const dateRange = dateRangeFilter(fromDate, toDate);
+  const bookingWhere = {
+    agencyId,
+    bookingType: "Confirm",
+    deletedAt: null,
+    ...(dateRange && { bookingDate: dateRange }),
+    ...(branchId && { branchId }),
+  };
+  const groupBookingWhere = {
+    agencyId,
+    bookingType: "Confirm",
+    deletedAt: null,
+    ...(dateRange && { groupBookingDate: dateRange }),
+    ...(branchId && { branchId }),
+  };
+
+  const [bookings, groupBookings, bookingTotals, groupClientTotals] =
+    await Promise.all([
+      prisma.booking.findMany({
+        where: bookingWhere,
+        select: {
+          id: true,
+          bookingNumber: true,
+          bookingDate: true,
+          client: { select: { clientName: true } },
+          ...reportSelect,
+        },
+        orderBy: { bookingDate: "asc" },
+      }),
+      prisma.groupBooking.findMany({
+        where: groupBookingWhere,
+        select: {
+          id: true,
+          groupBookingNumber: true,
+          groupBookingDate: true,
+          groupClients: { select: { id: true } },
+          ...reportSelect,
+        },
+        orderBy: { groupBookingDate: "asc" },
+      }),
+      summariseBookings(bookingWhere),
+      summariseGroupClients({ groupBooking: groupBookingWhere }),
+    ]);
+
+  const bookingRows = [
+    ...bookings.map((booking) => ({
+      type: "Booking",
+      id: booking.id,
+      number: booking.bookingNumber,
+      date: booking.bookingDate,
+      clientName: booking.client?.clientName ?? null,
+      tour: booking.tour,
+      branch: booking.branch,
+      createdBy: booking.createdBy,
+      ...toProfitability(bookingTotals.get(booking.id)),
+    })),
+    ...groupBookings.map((groupBooking) => ({
+      type: "GroupBooking",
+      id: groupBooking.id,
+      number: groupBooking.groupBookingNumber,
+      date: groupBooking.groupBookingDate,
+      clientName: null,
+      tour: groupBooking.tour,
+      branch: groupBooking.branch,
+      createdBy: groupBooking.createdBy,
+      ...groupBooking.groupClients.reduce(
+        (totals, groupClient) =>
+          addTotals(
+            totals,
+            toProfitability(groupClientTotals.get(groupClient.id))
+          ),
+        emptyTotals()
+      ),
+    })),
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const totals = withMarginPercent(
+    bookingRows.reduce((sum, row) => addTotals(sum, row), emptyTotals())
+  );
+
+  if (groupBy === "booking") {
+    return {
+      groupBy,
+      rows: bookingRows.map((row) =>
+        withMarginPercent({
+          type: row.type,
+          id: row.id,
+          number: row.number,
+          date: row.date,
+          clientName: row.clientName,
+          tourTitle: row.tour?.tourTitle ?? null,
+          sectorName: row.tour?.sector?.sectorName ?? null,
+          branchName: row.branch?.branchName ?? null,
+          createdByName: row.createdBy?.name ?? null,
+          ...addTotals(emptyTotals(), row),
+        })
+      ),
+      totals,
+    };
+  }
+
+  const groups = new Map();
+  bookingRows.forEach((row) => {
+    const { id, name } = groupingKeys[groupBy](row);
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        name: name ?? null,
+        bookingCount: 0,
+        ...emptyTotals(),
+      });
+    }
+    const group = groups.get(id);
+    group.bookingCount += 1;
+    addTotals(group, row);
+  });
+
+  return {
+    groupBy,
+    rows: [...groups.values()]
+      .map(withMarginPercent)
+      .sort((a, b) => b.margin - a.margin),
+    totals,
+  };
+};
+
+module.exports = { PROFITABILITY_GROUPS, getProfitabilityReport };
@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const dayjs = require("dayjs");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/db");
+const jwtConfig = require("../config/jwt");
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  const id = parseInt(sessionId, 10);
+  return isNaN(id) || !secret ? null : { id, secret };
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, jwtConfig.secret, {
+    expiresIn: jwtConfig.expiresIn,
+  });
+
+// Device details of the request that opens or refreshes a session
+const clientDetails = (req) => ({
+  userAgent: req.headers["user-agent"] || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Opens a session for a user who has just logged in.
+ * @param {number} userId
+ * @param {import("express").Request} req
+ * @param {string} [deviceName] - Name the client gives the device.
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: number }>}
+ */
+const createSession = async (userId, req, deviceName) => {
+  const secret = newSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashToken(secret),
+      deviceName: deviceName || null,
+      ...clientDetails(req),
+      expiresAt: dayjs().add(jwtConfig.refreshTokenDays, "day").toDate(),
+    },
+  });
+
+  return {
+    token: signAccessToken(userId, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working. Presenting it again is treated as
+ * theft and revokes the whole session.
+ * @param {string} refreshToken
+ * @param {import("express").Request} req
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: number }>}
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session =
+    parsed &&
+    (await prisma.session.findUnique({
+      where: { id: parsed.id },
+      include: { user: { select: { id: true, active: true } } },
+    }));
+  if (!session || session.revokedAt || dayjs(session.expiresAt).isBefore()) {
+    throw createError(401, "Invalid or expired refresh token");
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    await revokeSession(session.id, "token_reuse");
+    throw createError(401, "Invalid or expired refresh token");
+  }
+  if (!session.user.active) {
+    await revokeSession(session.id, "deactivated");
+    throw createError(403, "Account is inactive");
+  }
+
+  // Only the request that still holds the current token may rotate it
+  const secret = newSecret();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      ...clientDetails(req),
+    },
+  });
+  if (count === 0) {
+    await revokeSession(session.id, "token_reuse");
+    throw createError(401, "Invalid or expired refresh token");
+  }
+
+  return {
+    token: signAccessToken(session.userId, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Revokes a session; its refresh token and access tokens stop working.
+ * @param {number} sessionId
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId, reason) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+/**
+ * Revokes the session a refresh token belongs to, if the token is current.
+ * Unknown or stale tokens are ignored so logging out is always safe to retry.
+ * @param {string} refreshToken
+ * @returns {Promise<void>}
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+  await prisma.session.updateMany({
+    where: {
+      id: parsed.id,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+    },
+    data: { revokedAt: new Date(), revokedReason: "logout" },
+  });
+};
+
+/**
+ * Revokes all of a user's open sessions.
+ * @param {number} userId
+ * @param {string} reason
+ * @param {{ exceptSessionId?: number }} [options] - Keeps the session making the request.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return count;
+};
+
+/**
+ * Whether an access token's session is still open for the user.
+ * @param {number} sessionId
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true },
+  });
+  return Boolean(
+    session &&
+      session.userId === userId &&
+      !session.revokedAt &&
+      dayjs(session.expiresAt).isAfter()
+  );
+};
+
+/**
+ * A user's open sessions, most recently used first.
+ * @param {number} userId
+ * @param {number} [currentSessionId] - Flagged as `current`.
+ * @returns {Promise<object[]>}
+ */
+const getUserSessions = async (userId, currentSessionId) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      lastUsedAt: true,
+      expiresAt: true,
+      createdAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+  isSessionActive,
+  getUserSessions,
+};
@@ -0,0 +1,175 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dayjs = require("dayjs");
+const { v4: uuidv4 } = require("uuid");
+const prisma = require("../config/db");
+const { numberToWords } = require("../utils/numberToWords");
+const generateSubscriptionInvoiceNumber = require("../utils/generateSubscriptionInvoiceNumber");
+const {
+  generateSubscriptionInvoice,
+} = require("../utils/Invoice/generateSubscriptionInvoice");
+
+const formatDate = (date) => dayjs(date).format("DD/MM/YYYY");
+
+// Invoice lines for a subscription: an upgrade shows the new package for the
+// remaining days less the credit for the unused days of the previous package
+const invoiceItems = (subscription) => {
+  const { package: pkg, previousSubscription } = subscription;
+  const period = `${formatDate(subscription.startDate)} to ${formatDate(
+    subscription.endDate
+  )}`;
+  const creditAmount = parseFloat(subscription.creditAmount || 0);
+
+  if (subscription.changeType === "upgrade" && creditAmount > 0) {
+    return [
+      {
+        srNo: 1,
+        description: `${pkg.packageName} – upgrade (${period})`,
+        hsnSac: "998551",
+        amount: parseFloat(subscription.cost) + creditAmount,
+      },
+      {
+        srNo: 2,
+        description: `Less: credit for unused days of ${
+          previousSubscription?.package?.packageName || "previous package"
+        }`,
+        hsnSac: "998551",
+        amount: -creditAmount,
+      },
+    ];
+  }
+
+  const label = {
+    upgrade: " – upgrade",
+    downgrade: " – downgrade",
+    renewal: " – renewal",
+  }[subscription.changeType];
+  return [
+    {
+      srNo: 1,
+      description: `${pkg.packageName}${label || ""} (${period})`,
+      hsnSac: "998551",
+      amount: parseFloat(subscription.cost),
+    },
+  ];
+};
+
+// Removes a previously generated invoice and its folder when empty
+const removeInvoiceFile = async (oldPath) => {
+  if (!oldPath) return;
+  try {
+    await fs.unlink(oldPath);
+    const folderToDelete = path.dirname(oldPath);
+    const files = await fs.readdir(folderToDelete);
+    if (files.length === 0) {
+      await fs.rmdir(folderToDelete);
+    }
+  } catch (err) {
+    console.error("Error deleting invoice or folder:", err);
+  }
+};
+
+/**
+ * Generates the invoice PDF of a subscription. The invoice number is assigned
+ * the first time; later calls keep it and replace the previous PDF. A
+ * cancelled subscription gets a cancelled invoice.
+ * @param {number} subscriptionId
+ * @returns {Promise<{ subscription: object, filePath: string }|null>} null when
+ *   the subscription does not exist.
+ */
+const issueSubscriptionInvoice = async (subscriptionId) => {
+  const existing = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    select: { id: true, invoiceNumber: true },
+  });
+  if (!existing) return null;
+
+  await prisma.$transaction(async (tx) => {
+    await tx.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        invoiceDate: new Date(),
+        ...(!existing.invoiceNumber && {
+          invoiceNumber: await generateSubscriptionInvoiceNumber(tx),
+        }),
+      },
+    });
+  });
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: {
+      agency: true,
+      package: true,
+      previousSubscription: { include: { package: true } },
+    },
+  });
+
+  const invoiceData = {
+    invoiceNumber: subscription.invoiceNumber,
+    invoiceDate: subscription.invoiceDate,
+    title: subscription.cancelledAt ? "Tax Invoice (Cancelled)" : "Tax Invoice",
+    notes: subscription.cancelledAt
+      ? `This subscription was cancelled on ${formatDate(
+          subscription.cancelledAt
+        )} before it started.`
+      : null,
+    client: {
+      clientName: subscription.agency?.businessName,
+      addressLines: [
+        subscription.agency?.addressLine1 || "",
+        subscription.agency?.addressLine2 || "",
+      ].filter(Boolean),
+      city: subscription.agency?.cityName || "",
+      pincode: subscription.agency?.pincode || "",
+      gstin: subscription.agency?.gstin || "",
+    },
+    sanmishaDetails: {
+      name: "Sanmisha Technologies",
+      addressLines: ["Dombivli East", ""],
+      city: "Dombivli", // Optional
+      pincode: "400605", // Optional
+      gstin: "27AANCS1234C1Z5", // Optional
+      email: "amar@sanmisha.com",
+      logoPath: path.join(__dirname, "..", "assets", "brandlogo.png"), // Optional logo
+    },
+    items: invoiceItems(subscription),
+    totals: {
+      amountBeforeTax: parseFloat(subscription.cost),
+      cgstAmount: parseFloat(subscription.cgstAmount || 0),
+      cgstRate: subscription.cgstPercent || 0,
+      sgstAmount: parseFloat(subscription.sgstAmount || 0),
+      sgstRate: subscription.sgstPercent || 0,
+      igstAmount: parseFloat(subscription.igstAmount || 0),
+      igstRate: subscription.igstPercent || 0,
+      totalAmount: parseFloat(subscription.totalAmount),
+      amountInWords: numberToWords(parseFloat(subscription.totalAmount)),
+    },
+  };
+
+  await removeInvoiceFile(subscription.invoicePath);
+
+  const sanitizedInvoiceNumber = subscription.invoiceNumber.replace(
+    /[\/\\]/g,
+    "-"
+  );
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "invoices",
+    "subscriptions",
+    uuidv4(),
+    `invoice-${sanitizedInvoiceNumber}.pdf`
+  );
+
+  await generateSubscriptionInvoice(invoiceData, filePath);
+  const updated = await prisma.subscription.update({
+    where: { id: subscriptionId },
+    data: { invoicePath: filePath },
+  });
+
+  return { subscription: updated, filePath };
+};
+
+module.exports = { issueSubscriptionInvoice };
@@ -0,0 +1,311 @@
+const createError = require("http-errors");
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const SUBSCRIPTION_STATUSES = [
+  "active",
+  "scheduled",
+  "replaced",
+  "expired",
+  "cancelled",
+];
+
+/**
+ * Status of a subscription in an agency's history. A running subscription
+ * that is not the agency's current one has been replaced by an upgrade.
+ * @param {object} subscription
+ * @param {number|null} currentSubscriptionId
+ * @param {Date} [now]
+ * @returns {string} One of SUBSCRIPTION_STATUSES.
+ */
+const subscriptionStatus = (
+  subscription,
+  currentSubscriptionId,
+  now = new Date()
+) => {
+  if (subscription.cancelledAt) return "cancelled";
+  if (dayjs(subscription.startDate).isAfter(now)) return "scheduled";
+  if (dayjs(subscription.endDate).isBefore(now)) return "expired";
+  return subscription.id === currentSubscriptionId ? "active" : "replaced";
+};
+
+/**
+ * The agency's subscription that ends last and is not cancelled; new terms
+ * start the day after it ends.
+ * @param {number} agencyId
+ * @param {Prisma.TransactionClient} [tx]
+ * @returns {Promise<object|null>}
+ */
+const getLatestSubscription = (agencyId, tx = prisma) =>
+  tx.subscription.findFirst({
+    where: { agencyId, cancelledAt: null },
+    include: { package: true },
+    orderBy: [{ endDate: "desc" }, { startDate: "desc" }],
+  });
+
+/**
+ * Subscriptions of an agency, newest first, with their status.
+ * @param {number} agencyId
+ * @param {{ skip: number, take: number }} options
+ * @returns {Promise<{ subscriptions: object[], totalSubscriptions: number }>}
+ */
+const getSubscriptionHistory = async (agencyId, { skip, take }) => {
+  const agency = await prisma.agency.findUnique({
+    where: { id: agencyId },
+    select: { currentSubscriptionId: true },
+  });
+  if (!agency) throw createError(404, "Agency not found");
+
+  const [subscriptions, totalSubscriptions] = await Promise.all([
+    prisma.subscription.findMany({
+      where: { agencyId },
+      include: {
+        package: {
+          select: {
+            id: true,
+            packageName: true,
+            numberOfBranches: true,
+            usersPerBranch: true,
+          },
+        },
+      },
+      orderBy: [{ startDate: "desc" }, { id: "desc" }],
+      skip,
+      take,
+    }),
+    prisma.subscription.count({ where: { agencyId } }),
+  ]);
+
+  const now = new Date();
+  return {
+    subscriptions: subscriptions.map(
+      ({ invoicePath, renewalReminderDays, ...subscription }) => ({
+        ...subscription,
+        status: subscriptionStatus(
+          subscription,
+          agency.currentSubscriptionId,
+          now
+        ),
+      })
+    ),
+    totalSubscriptions,
+  };
+};
+
+/**
+ * Schedules a move to a smaller package when the agency's last term ends. The
+ * new subscription is charged the full package cost and becomes current when
+ * it starts (see activateScheduledSubscriptions).
+ * @param {number} agencyId
+ * @param {number} packageId
+ * @param {object} payment - Payment details and GST percents.
+ * @returns {Promise<object>} The scheduled subscription.
+ */
+const scheduleDowngrade = async (agencyId, packageId, payment) => {
+  const latest = await getLatestSubscription(agencyId);
+  if (!latest) {
+    throw createError(403, "Your agency does not have a subscription.");
+  }
+  if (latest.changeType === "downgrade" && dayjs(latest.startDate).isAfter()) {
+    throw createError(
+      409,
+      "A downgrade is already scheduled. Cancel it before scheduling another."
+    );
+  }
+
+  const newPackage = await prisma.package.findUnique({
+    where: { id: packageId },
+  });
+  if (!newPackage) throw createError(404, "Package not found");
+  if (newPackage.id === latest.packageId) {
+    throw createError(409, "The agency is already on this package");
+  }
+  if (
+    newPackage.numberOfBranches > latest.package.numberOfBranches ||
+    newPackage.usersPerBranch > latest.package.usersPerBranch ||
+    (newPackage.numberOfBranches === latest.package.numberOfBranches &&
+      newPackage.usersPerBranch === latest.package.usersPerBranch)
+  ) {
+    throw createError(
+      400,
+      "The new package must allow fewer branches or users per branch than the current one"
+    );
+  }
+
+  // The agency has to fit in the smaller package before it is scheduled
+  const branches = await prisma.branch.findMany({
+    where: { agencyId },
+    select: { _count: { select: { users: true } } },
+  });
+  if (branches.length > newPackage.numberOfBranches) {
+    throw createError(
+      400,
+      `The agency has ${branches.length} branch(es) and ${newPackage.packageName} allows ${newPackage.numberOfBranches}. Remove branches before downgrading.`
+    );
+  }
+  if (
+    branches.some((branch) => branch._count.users > newPackage.usersPerBranch)
+  ) {
+    throw createError(
+      400,
+      `${newPackage.packageName} allows ${newPackage.usersPerBranch} user(s) per branch. Move or remove users before downgrading.`
+    );
+  }
+
+  const cost = parseFloat(newPackage.cost);
+  const taxAmount = (percent) =>
+    percent ? roundAmount((cost * percent) / 100) : null;
+  const cgstAmount = taxAmount(payment.cgstPercent);
+  const sgstAmount = taxAmount(payment.sgstPercent);
+  const igstAmount = taxAmount(payment.igstPercent);
+  const startDate = dayjs(latest.endDate).add(1, "day").startOf("day");
+
+  return prisma.subscription.create({
+    data: {
+      agencyId,
+      packageId,
+      changeType: "downgrade",
+      previousSubscriptionId: latest.id,
+      startDate: startDate.toDate(),
+      endDate: startDate.add(newPackage.periodInMonths, "month").toDate(),
+      cost,
+      cgstPercent: payment.cgstPercent || null,
+      cgstAmount,
+      sgstPercent: payment.sgstPercent || null,
+      sgstAmount,
+      igstPercent: payment.igstPercent || null,
+      igstAmount,
+      totalAmount: roundAmount(
+        cost + (cgstAmount || 0) + (sgstAmount || 0) + (igstAmount || 0)
+      ),
+      paymentDate: payment.paymentDate,
+      paymentMode: payment.paymentMode,
+      utrNumber: payment.utrNumber || null,
+      neftImpfNumber: payment.neftImpfNumber || null,
+      chequeNumber: payment.chequeNumber || null,
+      chequeDate: payment.chequeDate || null,
+      bankName: payment.bankName || null,
+    },
+    include: { package: true },
+  });
+};
+
+/**
+ * Cancels a subscription that has not started yet. When it was already the
+ * agency's current subscription (renewals are), the latest remaining
+ * subscription becomes current again.
+ * @param {number} subscriptionId
+ * @returns {Promise<object|null>} The cancelled subscription, or null when it does not exist.
+ */
+const cancelSubscription = async (subscriptionId) => {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: { agency: { select: { currentSubscriptionId: true } } },
+  });
+  if (!subscription) return null;
+
+  if (subscription.cancelledAt) {
+    throw createError(409, "Subscription is already cancelled");
+  }
+  if (!dayjs(subscription.startDate).isAfter()) {
+    throw createError(
+      400,
+      "Only subscriptions that have not started can be cancelled"
+    );
+  }
+  const laterSubscriptions = await prisma.subscription.count({
+    where: {
+      agencyId: subscription.agencyId,
+      cancelledAt: null,
+      startDate: { gt: subscription.startDate },
+    },
+  });
+  if (laterSubscriptions > 0) {
+    throw createError(
+      409,
+      "Cancel the subscriptions that follow this one first"
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const cancelled = await tx.subscription.update({
+      where: { id: subscriptionId },
+      data: { cancelledAt: new Date() },
+      include: { package: true },
+    });
+    if (subscription.agency.currentSubscriptionId === subscriptionId) {
+      const latest = await getLatestSubscription(subscription.agencyId, tx);
+      await tx.agency.update({
+        where: { id: subscription.agencyId },
+        data: { currentSubscriptionId: latest?.id ?? null },
+      });
+    }
+    return cancelled;
+  });
+};
+
+/**
+ * Makes each scheduled subscription that has started its agency's current
+ * subscription, unless the agency is already on a later one.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of agencies switched.
+ */
+const activateScheduledSubscriptions = async (now = new Date()) => {
+  const running = await prisma.subscription.findMany({
+    where: {
+      cancelledAt: null,
+      startDate: { lte: now },
+      endDate: { gt: now },
+    },
+    select: {
+      id: true,
+      agencyId: true,
+      startDate: true,
+      agency: {
+        select: {
+          currentSubscriptionId: true,
+          currentSubscription: { select: { startDate: true } },
+        },
+      },
+    },
+    orderBy: { startDate: "asc" },
+  });
+
+  // The running subscription that started last, per agency
+  const latestByAgency = new Map();
+  running.forEach((subscription) =>
+    latestByAgency.set(subscription.agencyId, subscription)
+  );
+
+  let activated = 0;
+  for (const subscription of latestByAgency.values()) {
+    const { agency } = subscription;
+    if (
+      agency.currentSubscriptionId === subscription.id ||
+      (agency.currentSubscription &&
+        !dayjs(agency.currentSubscription.startDate).isBefore(
+          subscription.startDate
+        ))
+    ) {
+      continue;
+    }
+    await prisma.agency.update({
+      where: { id: subscription.agencyId },
+      data: { currentSubscriptionId: subscription.id },
+    });
+    activated += 1;
+  }
+  return activated;
+};
+
+module.exports = {
+  SUBSCRIPTION_STATUSES,
+  subscriptionStatus,
+  getLatestSubscription,
+  getSubscriptionHistory,
+  scheduleDowngrade,
+  cancelSubscription,
+  activateScheduledSubscriptions,
+};
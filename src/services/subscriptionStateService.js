@@ -0,0 +1,68 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+const config = require("../config/config");
+
+/**
+ * Access an agency has from its current subscription: full access while it
+ * runs, full access with a warning during the grace period after the end
+ * date, and read-only access after that or when there is no subscription.
+ * @param {{ endDate: Date }|null} subscription
+ * @param {Date} [now]
+ * @returns {{ status: string, daysToExpiry: number|null, graceEndsOn: Date|null, warning: string|null }}
+ *   status is one of active, grace or read_only.
+ */
+const getSubscriptionState = (subscription, now = new Date()) => {
+  if (!subscription) {
+    return {
+      status: "read_only",
+      daysToExpiry: null,
+      graceEndsOn: null,
+      warning:
+        "Your agency does not have a subscription. You can view your data but not make changes.",
+    };
+  }
+
+  const today = dayjs(now).startOf("day");
+  const endDate = dayjs(subscription.endDate);
+  const graceEndsOn = endDate.add(config.subscriptionGraceDays, "day");
+  const daysToExpiry = endDate.startOf("day").diff(today, "day");
+
+  if (!endDate.isBefore(now)) {
+    return { status: "active", daysToExpiry, graceEndsOn: null, warning: null };
+  }
+  if (!graceEndsOn.isBefore(now)) {
+    return {
+      status: "grace",
+      daysToExpiry,
+      graceEndsOn: graceEndsOn.toDate(),
+      warning: `Your subscription expired on ${endDate.format(
+        "DD/MM/YYYY"
+      )}. Renew it by ${graceEndsOn.format(
+        "DD/MM/YYYY"
+      )} to keep making changes.`,
+    };
+  }
+  return {
+    status: "read_only",
+    daysToExpiry,
+    graceEndsOn: graceEndsOn.toDate(),
+    warning: `Your subscription expired on ${endDate.format(
+      "DD/MM/YYYY"
+    )}. You can view your data but not make changes until it is renewed.`,
+  };
+};
+
+/**
+ * Subscription state of an agency; see getSubscriptionState.
+ * @param {number} agencyId
+ * @returns {Promise<object>}
+ */
+const getAgencySubscriptionState = async (agencyId) => {
+  const agency = await prisma.agency.findUnique({
+    where: { id: agencyId },
+    select: { currentSubscription: { select: { endDate: true } } },
+  });
+  return getSubscriptionState(agency?.currentSubscription || null);
+};
+
+module.exports = { getSubscriptionState, getAgencySubscriptionState };
@@ -0,0 +1,301 @@
+const dayjs = require("dayjs");
+const prisma = require("../config/db");
+
+const toNumber = (value) => parseFloat(value || 0);
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const AGEING_BUCKETS = [
+  { label: "0-30", maxDays: 30 },
+  { label: "31-60", maxDays: 60 },
+  { label: "61-90", maxDays: 90 },
+  { label: "90+", maxDays: Infinity },
+];
+
+const emptyAgeing = () =>
+  AGEING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.label]: 0 }), {});
+
+const getAgeingBucket = (days) =>
+  AGEING_BUCKETS.find((bucket) => days <= bucket.maxDays).label;
+
+// Amount owed to the hotel for a hotel booking: its supplier cost, or when none
+// was entered, what the client is billed, as the booking was then billed at
+// the hotel's rate. Vehicle and service bookings are owed the same way.
+const getHotelBookingPayable = (hotelBooking) =>
+  roundAmount(
+    toNumber(
+      hotelBooking.supplierCost ??
+        hotelBooking.totalAmount ??
+        hotelBooking.amount
+    )
+  );
+
+// Amount owed to the agent for a vehicle booking
+const getVehicleBookingPayable = (vehicleBooking) =>
+  roundAmount(toNumber(vehicleBooking.supplierCost ?? vehicleBooking.amount));
+
+// Amount owed to the agent for a service booking
+const getServiceBookingPayable = (serviceBooking) =>
+  roundAmount(toNumber(serviceBooking.supplierCost ?? serviceBooking.cost));
+
+// Service bookings record what was paid to their agent on themselves
+const getServiceBookingPaid = (serviceBooking) =>
+  serviceBooking.paidAmount != null
+    ? roundAmount(toNumber(serviceBooking.paidAmount))
+    : serviceBooking.isPaid
+    ? getServiceBookingPayable(serviceBooking)
+    : 0;
+
+// Sub-bookings that are still owed for: not cancelled, and not of a booking
+// or group booking in the trash
+const openSubBookings = (agencyId) => ({
+  isCancelled: false,
+  OR: [
+    { booking: { agencyId, deletedAt: null } },
+    { groupClient: { groupBooking: { agencyId, deletedAt: null } } },
+  ],
+});
+
+const sumPaymentsBy = async (field, ids) => {
+  if (ids.length === 0) return new Map();
+  const rows = await prisma.supplierPayment.groupBy({
+    by: [field],
+    where: { [field]: { in: ids } },
+    _sum: { amount: true },
+  });
+  return new Map(
+    rows.map((row) => [row[field], roundAmount(toNumber(row._sum.amount))])
+  );
+};
+
+/**
+ * Loads the open hotel, vehicle and service bookings of an agency as payable
+ * lines, with paid and outstanding amounts. Lines are aged from their booking
+ * date, or for service bookings, which have none, from when they were added.
+ * @param {number} agencyId - Agency ID.
+ * @param {object} [filters]
+ * @param {number} [filters.hotelId] - Only bookings of this hotel.
+ * @param {number} [filters.agentId] - Only vehicle and service bookings of this agent.
+ * @param {Date} [filters.asOn] - Date used to age outstanding amounts (defaults to today).
+ * @returns {Promise<object[]>}
+ */
+const getPayableLines = async (
+  agencyId,
+  { hotelId, agentId, asOn = new Date() } = {}
+) => {
+  const includeHotels = !agentId;
+  const includeAgents = !hotelId;
+  const open = openSubBookings(agencyId);
+
+  const [hotelBookings, vehicleBookings, serviceBookings] = await Promise.all([
+    includeHotels
+      ? prisma.hotelBooking.findMany({
+          where: { agencyId, ...open, ...(hotelId ? { hotelId } : {}) },
+          select: {
+            id: true,
+            hrvNumber: true,
+            hotelBookingDate: true,
+            checkInDate: true,
+            amount: true,
+            totalAmount: true,
+            supplierCost: true,
+            hotel: { select: { id: true, hotelName: true } },
+          },
+          orderBy: { hotelBookingDate: "asc" },
+        })
+      : [],
+    includeAgents
+      ? prisma.vehicleBooking.findMany({
+          where: { agencyId, ...open, ...(agentId ? { agentId } : {}) },
+          select: {
+            id: true,
+            vehicleHrvNumber: true,
+            vehicleBookingDate: true,
+            fromDate: true,
+            amount: true,
+            supplierCost: true,
+            agent: { select: { id: true, agentName: true } },
+          },
+          orderBy: { vehicleBookingDate: "asc" },
+        })
+      : [],
+    includeAgents
+      ? prisma.serviceBooking.findMany({
+          where: { ...open, agentId: agentId || { not: null } },
+          select: {
+            id: true,
+            description: true,
+            cost: true,
+            supplierCost: true,
+            isPaid: true,
+            paidAmount: true,
+            createdAt: true,
+            agent: { select: { id: true, agentName: true } },
+          },
+          orderBy: { createdAt: "asc" },
+        })
+      : [],
+  ]);
+
+  const [hotelPaidMap, vehiclePaidMap] = await Promise.all([
+    sumPaymentsBy(
+      "hotelBookingId",
+      hotelBookings.map((hotelBooking) => hotelBooking.id)
+    ),
+    sumPaymentsBy(
+      "vehicleBookingId",
+      vehicleBookings.map((vehicleBooking) => vehicleBooking.id)
+    ),
+  ]);
+
+  const toLine = (line) => {
+    const outstanding = roundAmount(line.payable - line.paid);
+    const ageDays = Math.max(
+      dayjs(asOn)
+        .startOf("day")
+        .diff(dayjs(line.bookingDate).startOf("day"), "day"),
+      0
+    );
+    return {
+      ...line,
+      outstanding,
+      ageDays,
+      ageingBucket: getAgeingBucket(ageDays),
+    };
+  };
+
+  return [
+    ...hotelBookings.map((hotelBooking) =>
+      toLine({
+        supplierType: "Hotel",
+        supplierId: hotelBooking.hotel.id,
+        supplierName: hotelBooking.hotel.hotelName,
+        hotelBookingId: hotelBooking.id,
+        vehicleBookingId: null,
+        serviceBookingId: null,
+        hrvNumber: hotelBooking.hrvNumber,
+        bookingDate: hotelBooking.hotelBookingDate,
+        serviceDate: hotelBooking.checkInDate,
+        payable: getHotelBookingPayable(hotelBooking),
+        paid: hotelPaidMap.get(hotelBooking.id) || 0,
+      })
+    ),
+    ...vehicleBookings.map((vehicleBooking) =>
+      toLine({
+        supplierType: "Agent",
+        supplierId: vehicleBooking.agent.id,
+        supplierName: vehicleBooking.agent.agentName,
+        hotelBookingId: null,
+        vehicleBookingId: vehicleBooking.id,
+        serviceBookingId: null,
+        hrvNumber: vehicleBooking.vehicleHrvNumber,
+        bookingDate: vehicleBooking.vehicleBookingDate,
+        serviceDate: vehicleBooking.fromDate,
+        payable: getVehicleBookingPayable(vehicleBooking),
+        paid: vehiclePaidMap.get(vehicleBooking.id) || 0,
+      })
+    ),
+    ...serviceBookings.map((serviceBooking) =>
+      toLine({
+        supplierType: "Agent",
+        supplierId: serviceBooking.agent.id,
+        supplierName: serviceBooking.agent.agentName,
+        hotelBookingId: null,
+        vehicleBookingId: null,
+        serviceBookingId: serviceBooking.id,
+        hrvNumber: null,
+        description: serviceBooking.description,
+        bookingDate: serviceBooking.createdAt,
+        serviceDate: null,
+        payable: getServiceBookingPayable(serviceBooking),
+        paid: getServiceBookingPaid(serviceBooking),
+      })
+    ),
+  ];
+};
+
+// Totals and ageing buckets of a set of payable lines
+const summariseLines = (lines) =>
+  lines.reduce(
+    (acc, line) => {
+      acc.payable = roundAmount(acc.payable + line.payable);
+      acc.paid = roundAmount(acc.paid + line.paid);
+      acc.outstanding = roundAmount(acc.outstanding + line.outstanding);
+      if (line.outstanding > 0) {
+        acc.ageing[line.ageingBucket] = roundAmount(
+          acc.ageing[line.ageingBucket] + line.outstanding
+        );
+      }
+      return acc;
+    },
+    { payable: 0, paid: 0, outstanding: 0, ageing: emptyAgeing() }
+  );
+
+/**
+ * Builds the statement of a hotel or agent: HRV-wise payables, payments made and ageing.
+ * What was paid against service bookings is kept on them, not in `payments`.
+ * @param {number} agencyId - Agency ID.
+ * @param {object} supplier
+ * @param {number} [supplier.hotelId] - Hotel ID.
+ * @param {number} [supplier.agentId] - Agent ID.
+ * @param {Date} [asOn] - Date used to age outstanding amounts.
+ * @returns {Promise<object>}
+ */
+const getSupplierStatement = async (agencyId, { hotelId, agentId }, asOn) => {
+  const lines = await getPayableLines(agencyId, { hotelId, agentId, asOn });
+  const payments = await prisma.supplierPayment.findMany({
+    where: { agencyId, ...(hotelId ? { hotelId } : { agentId }) },
+    include: {
+      hotelBooking: { select: { id: true, hrvNumber: true } },
+      vehicleBooking: { select: { id: true, vehicleHrvNumber: true } },
+      bank: { select: { id: true, bankName: true } },
+    },
+    orderBy: { paymentDate: "asc" },
+  });
+
+  return {
+    bookings: lines,
+    payments,
+    ...summariseLines(lines),
+  };
+};
+
+/**
+ * Summarises outstanding payables per supplier with ageing buckets.
+ * @param {number} agencyId - Agency ID.
+ * @param {Date} [asOn] - Date used to age outstanding amounts.
+ * @returns {Promise<{ suppliers: object[], totals: object }>}
+ */
+const getPayablesSummary = async (agencyId, asOn) => {
+  const lines = await getPayableLines(agencyId, { asOn });
+
+  const supplierMap = new Map();
+  lines.forEach((line) => {
+    const key = `${line.supplierType}-${line.supplierId}`;
+    if (!supplierMap.has(key)) {
+      supplierMap.set(key, {
+        supplierType: line.supplierType,
+        supplierId: line.supplierId,
+        supplierName: line.supplierName,
+        lines: [],
+      });
+    }
+    supplierMap.get(key).lines.push(line);
+  });
+
+  const suppliers = [...supplierMap.values()]
+    .map(({ lines: supplierLines, ...supplier }) => ({
+      ...supplier,
+      ...summariseLines(supplierLines),
+    }))
+    .filter((supplier) => supplier.outstanding !== 0)
+    .sort((a, b) => b.outstanding - a.outstanding);
+
+  return { suppliers, totals: summariseLines(lines) };
+};
+
+module.exports = {
+  getHotelBookingPayable,
+  getVehicleBookingPayable,
+  getSupplierStatement,
+  getPayablesSummary,
+};
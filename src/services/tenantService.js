@@ -0,0 +1,220 @@
+const prisma = require("../config/db");
+const { BOOKING_BRANCH } = require("./branchScopeService");
+
+const BOOKING_AGENCY = [
+  "booking.agencyId",
+  "groupClient.groupBooking.agencyId",
+];
+const BOOKING_ASSIGNEE = [
+  "booking.assignedToId",
+  "groupClient.groupBooking.assignedToId",
+];
+const BOOKING_TRASH = [
+  "booking.deletedAt",
+  "groupClient.groupBooking.deletedAt",
+];
+
+/**
+ * Records that belong to an agency, keyed by the name routes guard them by.
+ * `agency` lists the relation paths to the owning agency id; the first one
+ * that is set on a record is used, so records that hang off either a booking
+ * or a group client resolve through whichever they have. `branch` does the
+ * same for records that belong to a branch, and `assignee` for records of an
+ * enquiry or booking, which staff restricted to their own assignments may
+ * only reach when it is assigned to them. `softDelete` marks records that
+ * are moved to the trash (deletedAt) instead of being deleted, and
+ * `parentTrash` lists the paths to the deletedAt of the booking or group
+ * booking a record belongs to, whose records are hidden along with it.
+ */
+const TENANT_RESOURCES = {
+  accommodation: {
+    model: "accommodation",
+    label: "Accommodation",
+    softDelete: true,
+  },
+  agency: { model: "agency", label: "Agency", agency: ["id"] },
+  agent: { model: "agent", label: "Agent", softDelete: true },
+  agencyRole: { model: "agencyRole", label: "Role" },
+  airline: { model: "airline", label: "Airline", softDelete: true },
+  bank: { model: "bank", label: "Bank", softDelete: true },
+  booking: {
+    model: "booking",
+    label: "Booking",
+    branch: ["branchId"],
+    assignee: ["assignedToId"],
+    softDelete: true,
+  },
+  bookingCancellation: {
+    model: "bookingCancellation",
+    label: "Cancellation",
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  bookingReceipt: {
+    model: "bookingReceipt",
+    label: "Booking receipt",
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  branch: { model: "branch", label: "Branch", branch: ["id"] },
+  cancellationPolicy: {
+    model: "cancellationPolicy",
+    label: "Cancellation policy",
+  },
+  city: { model: "city", label: "City", softDelete: true },
+  client: { model: "client", label: "Client", softDelete: true },
+  country: { model: "country", label: "Country", softDelete: true },
+  creditNote: {
+    model: "creditNote",
+    label: "Credit note",
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  groupBooking: {
+    model: "groupBooking",
+    label: "Group booking",
+    branch: ["branchId"],
+    assignee: ["assignedToId"],
+    softDelete: true,
+  },
+  groupClient: {
+    model: "groupClient",
+    label: "Group client",
+    agency: ["groupBooking.agencyId"],
+    branch: ["groupBooking.branchId"],
+    assignee: ["groupBooking.assignedToId"],
+    parentTrash: ["groupBooking.deletedAt"],
+  },
+  hotel: { model: "hotel", label: "Hotel", softDelete: true },
+  hotelBooking: {
+    model: "hotelBooking",
+    label: "Hotel booking",
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  journeyBooking: {
+    model: "journeyBooking",
+    label: "Journey booking",
+    agency: BOOKING_AGENCY,
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  pipelineStage: { model: "pipelineStage", label: "Pipeline stage" },
+  quotation: {
+    model: "quotation",
+    label: "Quotation",
+    branch: ["booking.branchId"],
+    assignee: ["booking.assignedToId"],
+    parentTrash: ["booking.deletedAt"],
+  },
+  sector: { model: "sector", label: "Sector", softDelete: true },
+  service: { model: "service", label: "Service", softDelete: true },
+  serviceBooking: {
+    model: "serviceBooking",
+    label: "Service booking",
+    agency: BOOKING_AGENCY,
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  staff: { model: "user", label: "Staff member", branch: ["branchId"] },
+  state: { model: "state", label: "State", softDelete: true },
+  supplierPayment: { model: "supplierPayment", label: "Supplier payment" },
+  tour: { model: "tour", label: "Tour", softDelete: true },
+  tourMember: {
+    model: "tourMember",
+    label: "Tour member",
+    agency: ["booking.agencyId"],
+    branch: ["booking.branchId"],
+    assignee: ["booking.assignedToId"],
+    parentTrash: ["booking.deletedAt"],
+  },
+  travelDocument: {
+    model: "travelDocument",
+    label: "Travel document",
+    agency: BOOKING_AGENCY,
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+  vehicle: { model: "vehicle", label: "Vehicle", softDelete: true },
+  vehicleBooking: {
+    model: "vehicleBooking",
+    label: "Vehicle booking",
+    branch: BOOKING_BRANCH,
+    assignee: BOOKING_ASSIGNEE,
+    parentTrash: BOOKING_TRASH,
+  },
+};
+
+// { booking: { select: { agencyId: true } } } for "booking.agencyId"
+const selectPath = (select, [field, ...rest]) => {
+  if (!rest.length) {
+    select[field] = true;
+    return select;
+  }
+  const nested = select[field]?.select || {};
+  select[field] = { select: selectPath(nested, rest) };
+  return select;
+};
+
+const readPath = (record, path) =>
+  path.reduce((value, field) => (value == null ? value : value[field]), record);
+
+const firstSet = (record, paths) => {
+  for (const path of paths) {
+    const value = readPath(record, path);
+    if (value != null) return value;
+  }
+  return null;
+};
+
+/**
+ * The agency and, for records kept per branch, the branch a record belongs to,
+ * the staff member its enquiry or booking is assigned to, and when it or the
+ * booking it belongs to was moved to the trash.
+ * @param {string} resource - A key of TENANT_RESOURCES.
+ * @param {number} id
+ * @returns {Promise<{ agencyId: number|null, branchId: number|null, assignedToId: number|null, deletedAt: Date|null }|null>}
+ *   null when the record does not exist.
+ */
+const findRecordOwner = async (resource, id) => {
+  const {
+    model,
+    agency = ["agencyId"],
+    branch = [],
+    assignee = [],
+    parentTrash = [],
+    softDelete,
+  } = TENANT_RESOURCES[resource];
+  const agencyPaths = agency.map((path) => path.split("."));
+  const branchPaths = branch.map((path) => path.split("."));
+  const assigneePaths = assignee.map((path) => path.split("."));
+  const parentTrashPaths = parentTrash.map((path) => path.split("."));
+  const select = [
+    ...agencyPaths,
+    ...branchPaths,
+    ...assigneePaths,
+    ...parentTrashPaths,
+  ].reduce(selectPath, {});
+  if (softDelete) select.deletedAt = true;
+
+  const record = await prisma[model].findUnique({ where: { id }, select });
+  if (!record) return null;
+  return {
+    agencyId: firstSet(record, agencyPaths),
+    branchId: firstSet(record, branchPaths),
+    assignedToId: firstSet(record, assigneePaths),
+    deletedAt: record.deletedAt ?? firstSet(record, parentTrashPaths),
+  };
+};
+
+module.exports = {
+  TENANT_RESOURCES,
+  findRecordOwner,
+};
@@ -0,0 +1,194 @@
+const path = require("path");
+const fs = require("fs").promises;
+const prisma = require("../config/db");
+const { branchFilter } = require("./branchScopeService");
+const { TENANT_RESOURCES } = require("./tenantService");
+
+// The field each kind of record is listed by in the trash
+const TRASH_TITLES = {
+  accommodation: "accommodationName",
+  agent: "agentName",
+  airline: "airlineName",
+  bank: "bankName",
+  booking: "bookingNumber",
+  city: "cityName",
+  client: "clientName",
+  country: "countryName",
+  groupBooking: "groupBookingNumber",
+  hotel: "hotelName",
+  sector: "sectorName",
+  service: "serviceName",
+  state: "stateName",
+  tour: "tourTitle",
+  vehicle: "vehicleName",
+};
+
+const TRASH_TYPES = Object.keys(TRASH_TITLES);
+
+// Types whose name must be unique in an agency. Trashed records do not hold
+// on to their name, so it is checked again when one is restored.
+const UNIQUE_NAME_TYPES = [
+  "accommodation",
+  "agent",
+  "airline",
+  "bank",
+  "city",
+  "country",
+  "hotel",
+  "sector",
+  "service",
+  "state",
+  "tour",
+  "vehicle",
+];
+
+// Upload folders (uploads/<module>/<field>/<uploadUUID>) of records that have
+// files, kept while the record is in the trash and removed with it
+const TRASH_UPLOADS = {
+  tour: { module: "tour", fields: ["attachment"] },
+};
+
+// Rows that only belong to a booking and are purged with it. Stage and
+// assignment history cascade in the database; anything else that refers to
+// the booking, such as sub-bookings, receipts or credit notes, still blocks
+// the purge.
+const PURGE_OWNED = {
+  booking: ["bookingDetail", "followUp", "quotation"],
+  groupBooking: ["groupBookingDetail", "followUp"],
+};
+
+/**
+ * Moves a record to the trash. It stays in the database, so bookings and
+ * ledgers that refer to it keep working, but lists and dropdowns leave it out.
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {number} id
+ * @param {number|null} userId - Who deleted it.
+ */
+const softDelete = (type, id, userId) =>
+  prisma[TENANT_RESOURCES[type].model].update({
+    where: { id },
+    data: { deletedAt: new Date(), deletedById: userId ?? null },
+  });
+
+/**
+ * Records of one type in an agency's trash, most recently deleted first.
+ * @param {number} agencyId
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {{ branchId?: number|null, skip: number, take: number }} options
+ * @returns {Promise<{ items: object[], totalItems: number }>}
+ */
+const getTrash = async (agencyId, type, { branchId, skip, take }) => {
+  const { model, branch } = TENANT_RESOURCES[type];
+  const title = TRASH_TITLES[type];
+  const where = {
+    agencyId,
+    deletedAt: { not: null },
+    ...(branch && branchFilter(branchId, branch)),
+  };
+
+  const [records, totalItems] = await Promise.all([
+    prisma[model].findMany({
+      where,
+      select: {
+        id: true,
+        [title]: true,
+        deletedAt: true,
+        deletedBy: { select: { id: true, name: true, email: true } },
+      },
+      orderBy: [{ deletedAt: "desc" }, { id: "desc" }],
+      skip,
+      take,
+    }),
+    prisma[model].count({ where }),
+  ]);
+
+  const items = records.map(({ [title]: name, ...record }) => ({
+    type,
+    ...record,
+    name,
+  }));
+  return { items, totalItems };
+};
+
+/**
+ * The name of a trashed record when another record in its agency has taken
+ * that name since, so restoring it would create a duplicate.
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {number} id
+ * @returns {Promise<string|null>}
+ */
+const findNameConflict = async (type, id) => {
+  if (!UNIQUE_NAME_TYPES.includes(type)) return null;
+  const { model } = TENANT_RESOURCES[type];
+  const title = TRASH_TITLES[type];
+  const record = await prisma[model].findUnique({
+    where: { id },
+    select: { agencyId: true, [title]: true },
+  });
+  const conflict = await prisma[model].findFirst({
+    where: {
+      agencyId: record.agencyId,
+      [title]: record[title],
+      deletedAt: null,
+      id: { not: id },
+    },
+    select: { id: true },
+  });
+  return conflict ? record[title] : null;
+};
+
+/**
+ * Takes a record out of the trash.
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {number} id
+ */
+const restore = (type, id) =>
+  prisma[TENANT_RESOURCES[type].model].update({
+    where: { id },
+    data: { deletedAt: null, deletedById: null },
+  });
+
+/**
+ * Deletes a record in the trash for good, along with the rows it owns and its
+ * uploaded files. Fails with P2003 while other records still refer to it.
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {number} id
+ */
+const purge = async (type, id) => {
+  const { model } = TENANT_RESOURCES[type];
+  const uploads = TRASH_UPLOADS[type];
+  const owned = PURGE_OWNED[type] || [];
+  const record = await prisma.$transaction(async (tx) => {
+    for (const ownedModel of owned) {
+      await tx[ownedModel].deleteMany({ where: { [`${type}Id`]: id } });
+    }
+    return tx[model].delete({ where: { id } });
+  });
+
+  if (uploads && record.uploadUUID) {
+    for (const field of uploads.fields) {
+      const dir = path.join(
+        "uploads",
+        uploads.module,
+        field,
+        record.uploadUUID
+      );
+      try {
+        await fs.rm(dir, { recursive: true, force: true });
+      } catch (err) {
+        // The record is gone either way; a leftover folder is only logged
+        console.error(`[Trash] Failed to remove directory ${dir}:`, err);
+      }
+    }
+  }
+  return record;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  softDelete,
+  getTrash,
+  findNameConflict,
+  restore,
+  purge,
+};
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const jwt = require("jsonwebtoken");
+const prisma = require("../config/db");
+const config = require("../config/config");
+const jwtConfig = require("../config/jwt");
+const { ADMIN, BRANCH_ADMIN } = require("../config/roles");
+const { getAgencySettings } = require("./assignmentService");
+const totp = require("../utils/totp");
+
+// Roles the agency-level policy makes two-factor authentication mandatory for
+const POLICY_ROLES = [ADMIN, BRANCH_ADMIN];
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = "5m";
+
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Ten one-time codes like "3f9a1-c04e7"; only their hashes are stored
+const replaceBackupCodes = async (userId, tx = prisma) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await tx.twoFactorBackupCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashCode(code) })),
+  });
+  return codes;
+};
+
+/**
+ * Whether the user's agency requires them to use two-factor authentication.
+ * @param {{ agencyId: number|null, role: string }} user
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (user) => {
+  if (!user.agencyId || !POLICY_ROLES.includes(user.role)) return false;
+  const { requireTwoFactor } = await getAgencySettings(user.agencyId);
+  return Boolean(requireTwoFactor);
+};
+
+/**
+ * Signs the short-lived token a login returns when a second factor is needed.
+ * @param {number} userId
+ * @param {"2fa"|"2fa_setup"} purpose - 2fa to enter a code, 2fa_setup to enroll first.
+ * @param {string} [deviceName] - Carried over to the session opened afterwards.
+ * @returns {string}
+ */
+const signChallengeToken = (userId, purpose, deviceName) =>
+  jwt.sign({ userId, purpose, deviceName }, jwtConfig.secret, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+/**
+ * Checks a challenge token and loads its user. Throws a 401 when the token is
+ * invalid, expired or for another purpose, or the user is inactive.
+ * @param {string} challengeToken
+ * @param {"2fa"|"2fa_setup"} purpose
+ * @returns {Promise<{ user: object, deviceName?: string }>}
+ */
+const verifyChallengeToken = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, jwtConfig.secret);
+  } catch (error) {
+    throw createError(401, "Invalid or expired challenge token");
+  }
+  if (decoded.purpose !== purpose) {
+    throw createError(401, "Invalid or expired challenge token");
+  }
+  const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+  if (!user || !user.active) {
+    throw createError(401, "Invalid or expired challenge token");
+  }
+  return { user, deviceName: decoded.deviceName };
+};
+
+/**
+ * Checks an authenticator code or, failing that, a backup code. A code is
+ * accepted once: the TOTP step is remembered and backup codes are used up.
+ * @param {object} user
+ * @param {{ code?: string, backupCode?: string }} factor
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactorSecret) return false;
+
+  if (code) {
+    const step = totp.verifyCode(user.twoFactorSecret, code, {
+      afterStep: user.twoFactorLastStep,
+    });
+    if (step === null) return false;
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorLastStep: step },
+    });
+    return true;
+  }
+
+  if (backupCode) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: { userId: user.id, codeHash: hashCode(backupCode), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return count > 0;
+  }
+  return false;
+};
+
+/**
+ * Starts enrollment with a new secret. Two-factor authentication is only
+ * turned on once a code from the app is confirmed with enableTwoFactor.
+ * @param {object} user
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw createError(409, "Two-factor authentication is already enabled");
+  }
+  const secret = totp.generateSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: secret, twoFactorLastStep: null },
+  });
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({
+      secret,
+      accountName: user.email,
+      issuer: config.appName,
+    }),
+  };
+};
+
+/**
+ * Turns on two-factor authentication after checking a code from the app.
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<string[]>} The backup codes, shown to the user once.
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw createError(409, "Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactorSecret) {
+    throw createError(400, "Start two-factor setup first");
+  }
+  const step = totp.verifyCode(user.twoFactorSecret, code);
+  if (step === null) throw createError(400, "Invalid authentication code");
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true, twoFactorLastStep: step },
+    });
+    return replaceBackupCodes(user.id, tx);
+  });
+};
+
+/**
+ * Turns off two-factor authentication. Not allowed while the agency requires it.
+ * @param {object} user
+ * @param {{ code?: string, backupCode?: string }} factor
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user, factor) => {
+  if (!user.twoFactorEnabled) {
+    throw createError(409, "Two-factor authentication is not enabled");
+  }
+  if (await isTwoFactorRequired(user)) {
+    throw createError(
+      403,
+      "Your agency requires two-factor authentication for your role"
+    );
+  }
+  if (!(await verifySecondFactor(user, factor))) {
+    throw createError(400, "Invalid authentication code");
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastStep: null,
+      },
+    }),
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId: user.id } }),
+  ]);
+};
+
+/**
+ * Replaces the user's backup codes after checking a code from the app.
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<string[]>}
+ */
+const regenerateBackupCodes = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw createError(409, "Two-factor authentication is not enabled");
+  }
+  if (!(await verifySecondFactor(user, { code }))) {
+    throw createError(400, "Invalid authentication code");
+  }
+  return replaceBackupCodes(user.id);
+};
+
+/**
+ * Whether the user has two-factor authentication on, whether their agency
+ * requires it and how many backup codes are left.
+ * @param {object} user
+ * @returns {Promise<object>}
+ */
+const getTwoFactorStatus = async (user) => {
+  const [required, backupCodesRemaining] = await Promise.all([
+    isTwoFactorRequired(user),
+    prisma.twoFactorBackupCode.count({
+      where: { userId: user.id, usedAt: null },
+    }),
+  ]);
+  return {
+    enabled: user.twoFactorEnabled,
+    required,
+    backupCodesRemaining: user.twoFactorEnabled ? backupCodesRemaining : 0,
+  };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorStatus,
+};
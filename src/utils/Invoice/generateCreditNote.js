@@ -0,0 +1,163 @@
+const { formatDate, buildAgencyHeader, writePdf } = require("./pdfPrinter");
+
+const cell = (text, style = "tableCell") => ({
+  text: text === undefined || text === null ? "" : String(text),
+  style,
+});
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * Generates the credit note PDF issued against a booking receipt invoice and saves it to the specified file path.
+ * @param {object} creditNoteData - Data to populate the credit note.
+ * @param {string} filePath - The full path where the PDF will be saved.
+ * @returns {Promise<void>}
+ */
+const generateCreditNote = async (creditNoteData, filePath) => {
+  const {
+    agency, // Agency record, used for the letterhead or logo, GSTIN and the signature
+    creditNoteNumber,
+    creditNoteDate,
+    invoiceNumber,
+    invoiceDate,
+    receiptNumber,
+    bookingNumber,
+    client, // { name, addressLines (array), city, gstin }
+    reason,
+    totals, // { amount, cgstPercent, cgstAmount, sgstPercent, sgstAmount, igstPercent, igstAmount, totalAmount, amountInWords }
+  } = creditNoteData;
+
+  const taxRows = [
+    ["CGST", totals.cgstPercent, totals.cgstAmount],
+    ["SGST", totals.sgstPercent, totals.sgstAmount],
+    ["IGST", totals.igstPercent, totals.igstAmount],
+  ]
+    .filter(([, , amount]) => amount > 0)
+    .map(([label, percent, amount]) => [
+      { ...cell(`${label} @ ${percent || 0}%`), colSpan: 2 },
+      {},
+      { ...cell(formatAmount(amount)), alignment: "right" },
+    ]);
+
+  const docDefinition = {
+    content: [
+      buildAgencyHeader(agency),
+      { text: "Credit Note", style: "header" },
+      {
+        columns: [
+          {
+            width: "55%",
+            stack: [
+              { text: "To,", style: "value" },
+              { text: client.name || "", style: "subheader" },
+              { text: client.addressLines.join("\n"), style: "value" },
+              { text: client.city || "", style: "value" },
+              client.gstin
+                ? { text: `GSTIN: ${client.gstin}`, style: "value" }
+                : "",
+            ],
+          },
+          {
+            width: "45%",
+            table: {
+              widths: ["auto", "*"],
+              body: [
+                ["Credit Note No.:", creditNoteNumber],
+                ["Date:", formatDate(creditNoteDate)],
+                ["Against Invoice:", invoiceNumber],
+                ["Invoice Date:", formatDate(invoiceDate)],
+                ["Receipt No.:", receiptNumber],
+                ["Booking No.:", bookingNumber],
+              ].map(([label, value]) => [
+                cell(label, "label"),
+                cell(value, "value"),
+              ]),
+            },
+            layout: "noBorders",
+          },
+        ],
+        margin: [0, 0, 0, 15],
+      },
+      {
+        table: {
+          headerRows: 1,
+          widths: ["auto", "*", 100],
+          body: [
+            [
+              cell("Sr.", "tableHeader"),
+              cell("Particulars", "tableHeader"),
+              { ...cell("Amount", "tableHeader"), alignment: "right" },
+            ],
+            [
+              cell(1),
+              cell(reason),
+              { ...cell(formatAmount(totals.amount)), alignment: "right" },
+            ],
+            [
+              { ...cell("Taxable Value", "label"), colSpan: 2 },
+              {},
+              {
+                ...cell(formatAmount(totals.amount), "label"),
+                alignment: "right",
+              },
+            ],
+            ...taxRows,
+            [
+              { ...cell("Total Credit", "label"), colSpan: 2 },
+              {},
+              {
+                ...cell(formatAmount(totals.totalAmount), "label"),
+                alignment: "right",
+              },
+            ],
+          ],
+        },
+        margin: [0, 0, 0, 10],
+      },
+      {
+        text: `Amount in words: ${totals.amountInWords}`,
+        style: "value",
+        margin: [0, 0, 0, 10],
+      },
+      agency.gstin ? { text: `GSTIN: ${agency.gstin}`, style: "value" } : "",
+      {
+        columns: [
+          { text: "", width: "*" },
+          {
+            width: "auto",
+            stack: [
+              { text: `For ${agency.businessName}`, style: "signatureText" },
+              { text: "\n\n\n" },
+              { text: "Authorised Signatory", style: "signatureText" },
+            ],
+            alignment: "right",
+            margin: [0, 30, 0, 0],
+          },
+        ],
+      },
+    ],
+    styles: {
+      header: {
+        fontSize: 16,
+        bold: true,
+        alignment: "center",
+        margin: [0, 0, 0, 15],
+      },
+      subheader: { fontSize: 11, bold: true, margin: [0, 2, 0, 2] },
+      label: { fontSize: 9, bold: true },
+      value: { fontSize: 9, lineHeight: 1.2 },
+      tableHeader: {
+        bold: true,
+        fontSize: 9,
+        fillColor: "#f2f2f2",
+        margin: [0, 3, 0, 3],
+      },
+      tableCell: { fontSize: 9, margin: [0, 2, 0, 2] },
+      signatureText: { fontSize: 10, bold: true },
+    },
+  };
+
+  await writePdf(docDefinition, filePath);
+};
+
+module.exports = { generateCreditNote };
@@ -0,0 +1,153 @@
+const { formatDate, buildAgencyHeader, writePdf } = require("./pdfPrinter");
+
+const labelValueRows = (rows) =>
+  rows
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([label, value]) => [
+      { text: label, style: "label" },
+      { text: String(value), style: "value" },
+    ]);
+
+const section = (title, rows) => {
+  const body = labelValueRows(rows);
+  if (body.length === 0) return [];
+  return [
+    { text: title, style: "sectionHeader" },
+    {
+      table: { widths: [140, "*"], body },
+      layout: "lightHorizontalLines",
+      margin: [0, 0, 0, 10],
+    },
+  ];
+};
+
+/**
+ * Generates the hotel reservation voucher (HRV) PDF sent to the hotel and saves it to the specified file path.
+ * @param {object} voucherData - Data to populate the voucher.
+ * @param {string} filePath - The full path where the PDF will be saved.
+ * @returns {Promise<void>}
+ */
+const generateHotelVoucher = async (voucherData, filePath) => {
+  const {
+    agency, // Agency record, used for the letterhead or logo and the signature
+    hrvNumber,
+    voucherDate,
+    bookingNumber,
+    hotel, // { name, addressLines (array), city, phone, email }
+    guest, // { name, mobile, adults, children, partyComingFrom }
+    stay, // { city, checkInDate, checkOutDate, nights, rooms, accommodation, plan, tariffPackage, extraBed, beds }
+    instructions, // { accommodationNote, billingInstructions, specialRequirement, notes }
+    confirmation, // { confirmedBy, confirmationNumber }
+  } = voucherData;
+
+  const docDefinition = {
+    content: [
+      buildAgencyHeader(agency),
+      { text: "Hotel Reservation Voucher", style: "header" },
+      {
+        columns: [
+          {
+            width: "55%",
+            stack: [
+              { text: "To,", style: "value" },
+              { text: hotel.name, style: "subheader" },
+              { text: hotel.addressLines.join("\n"), style: "value" },
+              { text: hotel.city || "", style: "value" },
+              hotel.phone
+                ? { text: `Phone: ${hotel.phone}`, style: "value" }
+                : "",
+              hotel.email
+                ? { text: `Email: ${hotel.email}`, style: "value" }
+                : "",
+            ],
+          },
+          {
+            width: "45%",
+            table: {
+              widths: ["auto", "*"],
+              body: labelValueRows([
+                ["HRV No.:", hrvNumber],
+                ["Voucher Date:", formatDate(voucherDate)],
+                ["Booking No.:", bookingNumber],
+              ]),
+            },
+            layout: "noBorders",
+          },
+        ],
+        margin: [0, 0, 0, 15],
+      },
+      ...section("Guest Details", [
+        ["Guest Name", guest.name],
+        ["Mobile", guest.mobile],
+        ["Adults", guest.adults],
+        ["Children", guest.children],
+        ["Party Coming From", guest.partyComingFrom],
+      ]),
+      ...section("Stay Details", [
+        ["City", stay.city],
+        ["Check-in", formatDate(stay.checkInDate)],
+        ["Check-out", formatDate(stay.checkOutDate)],
+        ["Nights", stay.nights],
+        ["Rooms", stay.rooms],
+        ["Accommodation", stay.accommodation],
+        ["Meal Plan", stay.plan],
+        ["Tariff Package", stay.tariffPackage],
+        ["Extra Bed", stay.extraBed ? `Yes (${stay.beds || 1})` : "No"],
+      ]),
+      ...section("Instructions", [
+        ["Accommodation Note", instructions.accommodationNote],
+        ["Billing Instructions", instructions.billingInstructions],
+        ["Special Requirement", instructions.specialRequirement],
+        ["Notes", instructions.notes],
+      ]),
+      ...section("Confirmation", [
+        ["Confirmed By", confirmation.confirmedBy],
+        ["Confirmation No.", confirmation.confirmationNumber],
+      ]),
+      {
+        text: "Kindly extend your best services to our guest. Please contact us for any clarification regarding this reservation.",
+        style: "value",
+        margin: [0, 10, 0, 0],
+      },
+      {
+        columns: [
+          { text: "", width: "*" },
+          {
+            width: "auto",
+            stack: [
+              { text: `For ${agency.businessName}`, style: "signatureText" },
+              { text: "\n\n\n" },
+              { text: "Authorised Signatory", style: "signatureText" },
+            ],
+            alignment: "right",
+            margin: [0, 30, 0, 0],
+          },
+        ],
+      },
+    ],
+    styles: {
+      header: {
+        fontSize: 16,
+        bold: true,
+        alignment: "center",
+        margin: [0, 0, 0, 15],
+      },
+      subheader: { fontSize: 11, bold: true, margin: [0, 2, 0, 2] },
+      sectionHeader: {
+        fontSize: 10,
+        bold: true,
+        fillColor: "#f2f2f2",
+        margin: [0, 5, 0, 5],
+      },
+      label: { fontSize: 9, bold: true },
+      value: { fontSize: 9, lineHeight: 1.2 },
+      signatureText: { fontSize: 10, bold: true },
+    },
+  };
+
+  await writePdf(docDefinition, filePath);
+};
+
+module.exports = { generateHotelVoucher };
@@ -87,6 +87,8 @@ const generateSubscriptionInvoice = async (invoiceData, filePath) => {
     sanmishaDetails, // { name, addressLines (array), city, pincode, gstinUin, email, logoPath (optional) }
     items, // array of { srNo, description, hsnSac (optional), amount }
     totals, // { amountBeforeTax, cgstAmount, sgstAmount, igstAmount (optional), totalAmount, amountInWords }
+    title = "Tax Invoice", // Optional heading, e.g. for a cancelled invoice
+    notes, // Optional text printed below the amount in words
   } = invoiceData;
 
   // Company details from image (can be passed in sanmishaDetails or hardcoded/configured elsewhere)
@@ -192,7 +194,7 @@ const generateSubscriptionInvoice = async (invoiceData, filePath) => {
         columnGap: 20,
         margin: [0, 0, 0, 20], // bottom margin for the columns section
       },
-      { text: "Tax Invoice", style: "header" },
+      { text: title, style: "header" },
 
       // Line Items Table
       {
@@ -364,6 +366,7 @@ const generateSubscriptionInvoice = async (invoiceData, filePath) => {
         ],
         margin: [0, 20, 0, 0], // Top margin
       },
+      notes ? { text: notes, style: "normalText", margin: [0, 10, 0, 0] } : "",
 
       // Horizontal Line
       {
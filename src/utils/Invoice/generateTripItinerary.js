@@ -0,0 +1,252 @@
+const dayjs = require("dayjs");
+const { formatDate, buildAgencyHeader, writePdf } = require("./pdfPrinter");
+
+const cell = (text, style = "tableCell") => ({
+  text: text === undefined || text === null ? "" : String(text),
+  style,
+});
+
+// Shows the time of a journey only when one was recorded (not midnight).
+const formatDateTime = (value) => {
+  if (!value) return "";
+  const time = dayjs(value).format("HH:mm");
+  return time === "00:00" ? formatDate(value) : `${formatDate(value)} ${time}`;
+};
+
+const table = (headings, widths, rows) => ({
+  table: {
+    headerRows: 1,
+    widths,
+    body: [headings.map((heading) => cell(heading, "tableHeader")), ...rows],
+  },
+  margin: [0, 0, 0, 15],
+});
+
+/**
+ * Generates the customer-facing trip itinerary PDF and saves it to the specified file path.
+ * @param {object} itineraryData - Data to populate the itinerary.
+ * @param {string} filePath - The full path where the PDF will be saved.
+ * @returns {Promise<void>}
+ */
+const generateTripItinerary = async (itineraryData, filePath) => {
+  const {
+    agency, // Agency record, used for the letterhead or logo and the signature
+    bookingNumber,
+    itineraryDate,
+    tourTitle,
+    guest, // { name, mobile, email, adults, children }
+    travelDates, // { from, to }
+    days, // array of { day, date, city, description, events: [string] }
+    journeys, // array of { mode, fromPlace, toPlace, carrier, reference, departure, arrival, className }
+    hotels, // array of { city, hotelName, address, phone, checkInDate, checkOutDate, nights, rooms, accommodation, plan, confirmationNumber }
+    transfers, // array of { vehicleName, numberOfVehicles, city, pickupPlace, fromDate, toDate, agentName, agentMobile }
+    passengers, // array of { name, gender, relation, dateOfBirth, foodType, mobile }
+  } = itineraryData;
+
+  const docDefinition = {
+    content: [
+      buildAgencyHeader(agency),
+      { text: "Travel Itinerary", style: "header" },
+      {
+        table: {
+          widths: [110, "*", 110, "*"],
+          body: [
+            [
+              cell("Booking No.", "label"),
+              cell(bookingNumber, "value"),
+              cell("Date", "label"),
+              cell(formatDate(itineraryDate), "value"),
+            ],
+            [
+              cell("Guest Name", "label"),
+              cell(guest.name, "value"),
+              cell("Mobile", "label"),
+              cell(guest.mobile, "value"),
+            ],
+            [
+              cell("Tour", "label"),
+              cell(tourTitle, "value"),
+              cell("Travel Dates", "label"),
+              cell(
+                [formatDate(travelDates.from), formatDate(travelDates.to)]
+                  .filter(Boolean)
+                  .join(" to "),
+                "value"
+              ),
+            ],
+            [
+              cell("Adults", "label"),
+              cell(guest.adults, "value"),
+              cell("Children", "label"),
+              cell(guest.children, "value"),
+            ],
+          ],
+        },
+        layout: "lightHorizontalLines",
+        margin: [0, 0, 0, 15],
+      },
+      ...(days.length > 0
+        ? [
+            { text: "Day-by-Day Itinerary", style: "sectionHeader" },
+            ...days.map((day) => ({
+              stack: [
+                {
+                  text: [
+                    `Day ${day.day} - ${formatDate(day.date)}`,
+                    day.city ? ` - ${day.city}` : "",
+                  ].join(""),
+                  style: "dayHeader",
+                },
+                day.description
+                  ? { text: day.description, style: "value" }
+                  : "",
+                day.events.length > 0
+                  ? { ul: day.events, style: "value", margin: [0, 3, 0, 0] }
+                  : "",
+              ],
+              margin: [0, 0, 0, 10],
+              unbreakable: true,
+            })),
+          ]
+        : []),
+      ...(journeys.length > 0
+        ? [
+            { text: "Flights / Trains / Buses", style: "sectionHeader" },
+            table(
+              ["Mode", "From", "To", "Carrier", "Departure", "Arrival"],
+              ["auto", "*", "*", "*", "auto", "auto"],
+              journeys.map((journey) => [
+                cell(journey.mode),
+                cell(journey.fromPlace),
+                cell(journey.toPlace),
+                {
+                  stack: [
+                    journey.carrier || "",
+                    journey.reference || "",
+                    journey.className ? `Class: ${journey.className}` : "",
+                  ],
+                  style: "tableCell",
+                },
+                cell(formatDateTime(journey.departure)),
+                cell(formatDateTime(journey.arrival)),
+              ])
+            ),
+          ]
+        : []),
+      ...(hotels.length > 0
+        ? [
+            { text: "Hotel Stays", style: "sectionHeader" },
+            table(
+              ["City", "Hotel", "Check-in", "Check-out", "Rooms", "Plan"],
+              ["auto", "*", "auto", "auto", "auto", "auto"],
+              hotels.map((hotel) => [
+                cell(hotel.city),
+                {
+                  stack: [
+                    { text: hotel.hotelName, bold: true },
+                    hotel.address || "",
+                    hotel.phone ? `Phone: ${hotel.phone}` : "",
+                    hotel.accommodation || "",
+                    hotel.confirmationNumber
+                      ? `Confirmation No.: ${hotel.confirmationNumber}`
+                      : "",
+                  ],
+                  style: "tableCell",
+                },
+                cell(formatDate(hotel.checkInDate)),
+                cell(formatDate(hotel.checkOutDate)),
+                cell(hotel.rooms),
+                cell(hotel.plan),
+              ])
+            ),
+          ]
+        : []),
+      ...(transfers.length > 0
+        ? [
+            { text: "Transfers", style: "sectionHeader" },
+            table(
+              ["Vehicle", "City", "Pickup", "From", "To", "Contact"],
+              ["auto", "auto", "*", "auto", "auto", "*"],
+              transfers.map((transfer) => [
+                cell(
+                  transfer.numberOfVehicles > 1
+                    ? `${transfer.vehicleName} x ${transfer.numberOfVehicles}`
+                    : transfer.vehicleName
+                ),
+                cell(transfer.city),
+                cell(transfer.pickupPlace),
+                cell(formatDate(transfer.fromDate)),
+                cell(formatDate(transfer.toDate)),
+                cell(
+                  [transfer.agentName, transfer.agentMobile]
+                    .filter(Boolean)
+                    .join(", ")
+                ),
+              ])
+            ),
+          ]
+        : []),
+      ...(passengers.length > 0
+        ? [
+            { text: "Passenger List", style: "sectionHeader" },
+            table(
+              ["#", "Name", "Gender", "Relation", "Date of Birth", "Food"],
+              ["auto", "*", "auto", "auto", "auto", "auto"],
+              passengers.map((passenger, index) => [
+                cell(index + 1),
+                cell(passenger.name),
+                cell(passenger.gender),
+                cell(passenger.relation),
+                cell(formatDate(passenger.dateOfBirth)),
+                cell(passenger.foodType),
+              ])
+            ),
+          ]
+        : []),
+      {
+        text: "We wish you a pleasant journey. Please carry a valid photo ID and keep this itinerary handy while travelling.",
+        style: "value",
+        margin: [0, 10, 0, 0],
+      },
+      {
+        columns: [
+          { text: "", width: "*" },
+          {
+            width: "auto",
+            stack: [
+              { text: `For ${agency.businessName}`, style: "signatureText" },
+              { text: "\n\n\n" },
+              { text: "Authorised Signatory", style: "signatureText" },
+            ],
+            alignment: "right",
+            margin: [0, 30, 0, 0],
+          },
+        ],
+      },
+    ],
+    styles: {
+      header: {
+        fontSize: 16,
+        bold: true,
+        alignment: "center",
+        margin: [0, 0, 0, 15],
+      },
+      sectionHeader: { fontSize: 11, bold: true, margin: [0, 5, 0, 5] },
+      dayHeader: { fontSize: 10, bold: true, margin: [0, 0, 0, 2] },
+      label: { fontSize: 9, bold: true },
+      value: { fontSize: 9, lineHeight: 1.2 },
+      tableHeader: {
+        bold: true,
+        fontSize: 9,
+        fillColor: "#f2f2f2",
+        margin: [0, 3, 0, 3],
+      },
+      tableCell: { fontSize: 9, margin: [0, 2, 0, 2] },
+      signatureText: { fontSize: 10, bold: true },
+    },
+  };
+
+  await writePdf(docDefinition, filePath);
+};
+
+module.exports = { generateTripItinerary };
@@ -0,0 +1,262 @@
+const { formatDate, buildAgencyHeader, writePdf } = require("./pdfPrinter");
+
+const cell = (text, style = "tableCell") => ({
+  text: text === undefined || text === null ? "" : String(text),
+  style,
+});
+
+const isSameDay = (a, b) => formatDate(a) === formatDate(b);
+
+/**
+ * Finds the hotel the driver reports to on the night of `date`.
+ * @param {object[]} hotelStops - Hotel stops with checkInDate and checkOutDate.
+ * @param {Date} date - Itinerary date.
+ * @returns {object|undefined}
+ */
+const findNightHalt = (hotelStops, date) =>
+  hotelStops.find(
+    (stop) =>
+      new Date(stop.checkInDate) <= new Date(date) &&
+      new Date(date) < new Date(stop.checkOutDate)
+  ) || hotelStops.find((stop) => isSameDay(stop.checkInDate, date));
+
+/**
+ * Generates the vehicle duty slip PDF handed to the transport agent and saves it to the specified file path.
+ * @param {object} dutySlipData - Data to populate the duty slip.
+ * @param {string} filePath - The full path where the PDF will be saved.
+ * @returns {Promise<void>}
+ */
+const generateVehicleDutySlip = async (dutySlipData, filePath) => {
+  const {
+    agency, // Agency record, used for the letterhead or logo and the signature
+    vehicleHrvNumber,
+    dutySlipDate,
+    bookingNumber,
+    agent, // { name, contactPersonName, mobile, email }
+    guest, // { name, mobile, adults, children }
+    vehicle, // { name, numberOfVehicles, city, pickupPlace, fromDate, toDate, days }
+    itineraries, // array of { day, date, city, description }
+    hotelStops, // array of { city, hotelName, address, phone, checkInDate, checkOutDate, numberOfRooms, numberOfNights, plan }
+    notes, // { terms, specialRequest, vehicleNote, specialNote, summaryNote }
+  } = dutySlipData;
+
+  const noteRows = [
+    ["Special Request", notes.specialRequest],
+    ["Vehicle Note", notes.vehicleNote],
+    ["Special Note", notes.specialNote],
+    ["Summary", notes.summaryNote],
+    ["Terms", notes.terms],
+  ].filter(([, value]) => value);
+
+  const docDefinition = {
+    content: [
+      buildAgencyHeader(agency),
+      { text: "Vehicle Duty Slip", style: "header" },
+      {
+        columns: [
+          {
+            width: "55%",
+            stack: [
+              { text: "To,", style: "value" },
+              { text: agent.name, style: "subheader" },
+              agent.contactPersonName
+                ? { text: `Attn: ${agent.contactPersonName}`, style: "value" }
+                : "",
+              agent.mobile
+                ? { text: `Mobile: ${agent.mobile}`, style: "value" }
+                : "",
+              agent.email
+                ? { text: `Email: ${agent.email}`, style: "value" }
+                : "",
+            ],
+          },
+          {
+            width: "45%",
+            table: {
+              widths: ["auto", "*"],
+              body: [
+                ["Duty Slip No.:", vehicleHrvNumber],
+                ["Date:", formatDate(dutySlipDate)],
+                ["Booking No.:", bookingNumber || ""],
+              ].map(([label, value]) => [
+                cell(label, "label"),
+                cell(value, "value"),
+              ]),
+            },
+            layout: "noBorders",
+          },
+        ],
+        margin: [0, 0, 0, 15],
+      },
+      {
+        table: {
+          widths: [110, "*", 110, "*"],
+          body: [
+            [
+              cell("Guest Name", "label"),
+              cell(guest.name, "value"),
+              cell("Guest Mobile", "label"),
+              cell(guest.mobile, "value"),
+            ],
+            [
+              cell("Adults", "label"),
+              cell(guest.adults, "value"),
+              cell("Children", "label"),
+              cell(guest.children, "value"),
+            ],
+            [
+              cell("Vehicle", "label"),
+              cell(vehicle.name, "value"),
+              cell("No. of Vehicles", "label"),
+              cell(vehicle.numberOfVehicles, "value"),
+            ],
+            [
+              cell("From", "label"),
+              cell(formatDate(vehicle.fromDate), "value"),
+              cell("To", "label"),
+              cell(formatDate(vehicle.toDate), "value"),
+            ],
+            [
+              cell("City", "label"),
+              cell(vehicle.city, "value"),
+              cell("Days", "label"),
+              cell(vehicle.days, "value"),
+            ],
+            [
+              cell("Pickup Place", "label"),
+              { ...cell(vehicle.pickupPlace, "value"), colSpan: 3 },
+              {},
+              {},
+            ],
+          ],
+        },
+        layout: "lightHorizontalLines",
+        margin: [0, 0, 0, 15],
+      },
+      { text: "Day-wise Itinerary", style: "sectionHeader" },
+      {
+        table: {
+          headerRows: 1,
+          widths: ["auto", "auto", "auto", "*", "auto"],
+          body: [
+            ["Day", "Date", "City", "Route / Programme", "Night Halt"].map(
+              (heading) => cell(heading, "tableHeader")
+            ),
+            ...itineraries.map((itinerary) => {
+              const nightHalt = findNightHalt(hotelStops, itinerary.date);
+              return [
+                cell(itinerary.day),
+                cell(formatDate(itinerary.date)),
+                cell(itinerary.city),
+                cell(itinerary.description),
+                cell(
+                  nightHalt ? `${nightHalt.hotelName}, ${nightHalt.city}` : ""
+                ),
+              ];
+            }),
+          ],
+        },
+        margin: [0, 0, 0, 15],
+      },
+      ...(hotelStops.length > 0
+        ? [
+            { text: "Hotel Reporting Details", style: "sectionHeader" },
+            {
+              table: {
+                headerRows: 1,
+                widths: ["auto", "*", "auto", "auto", "auto", "auto"],
+                body: [
+                  [
+                    "City",
+                    "Hotel",
+                    "Check-in",
+                    "Check-out",
+                    "Rooms",
+                    "Plan",
+                  ].map((heading) => cell(heading, "tableHeader")),
+                  ...hotelStops.map((stop) => [
+                    cell(stop.city),
+                    {
+                      stack: [
+                        { text: stop.hotelName, bold: true },
+                        stop.address || "",
+                        stop.phone ? `Phone: ${stop.phone}` : "",
+                      ],
+                      style: "tableCell",
+                    },
+                    cell(formatDate(stop.checkInDate)),
+                    cell(formatDate(stop.checkOutDate)),
+                    cell(stop.numberOfRooms),
+                    cell(stop.plan),
+                  ]),
+                ],
+              },
+              margin: [0, 0, 0, 15],
+            },
+          ]
+        : []),
+      ...(noteRows.length > 0
+        ? [
+            { text: "Notes", style: "sectionHeader" },
+            {
+              table: {
+                widths: [110, "*"],
+                body: noteRows.map(([label, value]) => [
+                  cell(label, "label"),
+                  cell(value, "value"),
+                ]),
+              },
+              layout: "lightHorizontalLines",
+            },
+          ]
+        : []),
+      {
+        columns: [
+          {
+            width: "*",
+            stack: [
+              { text: "Guest Signature", style: "signatureText" },
+              { text: "\n\n\n" },
+              { text: "Opening / Closing Km: ____________", style: "value" },
+            ],
+            margin: [0, 30, 0, 0],
+          },
+          {
+            width: "auto",
+            stack: [
+              { text: `For ${agency.businessName}`, style: "signatureText" },
+              { text: "\n\n\n" },
+              { text: "Authorised Signatory", style: "signatureText" },
+            ],
+            alignment: "right",
+            margin: [0, 30, 0, 0],
+          },
+        ],
+      },
+    ],
+    styles: {
+      header: {
+        fontSize: 16,
+        bold: true,
+        alignment: "center",
+        margin: [0, 0, 0, 15],
+      },
+      subheader: { fontSize: 11, bold: true, margin: [0, 2, 0, 2] },
+      sectionHeader: { fontSize: 10, bold: true, margin: [0, 5, 0, 5] },
+      label: { fontSize: 9, bold: true },
+      value: { fontSize: 9, lineHeight: 1.2 },
+      tableHeader: {
+        bold: true,
+        fontSize: 9,
+        fillColor: "#f2f2f2",
+        margin: [0, 3, 0, 3],
+      },
+      tableCell: { fontSize: 9, margin: [0, 2, 0, 2] },
+      signatureText: { fontSize: 10, bold: true },
+    },
+  };
+
+  await writePdf(docDefinition, filePath);
+};
+
+module.exports = { generateVehicleDutySlip };
@@ -0,0 +1,185 @@
+const PdfPrinter = require("pdfmake");
+const fs = require("fs");
+const path = require("path");
+
+// Shared pdfmake setup for the voucher, duty slip and itinerary documents.
+const vfsCandidate = require("pdfmake/build/vfs_fonts.js");
+let vfsData = null;
+
+if (vfsCandidate) {
+  if (vfsCandidate.pdfMake && vfsCandidate.pdfMake.vfs) {
+    vfsData = vfsCandidate.pdfMake.vfs;
+  } else if (vfsCandidate.vfs) {
+    vfsData = vfsCandidate.vfs;
+  } else {
+    vfsData = vfsCandidate;
+  }
+}
+
+if (!vfsData || typeof vfsData["Roboto-Regular.ttf"] !== "string") {
+  console.error(
+    "Failed to load vfs_fonts.js or VFS data is not in the expected format. PDF generation may fail or use fallback fonts."
+  );
+  vfsData = {};
+}
+
+const fonts = {
+  Roboto: {
+    normal: vfsData["Roboto-Regular.ttf"]
+      ? Buffer.from(vfsData["Roboto-Regular.ttf"], "base64")
+      : null,
+    bold: vfsData["Roboto-Medium.ttf"]
+      ? Buffer.from(vfsData["Roboto-Medium.ttf"], "base64")
+      : null,
+    italics: vfsData["Roboto-Italic.ttf"]
+      ? Buffer.from(vfsData["Roboto-Italic.ttf"], "base64")
+      : null,
+    bolditalics: vfsData["Roboto-MediumItalic.ttf"]
+      ? Buffer.from(vfsData["Roboto-MediumItalic.ttf"], "base64")
+      : null,
+  },
+};
+
+Object.keys(fonts.Roboto).forEach((key) => {
+  if (fonts.Roboto[key] === null) {
+    console.warn(
+      `Font style ${key} for Roboto not found in VFS data. It will be unavailable.`
+    );
+    delete fonts.Roboto[key];
+  }
+});
+
+const printer = new PdfPrinter(fonts);
+
+const UPLOADS_DIR = path.join(__dirname, "..", "..", "..", "uploads");
+
+// Helper to format date as DD/MM/YYYY
+const formatDate = (dateString) => {
+  if (!dateString) return "";
+  const date = new Date(dateString);
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0"); // Months are 0-indexed
+  const year = date.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Resolves the agency logo and letterhead uploads to file paths, skipping files that are missing on disk.
+ * @param {object} agency - Agency with uploadUUID, logoFilename and letterheadFilename.
+ * @returns {{ logoPath: string|null, letterheadPath: string|null }}
+ */
+const getAgencyBranding = (agency) => {
+  const resolveUpload = (fieldName, filename) => {
+    if (!agency?.uploadUUID || !filename) return null;
+    const filePath = path.join(
+      UPLOADS_DIR,
+      "agency",
+      fieldName,
+      agency.uploadUUID,
+      filename
+    );
+    return fs.existsSync(filePath) ? filePath : null;
+  };
+
+  return {
+    logoPath: resolveUpload("logo", agency?.logoFilename),
+    letterheadPath: resolveUpload("letterHead", agency?.letterheadFilename),
+  };
+};
+
+/**
+ * Builds the document header: the agency letterhead when one is uploaded,
+ * otherwise the logo with the agency name and address.
+ * @param {object} agency - Agency record.
+ * @returns {object} pdfmake content node.
+ */
+const buildAgencyHeader = (agency) => {
+  const { logoPath, letterheadPath } = getAgencyBranding(agency);
+
+  if (letterheadPath) {
+    return { image: letterheadPath, width: 515, margin: [0, 0, 0, 15] };
+  }
+
+  return {
+    columns: [
+      logoPath ? { image: logoPath, width: 100 } : { text: "", width: 100 },
+      {
+        width: "*",
+        alignment: "right",
+        stack: [
+          { text: agency.businessName, fontSize: 16, bold: true },
+          {
+            text: [agency.addressLine1, agency.addressLine2]
+              .filter(Boolean)
+              .join("\n"),
+            fontSize: 9,
+          },
+          {
+            text: [agency.cityName, agency.pincode].filter(Boolean).join(" - "),
+            fontSize: 9,
+          },
+          {
+            text: `Phone: ${agency.contactPersonPhone || ""}  Email: ${
+              agency.contactPersonEmail || ""
+            }`,
+            fontSize: 9,
+          },
+        ],
+      },
+    ],
+    margin: [0, 0, 0, 15],
+  };
+};
+
+/**
+ * Renders a pdfmake document definition and saves it to the specified file path.
+ * @param {object} docDefinition - pdfmake document definition.
+ * @param {string} filePath - The full path where the PDF will be saved.
+ * @returns {Promise<void>}
+ */
+const writePdf = (docDefinition, filePath) => {
+  const dirname = path.dirname(filePath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+
+  const pdfDoc = printer.createPdfKitDocument({
+    pageSize: "A4",
+    pageMargins: [40, 40, 40, 60],
+    defaultStyle: { font: "Roboto", fontSize: 9 },
+    ...docDefinition,
+  });
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath);
+    stream.on("error", reject);
+    stream.on("finish", resolve);
+    pdfDoc.pipe(stream);
+    pdfDoc.end();
+  });
+};
+
+/**
+ * Deletes a previously generated PDF and its folder when the folder is left empty.
+ * @param {string|null} filePath - Stored path of the old PDF.
+ */
+const removeGeneratedPdf = (filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return;
+  try {
+    fs.unlinkSync(filePath);
+    const folderToDelete = path.dirname(filePath);
+    if (fs.readdirSync(folderToDelete).length === 0) {
+      fs.rmdirSync(folderToDelete);
+    }
+  } catch (err) {
+    console.error("Error deleting PDF or folder:", err);
+  }
+};
+
+module.exports = {
+  formatDate,
+  getAgencyBranding,
+  buildAgencyHeader,
+  writePdf,
+  removeGeneratedPdf,
+};
@@ -0,0 +1,201 @@
+const { Prisma } = require("@prisma/client");
+const { getContext } = require("./requestContext");
+
+// Models whose writes are not audited: the log itself and login bookkeeping
+const SKIPPED_MODELS = [
+  "AuditLog",
+  "Session",
+  "LoginAttempt",
+  "TwoFactorBackupCode",
+];
+// Fields that change on their own and would only add noise to the diffs
+const IGNORED_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "lastLogin",
+  "failedLoginCount",
+  "lockedUntil",
+  "twoFactorLastStep",
+];
+// Secrets that would let a reader of the log sign in as the user
+const REDACTED_FIELDS = [
+  "password",
+  "twoFactorSecret",
+  "resetToken",
+  "resetTokenExpires",
+];
+
+const scalarFields = new Map(
+  Prisma.dmmf.datamodel.models.map((model) => [
+    model.name,
+    model.fields
+      .filter((field) => field.kind === "scalar" || field.kind === "enum")
+      .map((field) => field.name)
+      .filter((field) => !IGNORED_FIELDS.includes(field)),
+  ])
+);
+
+const delegateName = (model) => model.charAt(0).toLowerCase() + model.slice(1);
+
+// The record's own fields as JSON values (dates and decimals as strings)
+const snapshot = (model, record) => {
+  if (!record) return null;
+  const values = {};
+  scalarFields.get(model).forEach((field) => {
+    if (record[field] !== undefined) values[field] = record[field];
+  });
+  return JSON.parse(JSON.stringify(values));
+};
+
+const redact = (values) => {
+  if (!values) return undefined;
+  const redacted = { ...values };
+  REDACTED_FIELDS.forEach((field) => {
+    if (field in redacted) redacted[field] = "[redacted]";
+  });
+  return redacted;
+};
+
+// Only the fields that differ, as { before, after }
+const diff = (before, after) => {
+  const changed = { before: {}, after: {} };
+  Object.keys(after).forEach((field) => {
+    if (!(field in before)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changed.before[field] = before[field];
+      changed.after[field] = after[field];
+    }
+  });
+  return changed;
+};
+
+// Queues an entry on the request context; the auditContext middleware writes
+// the entries once the response has succeeded. An update whose earlier state
+// could not be read is recorded with the whole new record.
+const record = (context, model, action, beforeRecord, afterRecord) => {
+  let before = snapshot(model, beforeRecord);
+  let after = snapshot(model, afterRecord);
+  if (action === "update" && before) {
+    ({ before, after } = diff(before, after));
+    if (!Object.keys(after).length) return;
+  }
+  const row = afterRecord || beforeRecord;
+  context.auditEntries.push({
+    entityType: model,
+    entityId: row.id ?? null,
+    action,
+    before: redact(before),
+    after: redact(after),
+    agencyId: model === "Agency" ? row.id : row.agencyId ?? null,
+    bookingId: model === "Booking" ? row.id : row.bookingId ?? null,
+  });
+};
+
+// The fields an update reads before it writes: the key and owner fields of
+// the entry, and those the update sets
+const updateSelect = (model, data) =>
+  Object.fromEntries(
+    scalarFields
+      .get(model)
+      .filter(
+        (field) =>
+          ["id", "agencyId", "bookingId"].includes(field) || field in data
+      )
+      .map((field) => [field, true])
+  );
+
+// Records a bulk change as one entry with its filter, how many records it
+// touched and, for updates, the values it set. Operations like
+// { increment: 1 } are recorded as given.
+const recordBulk = (context, model, action, args, result) => {
+  if (!result.count) return;
+  const where = JSON.parse(JSON.stringify(args.where ?? {}));
+  const ownerId = (field) =>
+    typeof where[field] === "number" ? where[field] : null;
+  context.auditEntries.push({
+    entityType: model,
+    entityId: null,
+    action,
+    before: { where, count: result.count },
+    after:
+      action === "update"
+        ? redact(JSON.parse(JSON.stringify(args.data)))
+        : undefined,
+    agencyId: ownerId("agencyId"),
+    bookingId: ownerId("bookingId"),
+  });
+};
+
+/**
+ * Prisma client extension that records every create, update and delete made
+ * while handling a request, with the fields it changed. Bulk updates and
+ * deletes are recorded once, by their filter, without reading the records
+ * first. Writes made outside a request, such as by scheduled jobs, are not
+ * recorded.
+ */
+module.exports = Prisma.defineExtension((client) =>
+  client.$extends({
+    name: "audit",
+    query: {
+      $allModels: {
+        async create({ model, args, query }) {
+          const context = getContext();
+          const result = await query(args);
+          if (context && !SKIPPED_MODELS.includes(model)) {
+            record(context, model, "create", null, result);
+          }
+          return result;
+        },
+        async update({ model, args, query }) {
+          const context = getContext();
+          if (!context || SKIPPED_MODELS.includes(model)) return query(args);
+          const before = await client[delegateName(model)].findUnique({
+            where: args.where,
+            select: updateSelect(model, args.data),
+          });
+          const result = await query(args);
+          // before is null for a row created earlier in the caller's
+          // transaction, which the base client cannot see yet
+          record(context, model, "update", before, result);
+          return result;
+        },
+        async upsert({ model, args, query }) {
+          const context = getContext();
+          if (!context || SKIPPED_MODELS.includes(model)) return query(args);
+          const before = await client[delegateName(model)].findUnique({
+            where: args.where,
+          });
+          const result = await query(args);
+          record(context, model, before ? "update" : "create", before, result);
+          return result;
+        },
+        async delete({ model, args, query }) {
+          const context = getContext();
+          if (!context || SKIPPED_MODELS.includes(model)) return query(args);
+          const before = await client[delegateName(model)].findUnique({
+            where: args.where,
+          });
+          const result = await query(args);
+          record(context, model, "delete", before || result, null);
+          return result;
+        },
+        async updateMany({ model, args, query }) {
+          const context = getContext();
+          const result = await query(args);
+          if (context && !SKIPPED_MODELS.includes(model)) {
+            recordBulk(context, model, "update", args, result);
+          }
+          return result;
+        },
+        async deleteMany({ model, args, query }) {
+          const context = getContext();
+          const result = await query(args);
+          if (context && !SKIPPED_MODELS.includes(model)) {
+            recordBulk(context, model, "delete", args, result);
+          }
+          return result;
+        },
+      },
+    },
+  })
+);
@@ -0,0 +1,54 @@
+const dayjs = require("dayjs");
+
+/**
+ * Generates a quotation number in the format '2025-26/001'.
+ * @param {Prisma.TransactionClient} tx - Prisma transaction client.
+ * @param {number} agencyId - The agency ID to filter by.
+ * @returns {Promise<string>} Quotation number.
+ */
+async function generateQuotationNumber(tx, agencyId) {
+  const now = dayjs();
+
+  // Determine the financial year (starts in April)
+  const financialYearStart = now.month() >= 3 ? now.year() : now.year() - 1;
+  const financialYearEnd = financialYearStart + 1;
+
+  // Format financial year as '2025-26'
+  const financialYear = `${financialYearStart}-${String(financialYearEnd).slice(
+    -2
+  )}`;
+
+  // Get the latest quotation number for the current financial year
+  const lastQuotation = await tx.quotation.findFirst({
+    where: {
+      AND: [
+        {
+          quotationNumber: {
+            startsWith: financialYear,
+          },
+        },
+        { agencyId },
+        // Revisions reuse the number of their first version
+        { version: 1 },
+      ],
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+
+  let nextNumber = 1;
+
+  if (lastQuotation?.quotationNumber) {
+    const parts = lastQuotation.quotationNumber.split("/");
+    const lastNumber = parseInt(parts[1], 10);
+    if (!isNaN(lastNumber)) {
+      nextNumber = lastNumber + 1;
+    }
+  }
+
+  const paddedNumber = String(nextNumber).padStart(3, "0");
+  return `${financialYear}/${paddedNumber}`;
+}
+
+module.exports = generateQuotationNumber;
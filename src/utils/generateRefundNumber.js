@@ -0,0 +1,53 @@
+const dayjs = require("dayjs");
+
+/**
+ * Generates a refund number in the format 'RF-2025-26/001'.
+ * @param {Prisma.TransactionClient} tx - Prisma transaction client.
+ * @param {number} agencyId - The agency ID to filter by.
+ * @returns {Promise<string>} Credit note number.
+ */
+async function generateRefundNumber(tx, agencyId) {
+  const now = dayjs();
+
+  // Determine the financial year (starts in April)
+  const financialYearStart = now.month() >= 3 ? now.year() : now.year() - 1;
+  const financialYearEnd = financialYearStart + 1;
+
+  // Format financial year as '2025-26'
+  const financialYear = `${financialYearStart}-${String(financialYearEnd).slice(
+    -2
+  )}`;
+
+  // Get the latest refund number for the current financial year
+  const lastRefund = await tx.bookingCancellation.findFirst({
+    where: {
+      AND: [
+        {
+          refundNumber: {
+            startsWith: `RF-${financialYear}`,
+          },
+        },
+        { agencyId },
+      ],
+    },
+    // Refunds are paid after the cancellation is recorded, so order by the number itself
+    orderBy: {
+      refundNumber: "desc",
+    },
+  });
+
+  let nextNumber = 1;
+
+  if (lastRefund?.refundNumber) {
+    const parts = lastRefund.refundNumber.split("/");
+    const lastNumber = parseInt(parts[1], 10);
+    if (!isNaN(lastNumber)) {
+      nextNumber = lastNumber + 1;
+    }
+  }
+
+  const paddedNumber = String(nextNumber).padStart(3, "0");
+  return `RF-${financialYear}/${paddedNumber}`;
+}
+
+module.exports = generateRefundNumber;
@@ -0,0 +1,52 @@
+const dayjs = require("dayjs");
+
+/**
+ * Generates a supplier payment number in the format '2025-26/001'.
+ * @param {Prisma.TransactionClient} tx - Prisma transaction client.
+ * @param {number} agencyId - The agency ID to filter by.
+ * @returns {Promise<string>} Supplier payment number.
+ */
+async function generateSupplierPaymentNumber(tx, agencyId) {
+  const now = dayjs();
+
+  // Determine the financial year (starts in April)
+  const financialYearStart = now.month() >= 3 ? now.year() : now.year() - 1;
+  const financialYearEnd = financialYearStart + 1;
+
+  // Format financial year as '2025-26'
+  const financialYear = `${financialYearStart}-${String(financialYearEnd).slice(
+    -2
+  )}`;
+
+  // Get the latest payment number for the current financial year
+  const lastPayment = await tx.supplierPayment.findFirst({
+    where: {
+      AND: [
+        {
+          paymentNumber: {
+            startsWith: financialYear,
+          },
+        },
+        { agencyId },
+      ],
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+
+  let nextNumber = 1;
+
+  if (lastPayment?.paymentNumber) {
+    const parts = lastPayment.paymentNumber.split("/");
+    const lastNumber = parseInt(parts[1], 10);
+    if (!isNaN(lastNumber)) {
+      nextNumber = lastNumber + 1;
+    }
+  }
+
+  const paddedNumber = String(nextNumber).padStart(3, "0");
+  return `${financialYear}/${paddedNumber}`;
+}
+
+module.exports = generateSupplierPaymentNumber;
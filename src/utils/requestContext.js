@@ -0,0 +1,24 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request state reachable from code that is not handed the request,
+// such as the Prisma audit extension
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `context` as the current request context.
+ * @param {object} context
+ * @param {Function} fn
+ * @returns {*} What `fn` returns.
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * The context of the request being handled.
+ * @returns {object|undefined} undefined outside a request, e.g. in jobs.
+ */
+const getContext = () => storage.getStore();
+
+module.exports = {
+  runWithContext,
+  getContext,
+};
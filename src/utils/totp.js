@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = "";
+  value
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error("Invalid base32 secret");
+      bits += index.toString(2).padStart(5, "0");
+    });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random base32 secret for an authenticator app.
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a timestamp falls in.
+ * @param {number} [timestamp] - Milliseconds.
+ * @returns {number}
+ */
+const currentStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * The code for a time step (RFC 6238, HMAC-SHA1, 6 digits).
+ * @param {string} secret - Base32 secret.
+ * @param {number} step
+ * @returns {string}
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Checks a code against the current time step and one step either side, to
+ * allow for clock drift. Steps up to `afterStep` are rejected so a code cannot
+ * be used twice.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code
+ * @param {{ afterStep?: number|null, window?: number }} [options]
+ * @returns {number|null} The matching step, or null.
+ */
+const verifyCode = (secret, code, { afterStep = null, window = 1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * The otpauth:// URI an authenticator app scans (as a QR code) to add the account.
+ * @param {{ secret: string, accountName: string, issuer: string }} options
+ * @returns {string}
+ */
+const provisioningUri = ({ secret, accountName, issuer }) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}?${new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })}`;
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+};
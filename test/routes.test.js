@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Note which resource and parameter each guard the routes build checks, so
+// the router stack can be matched against them
+const guardPath = require.resolve("../src/middleware/tenantGuard");
+const tenantGuard = require(guardPath);
+const guards = new Map();
+require.cache[guardPath].exports = (resource, param = "id") => {
+  const guard = tenantGuard(resource, param);
+  guards.set(guard, { resource, param });
+  return guard;
+};
+
+const app = require("../src/app");
+
+// Routes with a record id that are not agency records: the super admin's
+// users, packages and subscriptions, the caller's own sessions, and the trash,
+// which checks the agency of the type it is given itself
+const UNGUARDED = [
+  /^\/users\//,
+  /^\/packages\//,
+  /^\/subscriptions\//,
+  /^\/auth\/sessions\/:id$/,
+  /^\/trash\/:type\/:id(\/|$)/,
+];
+
+// Route parameters that hold a record id, such as :id or :groupBookingId
+const isRecordParam = (param) => param === "id" || param.endsWith("Id");
+
+// "/bookings" for the pattern Express builds when mounting at /bookings
+const mountPath = (layer) =>
+  layer.regexp.source
+    .replace(/^\^/, "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+
+const routes = app._router.stack
+  .filter((layer) => layer.name === "router")
+  .flatMap((layer) =>
+    layer.handle.stack
+      .filter(({ route }) => route)
+      .map(({ route }) => ({
+        path: mountPath(layer) + route.path,
+        methods: Object.keys(route.methods).join(",").toUpperCase(),
+        params: (route.path.match(/:\w+/g) || []).map((param) =>
+          param.slice(1)
+        ),
+        guards: route.stack
+          .map(({ handle }) => guards.get(handle))
+          .filter(Boolean),
+      }))
+  );
+
+test("finds the mounted routes", () => {
+  assert.ok(routes.length > 100);
+  assert.ok(routes.some(({ path }) => path === "/bookings/:id"));
+});
+
+test("guards every route that takes a record id", () => {
+  const unguarded = routes
+    .filter(({ params }) => params.some(isRecordParam))
+    .filter(({ path }) => !UNGUARDED.some((pattern) => pattern.test(path)))
+    .filter(
+      ({ params, guards }) =>
+        !guards.some(({ param }) => params.includes(param))
+    )
+    .map(({ methods, path }) => `${methods} ${path}`);
+
+  assert.deepEqual(unguarded, []);
+});
+
+test("guards the parameter each guarded route takes", () => {
+  const mismatched = routes
+    .filter(({ guards }) => guards.length)
+    .filter(
+      ({ params, guards }) =>
+        !guards.every(({ param }) => params.includes(param))
+    )
+    .map(({ methods, path }) => `${methods} ${path}`);
+
+  assert.deepEqual(mismatched, []);
+});
@@ -0,0 +1,375 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Records by model and id, and agency settings by agency id, served by the
+// stand-in for the Prisma client below
+let records = {};
+let settings = {};
+
+// Keeps only the fields a Prisma select asks for, following nested selects
+const pick = (record, select) => {
+  if (record == null) return record;
+  return Object.fromEntries(
+    Object.entries(select).map(([field, value]) => [
+      field,
+      value === true
+        ? record[field] ?? null
+        : pick(record[field], value.select),
+    ])
+  );
+};
+
+const prisma = new Proxy(
+  {},
+  {
+    get: (_, model) => ({
+      findUnique: async ({ where, select }) => {
+        if (model === "agencySetting") return settings[where.agencyId] ?? null;
+        const record = records[model]?.[where.id];
+        return record ? pick(record, select) : null;
+      },
+    }),
+  }
+);
+const dbPath = require.resolve("../src/config/db");
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: prisma,
+};
+
+const tenantGuard = require("../src/middleware/tenantGuard");
+const {
+  TENANT_RESOURCES,
+  findRecordOwner,
+} = require("../src/services/tenantService");
+
+const AGENCY = 1;
+const OTHER_AGENCY = 2;
+const BRANCH = 10;
+const OTHER_BRANCH = 11;
+const STAFF = 100;
+const OTHER_STAFF = 101;
+
+const admin = { id: STAFF, role: "admin", agencyId: AGENCY };
+const staff = { id: STAFF, role: "user", agencyId: AGENCY };
+
+// { booking: { agencyId: 2 } } for "booking.agencyId"
+const setPath = (record, path, value) => {
+  const [field, ...rest] = path.split(".");
+  if (!rest.length) {
+    record[field] = value;
+    return record;
+  }
+  record[field] = setPath(record[field] || {}, rest.join("."), value);
+  return record;
+};
+
+// A record of the resource that resolves through its first path of each kind
+const buildRecord = (
+  resource,
+  {
+    agencyId = AGENCY,
+    branchId = BRANCH,
+    assignedToId = STAFF,
+    parentDeletedAt = null,
+    ...fields
+  } = {}
+) => {
+  const {
+    agency = ["agencyId"],
+    branch,
+    assignee,
+    parentTrash,
+  } = TENANT_RESOURCES[resource];
+  const record = { deletedAt: null, ...fields };
+  setPath(record, agency[0], agencyId);
+  if (branch) setPath(record, branch[0], branchId);
+  if (assignee) setPath(record, assignee[0], assignedToId);
+  if (parentTrash) setPath(record, parentTrash[0], parentDeletedAt);
+  return record;
+};
+
+const store = (resource, id, record) => {
+  const { model } = TENANT_RESOURCES[resource];
+  records[model] = { ...records[model], [id]: record };
+};
+
+// Runs the guard and reports whether it let the request through or answered
+const runGuard = async (resource, { user, id = 1, branchId = null }) => {
+  const req = { user, params: { id: String(id) }, branchId };
+  const result = { passed: false, status: null, body: null, error: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await tenantGuard(resource)(req, res, (error) => {
+    if (error) result.error = error;
+    else result.passed = true;
+  });
+  return result;
+};
+
+const assertNotFound = (result, resource) => {
+  assert.equal(result.passed, false);
+  assert.equal(result.status, 404);
+  assert.deepEqual(result.body, {
+    errors: { message: `${TENANT_RESOURCES[resource].label} not found` },
+  });
+};
+
+beforeEach(() => {
+  records = {};
+  settings = {};
+});
+
+describe("findRecordOwner", () => {
+  test("reads the agency of a record that has its own agencyId", async () => {
+    store("client", 1, buildRecord("client", { agencyId: OTHER_AGENCY }));
+
+    assert.deepEqual(await findRecordOwner("client", 1), {
+      agencyId: OTHER_AGENCY,
+      branchId: null,
+      assignedToId: null,
+      deletedAt: null,
+    });
+  });
+
+  test("follows nested paths to the group booking of a group client", async () => {
+    store("groupClient", 1, {
+      groupBooking: {
+        agencyId: OTHER_AGENCY,
+        branchId: OTHER_BRANCH,
+        assignedToId: OTHER_STAFF,
+      },
+    });
+
+    assert.deepEqual(await findRecordOwner("groupClient", 1), {
+      agencyId: OTHER_AGENCY,
+      branchId: OTHER_BRANCH,
+      assignedToId: OTHER_STAFF,
+      deletedAt: null,
+    });
+  });
+
+  test("falls back to groupClient.groupBooking when a record has no booking", async () => {
+    store("journeyBooking", 1, {
+      booking: null,
+      groupClient: {
+        groupBooking: {
+          agencyId: OTHER_AGENCY,
+          branchId: OTHER_BRANCH,
+          assignedToId: OTHER_STAFF,
+        },
+      },
+    });
+
+    const owner = await findRecordOwner("journeyBooking", 1);
+    assert.equal(owner.agencyId, OTHER_AGENCY);
+    assert.equal(owner.branchId, OTHER_BRANCH);
+    assert.equal(owner.assignedToId, OTHER_STAFF);
+  });
+
+  test("reports when a soft-deletable record was trashed", async () => {
+    const deletedAt = new Date();
+    store("booking", 1, buildRecord("booking", { deletedAt }));
+
+    const owner = await findRecordOwner("booking", 1);
+    assert.equal(owner.deletedAt, deletedAt);
+  });
+
+  test("reports a record of a trashed group booking as trashed", async () => {
+    const deletedAt = new Date();
+    store("journeyBooking", 1, {
+      booking: null,
+      groupClient: { groupBooking: { agencyId: AGENCY, deletedAt } },
+    });
+
+    const owner = await findRecordOwner("journeyBooking", 1);
+    assert.equal(owner.deletedAt, deletedAt);
+  });
+
+  test("returns null for a missing record", async () => {
+    assert.equal(await findRecordOwner("booking", 1), null);
+  });
+});
+
+describe("tenantGuard", () => {
+  test("rejects an unknown resource when the route is set up", () => {
+    assert.throws(() => tenantGuard("nothing"), /Unknown tenant resource/);
+  });
+
+  for (const resource of Object.keys(TENANT_RESOURCES)) {
+    test(`${resource}: lets records of the user's agency through`, async () => {
+      store(resource, 1, buildRecord(resource));
+
+      const result = await runGuard(resource, { user: admin });
+      assert.equal(result.passed, true);
+    });
+
+    test(`${resource}: hides records of another agency`, async () => {
+      store(resource, 1, buildRecord(resource, { agencyId: OTHER_AGENCY }));
+
+      assertNotFound(await runGuard(resource, { user: admin }), resource);
+    });
+  }
+
+  for (const resource of Object.keys(TENANT_RESOURCES).filter(
+    (resource) => TENANT_RESOURCES[resource].branch
+  )) {
+    test(`${resource}: hides records of another branch`, async () => {
+      store(resource, 1, buildRecord(resource, { branchId: OTHER_BRANCH }));
+
+      assertNotFound(
+        await runGuard(resource, { user: admin, branchId: BRANCH }),
+        resource
+      );
+    });
+  }
+
+  for (const resource of Object.keys(TENANT_RESOURCES).filter(
+    (resource) => TENANT_RESOURCES[resource].softDelete
+  )) {
+    test(`${resource}: hides records in the trash`, async () => {
+      store(resource, 1, buildRecord(resource, { deletedAt: new Date() }));
+
+      assertNotFound(await runGuard(resource, { user: admin }), resource);
+    });
+  }
+
+  for (const resource of Object.keys(TENANT_RESOURCES).filter(
+    (resource) => TENANT_RESOURCES[resource].parentTrash
+  )) {
+    test(`${resource}: hides records whose booking is in the trash`, async () => {
+      store(
+        resource,
+        1,
+        buildRecord(resource, { parentDeletedAt: new Date() })
+      );
+
+      assertNotFound(await runGuard(resource, { user: admin }), resource);
+    });
+  }
+
+  test("hides sub-bookings of a group client whose group booking is in the trash", async () => {
+    for (const resource of [
+      "hotelBooking",
+      "journeyBooking",
+      "serviceBooking",
+      "travelDocument",
+      "vehicleBooking",
+    ]) {
+      store(resource, 1, {
+        agencyId: AGENCY,
+        booking: null,
+        groupClient: {
+          groupBooking: { agencyId: AGENCY, deletedAt: new Date() },
+        },
+      });
+
+      assertNotFound(await runGuard(resource, { user: admin }), resource);
+    }
+  });
+
+  test("hides records of another agency reached through groupClient.groupBooking", async () => {
+    for (const resource of [
+      "journeyBooking",
+      "serviceBooking",
+      "travelDocument",
+    ]) {
+      store(resource, 1, {
+        booking: null,
+        groupClient: {
+          groupBooking: { agencyId: OTHER_AGENCY, branchId: BRANCH },
+        },
+      });
+
+      assertNotFound(await runGuard(resource, { user: admin }), resource);
+    }
+  });
+
+  test("hides records of another branch reached through groupClient.groupBooking", async () => {
+    store("hotelBooking", 1, {
+      agencyId: AGENCY,
+      booking: null,
+      groupClient: { groupBooking: { branchId: OTHER_BRANCH } },
+    });
+
+    assertNotFound(
+      await runGuard("hotelBooking", { user: admin, branchId: BRANCH }),
+      "hotelBooking"
+    );
+  });
+
+  test("lets records of any branch through when the request is not limited to one", async () => {
+    store("booking", 1, buildRecord("booking", { branchId: OTHER_BRANCH }));
+
+    const result = await runGuard("booking", { user: admin });
+    assert.equal(result.passed, true);
+  });
+
+  test("hides missing records and ids that are not numbers", async () => {
+    assertNotFound(await runGuard("booking", { user: admin }), "booking");
+    assertNotFound(
+      await runGuard("booking", { user: admin, id: "abc" }),
+      "booking"
+    );
+  });
+
+  test("hides every record from a user without an agency", async () => {
+    store("client", 1, buildRecord("client"));
+
+    assertNotFound(
+      await runGuard("client", { user: { ...admin, agencyId: null } }),
+      "client"
+    );
+  });
+
+  test("lets the super admin through to any agency", async () => {
+    store("client", 1, buildRecord("client", { agencyId: OTHER_AGENCY }));
+
+    const result = await runGuard("client", {
+      user: { id: STAFF, role: "super_admin", agencyId: null },
+    });
+    assert.equal(result.passed, true);
+  });
+
+  test("hides bookings assigned to other staff when the agency restricts them", async () => {
+    settings[AGENCY] = { restrictToAssignedEnquiries: true };
+    store("booking", 1, buildRecord("booking", { assignedToId: OTHER_STAFF }));
+    store("booking", 2, buildRecord("booking"));
+
+    assertNotFound(await runGuard("booking", { user: staff }), "booking");
+    assert.equal(
+      (await runGuard("booking", { user: staff, id: 2 })).passed,
+      true
+    );
+    assert.equal((await runGuard("booking", { user: admin })).passed, true);
+  });
+
+  test("lets staff reach bookings assigned to others when the agency does not restrict them", async () => {
+    settings[AGENCY] = { restrictToAssignedEnquiries: false };
+    store("booking", 1, buildRecord("booking", { assignedToId: OTHER_STAFF }));
+
+    assert.equal((await runGuard("booking", { user: staff })).passed, true);
+  });
+
+  test("passes a 500 on when the lookup fails", async () => {
+    records.booking = {
+      get 1() {
+        throw new Error("connection lost");
+      },
+    };
+
+    const result = await runGuard("booking", { user: admin });
+    assert.equal(result.passed, false);
+    assert.equal(result.error.status, 500);
+  });
+});